@@ -2,31 +2,61 @@
  * Article Controller
  * 
  * Handles article CRUD operations with template support for Wikipedia-style content.
- * Supports translations and admin content management.
+ * Each family member has one article, written in its source language; the other
+ * language versions are translations, shown to readers of that language.
+ * Every revision of an article is kept, to be compared and restored.
  */
 
+import { withTransaction } from '../database/db.js'
 import * as Article from '../models/Article.js'
 import * as FamilyMember from '../models/FamilyMember.js'
 import * as Image from '../models/Image.js'
-import { translateText, getSupportedLanguages } from '../services/translationService.js'
+import * as ArticleLink from '../models/ArticleLink.js'
+import { translateText, rememberTranslation, getSupportedLanguages } from '../services/translationService.js'
 import { logAudit } from '../services/auditService.js'
+import { diffHtml } from '../utils/htmlDiff.js'
+import { sanitizeHtml, sanitizeFields } from '../utils/htmlSanitizer.js'
+import { renderContent } from '../services/wikiMarkupService.js'
+import { MEMBER_INFOBOX } from '../utils/wikiMarkup.js'
+import { fillMemberInfobox } from '../services/memberInfoboxService.js'
+import { extractLinks } from '../utils/articleLinks.js'
+import { retranslateOutdated as retranslateOutdatedTranslations } from '../services/retranslationService.js'
 
 /**
- * Get article by family member and language
- * GET /articles/:id (query param: lang)
+ * Get all member articles with the status of their translations (Admin only)
+ * GET /articles
+ */
+export const getAllArticles = async (req, res, next) => {
+  try {
+    const articles = (await Article.getAllArticles()).map(article => sanitizeFields(article))
+
+    res.json({ articles, count: articles.length })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get a family member's article in the reader's language
+ * GET /articles/:id (id: family member ID, query param: lang)
+ *
+ * Without a version in that language the source article is returned with
+ * is_fallback set. A member infobox in it is filled from the member's data,
+ * in that language.
  */
 export const getArticle = async (req, res, next) => {
   try {
     const { id } = req.params
-    const lang = req.query?.lang || 'sr'
 
-    const article = await Article.getArticleByMemberAndLanguage(id, lang)
+    const article = await Article.getArticleForReader(id, req.query.lang)
     
     if (!article) {
       return res.status(404).json({ error: 'Article not found' })
     }
 
-    res.json(article)
+    article.content = await fillMemberInfobox(article.content, article.family_member_id, article.requested_language)
+
+    res.json(sanitizeFields(article))
   } catch (error) {
     next(error)
   }
@@ -38,7 +68,7 @@ export const getArticle = async (req, res, next) => {
  */
 export const createArticle = async (req, res, next) => {
   try {
-    const { family_member_id, language = 'sr', content, template_type } = req.body
+    const { family_member_id, language = 'sr', content, format = 'html', template_type } = req.body
     const user_id = req.user.id
 
     // Validate family member exists
@@ -47,19 +77,30 @@ export const createArticle = async (req, res, next) => {
       return res.status(404).json({ error: 'Family member not found' })
     }
 
+    if (await Article.getArticleByMember(member.id)) {
+      return res.status(409).json({ error: 'Family member already has an article' })
+    }
+
+    const { missing_links, ...rendered } = await renderContent(
+      content || (format === 'wiki' ? getDefaultWikiTemplate(template_type) : getDefaultTemplate(template_type)),
+      format
+    )
     const articleData = {
       family_member_id,
       language,
-      content: content || getDefaultTemplate(template_type),
+      ...rendered,
       created_by: user_id,
     }
 
-    const article = await Article.createArticle(articleData)
-    
-    // Log the audit
-    await logAudit(user_id, 'articles', article.id, 'CREATE', null, articleData)
+    // The article, its links and the audit entry are written together
+    const article = await withTransaction(async (client) => {
+      const created = await Article.createArticle(articleData, client)
+      await ArticleLink.setArticleLinks(created.id, extractLinks(created.content), client)
+      await logAudit(user_id, 'articles', created.id, 'CREATE', null, articleData, client)
+      return created
+    })
 
-    res.status(201).json(article)
+    res.status(201).json({ ...article, missing_links })
   } catch (error) {
     next(error)
   }
@@ -68,11 +109,14 @@ export const createArticle = async (req, res, next) => {
 /**
  * Update article (Admin only)
  * PUT /articles/:id
+ *
+ * A change of content starts a new revision; translations of the previous
+ * revisions show as outdated. Content in wiki markup is rendered to HTML,
+ * with the wikilinks that do not resolve given as missing_links.
  */
 export const updateArticle = async (req, res, next) => {
   try {
     const { id } = req.params
-    const { content } = req.body
     const user_id = req.user.id
 
     // Get existing article
@@ -81,13 +125,22 @@ export const updateArticle = async (req, res, next) => {
       return res.status(404).json({ error: 'Article not found' })
     }
 
+    const { missing_links, ...rendered } = await renderContent(req.body.content, req.body.format || article.format)
+
     // Update article
-    const updated = await Article.updateArticle(id, content, user_id)
-    
-    // Log the audit
-    await logAudit(user_id, 'articles', id, 'UPDATE', { content: article.content }, { content })
+    const updated = await withTransaction(async (client) => {
+      const saved = await Article.updateArticle(id, rendered, user_id, null, client)
+      await ArticleLink.setArticleLinks(saved.id, extractLinks(saved.content), client)
+      await logAudit(
+        user_id, 'articles', id, 'UPDATE',
+        { content: article.content, format: article.format, source: article.source },
+        rendered,
+        client
+      )
+      return saved
+    })
 
-    res.json(updated)
+    res.json({ ...updated, missing_links })
   } catch (error) {
     next(error)
   }
@@ -119,21 +172,76 @@ export const deleteArticle = async (req, res, next) => {
 }
 
 /**
- * Get article version history
+ * Get the revision history of an article, newest first
  * GET /articles/:id/history
  */
 export const getArticleHistory = async (req, res, next) => {
   try {
-    const { id } = req.params
+    const article = await Article.getArticleById(req.params.id)
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' })
+    }
 
-    const history = await Article.getArticleHistory(id)
-    if (history.length === 0) {
+    const revisions = await Article.getArticleRevisions(article.id)
+
+    res.json({ article_id: article.id, revision: article.revision, revisions })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get one revision of an article, with its content
+ * GET /articles/:id/revisions/:revision
+ */
+export const getArticleRevision = async (req, res, next) => {
+  try {
+    const { id, revision } = req.params
+
+    const found = await Article.getArticleRevision(id, revision)
+    if (!found) {
+      return res.status(404).json({ error: 'Revision not found' })
+    }
+
+    res.json(sanitizeFields(found))
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Compare two revisions of an article word by word
+ * GET /articles/:id/diff (query params: from, to)
+ *
+ * Without to the current revision is compared, and without from the
+ * revision before to.
+ */
+export const getArticleDiff = async (req, res, next) => {
+  try {
+    const article = await Article.getArticleById(req.params.id)
+    if (!article) {
       return res.status(404).json({ error: 'Article not found' })
     }
 
+    const to = req.query.to ?? article.revision
+    const from = req.query.from ?? to - 1
+
+    const [older, newer] = await Promise.all([
+      Article.getArticleRevision(article.id, from),
+      Article.getArticleRevision(article.id, to),
+    ])
+    if (!older || !newer) {
+      return res.status(404).json({ error: `Revision ${older ? to : from} not found` })
+    }
+
+    const { content: olderContent, ...fromRevision } = older
+    const { content: newerContent, ...toRevision } = newer
+
     res.json({
-      article_id: id,
-      versions: history,
+      article_id: article.id,
+      from: fromRevision,
+      to: toRevision,
+      content: diffHtml(sanitizeHtml(olderContent), sanitizeHtml(newerContent)),
     })
   } catch (error) {
     next(error)
@@ -141,7 +249,56 @@ export const getArticleHistory = async (req, res, next) => {
 }
 
 /**
- * Auto-translate article to target language
+ * Restore an earlier revision of an article (Admin only)
+ * POST /articles/:id/revisions/:revision/restore
+ *
+ * The restored content becomes a new revision, so the restore can be undone
+ * in turn; translations of the previous revision show as outdated.
+ */
+export const restoreArticleRevision = async (req, res, next) => {
+  try {
+    const user_id = req.user.id
+
+    const article = await Article.getArticleById(req.params.id)
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' })
+    }
+
+    const revision = await Article.getArticleRevision(article.id, req.params.revision)
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' })
+    }
+
+    if (revision.revision === article.revision) {
+      return res.status(400).json({ error: 'This is the current revision' })
+    }
+
+    // Rendered again: revisions saved before content was sanitised are
+    // cleaned, and wikilinks point where they do now
+    const { missing_links, ...rendered } = await renderContent(
+      revision.format === 'wiki' ? revision.source : revision.content,
+      revision.format
+    )
+    const updated = await withTransaction(async (client) => {
+      const saved = await Article.updateArticle(article.id, rendered, user_id, revision.revision, client)
+      await ArticleLink.setArticleLinks(saved.id, extractLinks(saved.content), client)
+      await logAudit(
+        user_id, 'articles', article.id, 'UPDATE',
+        { content: article.content, format: article.format, source: article.source },
+        { ...rendered, restored_from: revision.revision },
+        client
+      )
+      return saved
+    })
+
+    res.json({ ...updated, missing_links })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Auto-translate article to target language, replacing an earlier translation
  * POST /articles/:id/translate
  */
 export const translateArticle = async (req, res, next) => {
@@ -155,28 +312,92 @@ export const translateArticle = async (req, res, next) => {
       return res.status(404).json({ error: 'Article not found' })
     }
 
-    // Translate content
-    const translatedContent = await translateText(article.content, article.language, targetLanguage)
+    if (targetLanguage === article.language) {
+      return res.status(400).json({ error: 'The article is written in this language' })
+    }
 
-    // Create translation entry
-    const translation = await Article.addArticleTranslation(
-      id,
+    // Translate content, with the glossary and translation memory of the language pair
+    const translatedContent = sanitizeHtml(await translateText(article.content, article.language, targetLanguage))
+
+    const previous = await Article.getArticleTranslation(article.id, targetLanguage)
+    const saved = await Article.saveArticleTranslation(
+      article.id,
       targetLanguage,
       translatedContent,
       true,
-      user_id
+      user_id,
+      article.revision
     )
 
-    await logAudit(user_id, 'article_translations', translation.id, 'CREATE', null, translation)
+    await logAudit(user_id, 'article_translations', saved.id, previous ? 'UPDATE' : 'CREATE', previous, saved)
+
+    const translation = await Article.getArticleTranslation(article.id, targetLanguage)
+    res.status(previous ? 200 : 201).json(translation)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Save a translation written or corrected by a person, marking it human-reviewed.
+ * Its segments go to the translation memory when it was made from the current revision.
+ * PUT /articles/:id/translations/:lang
+ */
+export const saveArticleTranslation = async (req, res, next) => {
+  try {
+    const { id, lang } = req.params
+    const content = sanitizeHtml(req.body.content)
+    const user_id = req.user.id
+
+    const article = await Article.getArticleById(id)
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' })
+    }
+
+    if (!getSupportedLanguages().some(language => language.code === lang)) {
+      return res.status(400).json({ error: `Unsupported language: ${lang}` })
+    }
+
+    if (lang === article.language) {
+      return res.status(400).json({ error: 'The article is written in this language' })
+    }
+
+    // The revision the editor translated from; the article may have changed since
+    const sourceRevision = req.body.source_revision ?? article.revision
+    if (sourceRevision > article.revision) {
+      return res.status(400).json({ error: `The article has no revision ${sourceRevision}` })
+    }
+
+    const previous = await Article.getArticleTranslation(article.id, lang)
+    const saved = await Article.saveArticleTranslation(article.id, lang, content, false, user_id, sourceRevision)
 
-    res.status(201).json(translation)
+    await logAudit(user_id, 'article_translations', saved.id, previous ? 'UPDATE' : 'CREATE', previous, saved)
+
+    const remembered = sourceRevision === article.revision
+      ? await rememberTranslation(article.content, content, article.language, lang, user_id)
+      : 0
+
+    const translation = await Article.getArticleTranslation(article.id, lang)
+    res.status(previous ? 200 : 201).json({ ...translation, remembered_segments: remembered })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Machine translate again every translation made from an earlier revision
+ * POST /articles/retranslate-outdated
+ */
+export const retranslateOutdated = async (req, res, next) => {
+  try {
+    res.json(await retranslateOutdatedTranslations(req.user.id, req.body))
   } catch (error) {
     next(error)
   }
 }
 
 /**
- * Get all translations for an article
+ * Get all translations for an article, with their status
  * GET /articles/:id/translations
  */
 export const getArticleTranslations = async (req, res, next) => {
@@ -184,22 +405,47 @@ export const getArticleTranslations = async (req, res, next) => {
     const { id } = req.params
 
     const translations = await Article.getArticleTranslations(id)
-    res.json(translations)
+    res.json(translations.map(translation => sanitizeFields(translation)))
   } catch (error) {
     next(error)
   }
 }
 
 /**
- * Get all articles for a family member
+ * Get a family member's article in its source language, with its translations
  * GET /articles/member/:memberId
  */
-export const getArticlesByMember = async (req, res, next) => {
+export const getMemberArticle = async (req, res, next) => {
   try {
     const { memberId } = req.params
 
-    const articles = await Article.getArticlesByMember(memberId)
-    res.json(articles)
+    const article = await Article.getArticleByMember(memberId)
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' })
+    }
+
+    const translations = await Article.getArticleTranslations(article.id)
+    res.json({
+      ...sanitizeFields(article),
+      translations: translations.map(translation => sanitizeFields(translation)),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Render content as it would be saved, to preview it (Admin only)
+ * POST /articles/preview
+ *
+ * Serves member and general articles alike.
+ */
+export const previewContent = async (req, res, next) => {
+  try {
+    const { content, format } = req.body
+    const { source, ...rendered } = await renderContent(content, format)
+
+    res.json(rendered)
   } catch (error) {
     next(error)
   }
@@ -215,7 +461,8 @@ export const getSupportedLanguagesEndpoint = async (req, res) => {
 
 /**
  * Get default template for new article
- * Supports Wikipedia-style templates
+ * Supports Wikipedia-style templates; the infobox is the member infobox,
+ * filled from the member's data when read
  */
 function getDefaultTemplate(templateType = 'basic') {
   const templates = {
@@ -224,15 +471,7 @@ function getDefaultTemplate(templateType = 'basic') {
   <p>Write article content here...</p>
 </section>`,
     
-    infobox: `<div class="wiki-infobox">
-  <div class="infobox-title">Family Information</div>
-  <table class="infobox-table">
-    <tr><td class="label">Born:</td><td>Date and place</td></tr>
-    <tr><td class="label">Died:</td><td>Date and place</td></tr>
-    <tr><td class="label">Nationality:</td><td>Country</td></tr>
-    <tr><td class="label">Occupation:</td><td>Profession</td></tr>
-  </table>
-</div>
+    infobox: `${MEMBER_INFOBOX}
 
 <section class="wiki-section">
   <h2>Early Life</h2>
@@ -244,17 +483,7 @@ function getDefaultTemplate(templateType = 'basic') {
   <p>Write content here...</p>
 </section>`,
     
-    fullFeatured: `<div class="wiki-infobox">
-  <div class="infobox-title">Infobox</div>
-  <table class="infobox-table">
-    <tr><td colspan="2" class="infobox-image">
-      <img src="/images/photo.jpg" alt="Image" />
-    </td></tr>
-    <tr><td class="label">Name:</td><td>Full name</td></tr>
-    <tr><td class="label">Born:</td><td>Date and place</td></tr>
-    <tr><td class="label">Died:</td><td>Date and place</td></tr>
-  </table>
-</div>
+    fullFeatured: `${MEMBER_INFOBOX}
 
 <section class="wiki-section">
   <h2>Early Life</h2>
@@ -295,3 +524,62 @@ function getDefaultTemplate(templateType = 'basic') {
 
   return templates[templateType] || templates.basic
 }
+
+/**
+ * Get default template for new article written in wiki markup
+ * The same templates as getDefaultTemplate
+ */
+function getDefaultWikiTemplate(templateType = 'basic') {
+  const templates = {
+    basic: `## Biography
+
+Write article content here...`,
+
+    infobox: `{{member infobox}}
+
+## Early Life
+
+Write content here...
+
+## Career
+
+Write content here...`,
+
+    fullFeatured: `{{member infobox}}
+
+## Early Life
+
+Paragraph 1...
+
+Paragraph 2...
+
+## Career
+
+### Early career
+
+Content...
+
+### Middle period
+
+Content...
+
+### Later years
+
+Content...
+
+## Family
+
+Family information...
+
+## Legacy
+
+Impact and legacy...
+
+## See also
+
+- [[Related person]]
+- [[article:Related event]]`,
+  }
+
+  return templates[templateType] || templates.basic
+}
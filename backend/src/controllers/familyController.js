@@ -5,7 +5,87 @@
  */
 
 import * as FamilyMember from '../models/FamilyMember.js'
+import * as Image from '../models/Image.js'
+import * as Place from '../models/Place.js'
 import { logAudit } from '../services/auditService.js'
+import { buildImportPlan, importGedcomPlan, buildGedcom } from '../services/gedcomService.js'
+import * as DuplicateService from '../services/duplicateService.js'
+import { findRelationship, describeRelationshipInAllLanguages } from '../services/kinshipService.js'
+import * as RelationshipService from '../services/relationshipService.js'
+import {
+  translateFields, rememberFields, localizeFields, getSupportedLanguages,
+} from '../services/translationService.js'
+
+// Free-text place fields of a member, each with a `${field}_id` place reference
+const MEMBER_PLACE_FIELDS = ['birth_place', 'death_place', 'burial_place']
+
+/**
+ * Build a download-safe file name from a member name
+ * @param {string} name - Member name
+ * @returns {string} Lowercase ASCII slug
+ */
+const slugify = (name) => {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/gi, 'dj')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '') || 'member'
+}
+
+/**
+ * Give members' translatable fields in the reader's language, where translated
+ * @param {Array} members - Members, with their fields in the language they are written in
+ * @param {string} [language] - Requested language code; without one members are returned as they are
+ * @returns {Promise<Array>} Members (see localizeFields)
+ */
+const localizeMembers = async (members, language) => {
+  if (!language) return members
+
+  const translations = await FamilyMember.getTranslationsForMembers(members.map(m => m.id), language)
+  const byMember = new Map(translations.map(t => [t.family_member_id, t]))
+
+  return members.map(member => localizeFields(member, byMember.get(member.id), language, FamilyMember.TRANSLATABLE_FIELDS))
+}
+
+/**
+ * Why a member's fields cannot have a translation into a language
+ * @param {Object} member - Member
+ * @param {string} language - Language code
+ * @returns {string|null} Error message, or null when they can
+ */
+const translationLanguageError = (member, language) => {
+  if (!getSupportedLanguages().some(supported => supported.code === language)) {
+    return `Unsupported language: ${language}`
+  }
+  if (language === member.language) {
+    return 'The member\'s fields are written in this language'
+  }
+  return null
+}
+
+/**
+ * Serialise members with their relationships and primary images and send as a .ged download
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Array} members - Members to export
+ * @param {string} filename - Download file name
+ */
+const sendGedcom = async (req, res, members, filename) => {
+  const memberIds = members.map(m => m.id)
+
+  const gedcom = buildGedcom({
+    members,
+    relationships: await FamilyMember.getFamilyRelationships(memberIds),
+    images: await Image.getPrimaryImagesForMembers(memberIds),
+    baseUrl: `${req.protocol}://${req.get('host')}`,
+  })
+
+  res.attachment(filename)
+  res.type('application/x-gedcom; charset=utf-8')
+  res.send(gedcom)
+}
 
 /**
  * Get all family members
@@ -19,7 +99,7 @@ export const getAllFamilyMembers = async (req, res, next) => {
     if (name) filters.name = name
     if (birth_year) filters.birth_year = parseInt(birth_year)
 
-    const members = await FamilyMember.getAllFamilyMembers(filters)
+    const members = await localizeMembers(await FamilyMember.getAllFamilyMembers(filters), req.query.lang)
 
     res.json({
       count: members.length,
@@ -42,7 +122,7 @@ export const searchFamilyMembers = async (req, res, next) => {
       return res.status(400).json({ error: 'Search query must be at least 2 characters' })
     }
 
-    const members = await FamilyMember.searchFamilyMembers(q)
+    const members = await localizeMembers(await FamilyMember.searchFamilyMembers(q), req.query.lang)
 
     res.json({
       count: members.length,
@@ -55,7 +135,10 @@ export const searchFamilyMembers = async (req, res, next) => {
 
 /**
  * Get specific family member
- * GET /family-members/:id
+ * GET /family-members/:id (query param: lang)
+ *
+ * With lang, short_bio, occupation and birth_place are given in that
+ * language where translated.
  */
 export const getFamilyMember = async (req, res, next) => {
   try {
@@ -66,7 +149,120 @@ export const getFamilyMember = async (req, res, next) => {
       return res.status(404).json({ error: 'Family member not found' })
     }
 
-    res.json(member)
+    const [localized] = await localizeMembers([member], req.query.lang)
+    res.json(localized)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get all translations of a member's fields
+ * GET /family-members/:id/translations
+ */
+export const getMemberTranslations = async (req, res, next) => {
+  try {
+    const member = await FamilyMember.getFamilyMemberById(req.params.id)
+    if (!member) {
+      return res.status(404).json({ error: 'Family member not found' })
+    }
+
+    const translations = await FamilyMember.getMemberTranslations(member.id)
+
+    res.json({ source_language: member.language, translations })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Save a translation of a member's fields written or corrected by a person (editor+ only)
+ * PUT /family-members/:id/translations/:lang
+ *
+ * Fields not in the body keep their earlier translation. The translated
+ * values are added to the translation memory.
+ */
+export const saveMemberTranslation = async (req, res, next) => {
+  try {
+    const { id, lang } = req.params
+
+    const member = await FamilyMember.getFamilyMemberById(id)
+    if (!member) {
+      return res.status(404).json({ error: 'Family member not found' })
+    }
+
+    const languageError = translationLanguageError(member, lang)
+    if (languageError) {
+      return res.status(400).json({ error: languageError })
+    }
+
+    const previous = await FamilyMember.getMemberTranslation(member.id, lang)
+    const values = { ...previous, ...req.body }
+    const translation = await FamilyMember.saveMemberTranslation(member.id, lang, values, false, req.user.id)
+
+    // Log audit
+    await logAudit(req.user.id, 'family_member_translations', translation.id, previous ? 'UPDATE' : 'INSERT', previous, translation)
+
+    const remembered = await rememberFields(
+      member, req.body, FamilyMember.TRANSLATABLE_FIELDS, member.language, lang, req.user.id
+    )
+
+    res.status(previous ? 200 : 201).json({ ...translation, remembered_segments: remembered })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Machine translate a member's fields, replacing an earlier translation (editor+ only)
+ * POST /family-members/:id/translate
+ */
+export const translateMember = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { targetLanguage } = req.body
+
+    const member = await FamilyMember.getFamilyMemberById(id)
+    if (!member) {
+      return res.status(404).json({ error: 'Family member not found' })
+    }
+
+    const languageError = translationLanguageError(member, targetLanguage)
+    if (languageError) {
+      return res.status(400).json({ error: languageError })
+    }
+
+    const values = await translateFields(member, FamilyMember.TRANSLATABLE_FIELDS, member.language, targetLanguage)
+
+    const previous = await FamilyMember.getMemberTranslation(member.id, targetLanguage)
+    const translation = await FamilyMember.saveMemberTranslation(member.id, targetLanguage, values, true, req.user.id)
+
+    // Log audit
+    await logAudit(req.user.id, 'family_member_translations', translation.id, previous ? 'UPDATE' : 'INSERT', previous, translation)
+
+    res.status(previous ? 200 : 201).json(translation)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete a translation of a member's fields (editor+ only)
+ * DELETE /family-members/:id/translations/:lang
+ */
+export const deleteMemberTranslation = async (req, res, next) => {
+  try {
+    const { id, lang } = req.params
+
+    const translation = await FamilyMember.deleteMemberTranslation(id, lang)
+    if (!translation) {
+      return res.status(404).json({ error: 'Translation not found' })
+    }
+
+    // Log audit
+    await logAudit(req.user.id, 'family_member_translations', translation.id, 'DELETE', translation, null)
+
+    res.json({ message: 'Translation deleted successfully' })
   } catch (error) {
     next(error)
   }
@@ -98,22 +294,163 @@ export const getFamilyTree = async (req, res, next) => {
   }
 }
 
+/**
+ * Get ancestors of a member as a nested pedigree
+ * GET /family-members/:id/ancestors (query param: depth)
+ */
+export const getAncestors = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { depth } = req.query
+
+    const member = await FamilyMember.getFamilyMemberById(id)
+    if (!member) {
+      return res.status(404).json({ error: 'Family member not found' })
+    }
+
+    const ancestors = await FamilyMember.getAncestors(member, depth)
+
+    res.json({
+      member_id: member.id,
+      member_name: member.name,
+      depth,
+      ...ancestors,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get descendants of a member as a nested tree
+ * GET /family-members/:id/descendants (query param: depth)
+ */
+export const getDescendants = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { depth } = req.query
+
+    const member = await FamilyMember.getFamilyMemberById(id)
+    if (!member) {
+      return res.status(404).json({ error: 'Family member not found' })
+    }
+
+    const descendants = await FamilyMember.getDescendants(member, depth)
+
+    res.json({
+      member_id: member.id,
+      member_name: member.name,
+      depth,
+      ...descendants,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Describe how another member is related to this one
+ * GET /family-members/:id/relationship-to/:otherId
+ */
+export const getRelationshipTo = async (req, res, next) => {
+  try {
+    const { id, otherId } = req.params
+
+    const member = await FamilyMember.getFamilyMemberById(id)
+    const other = await FamilyMember.getFamilyMemberById(otherId)
+    if (!member || !other) {
+      return res.status(404).json({ error: 'Family member not found' })
+    }
+
+    const relationship = await findRelationship(member.id, other.id)
+    if (!relationship) {
+      return res.json({
+        member: { id: member.id, name: member.name },
+        other: { id: other.id, name: other.name },
+        related: false,
+        kind: null,
+        labels: null,
+        path: [],
+      })
+    }
+
+    const pathMembers = await FamilyMember.getFamilyMembersByIds(relationship.path.map(step => step.id))
+    const names = new Map(pathMembers.map(m => [m.id, m.name]))
+
+    res.json({
+      member: { id: member.id, name: member.name },
+      other: { id: other.id, name: other.name },
+      related: true,
+      kind: relationship.kind,
+      generations_up: relationship.up,
+      generations_down: relationship.down,
+      labels: describeRelationshipInAllLanguages(relationship),
+      path: relationship.path.map(step => ({ ...step, name: names.get(step.id) })),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Export the whole family tree as GEDCOM
+ * GET /family-members/export.ged
+ */
+export const exportGedcom = async (req, res, next) => {
+  try {
+    const members = await FamilyMember.getAllFamilyMembers()
+
+    await sendGedcom(req, res, members, 'kurpejovic-family.ged')
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Export the descendants or ancestors of a member as GEDCOM
+ * GET /family-members/:id/export.ged (query param: scope)
+ * Descendant exports also include the spouses of every descendant.
+ */
+export const exportMemberGedcom = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const scope = req.query.scope || 'descendants'
+
+    if (!['descendants', 'ancestors'].includes(scope)) {
+      return res.status(400).json({ error: 'Scope must be "descendants" or "ancestors"' })
+    }
+
+    const member = await FamilyMember.getFamilyMemberById(id)
+    if (!member) {
+      return res.status(404).json({ error: 'Family member not found' })
+    }
+
+    let memberIds = [member.id]
+    if (scope === 'descendants') {
+      memberIds.push(...await FamilyMember.getDescendantIds(member.id))
+      memberIds.push(...await FamilyMember.getSpouseIds(memberIds))
+    } else {
+      memberIds.push(...await FamilyMember.getAncestorIds(member.id))
+    }
+    memberIds = [...new Set(memberIds)]
+
+    const members = await FamilyMember.getFamilyMembersByIds(memberIds)
+
+    await sendGedcom(req, res, members, `${slugify(member.name)}-${scope}.ged`)
+  } catch (error) {
+    next(error)
+  }
+}
+
 /**
  * Create family member (editor+ only)
  * POST /family-members
  */
 export const createFamilyMember = async (req, res, next) => {
   try {
-    const { name, birth_year, death_year, birth_place, occupation, short_bio } = req.body
-
-    const member = await FamilyMember.createFamilyMember({
-      name,
-      birth_year,
-      death_year,
-      birth_place,
-      occupation,
-      short_bio,
-    })
+    // Body is validated by createFamilyMemberSchema, unknown fields are stripped
+    const memberData = await Place.withPlaceNames(req.body, MEMBER_PLACE_FIELDS)
+    const member = await FamilyMember.createFamilyMember(memberData)
 
     // Log audit
     await logAudit(req.user.id, 'family_members', member.id, 'INSERT', null, member)
@@ -131,7 +468,7 @@ export const createFamilyMember = async (req, res, next) => {
 export const updateFamilyMember = async (req, res, next) => {
   try {
     const { id } = req.params
-    const updates = req.body
+    const updates = await Place.withPlaceNames(req.body, MEMBER_PLACE_FIELDS)
 
     // Get old values for audit
     const oldMember = await FamilyMember.getFamilyMemberById(id)
@@ -139,11 +476,8 @@ export const updateFamilyMember = async (req, res, next) => {
       return res.status(404).json({ error: 'Family member not found' })
     }
 
-    // Update member
-    const updatedMember = await FamilyMember.updateFamilyMember(id, updates)
-
-    // Log audit
-    await logAudit(req.user.id, 'family_members', id, 'UPDATE', oldMember, updatedMember)
+    // Checks the birth year against parents and children and logs the audit entry
+    const updatedMember = await RelationshipService.updateMember(oldMember, updates, req.user.id)
 
     res.json(updatedMember)
   } catch (error) {
@@ -152,28 +486,196 @@ export const updateFamilyMember = async (req, res, next) => {
 }
 
 /**
- * Create family relationship (editor+ only)
+ * Load both members of a relationship request
+ * @param {number|string} id - Member ID
+ * @param {number|string} relatedId - Related member ID
+ * @returns {Promise<Array>} [member, related], either may be null
+ */
+const getRelationshipMembers = async (id, relatedId) => {
+  return Promise.all([
+    FamilyMember.getFamilyMemberById(id),
+    FamilyMember.getFamilyMemberById(relatedId),
+  ])
+}
+
+/**
+ * Create family relationship and its inverse (editor+ only)
  * POST /family-members/:id/relationships
  */
 export const createFamilyRelationship = async (req, res, next) => {
   try {
     const { id } = req.params
-    const { related_member_id, relationship_type } = req.body
+    const { related_member_id, relationship_type, ...union } = req.body
 
     // Verify both members exist
-    const member = await FamilyMember.getFamilyMemberById(id)
-    const relatedMember = await FamilyMember.getFamilyMemberById(related_member_id)
+    const [member, relatedMember] = await getRelationshipMembers(id, related_member_id)
+    if (!member || !relatedMember) {
+      return res.status(404).json({ error: 'One or both family members not found' })
+    }
+
+    // Validates the graph and logs audit entries for both rows
+    const saved = await RelationshipService.createRelationship(member, relatedMember, relationship_type, union, req.user.id)
+
+    res.status(201).json(saved)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Change the type or union details of a relationship and its inverse (editor+ only)
+ * PUT /family-members/:id/relationships/:relatedId
+ */
+export const updateFamilyRelationship = async (req, res, next) => {
+  try {
+    const { id, relatedId } = req.params
+    const { relationship_type, ...union } = req.body
 
+    const [member, relatedMember] = await getRelationshipMembers(id, relatedId)
     if (!member || !relatedMember) {
       return res.status(404).json({ error: 'One or both family members not found' })
     }
 
-    const relationship = await FamilyMember.createFamilyRelationship(id, related_member_id, relationship_type)
+    const saved = await RelationshipService.updateRelationship(member, relatedMember, relationship_type, union, req.user.id)
 
-    // Log audit
-    await logAudit(req.user.id, 'family_relationships', relationship.id, 'INSERT', null, relationship)
+    res.json(saved)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete a relationship in both directions (editor+ only)
+ * DELETE /family-members/:id/relationships/:relatedId
+ */
+export const deleteFamilyRelationship = async (req, res, next) => {
+  try {
+    const { id, relatedId } = req.params
+
+    const [member, relatedMember] = await getRelationshipMembers(id, relatedId)
+    if (!member || !relatedMember) {
+      return res.status(404).json({ error: 'One or both family members not found' })
+    }
+
+    await RelationshipService.deleteRelationship(member, relatedMember, req.user.id)
+
+    res.json({ message: 'Relationship deleted successfully' })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Add a child to a union: both partners become its parents (editor+ only)
+ * POST /family-members/:id/unions/:spouseId/children
+ */
+export const attachUnionChild = async (req, res, next) => {
+  try {
+    const { id, spouseId } = req.params
+    const { child_id } = req.body
+
+    const [member, spouse, child] = await Promise.all([
+      FamilyMember.getFamilyMemberById(id),
+      FamilyMember.getFamilyMemberById(spouseId),
+      FamilyMember.getFamilyMemberById(child_id),
+    ])
+    if (!member || !spouse || !child) {
+      return res.status(404).json({ error: 'One or more family members not found' })
+    }
+
+    const created = await RelationshipService.attachChildToUnion(member, spouse, child, req.user.id)
+
+    res.status(created.length ? 201 : 200).json({ created })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Import family members and relationships from a GEDCOM file (admin only)
+ * POST /family-members/import/gedcom
+ * With dry_run the parsed plan is returned without writing anything.
+ */
+export const importGedcom = async (req, res, next) => {
+  try {
+    const { gedcom, dry_run } = req.body
+
+    const plan = buildImportPlan(gedcom)
+    if (plan.members.length === 0) {
+      return res.status(400).json({
+        error: 'No individuals found in GEDCOM file',
+        warnings: plan.warnings,
+      })
+    }
+
+    const preview = {
+      dry_run,
+      summary: {
+        members: plan.members.length,
+        relationships: plan.relationships.length,
+        warnings: plan.warnings.length,
+      },
+      members: plan.members,
+      relationships: plan.relationships,
+      warnings: plan.warnings,
+    }
+
+    if (dry_run) {
+      return res.json(preview)
+    }
+
+    const created = await importGedcomPlan(plan, req.user.id)
+
+    res.status(201).json({ ...preview, created })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Find members that were probably entered twice (editor+ only)
+ * GET /family-members/duplicates
+ */
+export const findDuplicates = async (req, res, next) => {
+  try {
+    const pairs = await DuplicateService.findDuplicates(req.query)
+
+    res.json({ pairs, count: pairs.length })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Merge a duplicate into this member (editor+ only)
+ * POST /family-members/:id/merge
+ * With dry_run the merge plan is returned without writing anything.
+ */
+export const mergeFamilyMembers = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { duplicate_id, dry_run } = req.body
+
+    const survivor = await FamilyMember.getFamilyMemberById(id)
+    const duplicate = await FamilyMember.getFamilyMemberById(duplicate_id)
+    if (!survivor || !duplicate) {
+      return res.status(404).json({ error: 'Family member not found' })
+    }
+
+    const preview = {
+      dry_run,
+      survivor: { id: survivor.id, name: survivor.name },
+      duplicate: { id: duplicate.id, name: duplicate.name },
+    }
+
+    if (dry_run) {
+      return res.json({ ...preview, ...await DuplicateService.buildMergePlan(survivor, duplicate, req.body) })
+    }
+
+    // Worked out again inside the merge's transaction
+    const { plan, ...merged } = await DuplicateService.mergeMembers(survivor.id, duplicate.id, req.body, req.user.id)
 
-    res.status(201).json(relationship)
+    res.json({ ...preview, ...plan, ...merged })
   } catch (error) {
     next(error)
   }
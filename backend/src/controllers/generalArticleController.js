@@ -3,15 +3,57 @@
  * 
  * Handles CRUD operations for standalone articles.
  * Public read endpoints and admin-protected write endpoints.
+ * Every revision of an article is kept, to be compared and restored.
  */
 
+import { withTransaction } from '../database/db.js'
 import * as GeneralArticle from '../models/GeneralArticle.js'
+import * as ArticleLink from '../models/ArticleLink.js'
 import { logAudit } from '../services/auditService.js'
+import {
+  translateFields, rememberFields, localizeFields, getSupportedLanguages,
+} from '../services/translationService.js'
+import { diffHtml } from '../utils/htmlDiff.js'
+import { escapeText } from '../utils/htmlSegments.js'
+import { sanitizeHtml, sanitizeFields } from '../utils/htmlSanitizer.js'
+import { ARTICLE_FORMATS } from '../utils/wikiMarkup.js'
+import { renderContent } from '../services/wikiMarkupService.js'
+import { extractLinks } from '../utils/articleLinks.js'
+
+// Article content is HTML; the title is plain text
+const HTML_FIELDS = ['content']
+
+/**
+ * Give articles' title and content in the reader's language, where translated,
+ * with the content sanitised
+ * @param {Array} articles - Articles, in the language they are written in
+ * @param {string} [language] - Requested language code; without one articles are returned as they are
+ * @returns {Promise<Array>} Articles (see localizeFields)
+ */
+const localizeArticles = async (articles, language) => {
+  if (!language) return articles.map(article => sanitizeFields(article, HTML_FIELDS))
+
+  const translations = await GeneralArticle.getTranslationsForArticles(articles.map(a => a.id), language)
+  const byArticle = new Map(translations.map(t => [t.general_article_id, t]))
+
+  return articles.map(article => sanitizeFields(
+    localizeFields(article, byArticle.get(article.id), language, GeneralArticle.TRANSLATABLE_FIELDS),
+    HTML_FIELDS
+  ))
+}
+
+/**
+ * Whether articles can be written in a language
+ * @param {string} language - Language code
+ * @returns {boolean} True for a supported language
+ */
+const isSupportedLanguage = (language) => getSupportedLanguages().some(supported => supported.code === language)
 
 /**
  * Get all general articles
  * GET /general-articles
- * Public endpoint
+ * Public endpoint; with the lang query param, titles and content are given
+ * in that language where translated
  */
 export const getAllArticles = async (req, res, next) => {
   try {
@@ -22,7 +64,7 @@ export const getAllArticles = async (req, res, next) => {
     if (sortBy) options.sortBy = sortBy
     if (order) options.order = order.toUpperCase()
 
-    const articles = await GeneralArticle.getAllGeneralArticles(options)
+    const articles = await localizeArticles(await GeneralArticle.getAllGeneralArticles(options), req.query.lang)
     res.json({ articles })
   } catch (error) {
     next(error)
@@ -32,7 +74,8 @@ export const getAllArticles = async (req, res, next) => {
 /**
  * Get single general article
  * GET /general-articles/:id
- * Public endpoint
+ * Public endpoint; with the lang query param, title and content are given
+ * in that language where translated
  */
 export const getArticle = async (req, res, next) => {
   try {
@@ -43,7 +86,8 @@ export const getArticle = async (req, res, next) => {
       return res.status(404).json({ error: 'Article not found' })
     }
 
-    res.json(article)
+    const [localized] = await localizeArticles([article], req.query.lang)
+    res.json(localized)
   } catch (error) {
     next(error)
   }
@@ -53,29 +97,46 @@ export const getArticle = async (req, res, next) => {
  * Create new general article
  * POST /general-articles
  * Protected - requires admin role
+ *
+ * Content is HTML, or wiki markup (format: 'wiki') rendered to HTML, with
+ * the wikilinks that do not resolve given as missing_links.
  */
 export const createArticle = async (req, res, next) => {
   try {
-    const { title, category, content } = req.body
+    const { title, category, language = 'sr', format = 'html' } = req.body
     const user_id = req.user.id
 
-    if (!title || !content) {
+    if (!ARTICLE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unsupported format: ${format}` })
+    }
+
+    const { missing_links, ...rendered } = await renderContent(req.body.content, format)
+
+    if (!title || !rendered.content) {
       return res.status(400).json({ error: 'Title and content are required' })
     }
 
+    if (!isSupportedLanguage(language)) {
+      return res.status(400).json({ error: `Unsupported language: ${language}` })
+    }
+
     const articleData = {
       title,
       category: category || null,
-      content,
+      ...rendered,
+      language,
       created_by: user_id,
     }
 
-    const article = await GeneralArticle.createGeneralArticle(articleData)
-
-    // Log the audit
-    await logAudit(user_id, 'general_articles', article.id, 'CREATE', null, articleData)
+    // The article, its links and the audit entry are written together
+    const article = await withTransaction(async (client) => {
+      const created = await GeneralArticle.createGeneralArticle(articleData, client)
+      await ArticleLink.setGeneralArticleLinks(created.id, extractLinks(created.content), client)
+      await logAudit(user_id, 'general_articles', created.id, 'CREATE', null, articleData, client)
+      return created
+    })
 
-    res.status(201).json(article)
+    res.status(201).json({ ...article, missing_links })
   } catch (error) {
     next(error)
   }
@@ -85,11 +146,13 @@ export const createArticle = async (req, res, next) => {
  * Update general article
  * PUT /general-articles/:id
  * Protected - requires admin role
+ *
+ * Content is in format, or without it the article's format.
  */
 export const updateArticle = async (req, res, next) => {
   try {
     const { id } = req.params
-    const { title, category, content } = req.body
+    const { title, category, content, format, language } = req.body
     const user_id = req.user.id
 
     // Get existing article
@@ -98,18 +161,40 @@ export const updateArticle = async (req, res, next) => {
       return res.status(404).json({ error: 'Article not found' })
     }
 
+    if (language !== undefined && !isSupportedLanguage(language)) {
+      return res.status(400).json({ error: `Unsupported language: ${language}` })
+    }
+
+    if (format !== undefined && !ARTICLE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unsupported format: ${format}` })
+    }
+
+    if (format !== undefined && content === undefined) {
+      return res.status(400).json({ error: 'The content is required to change the format' })
+    }
+
+    let missingLinks = []
     const updateData = {}
     if (title !== undefined) updateData.title = title
     if (category !== undefined) updateData.category = category
-    if (content !== undefined) updateData.content = content
+    if (content !== undefined) {
+      const { missing_links, ...rendered } = await renderContent(content, format || article.format)
+      Object.assign(updateData, rendered)
+      missingLinks = missing_links
+    }
+    if (language !== undefined) updateData.language = language
 
     // Update article
-    const updated = await GeneralArticle.updateGeneralArticle(id, updateData, user_id)
+    const updated = await withTransaction(async (client) => {
+      const saved = await GeneralArticle.updateGeneralArticle(id, updateData, user_id, null, client)
+      if (content !== undefined) {
+        await ArticleLink.setGeneralArticleLinks(saved.id, extractLinks(saved.content), client)
+      }
+      await logAudit(user_id, 'general_articles', id, 'UPDATE', article, updateData, client)
+      return saved
+    })
 
-    // Log the audit
-    await logAudit(user_id, 'general_articles', id, 'UPDATE', article, updateData)
-
-    res.json(updated)
+    res.json({ ...updated, missing_links: missingLinks })
   } catch (error) {
     next(error)
   }
@@ -141,6 +226,265 @@ export const deleteArticle = async (req, res, next) => {
   }
 }
 
+/**
+ * Get the revision history of a general article, newest first
+ * GET /general-articles/:id/history
+ * Public endpoint
+ */
+export const getArticleHistory = async (req, res, next) => {
+  try {
+    const article = await GeneralArticle.getGeneralArticleById(req.params.id)
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' })
+    }
+
+    const revisions = await GeneralArticle.getRevisions(article.id)
+
+    res.json({ article_id: article.id, revision: article.revision, revisions })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get one revision of a general article, with its content
+ * GET /general-articles/:id/revisions/:revision
+ * Public endpoint
+ */
+export const getArticleRevision = async (req, res, next) => {
+  try {
+    const { id, revision } = req.params
+
+    const found = await GeneralArticle.getRevision(id, revision)
+    if (!found) {
+      return res.status(404).json({ error: 'Revision not found' })
+    }
+
+    res.json(sanitizeFields(found, HTML_FIELDS))
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Compare the title and content of two revisions of a general article word by word
+ * GET /general-articles/:id/diff
+ * Public endpoint; without the to query param the current revision is
+ * compared, and without from the revision before to
+ */
+export const getArticleDiff = async (req, res, next) => {
+  try {
+    const article = await GeneralArticle.getGeneralArticleById(req.params.id)
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' })
+    }
+
+    const to = req.query.to ?? article.revision
+    const from = req.query.from ?? to - 1
+
+    const [older, newer] = await Promise.all([
+      GeneralArticle.getRevision(article.id, from),
+      GeneralArticle.getRevision(article.id, to),
+    ])
+    if (!older || !newer) {
+      return res.status(404).json({ error: `Revision ${older ? to : from} not found` })
+    }
+
+    const { content: olderContent, ...fromRevision } = older
+    const { content: newerContent, ...toRevision } = newer
+
+    res.json({
+      article_id: article.id,
+      from: fromRevision,
+      to: toRevision,
+      // The title is plain text
+      title: diffHtml(escapeText(older.title || ''), escapeText(newer.title || '')),
+      content: diffHtml(sanitizeHtml(olderContent), sanitizeHtml(newerContent)),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Restore an earlier revision of a general article
+ * POST /general-articles/:id/revisions/:revision/restore
+ * Protected - requires admin role
+ *
+ * The title, category, content and language of the revision become a new
+ * revision, so the restore can be undone in turn.
+ */
+export const restoreArticleRevision = async (req, res, next) => {
+  try {
+    const user_id = req.user.id
+
+    const article = await GeneralArticle.getGeneralArticleById(req.params.id)
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' })
+    }
+
+    const revision = await GeneralArticle.getRevision(article.id, req.params.revision)
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' })
+    }
+
+    if (revision.revision === article.revision) {
+      return res.status(400).json({ error: 'This is the current revision' })
+    }
+
+    const { title, category, language } = revision
+    // Rendered again: revisions saved before content was sanitised are
+    // cleaned, and wikilinks point where they do now
+    const { missing_links, ...rendered } = await renderContent(
+      revision.format === 'wiki' ? revision.source : revision.content,
+      revision.format
+    )
+    const updated = await withTransaction(async (client) => {
+      const saved = await GeneralArticle.updateGeneralArticle(
+        article.id, { title, category, ...rendered, language }, user_id, revision.revision, client
+      )
+      await ArticleLink.setGeneralArticleLinks(saved.id, extractLinks(saved.content), client)
+      await logAudit(
+        user_id, 'general_articles', article.id, 'UPDATE',
+        article,
+        { title, category, ...rendered, language, restored_from: revision.revision },
+        client
+      )
+      return saved
+    })
+
+    res.json({ ...updated, missing_links })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get all translations of a general article
+ * GET /general-articles/:id/translations
+ * Public endpoint
+ */
+export const getArticleTranslations = async (req, res, next) => {
+  try {
+    const article = await GeneralArticle.getGeneralArticleById(req.params.id)
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' })
+    }
+
+    const translations = await GeneralArticle.getTranslations(article.id)
+
+    res.json({
+      source_language: article.language,
+      translations: translations.map(translation => sanitizeFields(translation, HTML_FIELDS)),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Save a translation written or corrected by a person
+ * PUT /general-articles/:id/translations/:lang
+ * Protected - requires admin role
+ *
+ * Fields not in the body keep their earlier translation. The translated
+ * paragraphs are added to the translation memory.
+ */
+export const saveArticleTranslation = async (req, res, next) => {
+  try {
+    const { id, lang } = req.params
+    const user_id = req.user.id
+
+    const article = await GeneralArticle.getGeneralArticleById(id)
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' })
+    }
+
+    if (!isSupportedLanguage(lang)) {
+      return res.status(400).json({ error: `Unsupported language: ${lang}` })
+    }
+
+    if (lang === article.language) {
+      return res.status(400).json({ error: 'The article is written in this language' })
+    }
+
+    const body = sanitizeFields(req.body, HTML_FIELDS)
+    const previous = await GeneralArticle.getTranslation(article.id, lang)
+    const values = { ...previous, ...body }
+    const translation = await GeneralArticle.saveTranslation(article.id, lang, values, false, user_id)
+
+    // Log the audit
+    await logAudit(user_id, 'general_article_translations', translation.id, previous ? 'UPDATE' : 'CREATE', previous, translation)
+
+    const remembered = await rememberFields(
+      article, body, GeneralArticle.TRANSLATABLE_FIELDS, article.language, lang, user_id, HTML_FIELDS
+    )
+
+    res.status(previous ? 200 : 201).json({ ...translation, remembered_segments: remembered })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Machine translate a general article, replacing an earlier translation
+ * POST /general-articles/:id/translate
+ * Protected - requires admin role
+ */
+export const translateArticle = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { targetLanguage } = req.body
+    const user_id = req.user.id
+
+    const article = await GeneralArticle.getGeneralArticleById(id)
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' })
+    }
+
+    if (targetLanguage === article.language) {
+      return res.status(400).json({ error: 'The article is written in this language' })
+    }
+
+    const values = sanitizeFields(await translateFields(
+      article, GeneralArticle.TRANSLATABLE_FIELDS, article.language, targetLanguage, HTML_FIELDS
+    ), HTML_FIELDS)
+
+    const previous = await GeneralArticle.getTranslation(article.id, targetLanguage)
+    const translation = await GeneralArticle.saveTranslation(article.id, targetLanguage, values, true, user_id)
+
+    // Log the audit
+    await logAudit(user_id, 'general_article_translations', translation.id, previous ? 'UPDATE' : 'CREATE', previous, translation)
+
+    res.status(previous ? 200 : 201).json(translation)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete a general article translation
+ * DELETE /general-articles/:id/translations/:lang
+ * Protected - requires admin role
+ */
+export const deleteArticleTranslation = async (req, res, next) => {
+  try {
+    const { id, lang } = req.params
+
+    const translation = await GeneralArticle.deleteTranslation(id, lang)
+    if (!translation) {
+      return res.status(404).json({ error: 'Translation not found' })
+    }
+
+    // Log the audit
+    await logAudit(req.user.id, 'general_article_translations', translation.id, 'DELETE', translation, null)
+
+    res.json({ message: 'Translation deleted successfully' })
+  } catch (error) {
+    next(error)
+  }
+}
+
 /**
  * Get all categories
  * GET /general-articles/categories
@@ -0,0 +1,130 @@
+/**
+ * Life Event Controller
+ *
+ * Handles a family member's life events (emigration, military service,
+ * education, ...) and the member timeline built from them.
+ */
+
+import * as FamilyMember from '../models/FamilyMember.js'
+import * as LifeEvent from '../models/LifeEvent.js'
+import * as Place from '../models/Place.js'
+import { logAudit } from '../services/auditService.js'
+import { buildTimeline } from '../services/timelineService.js'
+
+/**
+ * Get all life events of a family member, oldest first
+ * GET /family-members/:id/events
+ */
+export const getLifeEvents = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const member = await FamilyMember.getFamilyMemberById(id)
+    if (!member) {
+      return res.status(404).json({ error: 'Family member not found' })
+    }
+
+    const events = await LifeEvent.getLifeEventsByMember(member.id)
+
+    res.json({ events, count: events.length })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get a member's timeline: own events merged with births, deaths
+ * and marriages of close relatives
+ * GET /family-members/:id/timeline
+ */
+export const getTimeline = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const member = await FamilyMember.getFamilyMemberById(id)
+    if (!member) {
+      return res.status(404).json({ error: 'Family member not found' })
+    }
+
+    const timeline = await buildTimeline(member)
+
+    res.json({ member_id: member.id, member_name: member.name, timeline })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Create a life event for a family member
+ * POST /family-members/:id/events
+ */
+export const createLifeEvent = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const member = await FamilyMember.getFamilyMemberById(id)
+    if (!member) {
+      return res.status(404).json({ error: 'Family member not found' })
+    }
+
+    const eventData = await Place.withPlaceNames(req.body, ['place'])
+    const event = await LifeEvent.createLifeEvent(member.id, eventData, req.user.id)
+
+    // Log audit
+    await logAudit(req.user.id, 'life_events', event.id, 'INSERT', null, event)
+
+    res.status(201).json(event)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Update a life event of a family member
+ * PUT /family-members/:id/events/:eventId
+ */
+export const updateLifeEvent = async (req, res, next) => {
+  try {
+    const { id, eventId } = req.params
+
+    // Get old values for audit
+    const oldEvent = await LifeEvent.getLifeEvent(id, eventId)
+    if (!oldEvent) {
+      return res.status(404).json({ error: 'Life event not found' })
+    }
+
+    const updates = await Place.withPlaceNames(req.body, ['place'])
+    const updatedEvent = await LifeEvent.updateLifeEvent(oldEvent.id, updates)
+
+    // Log audit
+    await logAudit(req.user.id, 'life_events', oldEvent.id, 'UPDATE', oldEvent, updatedEvent)
+
+    res.json(updatedEvent)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete a life event of a family member
+ * DELETE /family-members/:id/events/:eventId
+ */
+export const deleteLifeEvent = async (req, res, next) => {
+  try {
+    const { id, eventId } = req.params
+
+    const event = await LifeEvent.getLifeEvent(id, eventId)
+    if (!event) {
+      return res.status(404).json({ error: 'Life event not found' })
+    }
+
+    await LifeEvent.deleteLifeEvent(event.id)
+
+    // Log audit
+    await logAudit(req.user.id, 'life_events', event.id, 'DELETE', event, null)
+
+    res.json({ message: 'Life event deleted successfully' })
+  } catch (error) {
+    next(error)
+  }
+}
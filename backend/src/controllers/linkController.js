@@ -0,0 +1,89 @@
+/**
+ * Link Controller
+ *
+ * Handles the links between articles: the articles a family member or general
+ * article is mentioned in ("What links here"), and the report of links that
+ * lead nowhere. Links are recorded when an article is saved.
+ */
+
+import * as ArticleLink from '../models/ArticleLink.js'
+import * as FamilyMember from '../models/FamilyMember.js'
+import * as GeneralArticle from '../models/GeneralArticle.js'
+
+/**
+ * Give the titles of the general articles among backlinks in the reader's
+ * language, where translated
+ * @param {Array} backlinks - Backlinks from ArticleLink
+ * @param {string} [language] - Requested language code
+ * @returns {Promise<Array>} Backlinks
+ */
+const localizeBacklinks = async (backlinks, language) => {
+  const articleIds = backlinks.filter(link => link.source_type === 'general_article').map(link => link.id)
+  if (!language || !articleIds.length) return backlinks
+
+  const translations = await GeneralArticle.getTranslationsForArticles(articleIds, language)
+  const titles = new Map(translations.filter(t => t.title).map(t => [t.general_article_id, t.title]))
+
+  return backlinks.map(link => (link.source_type === 'general_article' && titles.has(link.id)
+    ? { ...link, title: titles.get(link.id) }
+    : link))
+}
+
+/**
+ * Get the articles a family member is mentioned in
+ * GET /family-members/:id/backlinks
+ * Public endpoint; with the lang query param, general article titles are
+ * given in that language where translated
+ */
+export const getMemberBacklinks = async (req, res, next) => {
+  try {
+    const member = await FamilyMember.getFamilyMemberById(req.params.id)
+    if (!member) {
+      return res.status(404).json({ error: 'Family member not found' })
+    }
+
+    const backlinks = await localizeBacklinks(await ArticleLink.getMemberBacklinks(member.id), req.query.lang)
+
+    res.json({ backlinks, count: backlinks.length })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get the articles linking to a general article
+ * GET /general-articles/:id/backlinks
+ * Public endpoint; with the lang query param, general article titles are
+ * given in that language where translated
+ */
+export const getGeneralArticleBacklinks = async (req, res, next) => {
+  try {
+    const article = await GeneralArticle.getGeneralArticleById(req.params.id)
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' })
+    }
+
+    const backlinks = await localizeBacklinks(await ArticleLink.getGeneralArticleBacklinks(article.id), req.query.lang)
+
+    res.json({ backlinks, count: backlinks.length })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get the links in articles that lead nowhere (Admin only)
+ * GET /articles/broken-links
+ *
+ * Wikilinks that did not resolve when the article was saved, and links to
+ * family members or general articles that do not exist (any more).
+ */
+export const getBrokenLinks = async (req, res, next) => {
+  try {
+    const links = await ArticleLink.getBrokenLinks()
+
+    res.json({ links, count: links.length })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * Place Controller
+ *
+ * Handles the places registry, linking free-text places of members and
+ * life events to it, and the map of where family members lived.
+ */
+
+import { withTransaction } from '../database/db.js'
+import * as Place from '../models/Place.js'
+import { logAudit } from '../services/auditService.js'
+import { buildPlaceMap } from '../services/placeMapService.js'
+
+/**
+ * Check that a place can lie inside another place
+ * @param {number} id - Place ID
+ * @param {number} parentId - Proposed parent place ID
+ * @returns {Promise<string|null>} Error message, or null when the parent is valid
+ */
+const checkParent = async (id, parentId) => {
+  const chain = await Place.getPlaceChainIds(parentId)
+  if (!chain.length) return 'Parent place not found'
+  if (chain.includes(id)) return 'A place cannot lie inside itself'
+  return null
+}
+
+/**
+ * Get all places, or those matching a search (autocomplete)
+ * GET /places
+ */
+export const getAllPlaces = async (req, res, next) => {
+  try {
+    const places = await Place.getAllPlaces(req.query)
+
+    res.json({ places, count: places.length })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get the places map: who was born, lived and died where
+ * GET /places/map
+ */
+export const getPlaceMap = async (req, res, next) => {
+  try {
+    res.json(await buildPlaceMap(req.query))
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get free-text places not linked to the registry yet, with suggested places
+ * GET /places/unlinked
+ */
+export const getUnlinkedPlaceNames = async (req, res, next) => {
+  try {
+    const rows = await Place.getUnlinkedPlaceNames()
+
+    const suggestionIds = [...new Set(rows.map(row => row.suggestion_id).filter(Boolean))]
+    const suggestions = suggestionIds.length ? await Place.getPlacesByIds(suggestionIds) : []
+
+    const names = rows.map(({ suggestion_id, ...row }) => {
+      const place = suggestions.find(p => p.id === suggestion_id)
+      return { ...row, suggestion: place ? { id: place.id, full_name: place.full_name } : null }
+    })
+
+    res.json({ names, count: names.length })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get a place with the places inside it
+ * GET /places/:id
+ */
+export const getPlace = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const place = await Place.getPlaceById(id)
+    if (!place) {
+      return res.status(404).json({ error: 'Place not found' })
+    }
+
+    res.json({ ...place, children: await Place.getChildPlaces(place.id) })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Create a place
+ * POST /places
+ */
+export const createPlace = async (req, res, next) => {
+  try {
+    if (req.body.parent_id) {
+      const parentError = await checkParent(null, req.body.parent_id)
+      if (parentError) {
+        return res.status(400).json({ error: parentError })
+      }
+    }
+
+    const created = await Place.createPlace(req.body, req.user.id)
+
+    // Log audit
+    await logAudit(req.user.id, 'places', created.id, 'INSERT', null, created)
+
+    res.status(201).json(await Place.getPlaceById(created.id))
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Update a place
+ * PUT /places/:id
+ *
+ * Members and events linked to the place keep their text until saved again;
+ * renaming a place does not rewrite them.
+ */
+export const updatePlace = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    // Get old values for audit
+    const oldPlace = await Place.getPlaceById(id)
+    if (!oldPlace) {
+      return res.status(404).json({ error: 'Place not found' })
+    }
+
+    if (req.body.parent_id) {
+      const parentError = await checkParent(oldPlace.id, req.body.parent_id)
+      if (parentError) {
+        return res.status(400).json({ error: parentError })
+      }
+    }
+
+    const updated = await Place.updatePlace(oldPlace.id, req.body)
+
+    // Log audit
+    await logAudit(req.user.id, 'places', oldPlace.id, 'UPDATE', oldPlace, updated)
+
+    res.json(await Place.getPlaceById(updated.id))
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete a place; linked members and events keep its name as free text
+ * DELETE /places/:id
+ */
+export const deletePlace = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const place = await Place.getPlaceById(id)
+    if (!place) {
+      return res.status(404).json({ error: 'Place not found' })
+    }
+
+    await Place.deletePlace(place.id)
+
+    // Log audit
+    await logAudit(req.user.id, 'places', place.id, 'DELETE', place, null)
+
+    res.json({ message: 'Place deleted successfully' })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Link every member and life event with a free-text place to this place
+ * POST /places/:id/link
+ */
+export const linkPlaceName = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { name } = req.body
+
+    const place = await Place.getPlaceById(id)
+    if (!place) {
+      return res.status(404).json({ error: 'Place not found' })
+    }
+
+    const linked = await withTransaction(client => Place.linkPlaceName(place, name, client))
+    const updated = await Place.getPlaceById(place.id)
+
+    // Log audit
+    await logAudit(req.user.id, 'places', place.id, 'UPDATE', place, { ...updated, linked_name: name, linked })
+
+    res.json({ place: updated, name, linked })
+  } catch (error) {
+    next(error)
+  }
+}
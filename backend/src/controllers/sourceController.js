@@ -0,0 +1,256 @@
+/**
+ * Source Controller
+ *
+ * Handles sources (parish registers, interviews, documents, ...) and the
+ * citations that attach them to member fields, life events and articles.
+ */
+
+import fs from 'fs'
+import * as Source from '../models/Source.js'
+import * as Citation from '../models/Citation.js'
+import * as FamilyMember from '../models/FamilyMember.js'
+import * as GeneralArticle from '../models/GeneralArticle.js'
+import * as Image from '../models/Image.js'
+import { logAudit } from '../services/auditService.js'
+
+/**
+ * Get all sources
+ * GET /sources
+ * Query params: q (search term), source_type
+ */
+export const getAllSources = async (req, res, next) => {
+  try {
+    const { q, source_type } = req.query
+
+    const sources = await Source.getAllSources({ q, source_type })
+
+    res.json({ sources, count: sources.length })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get a source with its scans and everything it is cited for
+ * GET /sources/:id
+ */
+export const getSource = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const source = await Source.getSourceById(id)
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' })
+    }
+
+    const [scans, citations] = await Promise.all([
+      Image.getImagesBySource(source.id),
+      Citation.getCitationsBySource(source.id),
+    ])
+
+    res.json({
+      ...source,
+      scans: scans.map(img => ({ ...img, url: `/images/${img.filename}` })),
+      citations,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Create a source
+ * POST /sources
+ */
+export const createSource = async (req, res, next) => {
+  try {
+    const source = await Source.createSource(req.body, req.user.id)
+
+    // Log audit
+    await logAudit(req.user.id, 'sources', source.id, 'INSERT', null, source)
+
+    res.status(201).json(source)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Update a source
+ * PUT /sources/:id
+ */
+export const updateSource = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    // Get old values for audit
+    const oldSource = await Source.getSourceById(id)
+    if (!oldSource) {
+      return res.status(404).json({ error: 'Source not found' })
+    }
+
+    const updatedSource = await Source.updateSource(oldSource.id, req.body)
+
+    // Log audit
+    await logAudit(req.user.id, 'sources', oldSource.id, 'UPDATE', oldSource, updatedSource)
+
+    res.json(updatedSource)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete a source together with its citations and scans
+ * DELETE /sources/:id
+ */
+export const deleteSource = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const source = await Source.getSourceById(id)
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' })
+    }
+
+    // Scan records are cascade deleted, their files are not
+    const scans = await Image.getImagesBySource(source.id)
+    await Source.deleteSource(source.id)
+
+    for (const scan of scans) {
+      if (fs.existsSync(scan.file_path)) {
+        fs.unlinkSync(scan.file_path)
+      }
+    }
+
+    // Log audit
+    await logAudit(req.user.id, 'sources', source.id, 'DELETE', source, null)
+
+    res.json({ message: 'Source deleted successfully' })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Cite a source for a member field, life event or article paragraph
+ * POST /sources/:id/citations
+ */
+export const createCitation = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const source = await Source.getSourceById(id)
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' })
+    }
+
+    // Unknown members, events and articles are rejected by their foreign keys
+    const created = await Citation.createCitation(source.id, req.body, req.user.id)
+
+    // Log audit
+    await logAudit(req.user.id, 'citations', created.id, 'INSERT', null, created)
+
+    res.status(201).json(await Citation.getCitationById(created.id))
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Update a citation of a source
+ * PUT /sources/:id/citations/:citationId
+ */
+export const updateCitation = async (req, res, next) => {
+  try {
+    const { id, citationId } = req.params
+
+    // Get old values for audit
+    const oldCitation = await Citation.getCitationById(citationId)
+    if (!oldCitation || oldCitation.source_id !== Number(id)) {
+      return res.status(404).json({ error: 'Citation not found' })
+    }
+
+    if (req.body.field !== undefined && !oldCitation.family_member_id) {
+      return res.status(400).json({ error: 'Only citations of a family member can name a field' })
+    }
+    if (req.body.paragraph !== undefined && !oldCitation.article_id && !oldCitation.general_article_id) {
+      return res.status(400).json({ error: 'Only citations of an article can name a paragraph' })
+    }
+
+    const updated = await Citation.updateCitation(oldCitation.id, req.body)
+
+    // Log audit
+    await logAudit(req.user.id, 'citations', oldCitation.id, 'UPDATE', oldCitation, updated)
+
+    res.json(await Citation.getCitationById(updated.id))
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete a citation of a source
+ * DELETE /sources/:id/citations/:citationId
+ */
+export const deleteCitation = async (req, res, next) => {
+  try {
+    const { id, citationId } = req.params
+
+    const citation = await Citation.getCitationById(citationId)
+    if (!citation || citation.source_id !== Number(id)) {
+      return res.status(404).json({ error: 'Citation not found' })
+    }
+
+    const deleted = await Citation.deleteCitation(citation.id)
+
+    // Log audit
+    await logAudit(req.user.id, 'citations', citation.id, 'DELETE', deleted, null)
+
+    res.json({ message: 'Citation deleted successfully' })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get all citations about a family member (fields, life events and biography)
+ * GET /family-members/:id/citations
+ */
+export const getMemberCitations = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const member = await FamilyMember.getFamilyMemberById(id)
+    if (!member) {
+      return res.status(404).json({ error: 'Family member not found' })
+    }
+
+    const citations = await Citation.getCitationsForMember(member.id)
+
+    res.json({ citations, count: citations.length })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get the citations of a general article, rendered as its footnotes
+ * GET /general-articles/:id/citations
+ */
+export const getGeneralArticleCitations = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const article = await GeneralArticle.getGeneralArticleById(id)
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' })
+    }
+
+    const citations = await Citation.getCitationsByGeneralArticle(article.id)
+
+    res.json({ citations, count: citations.length })
+  } catch (error) {
+    next(error)
+  }
+}
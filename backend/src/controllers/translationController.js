@@ -0,0 +1,170 @@
+/**
+ * Translation Controller
+ *
+ * Handles the translation glossary (how family-specific terms are machine
+ * translated per language pair) and the translation memory (segments
+ * translated by people, reused instead of machine translating them again).
+ */
+
+import * as TranslationGlossary from '../models/TranslationGlossary.js'
+import * as TranslationMemory from '../models/TranslationMemory.js'
+import { logAudit } from '../services/auditService.js'
+
+// Memory entries listed when no limit is given
+const DEFAULT_MEMORY_LIMIT = 200
+
+/**
+ * Get glossary entries
+ * GET /translation/glossary
+ * Query params: source_language, target_language, q (search term)
+ */
+export const getGlossary = async (req, res, next) => {
+  try {
+    const { source_language, target_language, q } = req.query
+
+    const entries = await TranslationGlossary.getAllEntries({ source_language, target_language, q })
+
+    res.json({ entries, count: entries.length })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Add a glossary entry
+ * POST /translation/glossary
+ */
+export const createGlossaryEntry = async (req, res, next) => {
+  try {
+    const { source_language, target_language, term } = req.body
+
+    const existing = await TranslationGlossary.getEntryByTerm(source_language, target_language, term)
+    if (existing) {
+      return res.status(409).json({ error: 'Term is already in the glossary for this language pair' })
+    }
+
+    const entry = await TranslationGlossary.createEntry(req.body, req.user.id)
+
+    // Log audit
+    await logAudit(req.user.id, 'translation_glossary', entry.id, 'INSERT', null, entry)
+
+    res.status(201).json(entry)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Update a glossary entry
+ * PUT /translation/glossary/:id
+ */
+export const updateGlossaryEntry = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    // Get old values for audit
+    const oldEntry = await TranslationGlossary.getEntryById(id)
+    if (!oldEntry) {
+      return res.status(404).json({ error: 'Glossary entry not found' })
+    }
+
+    const updatedEntry = await TranslationGlossary.updateEntry(oldEntry.id, req.body)
+
+    // Log audit
+    await logAudit(req.user.id, 'translation_glossary', oldEntry.id, 'UPDATE', oldEntry, updatedEntry)
+
+    res.json(updatedEntry)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete a glossary entry
+ * DELETE /translation/glossary/:id
+ */
+export const deleteGlossaryEntry = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const entry = await TranslationGlossary.getEntryById(id)
+    if (!entry) {
+      return res.status(404).json({ error: 'Glossary entry not found' })
+    }
+
+    await TranslationGlossary.deleteEntry(entry.id)
+
+    // Log audit
+    await logAudit(req.user.id, 'translation_glossary', entry.id, 'DELETE', entry, null)
+
+    res.json({ message: 'Glossary entry deleted successfully' })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get translation memory entries, most recently changed first
+ * GET /translation/memory
+ * Query params: source_language, target_language, q (search term), limit
+ */
+export const getMemory = async (req, res, next) => {
+  try {
+    const { source_language, target_language, q, limit = DEFAULT_MEMORY_LIMIT } = req.query
+
+    const entries = await TranslationMemory.getAllEntries({ source_language, target_language, q, limit })
+
+    res.json({ entries, count: entries.length })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Remember the translation of a segment, replacing an earlier one
+ * POST /translation/memory
+ */
+export const createMemoryEntry = async (req, res, next) => {
+  try {
+    const { source_language, target_language, source_text, target_text } = req.body
+
+    const entry = await TranslationMemory.saveTranslation(
+      source_language,
+      target_language,
+      source_text.replace(/\s+/g, ' '),
+      target_text,
+      req.user.id
+    )
+
+    // Log audit
+    await logAudit(req.user.id, 'translation_memory', entry.id, 'INSERT', null, entry)
+
+    res.status(201).json(entry)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete a translation memory entry
+ * DELETE /translation/memory/:id
+ */
+export const deleteMemoryEntry = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const entry = await TranslationMemory.getEntryById(id)
+    if (!entry) {
+      return res.status(404).json({ error: 'Translation memory entry not found' })
+    }
+
+    await TranslationMemory.deleteEntry(entry.id)
+
+    // Log audit
+    await logAudit(req.user.id, 'translation_memory', entry.id, 'DELETE', entry, null)
+
+    res.json({ message: 'Translation memory entry deleted successfully' })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -10,7 +10,11 @@ import dotenv from 'dotenv'
 
 dotenv.config()
 
-const { Pool } = pkg
+const { Pool, types } = pkg
+
+// Return DATE columns as 'YYYY-MM-DD' strings instead of local-midnight Date objects,
+// so calendar dates (e.g. marriage dates) never shift with the server timezone
+types.setTypeParser(types.builtins.DATE, value => value)
 
 // Create connection pool for managing multiple database connections
 const pool = new Pool({
@@ -44,4 +48,26 @@ export const getClient = () => {
   return pool.connect()
 }
 
+/**
+ * Run a callback inside a single transaction
+ * Commits when the callback resolves, rolls back when it throws
+ * @param {Function} callback - Async function receiving the transaction client
+ * @returns {Promise} Value returned by the callback
+ */
+export const withTransaction = async (callback) => {
+  const client = await getClient()
+
+  try {
+    await client.query('BEGIN')
+    const result = await callback(client)
+    await client.query('COMMIT')
+    return result
+  } catch (error) {
+    await client.query('ROLLBACK')
+    throw error
+  } finally {
+    client.release()
+  }
+}
+
 export default pool
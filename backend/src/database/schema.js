@@ -4,9 +4,20 @@
  * This script creates all necessary tables for the family encyclopedia:
  * - users: Store user accounts with authentication
  * - family_members: Core family data with relationships
- * - articles: Article content for each family member
- * - article_translations: Translated article content
+ * - life_events: Dated events in a member's life (emigration, military service, ...)
+ * - articles: Article of each family member, in the language it was written in
+ * - article_translations: The article's other language versions (machine or human translated)
  * - audit_logs: Track all edits for accountability
+ * - general_articles: Standalone articles (created before images, which reference them)
+ * - images: Media files for family members, general articles and source scans
+ * - sources: Parish registers, interviews, documents, ... that facts come from
+ * - citations: Links from a source to a member field, life event or article paragraph
+ * - places: Normalised places (country, coordinates, hierarchy) referenced from members and events
+ * - family_member_translations, general_article_translations: Other language versions
+ *   of a member's short bio, occupation and birth place, and of general articles
+ * - article_links: Family members and general articles each article links to
+ * - unmigrated_family_relationships: Older relationship rows that could not be
+ *   stored as a pair, kept for review
  */
 
 import { query } from './db.js'
@@ -62,7 +73,134 @@ const initializeSchema = async () => {
       CREATE INDEX IF NOT EXISTS idx_family_relationships_related ON family_relationships(related_member_id);
     `)
 
-    // Articles table - content for each family member
+    // Relationships are stored as pairs: "A parent of B" always has "B child of A".
+    // Existing databases get older type names mapped, duplicate rows removed and
+    // missing inverses added before the one-relationship-per-pair index is created.
+    // Rows that cannot be made into a pair (extended types such as grandparent or
+    // cousin, which follow from the tree, and pairs whose two rows contradict each
+    // other) are moved aside and reported.
+    await query(`
+      CREATE TABLE IF NOT EXISTS unmigrated_family_relationships (
+        id INTEGER PRIMARY KEY,
+        member_id INTEGER NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+        related_member_id INTEGER NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+        relationship_type VARCHAR(50) NOT NULL,
+        reason VARCHAR(50) NOT NULL,
+        created_at TIMESTAMP
+      );
+
+      UPDATE family_relationships SET relationship_type = CASE lower(trim(relationship_type))
+          WHEN 'father' THEN 'parent' WHEN 'mother' THEN 'parent'
+          WHEN 'son' THEN 'child' WHEN 'daughter' THEN 'child'
+          WHEN 'husband' THEN 'spouse' WHEN 'wife' THEN 'spouse'
+          WHEN 'brother' THEN 'sibling' WHEN 'sister' THEN 'sibling'
+          ELSE lower(trim(relationship_type))
+        END
+      WHERE relationship_type NOT IN ('parent', 'child', 'spouse', 'sibling');
+    `)
+
+    const unknownTypes = await query(`
+      WITH moved AS (
+        DELETE FROM family_relationships
+        WHERE relationship_type NOT IN ('parent', 'child', 'spouse', 'sibling')
+        RETURNING *
+      )
+      INSERT INTO unmigrated_family_relationships
+        (id, member_id, related_member_id, relationship_type, reason, created_at)
+      SELECT id, member_id, related_member_id, relationship_type, 'unknown type', created_at FROM moved
+    `)
+
+    await query(`
+      DELETE FROM family_relationships fr
+      USING family_relationships newer
+      WHERE fr.member_id = newer.member_id
+        AND fr.related_member_id = newer.related_member_id
+        AND fr.id < newer.id;
+    `)
+
+    // Both rows of a pair are moved when neither is the inverse of the other,
+    // e.g. "A parent of B" and "B parent of A"
+    const contradictions = await query(`
+      WITH moved AS (
+        DELETE FROM family_relationships fr
+        USING family_relationships inverse
+        WHERE inverse.member_id = fr.related_member_id
+          AND inverse.related_member_id = fr.member_id
+          AND inverse.relationship_type <> CASE fr.relationship_type
+            WHEN 'parent' THEN 'child' WHEN 'child' THEN 'parent' ELSE fr.relationship_type END
+        RETURNING fr.*
+      )
+      INSERT INTO unmigrated_family_relationships
+        (id, member_id, related_member_id, relationship_type, reason, created_at)
+      SELECT id, member_id, related_member_id, relationship_type, 'contradicts inverse row', created_at FROM moved
+    `)
+
+    const unmigrated = unknownTypes.rowCount + contradictions.rowCount
+    if (unmigrated > 0) {
+      console.warn(`⚠ ${unmigrated} family relationship(s) could not be stored as a pair; see unmigrated_family_relationships`)
+    }
+
+    await query(`
+      INSERT INTO family_relationships (member_id, related_member_id, relationship_type)
+      SELECT fr.related_member_id, fr.member_id,
+             CASE fr.relationship_type WHEN 'parent' THEN 'child' WHEN 'child' THEN 'parent' ELSE fr.relationship_type END
+      FROM family_relationships fr
+      WHERE fr.relationship_type IN ('parent', 'child', 'spouse', 'sibling')
+        AND NOT EXISTS (
+          SELECT 1 FROM family_relationships inverse
+          WHERE inverse.member_id = fr.related_member_id AND inverse.related_member_id = fr.member_id
+        );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_family_relationships_pair ON family_relationships(member_id, related_member_id);
+    `)
+
+    // Life event dates as structured partial dates, e.g. {"qualifier":"about","year":1870}
+    // (see partialDateSchema). birth_year/death_year stay as the sortable year of each date.
+    await query(`
+      ALTER TABLE family_members ADD COLUMN IF NOT EXISTS birth_date JSONB;
+      ALTER TABLE family_members ADD COLUMN IF NOT EXISTS death_date JSONB;
+      ALTER TABLE family_members ADD COLUMN IF NOT EXISTS death_place VARCHAR(255);
+      ALTER TABLE family_members ADD COLUMN IF NOT EXISTS burial_date JSONB;
+      ALTER TABLE family_members ADD COLUMN IF NOT EXISTS burial_place VARCHAR(255);
+
+      UPDATE family_members SET birth_date = jsonb_build_object('year', birth_year)
+      WHERE birth_date IS NULL AND birth_year IS NOT NULL;
+      UPDATE family_members SET death_date = jsonb_build_object('year', death_year)
+      WHERE death_date IS NULL AND death_year IS NOT NULL;
+    `)
+
+    // Union details on spouse rows, kept identical on both rows of the pair.
+    // A child belongs to a union when both partners are recorded as its parents.
+    await query(`
+      ALTER TABLE family_relationships ADD COLUMN IF NOT EXISTS union_type VARCHAR(30);
+      ALTER TABLE family_relationships ADD COLUMN IF NOT EXISTS marriage_date DATE;
+      ALTER TABLE family_relationships ADD COLUMN IF NOT EXISTS marriage_place VARCHAR(255);
+      ALTER TABLE family_relationships ADD COLUMN IF NOT EXISTS end_date DATE;
+      ALTER TABLE family_relationships ADD COLUMN IF NOT EXISTS end_reason VARCHAR(30);
+
+      UPDATE family_relationships SET union_type = 'marriage'
+      WHERE relationship_type = 'spouse' AND union_type IS NULL;
+    `)
+
+    // Life events table - everything beyond birth, death and burial
+    await query(`
+      CREATE TABLE IF NOT EXISTS life_events (
+        id SERIAL PRIMARY KEY,
+        family_member_id INTEGER NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+        event_type VARCHAR(50) NOT NULL,
+        event_date JSONB,
+        place VARCHAR(255),
+        description TEXT,
+        source TEXT,
+        created_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_life_events_member ON life_events(family_member_id);
+    `)
+
+    // Articles table - one article per family member, in its source language
     await query(`
       CREATE TABLE IF NOT EXISTS articles (
         id SERIAL PRIMARY KEY,
@@ -74,8 +212,6 @@ const initializeSchema = async () => {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
-      
-      CREATE UNIQUE INDEX IF NOT EXISTS idx_articles_member_lang ON articles(family_member_id, language);
     `)
 
     // Article translations table - manage multiple language versions
@@ -113,6 +249,24 @@ const initializeSchema = async () => {
       CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs(created_at);
     `)
 
+    // General articles table - for standalone articles not tied to family members
+    await query(`
+      CREATE TABLE IF NOT EXISTS general_articles (
+        id SERIAL PRIMARY KEY,
+        title VARCHAR(255) NOT NULL,
+        category VARCHAR(100),
+        content TEXT NOT NULL,
+        created_by INTEGER NOT NULL REFERENCES users(id),
+        updated_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_general_articles_title ON general_articles(title);
+      CREATE INDEX IF NOT EXISTS idx_general_articles_category ON general_articles(category);
+      CREATE INDEX IF NOT EXISTS idx_general_articles_created ON general_articles(created_at);
+    `)
+
     // Images table - store media files for articles
     await query(`
       CREATE TABLE IF NOT EXISTS images (
@@ -140,22 +294,280 @@ const initializeSchema = async () => {
       CREATE INDEX IF NOT EXISTS idx_images_filename ON images(filename);
     `)
 
-    // General articles table - for standalone articles not tied to family members
+    // Sources table - where facts and biographies come from
     await query(`
-      CREATE TABLE IF NOT EXISTS general_articles (
+      CREATE TABLE IF NOT EXISTS sources (
         id SERIAL PRIMARY KEY,
         title VARCHAR(255) NOT NULL,
-        category VARCHAR(100),
-        content TEXT NOT NULL,
-        created_by INTEGER NOT NULL REFERENCES users(id),
-        updated_by INTEGER REFERENCES users(id),
+        source_type VARCHAR(50) NOT NULL DEFAULT 'document',
+        author VARCHAR(255),
+        repository VARCHAR(255),
+        url VARCHAR(500),
+        notes TEXT,
+        created_by INTEGER REFERENCES users(id),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
-      
-      CREATE INDEX IF NOT EXISTS idx_general_articles_title ON general_articles(title);
-      CREATE INDEX IF NOT EXISTS idx_general_articles_category ON general_articles(category);
-      CREATE INDEX IF NOT EXISTS idx_general_articles_created ON general_articles(created_at);
+
+      CREATE INDEX IF NOT EXISTS idx_sources_title ON sources(title);
+
+      ALTER TABLE images ADD COLUMN IF NOT EXISTS source_id INTEGER REFERENCES sources(id) ON DELETE CASCADE;
+      CREATE INDEX IF NOT EXISTS idx_images_source ON images(source_id);
+    `)
+
+    // Citations table - each citation points at exactly one cited item:
+    // a member (optionally one field), a life event, or an article (optionally one paragraph)
+    await query(`
+      CREATE TABLE IF NOT EXISTS citations (
+        id SERIAL PRIMARY KEY,
+        source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+        family_member_id INTEGER REFERENCES family_members(id) ON DELETE CASCADE,
+        field VARCHAR(50),
+        life_event_id INTEGER REFERENCES life_events(id) ON DELETE CASCADE,
+        article_id INTEGER REFERENCES articles(id) ON DELETE CASCADE,
+        general_article_id INTEGER REFERENCES general_articles(id) ON DELETE CASCADE,
+        paragraph INTEGER,
+        page VARCHAR(255),
+        note TEXT,
+        created_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (num_nonnulls(family_member_id, life_event_id, article_id, general_article_id) = 1)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_citations_source ON citations(source_id);
+      CREATE INDEX IF NOT EXISTS idx_citations_member ON citations(family_member_id);
+      CREATE INDEX IF NOT EXISTS idx_citations_event ON citations(life_event_id);
+      CREATE INDEX IF NOT EXISTS idx_citations_article ON citations(article_id);
+      CREATE INDEX IF NOT EXISTS idx_citations_general_article ON citations(general_article_id);
+    `)
+
+    // Places table - one row per real place; spellings and older names go in
+    // alternate_names. parent_id nests villages in municipalities in countries.
+    await query(`
+      CREATE TABLE IF NOT EXISTS places (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        alternate_names TEXT[] NOT NULL DEFAULT '{}',
+        place_type VARCHAR(50) NOT NULL DEFAULT 'settlement',
+        country VARCHAR(100),
+        parent_id INTEGER REFERENCES places(id) ON DELETE SET NULL,
+        latitude NUMERIC(8, 5),
+        longitude NUMERIC(8, 5),
+        notes TEXT,
+        created_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((latitude IS NULL) = (longitude IS NULL))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_places_name ON places(LOWER(name));
+      CREATE INDEX IF NOT EXISTS idx_places_parent ON places(parent_id);
+    `)
+
+    // Place references next to the free-text places, which keep the place's
+    // full name ("Rožaje, Montenegro") for display and for unlinked values
+    await query(`
+      ALTER TABLE family_members ADD COLUMN IF NOT EXISTS birth_place_id INTEGER REFERENCES places(id) ON DELETE SET NULL;
+      ALTER TABLE family_members ADD COLUMN IF NOT EXISTS death_place_id INTEGER REFERENCES places(id) ON DELETE SET NULL;
+      ALTER TABLE family_members ADD COLUMN IF NOT EXISTS burial_place_id INTEGER REFERENCES places(id) ON DELETE SET NULL;
+      ALTER TABLE life_events ADD COLUMN IF NOT EXISTS place_id INTEGER REFERENCES places(id) ON DELETE SET NULL;
+
+      CREATE INDEX IF NOT EXISTS idx_family_members_birth_place ON family_members(birth_place_id);
+      CREATE INDEX IF NOT EXISTS idx_family_members_death_place ON family_members(death_place_id);
+      CREATE INDEX IF NOT EXISTS idx_family_members_burial_place ON family_members(burial_place_id);
+      CREATE INDEX IF NOT EXISTS idx_life_events_place ON life_events(place_id);
+    `)
+
+    // One article per member: articles.language is the language it was written in
+    // and article_translations holds the other language versions. The old
+    // (member, language) index suggested several articles per member; a
+    // translation into the source language would shadow the source.
+    await query(`
+      DROP INDEX IF EXISTS idx_articles_member_lang;
+
+      DELETE FROM article_translations t
+      USING articles a
+      WHERE a.id = t.article_id AND a.language = t.language;
+    `)
+
+    // Revision of each article's content, and the revision each translation was
+    // made from; a translation of an older revision is outdated. Translations
+    // from before this were made from the previous revision if the article has
+    // been edited since.
+    await query(`
+      ALTER TABLE articles ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE article_translations ADD COLUMN IF NOT EXISTS source_revision INTEGER;
+
+      UPDATE article_translations t
+      SET source_revision = CASE WHEN t.updated_at < a.updated_at THEN a.revision - 1 ELSE a.revision END
+      FROM articles a
+      WHERE a.id = t.article_id AND t.source_revision IS NULL;
+
+      ALTER TABLE article_translations ALTER COLUMN source_revision SET NOT NULL;
+    `)
+
+    // Translation glossary - how a term is translated from one language into
+    // another; without a translation the term is kept as it is
+    await query(`
+      CREATE TABLE IF NOT EXISTS translation_glossary (
+        id SERIAL PRIMARY KEY,
+        source_language VARCHAR(10) NOT NULL,
+        target_language VARCHAR(10) NOT NULL,
+        term VARCHAR(255) NOT NULL,
+        translation VARCHAR(255),
+        notes TEXT,
+        created_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (source_language <> target_language)
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_translation_glossary_term
+        ON translation_glossary(source_language, target_language, LOWER(term));
+    `)
+
+    // Translation memory - segments translated by a person, reused instead of
+    // machine translating the same segment again. Segments can be long, so
+    // they are unique by their hash.
+    await query(`
+      CREATE TABLE IF NOT EXISTS translation_memory (
+        id SERIAL PRIMARY KEY,
+        source_language VARCHAR(10) NOT NULL,
+        target_language VARCHAR(10) NOT NULL,
+        source_text TEXT NOT NULL,
+        target_text TEXT NOT NULL,
+        created_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (source_language <> target_language)
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_translation_memory_segment
+        ON translation_memory(source_language, target_language, md5(source_text));
+    `)
+
+    // Language the member's text fields and each general article are written in,
+    // and their values in other languages. A field left empty in a translation
+    // is shown in the source language.
+    await query(`
+      ALTER TABLE family_members ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'sr';
+      ALTER TABLE general_articles ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'sr';
+
+      CREATE TABLE IF NOT EXISTS family_member_translations (
+        id SERIAL PRIMARY KEY,
+        family_member_id INTEGER NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+        language VARCHAR(10) NOT NULL,
+        short_bio TEXT,
+        occupation VARCHAR(255),
+        birth_place VARCHAR(255),
+        is_auto_translated BOOLEAN DEFAULT false,
+        created_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_member_translations_member_lang
+        ON family_member_translations(family_member_id, language);
+
+      CREATE TABLE IF NOT EXISTS general_article_translations (
+        id SERIAL PRIMARY KEY,
+        general_article_id INTEGER NOT NULL REFERENCES general_articles(id) ON DELETE CASCADE,
+        language VARCHAR(10) NOT NULL,
+        title VARCHAR(255),
+        content TEXT,
+        is_auto_translated BOOLEAN DEFAULT false,
+        created_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_general_article_translations_article_lang
+        ON general_article_translations(general_article_id, language);
+    `)
+
+    // Article revisions - the content of every revision of a member article or
+    // a general article (title, category and language too for the latter), so
+    // changes can be compared and undone. restored_from is the revision a
+    // restore brought back. Articles written before this start with their
+    // current content; their earlier revisions were not kept.
+    await query(`
+      ALTER TABLE general_articles ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+
+      CREATE TABLE IF NOT EXISTS article_revisions (
+        id SERIAL PRIMARY KEY,
+        article_id INTEGER REFERENCES articles(id) ON DELETE CASCADE,
+        general_article_id INTEGER REFERENCES general_articles(id) ON DELETE CASCADE,
+        revision INTEGER NOT NULL,
+        language VARCHAR(10) NOT NULL,
+        title VARCHAR(255),
+        category VARCHAR(100),
+        content TEXT,
+        restored_from INTEGER,
+        created_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (num_nonnulls(article_id, general_article_id) = 1)
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_article_revisions_article ON article_revisions(article_id, revision);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_article_revisions_general_article ON article_revisions(general_article_id, revision);
+
+      INSERT INTO article_revisions (article_id, revision, language, content, created_by, created_at)
+      SELECT a.id, a.revision, a.language, a.content, COALESCE(a.updated_by, a.created_by), a.updated_at
+      FROM articles a
+      WHERE NOT EXISTS (SELECT 1 FROM article_revisions r WHERE r.article_id = a.id);
+
+      INSERT INTO article_revisions (general_article_id, revision, language, title, category, content, created_by, created_at)
+      SELECT g.id, g.revision, g.language, g.title, g.category, g.content, COALESCE(g.updated_by, g.created_by), g.updated_at
+      FROM general_articles g
+      WHERE NOT EXISTS (SELECT 1 FROM article_revisions r WHERE r.general_article_id = g.id);
+    `)
+
+    // Authoring format of articles: 'html', or 'wiki' (Markdown with wikilinks
+    // and infoboxes). The wiki markup is kept in source and rendered into
+    // content when saved, so content is HTML whatever the format. Revisions
+    // keep both, so a restored revision can be edited in its format.
+    await query(`
+      ALTER TABLE articles ADD COLUMN IF NOT EXISTS format VARCHAR(10) NOT NULL DEFAULT 'html';
+      ALTER TABLE articles ADD COLUMN IF NOT EXISTS source TEXT;
+      ALTER TABLE general_articles ADD COLUMN IF NOT EXISTS format VARCHAR(10) NOT NULL DEFAULT 'html';
+      ALTER TABLE general_articles ADD COLUMN IF NOT EXISTS source TEXT;
+      ALTER TABLE article_revisions ADD COLUMN IF NOT EXISTS format VARCHAR(10) NOT NULL DEFAULT 'html';
+      ALTER TABLE article_revisions ADD COLUMN IF NOT EXISTS source TEXT;
+    `)
+
+    // Article links - the family members and general articles a member article
+    // or general article links to, replaced whenever it is saved. target_id
+    // has no foreign key: a link to a member or article deleted since stays,
+    // to be reported as broken; a wikilink that did not resolve has only its
+    // target_title. Articles saved before this get their links to members and
+    // articles from their content.
+    await query(`
+      CREATE TABLE IF NOT EXISTS article_links (
+        id SERIAL PRIMARY KEY,
+        article_id INTEGER REFERENCES articles(id) ON DELETE CASCADE,
+        general_article_id INTEGER REFERENCES general_articles(id) ON DELETE CASCADE,
+        target_type VARCHAR(10) NOT NULL CHECK (target_type IN ('member', 'article')),
+        target_id INTEGER,
+        target_title VARCHAR(255),
+        link_text TEXT,
+        CHECK (num_nonnulls(article_id, general_article_id) = 1),
+        CHECK (num_nonnulls(target_id, target_title) >= 1)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_article_links_article ON article_links(article_id);
+      CREATE INDEX IF NOT EXISTS idx_article_links_general_article ON article_links(general_article_id);
+      CREATE INDEX IF NOT EXISTS idx_article_links_target ON article_links(target_type, target_id);
+
+      INSERT INTO article_links (article_id, target_type, target_id)
+      SELECT DISTINCT a.id, CASE link[1] WHEN 'member' THEN 'member' ELSE 'article' END, link[2]::int
+      FROM articles a, regexp_matches(a.content, 'href="/(member|articles)/(\\d+)', 'g') AS link
+      WHERE NOT EXISTS (SELECT 1 FROM article_links l WHERE l.article_id = a.id);
+
+      INSERT INTO article_links (general_article_id, target_type, target_id)
+      SELECT DISTINCT g.id, CASE link[1] WHEN 'member' THEN 'member' ELSE 'article' END, link[2]::int
+      FROM general_articles g, regexp_matches(g.content, 'href="/(member|articles)/(\\d+)', 'g') AS link
+      WHERE NOT EXISTS (SELECT 1 FROM article_links l WHERE l.general_article_id = g.id);
     `)
 
     console.log('✓ Database schema created successfully')
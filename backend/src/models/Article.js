@@ -7,92 +7,173 @@
 import { query } from '../database/db.js'
 
 /**
- * Create an article
+ * Create an article, recording its first revision
  * @param {Object} articleData - Article data
+ * @param {Object} [client] - Transaction client (defaults to the pool)
  * @returns {Promise<Object>} Created article
  */
-export const createArticle = async (articleData) => {
-  const { family_member_id, language, content, created_by } = articleData
+export const createArticle = async (articleData, client = { query }) => {
+  const { family_member_id, language, content, format = 'html', source = null, created_by } = articleData
 
-  const result = await query(
-    `INSERT INTO articles (family_member_id, language, content, created_by)
-     VALUES ($1, $2, $3, $4)
-     RETURNING *`,
-    [family_member_id, language, content, created_by]
+  const result = await client.query(
+    `WITH created AS (
+       INSERT INTO articles (family_member_id, language, content, format, source, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *
+     ), recorded AS (
+       INSERT INTO article_revisions (article_id, revision, language, content, format, source, created_by)
+       SELECT id, revision, language, content, format, source, created_by FROM created
+     )
+     SELECT * FROM created`,
+    [family_member_id, language, content, format, source, created_by]
   )
 
   return result.rows[0]
 }
 
+// Status of a translation: outdated when made from an earlier revision of the
+// source article, otherwise machine translated (auto) or written/reviewed by a person
+const TRANSLATION_STATUS = `CASE
+    WHEN t.source_revision < a.revision THEN 'outdated'
+    WHEN t.is_auto_translated THEN 'auto'
+    ELSE 'reviewed'
+  END`
+
 /**
- * Get article by family member and language
- * @param {number} familyMemberId - Family member ID
- * @param {string} language - Language code
- * @returns {Promise<Object>} Article with member info
+ * Get all member articles with the status of their translations
+ * @returns {Promise<Array>} Articles with member name and translations ({ language, status })
  */
-export const getArticleByMemberAndLanguage = async (familyMemberId, language = 'sr') => {
+export const getAllArticles = async () => {
   const result = await query(
-    `SELECT 
-       a.id, a.family_member_id, a.language, a.content, a.created_by, a.created_at, a.updated_at,
-       fm.name, fm.birth_year, fm.death_year
+    `SELECT
+       a.id, a.family_member_id, a.language, a.content, a.format, a.source, a.revision, a.created_at, a.updated_at,
+       fm.name AS member_name, fm.birth_year, fm.death_year,
+       COALESCE(
+         json_agg(json_build_object('language', t.language, 'status', ${TRANSLATION_STATUS}) ORDER BY t.language)
+           FILTER (WHERE t.id IS NOT NULL),
+         '[]'
+       ) AS translations
      FROM articles a
      JOIN family_members fm ON a.family_member_id = fm.id
-     WHERE a.family_member_id = $1 AND a.language = $2`,
-    [familyMemberId, language]
+     LEFT JOIN article_translations t ON t.article_id = a.id
+     GROUP BY a.id, fm.id
+     ORDER BY fm.name ASC`
   )
 
-  if (result.rows.length > 0) {
-    return result.rows[0]
-  }
+  return result.rows
+}
 
-  // If exact language not found, return any available article for this member
-  const fallback = await query(
-    `SELECT 
-       a.id, a.family_member_id, a.language, a.content, a.created_by, a.created_at, a.updated_at,
-       fm.name, fm.birth_year, fm.death_year
+/**
+ * Get the article of a family member, in its source language
+ * @param {number} familyMemberId - Family member ID
+ * @returns {Promise<Object|null>} Article with member name, or null when the member has none
+ */
+export const getArticleByMember = async (familyMemberId) => {
+  const result = await query(
+    `SELECT a.*, fm.name AS member_name, fm.birth_year, fm.death_year
      FROM articles a
      JOIN family_members fm ON a.family_member_id = fm.id
-     WHERE a.family_member_id = $1
-     LIMIT 1`,
+     WHERE a.family_member_id = $1`,
     [familyMemberId]
   )
 
-  return fallback.rows[0] || null
+  return result.rows[0] || null
+}
+
+/**
+ * Get a family member's article for a reader of the given language
+ *
+ * Returns the source article when it is written in that language, else its
+ * translation into it; without one, falls back to the source article and
+ * sets is_fallback so the reader can be told.
+ *
+ * @param {number} familyMemberId - Family member ID
+ * @param {string} [language] - Requested language code (defaults to the source language)
+ * @returns {Promise<Object|null>} Article with member info, or null when the member has none:
+ *   language (of the content returned), requested_language, source_language, is_fallback,
+ *   status (source, auto, reviewed or outdated) and available_languages
+ */
+export const getArticleForReader = async (familyMemberId, language) => {
+  const result = await query(
+    `SELECT
+       a.id, a.family_member_id, a.language AS source_language, a.content AS source_content,
+       a.created_by, a.created_at, a.updated_at,
+       fm.name, fm.birth_year, fm.death_year,
+       t.content AS translated_content, t.updated_at AS translated_at,
+       CASE WHEN t.id IS NOT NULL THEN ${TRANSLATION_STATUS} END AS translation_status,
+       ARRAY(
+         SELECT language FROM article_translations WHERE article_id = a.id ORDER BY language
+       ) AS translated_languages
+     FROM articles a
+     JOIN family_members fm ON a.family_member_id = fm.id
+     LEFT JOIN article_translations t ON t.article_id = a.id AND t.language = $2
+     WHERE a.family_member_id = $1`,
+    [familyMemberId, language || null]
+  )
+
+  const row = result.rows[0]
+  if (!row) return null
+
+  const { source_content, translated_content, translated_at, translation_status, translated_languages, ...article } = row
+  const requested = language || row.source_language
+  const translated = translation_status !== null && requested !== row.source_language
+
+  return {
+    ...article,
+    language: translated ? requested : row.source_language,
+    requested_language: requested,
+    is_fallback: !translated && requested !== row.source_language,
+    status: translated ? translation_status : 'source',
+    content: translated ? translated_content : source_content,
+    updated_at: translated ? translated_at : row.updated_at,
+    available_languages: [row.source_language, ...translated_languages],
+  }
 }
 
 /**
- * Update article
+ * Update article; a change of content (or of its wiki markup) starts a new
+ * revision, which is recorded
  * @param {number} id - Article ID
- * @param {string} content - New content
+ * @param {Object} values - content (HTML), format and source (wiki markup, null for HTML)
  * @param {number} userId - User ID making the update
+ * @param {number} [restoredFrom] - Revision whose content is being restored
+ * @param {Object} [client] - Transaction client (defaults to the pool)
  * @returns {Promise<Object>} Updated article
  */
-export const updateArticle = async (id, content, userId) => {
-  const result = await query(
-    `UPDATE articles
-     SET content = $1, updated_by = $2, updated_at = CURRENT_TIMESTAMP
-     WHERE id = $3
-     RETURNING *`,
-    [content, userId, id]
+export const updateArticle = async (id, { content, format = 'html', source = null }, userId, restoredFrom = null, client = { query }) => {
+  const result = await client.query(
+    `WITH updated AS (
+       UPDATE articles
+       SET revision = revision + ((content, format, source) IS DISTINCT FROM ($1::text, $2::varchar, $3::text))::int,
+           content = $1, format = $2, source = $3, updated_by = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING *
+     ), recorded AS (
+       INSERT INTO article_revisions (article_id, revision, language, content, format, source, restored_from, created_by)
+       SELECT id, revision, language, content, format, source, $6::int, updated_by FROM updated
+       ON CONFLICT (article_id, revision) DO NOTHING
+     )
+     SELECT * FROM updated`,
+    [content, format, source, userId, id, restoredFrom]
   )
 
   return result.rows[0]
 }
 
 /**
- * Get article history/versions
+ * Get the revisions of an article, newest first, without their content
  * @param {number} articleId - Article ID
- * @returns {Promise<Array>} Article versions with edit history
+ * @returns {Promise<Array>} Revisions with editor name and content size (characters)
  */
-export const getArticleHistory = async (articleId) => {
+export const getArticleRevisions = async (articleId) => {
   const result = await query(
-    `SELECT 
-       a.id, a.language, a.content, a.created_by, u.name as created_by_name,
-       a.created_at, a.updated_at
-     FROM articles a
-     LEFT JOIN users u ON a.created_by = u.id
-     WHERE a.id = $1
-     ORDER BY a.updated_at DESC`,
+    `SELECT
+       r.id, r.revision, r.language, r.format, r.restored_from, r.created_by, u.name AS created_by_name,
+       r.created_at, COALESCE(LENGTH(r.content), 0) AS size
+     FROM article_revisions r
+     LEFT JOIN users u ON r.created_by = u.id
+     WHERE r.article_id = $1
+     ORDER BY r.revision DESC`,
     [articleId]
   )
 
@@ -100,20 +181,62 @@ export const getArticleHistory = async (articleId) => {
 }
 
 /**
- * Add article translation
+ * Get one revision of an article
+ * @param {number} articleId - Article ID
+ * @param {number} revision - Revision number
+ * @returns {Promise<Object|null>} Revision with its content and editor name, or null
+ */
+export const getArticleRevision = async (articleId, revision) => {
+  const result = await query(
+    `SELECT r.*, u.name AS created_by_name
+     FROM article_revisions r
+     LEFT JOIN users u ON r.created_by = u.id
+     WHERE r.article_id = $1 AND r.revision = $2`,
+    [articleId, revision]
+  )
+
+  return result.rows[0] || null
+}
+
+/**
+ * Get one translation of an article
+ * @param {number} articleId - Article ID
+ * @param {string} language - Language code
+ * @returns {Promise<Object|null>} Translation with its status, or null when there is none
+ */
+export const getArticleTranslation = async (articleId, language) => {
+  const result = await query(
+    `SELECT t.*, ${TRANSLATION_STATUS} AS status
+     FROM article_translations t
+     JOIN articles a ON a.id = t.article_id
+     WHERE t.article_id = $1 AND t.language = $2`,
+    [articleId, language]
+  )
+
+  return result.rows[0] || null
+}
+
+/**
+ * Save an article translation, replacing an earlier one in the same language
  * @param {number} articleId - Article ID
  * @param {string} language - Language code
  * @param {string} content - Translated content
  * @param {boolean} isAutoTranslated - Whether translation is automatic
  * @param {number} userId - User ID
- * @returns {Promise<Object>} Created translation
+ * @param {number} sourceRevision - Revision of the article the translation was made from
+ * @returns {Promise<Object>} Saved translation
  */
-export const addArticleTranslation = async (articleId, language, content, isAutoTranslated, userId) => {
+export const saveArticleTranslation = async (articleId, language, content, isAutoTranslated, userId, sourceRevision) => {
   const result = await query(
-    `INSERT INTO article_translations (article_id, language, content, is_auto_translated, created_by)
-     VALUES ($1, $2, $3, $4, $5)
+    `INSERT INTO article_translations (article_id, language, content, is_auto_translated, created_by, source_revision)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (article_id, language) DO UPDATE
+     SET content = EXCLUDED.content,
+         is_auto_translated = EXCLUDED.is_auto_translated,
+         source_revision = EXCLUDED.source_revision,
+         updated_at = CURRENT_TIMESTAMP
      RETURNING *`,
-    [articleId, language, content, isAutoTranslated, userId]
+    [articleId, language, content, isAutoTranslated, userId, sourceRevision]
   )
 
   return result.rows[0]
@@ -122,19 +245,56 @@ export const addArticleTranslation = async (articleId, language, content, isAuto
 /**
  * Get all translations for an article
  * @param {number} articleId - Article ID
- * @returns {Promise<Array>} All translations
+ * @returns {Promise<Array>} All translations, each with its status (auto, reviewed or outdated)
  */
 export const getArticleTranslations = async (articleId) => {
   const result = await query(
-    `SELECT * FROM article_translations
-     WHERE article_id = $1
-     ORDER BY language ASC`,
+    `SELECT t.*, ${TRANSLATION_STATUS} AS status
+     FROM article_translations t
+     JOIN articles a ON a.id = t.article_id
+     WHERE t.article_id = $1
+     ORDER BY t.language ASC`,
     [articleId]
   )
 
   return result.rows
 }
 
+/**
+ * Get translations made from an earlier revision of their article
+ * @param {Object} [filters] - Filters
+ * @param {number} [filters.article_id] - Only this article's translations
+ * @param {boolean} [filters.include_reviewed=false] - Also human-reviewed translations
+ * @returns {Promise<Array>} Translations with their article's language, content,
+ *   revision and member name
+ */
+export const getOutdatedTranslations = async ({ article_id, include_reviewed = false } = {}) => {
+  const params = []
+  let where = 't.source_revision < a.revision'
+
+  if (article_id) {
+    params.push(article_id)
+    where += ` AND a.id = $${params.length}`
+  }
+  if (!include_reviewed) {
+    where += ' AND t.is_auto_translated'
+  }
+
+  const result = await query(
+    `SELECT
+       t.*, a.language AS source_language, a.content AS source_content, a.revision,
+       fm.name AS member_name
+     FROM article_translations t
+     JOIN articles a ON a.id = t.article_id
+     JOIN family_members fm ON fm.id = a.family_member_id
+     WHERE ${where}
+     ORDER BY fm.name ASC, t.language ASC`,
+    params
+  )
+
+  return result.rows
+}
+
 /**
  * Get article by ID
  * @param {number} id - Article ID
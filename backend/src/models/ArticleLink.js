@@ -0,0 +1,154 @@
+/**
+ * Article Link Model
+ *
+ * Database operations for the links in articles: which family members and
+ * general articles each member article and general article links to (see
+ * utils/articleLinks.js). They are replaced whenever an article is saved,
+ * and give the articles a member or general article is mentioned in, and
+ * the links that lead nowhere.
+ */
+
+import { query } from '../database/db.js'
+
+/**
+ * Replace the links of an article
+ * @param {string} column - 'article_id' or 'general_article_id'
+ * @param {number} id - Article ID
+ * @param {Array<Object>} links - Links from extractLinks
+ * @param {Object} client - Transaction client, or the pool
+ */
+const replaceLinks = async (column, id, links, client) => {
+  await client.query(
+    `WITH cleared AS (
+       DELETE FROM article_links WHERE ${column} = $1
+     )
+     INSERT INTO article_links (${column}, target_type, target_id, target_title, link_text)
+     SELECT $1, link.target_type, link.target_id, link.target_title, link.link_text
+     FROM unnest($2::text[], $3::int[], $4::text[], $5::text[])
+       AS link(target_type, target_id, target_title, link_text)`,
+    [
+      id,
+      links.map(link => link.target_type),
+      links.map(link => link.target_id),
+      links.map(link => link.target_title),
+      links.map(link => link.link_text),
+    ]
+  )
+}
+
+/**
+ * Replace the links of a member article
+ * @param {number} articleId - Article ID
+ * @param {Array<Object>} links - Links from extractLinks
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ */
+export const setArticleLinks = (articleId, links, client = { query }) => replaceLinks('article_id', articleId, links, client)
+
+/**
+ * Replace the links of a general article
+ * @param {number} generalArticleId - General article ID
+ * @param {Array<Object>} links - Links from extractLinks
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ */
+export const setGeneralArticleLinks = (generalArticleId, links, client = { query }) => replaceLinks('general_article_id', generalArticleId, links, client)
+
+/**
+ * Get the articles linking to a family member or general article, other
+ * than its own
+ * @param {string} targetType - 'member' or 'article'
+ * @param {number} targetId - Member or general article ID
+ * @returns {Promise<Array>} Articles by title: source_type ('member_article',
+ *   with the member's ID and name, or 'general_article', with its ID, title
+ *   and category) and the text of the link
+ */
+const getBacklinks = async (targetType, targetId) => {
+  const result = await query(
+    `SELECT 'member_article' AS source_type, m.id, m.name AS title, NULL AS category, l.link_text
+     FROM article_links l
+     JOIN articles a ON a.id = l.article_id
+     JOIN family_members m ON m.id = a.family_member_id
+     WHERE l.target_type = $1 AND l.target_id = $2
+       AND NOT ($1 = 'member' AND m.id = $2)
+     UNION ALL
+     SELECT 'general_article', g.id, g.title, g.category, l.link_text
+     FROM article_links l
+     JOIN general_articles g ON g.id = l.general_article_id
+     WHERE l.target_type = $1 AND l.target_id = $2
+       AND NOT ($1 = 'article' AND g.id = $2)
+     ORDER BY title ASC, source_type ASC`,
+    [targetType, targetId]
+  )
+
+  return result.rows
+}
+
+/**
+ * Get the articles a family member is mentioned in
+ * @param {number} memberId - Family member ID
+ * @returns {Promise<Array>} Articles (see getBacklinks)
+ */
+export const getMemberBacklinks = (memberId) => getBacklinks('member', memberId)
+
+/**
+ * Get the articles linking to a general article
+ * @param {number} generalArticleId - General article ID
+ * @returns {Promise<Array>} Articles (see getBacklinks)
+ */
+export const getGeneralArticleBacklinks = (generalArticleId) => getBacklinks('article', generalArticleId)
+
+/**
+ * Point the links to one family member at another, when merging duplicates
+ * An article linking to both keeps its link to the receiving member.
+ * @param {number} fromId - Member whose links move
+ * @param {number} toId - Member receiving them
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ * @returns {Promise<number>} Number of links moved
+ */
+export const moveMemberLinks = async (fromId, toId, client = { query }) => {
+  await client.query(
+    `DELETE FROM article_links l
+     WHERE l.target_type = 'member' AND l.target_id = $1 AND EXISTS (
+       SELECT 1 FROM article_links t
+       WHERE t.target_type = 'member' AND t.target_id = $2
+         AND t.article_id IS NOT DISTINCT FROM l.article_id
+         AND t.general_article_id IS NOT DISTINCT FROM l.general_article_id
+     )`,
+    [fromId, toId]
+  )
+
+  const result = await client.query(
+    `UPDATE article_links SET target_id = $2
+     WHERE target_type = 'member' AND target_id = $1`,
+    [fromId, toId]
+  )
+
+  return result.rowCount
+}
+
+/**
+ * Get the links that lead nowhere: wikilinks that did not resolve, and
+ * links to members or general articles that do not exist (any more)
+ * @returns {Promise<Array>} Links by article: source_type, source_id (member
+ *   or general article ID) and source_title of the article, target_type,
+ *   target_id, target_title, link_text and reason ('unresolved' or 'missing')
+ */
+export const getBrokenLinks = async () => {
+  const result = await query(
+    `SELECT
+       CASE WHEN l.article_id IS NOT NULL THEN 'member_article' ELSE 'general_article' END AS source_type,
+       COALESCE(m.id, g.id) AS source_id,
+       COALESCE(m.name, g.title) AS source_title,
+       l.target_type, l.target_id, l.target_title, l.link_text,
+       CASE WHEN l.target_id IS NULL THEN 'unresolved' ELSE 'missing' END AS reason
+     FROM article_links l
+     LEFT JOIN articles a ON a.id = l.article_id
+     LEFT JOIN family_members m ON m.id = a.family_member_id
+     LEFT JOIN general_articles g ON g.id = l.general_article_id
+     WHERE l.target_id IS NULL
+       OR (l.target_type = 'member' AND NOT EXISTS (SELECT 1 FROM family_members t WHERE t.id = l.target_id))
+       OR (l.target_type = 'article' AND NOT EXISTS (SELECT 1 FROM general_articles t WHERE t.id = l.target_id))
+     ORDER BY source_title ASC, l.id ASC`
+  )
+
+  return result.rows
+}
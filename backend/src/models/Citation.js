@@ -0,0 +1,165 @@
+/**
+ * Citation Model
+ *
+ * Database operations for citations: a source cited for exactly one item,
+ * either a family member (optionally a single field such as birth_date),
+ * a life event, or an article (optionally a single paragraph).
+ * Citations are returned with a summary of their source.
+ */
+
+import { query } from '../database/db.js'
+
+const CITATION_SELECT = `
+  SELECT c.*,
+    json_build_object(
+      'id', s.id, 'title', s.title, 'source_type', s.source_type,
+      'author', s.author, 'repository', s.repository, 'url', s.url
+    ) AS source,
+    le.event_type,
+    m.id AS cited_member_id, m.name AS cited_member_name,
+    ga.title AS general_article_title
+  FROM citations c
+  JOIN sources s ON s.id = c.source_id
+  LEFT JOIN life_events le ON le.id = c.life_event_id
+  LEFT JOIN articles a ON a.id = c.article_id
+  LEFT JOIN general_articles ga ON ga.id = c.general_article_id
+  LEFT JOIN family_members m ON m.id = COALESCE(c.family_member_id, le.family_member_id, a.family_member_id)`
+
+/**
+ * Get a citation by ID
+ * @param {number} id - Citation ID
+ * @returns {Promise<Object|null>} Citation or null
+ */
+export const getCitationById = async (id) => {
+  const result = await query(
+    `${CITATION_SELECT} WHERE c.id = $1`,
+    [id]
+  )
+
+  return result.rows[0] || null
+}
+
+/**
+ * Get everything a source is cited for
+ * @param {number} sourceId - Source ID
+ * @returns {Promise<Array>} Citations, grouped by cited member
+ */
+export const getCitationsBySource = async (sourceId) => {
+  const result = await query(
+    `${CITATION_SELECT}
+     WHERE c.source_id = $1
+     ORDER BY m.name ASC NULLS LAST, ga.title ASC, c.id ASC`,
+    [sourceId]
+  )
+
+  return result.rows
+}
+
+/**
+ * Get all citations about a family member: their fields, their life events and their article
+ * @param {number} memberId - Family member ID
+ * @returns {Promise<Array>} Citations: member fields first, then events, then article paragraphs in order
+ */
+export const getCitationsForMember = async (memberId) => {
+  const result = await query(
+    `${CITATION_SELECT}
+     WHERE m.id = $1
+     ORDER BY c.family_member_id IS NULL, c.life_event_id IS NULL, c.paragraph ASC NULLS LAST, c.id ASC`,
+    [memberId]
+  )
+
+  return result.rows
+}
+
+/**
+ * Get the citations of a general article, in paragraph order
+ * @param {number} generalArticleId - General article ID
+ * @returns {Promise<Array>} Citations
+ */
+export const getCitationsByGeneralArticle = async (generalArticleId) => {
+  const result = await query(
+    `${CITATION_SELECT}
+     WHERE c.general_article_id = $1
+     ORDER BY c.paragraph ASC NULLS LAST, c.id ASC`,
+    [generalArticleId]
+  )
+
+  return result.rows
+}
+
+/**
+ * Create a citation
+ * @param {number} sourceId - Cited source ID
+ * @param {Object} citationData - One of family_member_id, life_event_id, article_id or
+ *   general_article_id, plus field, paragraph, page, note
+ * @param {number} userId - User creating the citation
+ * @returns {Promise<Object>} Created citation row
+ */
+export const createCitation = async (sourceId, citationData, userId) => {
+  const { family_member_id, field, life_event_id, article_id, general_article_id, paragraph, page, note } = citationData
+
+  const result = await query(
+    `INSERT INTO citations (
+       source_id, family_member_id, field, life_event_id, article_id,
+       general_article_id, paragraph, page, note, created_by
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      sourceId,
+      family_member_id || null,
+      field || null,
+      life_event_id || null,
+      article_id || null,
+      general_article_id || null,
+      paragraph || null,
+      page || null,
+      note || null,
+      userId,
+    ]
+  )
+
+  return result.rows[0]
+}
+
+/**
+ * Update a citation; what it is attached to does not change
+ * @param {number} id - Citation ID
+ * @param {Object} updates - Fields to update (field, paragraph, page, note)
+ * @returns {Promise<Object>} Updated citation row
+ */
+export const updateCitation = async (id, updates) => {
+  const updateFields = []
+  const values = []
+  let paramCount = 1
+
+  Object.entries(updates).forEach(([key, value]) => {
+    updateFields.push(`${key} = $${paramCount++}`)
+    values.push(value === '' ? null : value)
+  })
+
+  values.push(id)
+
+  const result = await query(
+    `UPDATE citations
+     SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${paramCount}
+     RETURNING *`,
+    values
+  )
+
+  return result.rows[0]
+}
+
+/**
+ * Delete a citation
+ * @param {number} id - Citation ID
+ * @returns {Promise<Object>} Deleted citation row
+ */
+export const deleteCitation = async (id) => {
+  const result = await query(
+    `DELETE FROM citations WHERE id = $1 RETURNING *`,
+    [id]
+  )
+
+  return result.rows[0]
+}
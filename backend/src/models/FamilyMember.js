@@ -6,19 +6,80 @@
 
 import { query } from '../database/db.js'
 
+/**
+ * Parent -> child edges from both 'parent' and 'child' relationship rows
+ * A row (member_id, related_member_id, 'parent') reads "member is parent of related".
+ */
+const PARENT_CHILD_EDGES = `
+  SELECT member_id AS parent_id, related_member_id AS child_id
+  FROM family_relationships WHERE relationship_type = 'parent'
+  UNION
+  SELECT related_member_id AS parent_id, member_id AS child_id
+  FROM family_relationships WHERE relationship_type = 'child'`
+
+/**
+ * Relationship type -> type of the inverse row ("A parent of B" <-> "B child of A")
+ */
+export const RELATIONSHIP_INVERSES = {
+  parent: 'child',
+  child: 'parent',
+  spouse: 'spouse',
+  sibling: 'sibling',
+}
+
+/**
+ * Union details stored on both rows of a spouse pair
+ */
+export const UNION_FIELDS = ['union_type', 'marriage_date', 'marriage_place', 'end_date', 'end_reason']
+
+/**
+ * Keep birth_year/death_year in step with the structured birth/death dates
+ * A date decides its year; a bare year (older clients) becomes a year-only date.
+ * @param {Object} data - Member fields being written
+ * @returns {Object} Fields with matching years and dates
+ */
+const syncEventYears = (data) => {
+  const synced = { ...data }
+
+  for (const event of ['birth', 'death']) {
+    const dateField = `${event}_date`
+    const yearField = `${event}_year`
+
+    if (dateField in synced) {
+      synced[yearField] = synced[dateField]?.year ?? null
+    } else if (yearField in synced) {
+      synced[dateField] = synced[yearField] ? { year: synced[yearField] } : null
+    }
+  }
+
+  return synced
+}
+
 /**
  * Create a new family member
  * @param {Object} memberData - Family member data
+ * @param {Object} [client] - Transaction client (defaults to the pool)
  * @returns {Promise<Object>} Created member
  */
-export const createFamilyMember = async (memberData) => {
-  const { name, birth_year, death_year, birth_place, occupation, short_bio } = memberData
+export const createFamilyMember = async (memberData, client = { query }) => {
+  const {
+    name, birth_year, death_year, birth_date, death_date, burial_date,
+    birth_place, death_place, burial_place, occupation, short_bio,
+    birth_place_id, death_place_id, burial_place_id, language,
+  } = syncEventYears(memberData)
 
-  const result = await query(
-    `INSERT INTO family_members (name, birth_year, death_year, birth_place, occupation, short_bio)
-     VALUES ($1, $2, $3, $4, $5, $6)
+  const result = await client.query(
+    `INSERT INTO family_members
+       (name, birth_year, death_year, birth_date, death_date, burial_date,
+        birth_place, death_place, burial_place, occupation, short_bio,
+        birth_place_id, death_place_id, burial_place_id, language)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
      RETURNING *`,
-    [name, birth_year, death_year, birth_place, occupation, short_bio]
+    [
+      name, birth_year, death_year, birth_date, death_date, burial_date,
+      birth_place, death_place, burial_place, occupation, short_bio,
+      birth_place_id || null, death_place_id || null, burial_place_id || null, language || 'sr',
+    ]
   )
 
   return result.rows[0]
@@ -41,19 +102,15 @@ export const getFamilyMemberById = async (id) => {
 
   const member = result.rows[0]
 
-  // Get all relationships for this member
+  // Get all relationships for this member, typed from the relative's side:
+  // the row "relative is parent of member" lists the relative as a parent
   const relationships = await query(
     `SELECT 
-       fm.id, fm.name, fr.relationship_type
-     FROM family_relationships fr
-     JOIN family_members fm ON fr.related_member_id = fm.id
-     WHERE fr.member_id = $1
-     UNION
-     SELECT 
-       fm.id, fm.name, fr.relationship_type
+       fm.id, fm.name, fr.relationship_type, ${UNION_FIELDS.map(field => `fr.${field}`).join(', ')}
      FROM family_relationships fr
      JOIN family_members fm ON fr.member_id = fm.id
-     WHERE fr.related_member_id = $1`,
+     WHERE fr.related_member_id = $1
+     ORDER BY fm.name ASC`,
     [id]
   )
 
@@ -111,21 +168,22 @@ export const searchFamilyMembers = async (searchTerm) => {
  * Update family member
  * @param {number} id - Member ID
  * @param {Object} updates - Fields to update
+ * @param {Object} [client] - Transaction client (defaults to the pool)
  * @returns {Promise<Object>} Updated member
  */
-export const updateFamilyMember = async (id, updates) => {
+export const updateFamilyMember = async (id, updates, client = { query }) => {
   const updateFields = []
   const values = []
   let paramCount = 1
 
-  Object.entries(updates).forEach(([key, value]) => {
+  Object.entries(syncEventYears(updates)).forEach(([key, value]) => {
     updateFields.push(`${key} = $${paramCount++}`)
     values.push(value)
   })
 
   values.push(id)
 
-  const result = await query(
+  const result = await client.query(
     `UPDATE family_members
      SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
      WHERE id = $${paramCount}
@@ -137,7 +195,9 @@ export const updateFamilyMember = async (id, updates) => {
 }
 
 /**
- * Get family tree for a member (parents, spouse, children, siblings)
+ * Get family tree for a member (parents, spouses, children, siblings)
+ * Each spouse comes with a union record; children are grouped under the
+ * union whose partner is also their parent.
  * @param {number} memberId - Member ID
  * @returns {Promise<Object>} Family tree structure
  */
@@ -145,12 +205,9 @@ export const getFamilyTree = async (memberId) => {
   const result = await query(
     `SELECT 
        fm.id, fm.name, fm.birth_year, fm.death_year,
-       fr.relationship_type
+       fr.relationship_type, ${UNION_FIELDS.map(field => `fr.${field}`).join(', ')}
      FROM family_members fm
-     LEFT JOIN family_relationships fr ON (
-       (fr.member_id = $1 AND fr.related_member_id = fm.id) OR
-       (fr.related_member_id = $1 AND fr.member_id = fm.id)
-     )
+     LEFT JOIN family_relationships fr ON fr.member_id = fm.id AND fr.related_member_id = $1
      WHERE fm.id != $1
      ORDER BY fm.name ASC`,
     [memberId]
@@ -158,10 +215,12 @@ export const getFamilyTree = async (memberId) => {
 
   const tree = {
     parents: [],
-    spouse: null,
+    spouses: [],
     children: [],
     siblings: [],
     relatives: [],
+    unions: [],
+    other_children: [],
   }
 
   result.rows.forEach(row => {
@@ -172,7 +231,12 @@ export const getFamilyTree = async (memberId) => {
         tree.parents.push(member)
         break
       case 'spouse':
-        tree.spouse = member
+        tree.spouses.push(member)
+        tree.unions.push({
+          partner: member,
+          ...Object.fromEntries(UNION_FIELDS.map(field => [field, row[field]])),
+          children: [],
+        })
         break
       case 'child':
         tree.children.push(member)
@@ -185,35 +249,508 @@ export const getFamilyTree = async (memberId) => {
     }
   })
 
+  // Other parents of each child decide which union the child belongs to
+  const otherParents = await query(
+    `WITH edges AS (${PARENT_CHILD_EDGES})
+     SELECT parent_id, child_id FROM edges
+     WHERE child_id = ANY($1::int[]) AND parent_id != $2`,
+    [tree.children.map(child => child.id), memberId]
+  )
+
+  tree.children.forEach(child => {
+    const parentIds = otherParents.rows.filter(row => row.child_id === child.id).map(row => row.parent_id)
+    const union = tree.unions.find(u => parentIds.includes(u.partner.id))
+
+    if (union) {
+      union.children.push(child)
+    } else {
+      tree.other_children.push(child)
+    }
+  })
+
+  // Earliest marriage first, undated unions last
+  tree.unions.sort((a, b) => (a.marriage_date || '9999').localeCompare(b.marriage_date || '9999'))
+
   return tree
 }
 
 /**
- * Create a family relationship
+ * Get the distinct names of all family members
+ * @returns {Promise<Array<string>>} Names
+ */
+export const getMemberNames = async () => {
+  const result = await query('SELECT DISTINCT name FROM family_members')
+  return result.rows.map(row => row.name)
+}
+
+/**
+ * Get family members by IDs
+ * @param {Array<number>} ids - Member IDs
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ * @returns {Promise<Array>} Matching family members
+ */
+export const getFamilyMembersByIds = async (ids, client = { query }) => {
+  const result = await client.query(
+    `SELECT * FROM family_members WHERE id = ANY($1::int[]) ORDER BY name ASC`,
+    [ids]
+  )
+  return result.rows
+}
+
+/**
+ * Get family members by name, ignoring case and repeated spaces
+ * @param {Array<string>} names - Names
+ * @returns {Promise<Array>} Members whose name is one of them (a name may match several)
+ */
+export const getFamilyMembersByNames = async (names) => {
+  const result = await query(
+    `SELECT * FROM family_members
+     WHERE LOWER(REGEXP_REPLACE(TRIM(name), '\\s+', ' ', 'g')) = ANY($1::text[])
+     ORDER BY name ASC`,
+    [names.map(name => name.trim().replace(/\s+/g, ' ').toLowerCase())]
+  )
+  return result.rows
+}
+
+/**
+ * Get all family relationships, optionally limited to members inside a set
+ * @param {Array<number>} [memberIds] - Only return relationships between these members
+ * @returns {Promise<Array>} Relationship rows
+ */
+export const getFamilyRelationships = async (memberIds = null) => {
+  const result = memberIds
+    ? await query(
+      `SELECT * FROM family_relationships
+       WHERE member_id = ANY($1::int[]) AND related_member_id = ANY($1::int[])
+       ORDER BY id ASC`,
+      [memberIds]
+    )
+    : await query(`SELECT * FROM family_relationships ORDER BY id ASC`)
+
+  return result.rows
+}
+
+/**
+ * Get IDs of all ancestors of a member (parents, grandparents, ...)
  * @param {number} memberId - Member ID
- * @param {number} relatedMemberId - Related member ID
- * @param {string} relationshipType - Type of relationship
- * @returns {Promise<Object>} Created relationship
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ * @returns {Promise<Array<number>>} Ancestor IDs
  */
-export const createFamilyRelationship = async (memberId, relatedMemberId, relationshipType) => {
+export const getAncestorIds = async (memberId, client = { query }) => {
+  const result = await client.query(
+    `WITH RECURSIVE edges AS (${PARENT_CHILD_EDGES}),
+     ancestors(id) AS (
+       SELECT parent_id FROM edges WHERE child_id = $1
+       UNION
+       SELECT e.parent_id FROM edges e JOIN ancestors a ON e.child_id = a.id
+     )
+     SELECT id FROM ancestors WHERE id != $1`,
+    [memberId]
+  )
+  return result.rows.map(row => row.id)
+}
+
+/**
+ * Get IDs of all descendants of a member (children, grandchildren, ...)
+ * @param {number} memberId - Member ID
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ * @returns {Promise<Array<number>>} Descendant IDs
+ */
+export const getDescendantIds = async (memberId, client = { query }) => {
+  const result = await client.query(
+    `WITH RECURSIVE edges AS (${PARENT_CHILD_EDGES}),
+     descendants(id) AS (
+       SELECT child_id FROM edges WHERE parent_id = $1
+       UNION
+       SELECT e.child_id FROM edges e JOIN descendants d ON e.parent_id = d.id
+     )
+     SELECT id FROM descendants WHERE id != $1`,
+    [memberId]
+  )
+  return result.rows.map(row => row.id)
+}
+
+/**
+ * Nest flat lineage rows under the member they were reached from
+ * @param {Object} root - Root member row
+ * @param {Array} rows - Rows with id, via_id and generation
+ * @param {string} key - Property holding the next generation ('parents' or 'children')
+ * @returns {Object} Root member with nested generations
+ */
+const nestGenerations = (root, rows, key) => {
+  const byVia = new Map()
+  rows.forEach((row) => {
+    const viaKey = `${row.via_id}|${row.generation}`
+    if (!byVia.has(viaKey)) byVia.set(viaKey, [])
+    byVia.get(viaKey).push(row)
+  })
+
+  const nest = (member, generation) => ({
+    id: member.id,
+    name: member.name,
+    birth_year: member.birth_year,
+    death_year: member.death_year,
+    generation,
+    [key]: (byVia.get(`${member.id}|${generation + 1}`) || []).map(row => nest(row, generation + 1)),
+  })
+
+  return nest(root, 0)
+}
+
+/**
+ * Walk parent-child edges from a member, one generation per step
+ * Recurses over (member, generation) with UNION, so a member reached through
+ * two lines (pedigree collapse) is expanded once per generation; the rows
+ * then link it to every member of the previous generation it was reached
+ * from, and it appears under each of them.
+ * @param {Object} member - Root member row
+ * @param {number} depth - Maximum number of generations
+ * @param {string} from - Edge column of the nearer member ('child_id' walks up)
+ * @param {string} to - Edge column of the member a step away
+ * @param {string} key - Key of the nested members in the tree
+ * @returns {Promise<Object>} { tree, count, generations }
+ */
+const getLineage = async (member, depth, from, to, key) => {
   const result = await query(
-    `INSERT INTO family_relationships (member_id, related_member_id, relationship_type)
-     VALUES ($1, $2, $3)
+    `WITH RECURSIVE edges AS (${PARENT_CHILD_EDGES}),
+     lineage AS (
+       SELECT ${to} AS id, 1 AS generation
+       FROM edges WHERE ${from} = $1 AND ${to} <> $1
+       UNION
+       SELECT e.${to}, l.generation + 1
+       FROM edges e JOIN lineage l ON e.${from} = l.id
+       WHERE l.generation < $2 AND e.${to} <> $1
+     )
+     SELECT DISTINCT l.id, e.${from} AS via_id, l.generation, fm.name, fm.birth_year, fm.death_year
+     FROM lineage l
+     JOIN edges e ON e.${to} = l.id
+     JOIN family_members fm ON fm.id = l.id
+     WHERE (l.generation = 1 AND e.${from} = $1)
+        OR EXISTS (SELECT 1 FROM lineage v WHERE v.id = e.${from} AND v.generation = l.generation - 1)
+     ORDER BY l.generation, fm.birth_year NULLS LAST, fm.name`,
+    [member.id, depth]
+  )
+
+  return {
+    tree: nestGenerations(member, result.rows, key),
+    count: new Set(result.rows.map(row => row.id)).size,
+    generations: result.rows.reduce((max, row) => Math.max(max, row.generation), 0),
+  }
+}
+
+/**
+ * Get ancestors of a member up to a number of generations
+ * @param {Object} member - Root member row
+ * @param {number} depth - Maximum number of generations
+ * @returns {Promise<Object>} { tree, count, generations }
+ */
+export const getAncestors = (member, depth) => getLineage(member, depth, 'child_id', 'parent_id', 'parents')
+
+/**
+ * Get descendants of a member up to a number of generations
+ * @param {Object} member - Root member row
+ * @param {number} depth - Maximum number of generations
+ * @returns {Promise<Object>} { tree, count, generations }
+ */
+export const getDescendants = (member, depth) => getLineage(member, depth, 'parent_id', 'child_id', 'children')
+
+/**
+ * Get IDs of spouses of any member in a set
+ * @param {Array<number>} memberIds - Member IDs
+ * @returns {Promise<Array<number>>} Spouse IDs
+ */
+export const getSpouseIds = async (memberIds) => {
+  const result = await query(
+    `SELECT related_member_id AS id FROM family_relationships
+     WHERE relationship_type = 'spouse' AND member_id = ANY($1::int[])
+     UNION
+     SELECT member_id AS id FROM family_relationships
+     WHERE relationship_type = 'spouse' AND related_member_id = ANY($1::int[])`,
+    [memberIds]
+  )
+  return result.rows.map(row => row.id)
+}
+
+/**
+ * Get the unions of any member in a set, one row per couple
+ * @param {Array<number>} memberIds - Member IDs
+ * @returns {Promise<Array>} Spouse rows with both partners' names and the union fields
+ */
+export const getUnionsOf = async (memberIds) => {
+  const result = await query(
+    `SELECT DISTINCT ON (LEAST(fr.member_id, fr.related_member_id), GREATEST(fr.member_id, fr.related_member_id))
+       fr.member_id, a.name AS member_name, fr.related_member_id, b.name AS related_name,
+       ${UNION_FIELDS.map(field => `fr.${field}`).join(', ')}
+     FROM family_relationships fr
+     JOIN family_members a ON a.id = fr.member_id
+     JOIN family_members b ON b.id = fr.related_member_id
+     WHERE fr.relationship_type = 'spouse' AND fr.member_id = ANY($1::int[])
+     ORDER BY LEAST(fr.member_id, fr.related_member_id), GREATEST(fr.member_id, fr.related_member_id)`,
+    [memberIds]
+  )
+  return result.rows
+}
+
+/**
+ * Get the relationship rows between two members, in both directions
+ * @param {number} memberId - Member ID
+ * @param {number} relatedMemberId - Related member ID
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ * @returns {Promise<Array>} Relationship rows
+ */
+export const getRelationshipPair = async (memberId, relatedMemberId, client = { query }) => {
+  const result = await client.query(
+    `SELECT * FROM family_relationships
+     WHERE (member_id = $1 AND related_member_id = $2)
+        OR (member_id = $2 AND related_member_id = $1)
+     ORDER BY id ASC`,
+    [memberId, relatedMemberId]
+  )
+  return result.rows
+}
+
+/**
+ * Create or retype a family relationship together with its inverse row
+ * Union details are only kept for spouses and are written to both rows.
+ * @param {number} memberId - Member ID
+ * @param {number} relatedMemberId - Related member ID
+ * @param {string} relationshipType - Type read as "member is <type> of related"
+ * @param {Object} [union] - Union details (see UNION_FIELDS), spouses only
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ * @returns {Promise<Object>} { relationship, inverse } saved rows
+ */
+export const saveRelationshipPair = async (memberId, relatedMemberId, relationshipType, union = {}, client = { query }) => {
+  const details = relationshipType === 'spouse'
+    ? { ...union, union_type: union.union_type || 'marriage' }
+    : {}
+
+  const result = await client.query(
+    `INSERT INTO family_relationships
+       (member_id, related_member_id, relationship_type, ${UNION_FIELDS.join(', ')})
+     VALUES ($1, $2, $3, $5, $6, $7, $8, $9), ($2, $1, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (member_id, related_member_id)
+     DO UPDATE SET relationship_type = EXCLUDED.relationship_type,
+       ${UNION_FIELDS.map(field => `${field} = EXCLUDED.${field}`).join(', ')}
      RETURNING *`,
-    [memberId, relatedMemberId, relationshipType]
+    [
+      memberId,
+      relatedMemberId,
+      relationshipType,
+      RELATIONSHIP_INVERSES[relationshipType],
+      ...UNION_FIELDS.map(field => details[field] || null),
+    ]
+  )
+
+  return {
+    relationship: result.rows.find(row => row.member_id === memberId),
+    inverse: result.rows.find(row => row.member_id === relatedMemberId),
+  }
+}
+
+/**
+ * Delete the relationship between two members, in both directions
+ * @param {number} memberId - Member ID
+ * @param {number} relatedMemberId - Related member ID
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ * @returns {Promise<Array>} Deleted rows
+ */
+export const deleteRelationshipPair = async (memberId, relatedMemberId, client = { query }) => {
+  const result = await client.query(
+    `DELETE FROM family_relationships
+     WHERE (member_id = $1 AND related_member_id = $2)
+        OR (member_id = $2 AND related_member_id = $1)
+     RETURNING *`,
+    [memberId, relatedMemberId]
+  )
+  return result.rows
+}
+
+/**
+ * Get all relationship rows a member appears in, from either side
+ * @param {number} memberId - Member ID
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ * @returns {Promise<Array>} Relationship rows
+ */
+export const getRelationshipRowsOf = async (memberId, client = { query }) => {
+  const result = await client.query(
+    `SELECT * FROM family_relationships
+     WHERE member_id = $1 OR related_member_id = $1
+     ORDER BY id ASC`,
+    [memberId]
+  )
+  return result.rows
+}
+
+/**
+ * Lock family members until the transaction ends
+ * Relationships to them cannot be added or changed meanwhile either.
+ * @param {Array<number>} ids - Member IDs
+ * @param {Object} client - Transaction client
+ * @returns {Promise<Array>} Locked family members
+ */
+export const lockFamilyMembers = async (ids, client) => {
+  const result = await client.query(
+    `SELECT * FROM family_members WHERE id = ANY($1::int[]) ORDER BY id ASC FOR UPDATE`,
+    [ids]
+  )
+  return result.rows
+}
+
+/**
+ * Count the records attached to a member that a merge moves
+ * @param {number} memberId - Member ID
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ * @returns {Promise<Object>} { life_events, images, citations, translations, articles, audit_logs }
+ */
+export const countMemberRecords = async (memberId, client = { query }) => {
+  const result = await client.query(
+    `SELECT
+       (SELECT COUNT(*) FROM life_events WHERE family_member_id = $1)::int AS life_events,
+       (SELECT COUNT(*) FROM images WHERE family_member_id = $1)::int AS images,
+       (SELECT COUNT(*) FROM citations WHERE family_member_id = $1)::int AS citations,
+       (SELECT COUNT(*) FROM family_member_translations WHERE family_member_id = $1)::int AS translations,
+       (SELECT COUNT(*) FROM articles WHERE family_member_id = $1)::int AS articles,
+       (SELECT COUNT(*) FROM audit_logs WHERE table_name = 'family_members' AND record_id = $1)::int AS audit_logs`,
+    [memberId]
   )
   return result.rows[0]
 }
 
+/**
+ * Move the relationships of one member to another
+ * Rows to relatives both members have, and rows between the two members,
+ * are deleted; the rest are re-pointed. Conflicting types must be resolved first.
+ * @param {number} fromId - Member whose relationships move
+ * @param {number} toId - Member receiving them
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ * @returns {Promise<Object>} { deleted, moved } relationship rows
+ */
+export const moveRelationships = async (fromId, toId, client = { query }) => {
+  const deleted = await client.query(
+    `DELETE FROM family_relationships
+     WHERE (member_id = $1 AND (related_member_id = $2 OR related_member_id IN (
+              SELECT related_member_id FROM family_relationships WHERE member_id = $2)))
+        OR (related_member_id = $1 AND (member_id = $2 OR member_id IN (
+              SELECT member_id FROM family_relationships WHERE related_member_id = $2)))
+     RETURNING *`,
+    [fromId, toId]
+  )
+
+  const moved = await client.query(
+    `UPDATE family_relationships
+     SET member_id = CASE WHEN member_id = $1 THEN $2 ELSE member_id END,
+         related_member_id = CASE WHEN related_member_id = $1 THEN $2 ELSE related_member_id END
+     WHERE member_id = $1 OR related_member_id = $1
+     RETURNING *`,
+    [fromId, toId]
+  )
+
+  return { deleted: deleted.rows, moved: moved.rows }
+}
+
+/**
+ * Move life events, images, citations, translations and audit history of one member to another
+ * Moved images lose their primary flag when the receiving member already has a primary image.
+ * Where both members have a translation into the same language, a reviewed one
+ * is kept over a machine translation, else the receiving member's.
+ * @param {number} fromId - Member whose records move
+ * @param {number} toId - Member receiving them
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ * @returns {Promise<Object>} Number of moved rows per table
+ */
+export const moveMemberRecords = async (fromId, toId, client = { query }) => {
+  const lifeEvents = await client.query(
+    `UPDATE life_events SET family_member_id = $2 WHERE family_member_id = $1`,
+    [fromId, toId]
+  )
+
+  const images = await client.query(
+    `UPDATE images
+     SET family_member_id = $2,
+         is_primary = is_primary AND NOT EXISTS (
+           SELECT 1 FROM images WHERE family_member_id = $2 AND is_primary = true
+         )
+     WHERE family_member_id = $1`,
+    [fromId, toId]
+  )
+
+  const citations = await client.query(
+    `UPDATE citations SET family_member_id = $2 WHERE family_member_id = $1`,
+    [fromId, toId]
+  )
+
+  await client.query(
+    `DELETE FROM family_member_translations t
+     WHERE t.family_member_id = $2 AND t.is_auto_translated AND EXISTS (
+       SELECT 1 FROM family_member_translations d
+       WHERE d.family_member_id = $1 AND d.language = t.language AND NOT d.is_auto_translated
+     )`,
+    [fromId, toId]
+  )
+  const translations = await client.query(
+    `UPDATE family_member_translations SET family_member_id = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE family_member_id = $1 AND language NOT IN (
+       SELECT language FROM family_member_translations WHERE family_member_id = $2
+     )`,
+    [fromId, toId]
+  )
+
+  // The audit trail of the duplicate becomes part of the surviving member's history
+  const auditLogs = await client.query(
+    `UPDATE audit_logs SET record_id = $2 WHERE table_name = 'family_members' AND record_id = $1`,
+    [fromId, toId]
+  )
+
+  return {
+    life_events: lifeEvents.rowCount,
+    images: images.rowCount,
+    citations: citations.rowCount,
+    translations: translations.rowCount,
+    audit_logs: auditLogs.rowCount,
+  }
+}
+
+/**
+ * Move a member's article (with its translations) to another member
+ * @param {number} fromId - Member whose article moves
+ * @param {number} toId - Member receiving it; must not have an article
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ * @returns {Promise<Object|null>} Moved article, or null when there was none
+ */
+export const moveArticle = async (fromId, toId, client = { query }) => {
+  const result = await client.query(
+    `UPDATE articles SET family_member_id = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE family_member_id = $1
+     RETURNING *`,
+    [fromId, toId]
+  )
+  return result.rows[0] || null
+}
+
+/**
+ * Delete a member's article; its translations cascade
+ * @param {number} memberId - Member ID
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ * @returns {Promise<Object|null>} Deleted article, or null when there was none
+ */
+export const deleteMemberArticle = async (memberId, client = { query }) => {
+  const result = await client.query(
+    `DELETE FROM articles WHERE family_member_id = $1 RETURNING *`,
+    [memberId]
+  )
+  return result.rows[0] || null
+}
+
 /**
  * Delete a family member
  * @param {number} id - Member ID
+ * @param {Object} [client] - Transaction client (defaults to the pool)
  * @returns {Promise<void>}
  */
-export const deleteFamilyMember = async (id) => {
+export const deleteFamilyMember = async (id, client = { query }) => {
   try {
     // Delete all relationships involving this member
-    await query(
+    await client.query(
       `DELETE FROM family_relationships 
        WHERE member_id = $1 OR related_member_id = $1`,
       [id]
@@ -223,14 +760,113 @@ export const deleteFamilyMember = async (id) => {
   }
 
   // Delete all articles for this member (and article translations cascade)
-  await query(
+  await client.query(
     `DELETE FROM articles WHERE family_member_id = $1`,
     [id]
   )
 
   // Delete the family member
-  await query(
+  await client.query(
     `DELETE FROM family_members WHERE id = $1`,
     [id]
   )
 }
+
+// Fields with a value per language, written in the member's language
+export const TRANSLATABLE_FIELDS = ['short_bio', 'occupation', 'birth_place']
+
+// Status of a translation: machine translated (auto) or written/reviewed by a person
+const TRANSLATION_STATUS = `CASE WHEN is_auto_translated THEN 'auto' ELSE 'reviewed' END`
+
+/**
+ * Get all translations of a member's fields
+ * @param {number} memberId - Member ID
+ * @returns {Promise<Array>} Translations with status 'auto' or 'reviewed', by language
+ */
+export const getMemberTranslations = async (memberId) => {
+  const result = await query(
+    `SELECT *, ${TRANSLATION_STATUS} AS status
+     FROM family_member_translations
+     WHERE family_member_id = $1
+     ORDER BY language ASC`,
+    [memberId]
+  )
+  return result.rows
+}
+
+/**
+ * Get the translation of a member's fields into one language
+ * @param {number} memberId - Member ID
+ * @param {string} language - Language code
+ * @returns {Promise<Object|null>} Translation, or null when there is none
+ */
+export const getMemberTranslation = async (memberId, language) => {
+  const result = await query(
+    `SELECT *, ${TRANSLATION_STATUS} AS status
+     FROM family_member_translations
+     WHERE family_member_id = $1 AND language = $2`,
+    [memberId, language]
+  )
+  return result.rows[0] || null
+}
+
+/**
+ * Get the translations of several members into one language
+ * @param {Array<number>} memberIds - Member IDs
+ * @param {string} language - Language code
+ * @returns {Promise<Array>} Translations of the members that have one
+ */
+export const getTranslationsForMembers = async (memberIds, language) => {
+  if (!memberIds.length) return []
+
+  const result = await query(
+    `SELECT * FROM family_member_translations
+     WHERE language = $1 AND family_member_id = ANY($2::int[])`,
+    [language, memberIds]
+  )
+  return result.rows
+}
+
+/**
+ * Save the translation of a member's fields, replacing an earlier one in the same language
+ * @param {number} memberId - Member ID
+ * @param {string} language - Language code
+ * @param {Object} values - short_bio, occupation, birth_place (null: shown in the source language)
+ * @param {boolean} isAutoTranslated - Whether translation is automatic
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Saved translation
+ */
+export const saveMemberTranslation = async (memberId, language, values, isAutoTranslated, userId) => {
+  const { short_bio, occupation, birth_place } = values
+
+  const result = await query(
+    `INSERT INTO family_member_translations
+       (family_member_id, language, short_bio, occupation, birth_place, is_auto_translated, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (family_member_id, language) DO UPDATE
+     SET short_bio = EXCLUDED.short_bio,
+         occupation = EXCLUDED.occupation,
+         birth_place = EXCLUDED.birth_place,
+         is_auto_translated = EXCLUDED.is_auto_translated,
+         updated_at = CURRENT_TIMESTAMP
+     RETURNING *, ${TRANSLATION_STATUS} AS status`,
+    [memberId, language, short_bio || null, occupation || null, birth_place || null, isAutoTranslated, userId]
+  )
+  return result.rows[0]
+}
+
+/**
+ * Delete the translation of a member's fields into one language
+ * @param {number} memberId - Member ID
+ * @param {string} language - Language code
+ * @returns {Promise<Object|null>} Deleted translation, or null when there was none
+ */
+export const deleteMemberTranslation = async (memberId, language) => {
+  const result = await query(
+    `DELETE FROM family_member_translations
+     WHERE family_member_id = $1 AND language = $2
+     RETURNING *`,
+    [memberId, language]
+  )
+  return result.rows[0] || null
+}
@@ -2,24 +2,34 @@
  * General Article Model
  * 
  * Database operations for standalone articles (not tied to family members).
- * Supports title, category, and text content.
+ * Supports title, category, and text content, written in the article's
+ * language and translated into others. Every revision is kept in
+ * article_revisions.
  */
 
 import { query } from '../database/db.js'
 
 /**
- * Create a general article
+ * Create a general article, recording its first revision
  * @param {Object} articleData - Article data
+ * @param {Object} [client] - Transaction client (defaults to the pool)
  * @returns {Promise<Object>} Created article
  */
-export const createGeneralArticle = async (articleData) => {
-  const { title, category, content, created_by } = articleData
+export const createGeneralArticle = async (articleData, client = { query }) => {
+  const { title, category, content, format = 'html', source = null, language, created_by } = articleData
 
-  const result = await query(
-    `INSERT INTO general_articles (title, category, content, created_by)
-     VALUES ($1, $2, $3, $4)
-     RETURNING *`,
-    [title, category, content, created_by]
+  const result = await client.query(
+    `WITH created AS (
+       INSERT INTO general_articles (title, category, content, format, source, language, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *
+     ), recorded AS (
+       INSERT INTO article_revisions
+         (general_article_id, revision, language, title, category, content, format, source, created_by)
+       SELECT id, revision, language, title, category, content, format, source, created_by FROM created
+     )
+     SELECT * FROM created`,
+    [title, category, content, format, source, language || 'sr', created_by]
   )
 
   return result.rows[0]
@@ -62,25 +72,62 @@ export const getGeneralArticleById = async (id) => {
 }
 
 /**
- * Update general article
+ * Get general articles by title, ignoring case
+ * @param {Array<string>} titles - Titles
+ * @returns {Promise<Array>} Articles whose title is one of them
+ */
+export const getGeneralArticlesByTitles = async (titles) => {
+  const result = await query(
+    `SELECT * FROM general_articles WHERE LOWER(TRIM(title)) = ANY($1::text[]) ORDER BY id ASC`,
+    [titles.map(title => title.trim().toLowerCase())]
+  )
+
+  return result.rows
+}
+
+/**
+ * Update general article; a change of title, category, content or language
+ * starts a new revision, which is recorded
  * @param {number} id - Article ID
- * @param {Object} updateData - Data to update
+ * @param {Object} updateData - Data to update; format and source (wiki
+ *   markup, null for HTML) are only changed with content
  * @param {number} userId - User ID making the update
+ * @param {number} [restoredFrom] - Revision being restored
+ * @param {Object} [client] - Transaction client (defaults to the pool)
  * @returns {Promise<Object>} Updated article
  */
-export const updateGeneralArticle = async (id, updateData, userId) => {
-  const { title, category, content } = updateData
+export const updateGeneralArticle = async (id, updateData, userId, restoredFrom = null, client = { query }) => {
+  const { title, category, content, format = 'html', source = null, language } = updateData
 
-  const result = await query(
-    `UPDATE general_articles
-     SET title = COALESCE($1, title),
-         category = COALESCE($2, category),
-         content = COALESCE($3, content),
-         updated_by = $4,
-         updated_at = CURRENT_TIMESTAMP
-     WHERE id = $5
-     RETURNING *`,
-    [title, category, content, userId, id]
+  const result = await client.query(
+    `WITH updated AS (
+       UPDATE general_articles
+       SET revision = revision + (
+             (title, category, content, format, source, language) IS DISTINCT FROM (
+               COALESCE($1, title), COALESCE($2, category), COALESCE($3, content),
+               CASE WHEN $3 IS NULL THEN format ELSE $8 END,
+               CASE WHEN $3 IS NULL THEN source ELSE $9 END,
+               COALESCE($4, language)
+             )
+           )::int,
+           title = COALESCE($1, title),
+           category = COALESCE($2, category),
+           content = COALESCE($3, content),
+           format = CASE WHEN $3 IS NULL THEN format ELSE $8 END,
+           source = CASE WHEN $3 IS NULL THEN source ELSE $9 END,
+           language = COALESCE($4, language),
+           updated_by = $5,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6
+       RETURNING *
+     ), recorded AS (
+       INSERT INTO article_revisions
+         (general_article_id, revision, language, title, category, content, format, source, restored_from, created_by)
+       SELECT id, revision, language, title, category, content, format, source, $7::int, updated_by FROM updated
+       ON CONFLICT (general_article_id, revision) DO NOTHING
+     )
+     SELECT * FROM updated`,
+    [title, category, content, language, userId, id, restoredFrom, format, source]
   )
 
   return result.rows[0]
@@ -100,6 +147,44 @@ export const deleteGeneralArticle = async (id) => {
   return result.rows.length > 0
 }
 
+/**
+ * Get the revisions of a general article, newest first, without their content
+ * @param {number} id - Article ID
+ * @returns {Promise<Array>} Revisions with title, editor name and content size (characters)
+ */
+export const getRevisions = async (id) => {
+  const result = await query(
+    `SELECT
+       r.id, r.revision, r.language, r.title, r.category, r.format, r.restored_from,
+       r.created_by, u.name AS created_by_name, r.created_at, COALESCE(LENGTH(r.content), 0) AS size
+     FROM article_revisions r
+     LEFT JOIN users u ON r.created_by = u.id
+     WHERE r.general_article_id = $1
+     ORDER BY r.revision DESC`,
+    [id]
+  )
+
+  return result.rows
+}
+
+/**
+ * Get one revision of a general article
+ * @param {number} id - Article ID
+ * @param {number} revision - Revision number
+ * @returns {Promise<Object|null>} Revision with its content and editor name, or null
+ */
+export const getRevision = async (id, revision) => {
+  const result = await query(
+    `SELECT r.*, u.name AS created_by_name
+     FROM article_revisions r
+     LEFT JOIN users u ON r.created_by = u.id
+     WHERE r.general_article_id = $1 AND r.revision = $2`,
+    [id, revision]
+  )
+
+  return result.rows[0] || null
+}
+
 /**
  * Get all unique categories
  * @returns {Promise<Array>} List of categories
@@ -111,3 +196,106 @@ export const getCategories = async () => {
 
   return result.rows.map(row => row.category)
 }
+
+// Fields with a value per language, written in the article's language
+export const TRANSLATABLE_FIELDS = ['title', 'content']
+
+// Status of a translation: machine translated (auto) or written/reviewed by a person
+const TRANSLATION_STATUS = `CASE WHEN is_auto_translated THEN 'auto' ELSE 'reviewed' END`
+
+/**
+ * Get all translations of a general article
+ * @param {number} articleId - Article ID
+ * @returns {Promise<Array>} Translations with status 'auto' or 'reviewed', by language
+ */
+export const getTranslations = async (articleId) => {
+  const result = await query(
+    `SELECT *, ${TRANSLATION_STATUS} AS status
+     FROM general_article_translations
+     WHERE general_article_id = $1
+     ORDER BY language ASC`,
+    [articleId]
+  )
+
+  return result.rows
+}
+
+/**
+ * Get the translation of a general article into one language
+ * @param {number} articleId - Article ID
+ * @param {string} language - Language code
+ * @returns {Promise<Object|null>} Translation, or null when there is none
+ */
+export const getTranslation = async (articleId, language) => {
+  const result = await query(
+    `SELECT *, ${TRANSLATION_STATUS} AS status
+     FROM general_article_translations
+     WHERE general_article_id = $1 AND language = $2`,
+    [articleId, language]
+  )
+
+  return result.rows[0] || null
+}
+
+/**
+ * Get the translations of several general articles into one language
+ * @param {Array<number>} articleIds - Article IDs
+ * @param {string} language - Language code
+ * @returns {Promise<Array>} Translations of the articles that have one
+ */
+export const getTranslationsForArticles = async (articleIds, language) => {
+  if (!articleIds.length) return []
+
+  const result = await query(
+    `SELECT * FROM general_article_translations
+     WHERE language = $1 AND general_article_id = ANY($2::int[])`,
+    [language, articleIds]
+  )
+
+  return result.rows
+}
+
+/**
+ * Save a general article translation, replacing an earlier one in the same language
+ * @param {number} articleId - Article ID
+ * @param {string} language - Language code
+ * @param {Object} values - title, content (null: shown in the source language)
+ * @param {boolean} isAutoTranslated - Whether translation is automatic
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Saved translation
+ */
+export const saveTranslation = async (articleId, language, values, isAutoTranslated, userId) => {
+  const { title, content } = values
+
+  const result = await query(
+    `INSERT INTO general_article_translations
+       (general_article_id, language, title, content, is_auto_translated, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (general_article_id, language) DO UPDATE
+     SET title = EXCLUDED.title,
+         content = EXCLUDED.content,
+         is_auto_translated = EXCLUDED.is_auto_translated,
+         updated_at = CURRENT_TIMESTAMP
+     RETURNING *, ${TRANSLATION_STATUS} AS status`,
+    [articleId, language, title || null, content || null, isAutoTranslated, userId]
+  )
+
+  return result.rows[0]
+}
+
+/**
+ * Delete a general article translation
+ * @param {number} articleId - Article ID
+ * @param {string} language - Language code
+ * @returns {Promise<Object|null>} Deleted translation, or null when there was none
+ */
+export const deleteTranslation = async (articleId, language) => {
+  const result = await query(
+    `DELETE FROM general_article_translations
+     WHERE general_article_id = $1 AND language = $2
+     RETURNING *`,
+    [articleId, language]
+  )
+
+  return result.rows[0] || null
+}
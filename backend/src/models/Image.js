@@ -2,7 +2,8 @@
  * Image Model
  * 
  * Database operations for image/media file management.
- * Supports images for both family members and articles with sizing, captions, and galleries.
+ * Supports images for family members and articles with sizing, captions, and galleries,
+ * and scans of sources (register pages, letters, documents).
  */
 
 import { query } from '../database/db.js'
@@ -16,6 +17,7 @@ export const createImage = async (imageData) => {
   const { 
     family_member_id, 
     article_id,
+    source_id,
     filename, 
     file_path, 
     file_size, 
@@ -32,14 +34,15 @@ export const createImage = async (imageData) => {
 
   const result = await query(
     `INSERT INTO images (
-      family_member_id, article_id, filename, file_path, file_size, 
+      family_member_id, article_id, source_id, filename, file_path, file_size, 
       mime_type, uploaded_by, description, caption, width, height, 
       display_width, alt_text, is_primary
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
      RETURNING *`,
     [
       family_member_id || null, 
       article_id || null,
+      source_id || null,
       filename, 
       file_path, 
       file_size, 
@@ -72,6 +75,20 @@ export const getImageById = async (id) => {
   return result.rows[0] || null
 }
 
+/**
+ * Get images by IDs
+ * @param {Array<number>} ids - Image IDs
+ * @returns {Promise<Array>} Matching images
+ */
+export const getImagesByIds = async (ids) => {
+  const result = await query(
+    `SELECT * FROM images WHERE id = ANY($1::int[])`,
+    [ids]
+  )
+
+  return result.rows
+}
+
 /**
  * Get all images for a family member
  * @param {number} familyMemberId - Family member ID
@@ -100,6 +117,20 @@ export const getImagesByArticle = async (articleId) => {
   return result.rows
 }
 
+/**
+ * Get all scans of a source
+ * @param {number} sourceId - Source ID
+ * @returns {Promise<Array>} Array of images
+ */
+export const getImagesBySource = async (sourceId) => {
+  const result = await query(
+    `SELECT * FROM images WHERE source_id = $1 ORDER BY created_at ASC`,
+    [sourceId]
+  )
+
+  return result.rows
+}
+
 /**
  * Get primary image for a family member
  * @param {number} familyMemberId - Family member ID
@@ -114,6 +145,22 @@ export const getPrimaryImage = async (familyMemberId) => {
   return result.rows[0] || null
 }
 
+/**
+ * Get primary images for several family members at once
+ * @param {Array<number>} familyMemberIds - Family member IDs
+ * @returns {Promise<Array>} Primary images (at most one per member)
+ */
+export const getPrimaryImagesForMembers = async (familyMemberIds) => {
+  const result = await query(
+    `SELECT DISTINCT ON (family_member_id) * FROM images
+     WHERE family_member_id = ANY($1::int[]) AND is_primary = true
+     ORDER BY family_member_id, created_at DESC`,
+    [familyMemberIds]
+  )
+
+  return result.rows
+}
+
 /**
  * Update image record
  * Supports updating caption, alt text, display width, and metadata
@@ -0,0 +1,112 @@
+/**
+ * Life Event Model
+ * 
+ * Database operations for dated events in a family member's life beyond
+ * birth, death and burial: emigration, military service, education, etc.
+ * Event dates are partial dates (see utils/partialDate.js).
+ */
+
+import { query } from '../database/db.js'
+import { dateKey } from '../utils/partialDate.js'
+
+/**
+ * Sort events chronologically; undated events go last
+ * @param {Array} events - life_events rows
+ * @returns {Array} Sorted events
+ */
+const byDate = (events) => events.sort((a, b) =>
+  (a.event_date ? dateKey(a.event_date) : Infinity) - (b.event_date ? dateKey(b.event_date) : Infinity)
+  || a.id - b.id
+)
+
+/**
+ * Get all life events of a member, oldest first
+ * @param {number} memberId - Family member ID
+ * @returns {Promise<Array>} Life events
+ */
+export const getLifeEventsByMember = async (memberId) => {
+  const result = await query(
+    `SELECT * FROM life_events WHERE family_member_id = $1`,
+    [memberId]
+  )
+
+  return byDate(result.rows)
+}
+
+/**
+ * Get a single life event of a member
+ * @param {number} memberId - Family member ID
+ * @param {number} eventId - Life event ID
+ * @returns {Promise<Object|null>} Life event, or null if the member has no such event
+ */
+export const getLifeEvent = async (memberId, eventId) => {
+  const result = await query(
+    `SELECT * FROM life_events WHERE id = $1 AND family_member_id = $2`,
+    [eventId, memberId]
+  )
+
+  return result.rows[0] || null
+}
+
+/**
+ * Create a life event
+ * @param {number} memberId - Family member ID
+ * @param {Object} eventData - event_type, event_date, place, place_id, description, source
+ * @param {number} userId - User creating the event
+ * @returns {Promise<Object>} Created life event
+ */
+export const createLifeEvent = async (memberId, eventData, userId) => {
+  const { event_type, event_date, place, place_id, description, source } = eventData
+
+  const result = await query(
+    `INSERT INTO life_events (family_member_id, event_type, event_date, place, place_id, description, source, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [memberId, event_type, event_date || null, place || null, place_id || null, description || null, source || null, userId]
+  )
+
+  return result.rows[0]
+}
+
+/**
+ * Update a life event
+ * @param {number} eventId - Life event ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated life event
+ */
+export const updateLifeEvent = async (eventId, updates) => {
+  const updateFields = []
+  const values = []
+  let paramCount = 1
+
+  Object.entries(updates).forEach(([key, value]) => {
+    updateFields.push(`${key} = $${paramCount++}`)
+    values.push(value === '' ? null : value)
+  })
+
+  values.push(eventId)
+
+  const result = await query(
+    `UPDATE life_events
+     SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${paramCount}
+     RETURNING *`,
+    values
+  )
+
+  return result.rows[0]
+}
+
+/**
+ * Delete a life event
+ * @param {number} eventId - Life event ID
+ * @returns {Promise<Object>} Deleted life event
+ */
+export const deleteLifeEvent = async (eventId) => {
+  const result = await query(
+    `DELETE FROM life_events WHERE id = $1 RETURNING *`,
+    [eventId]
+  )
+
+  return result.rows[0]
+}
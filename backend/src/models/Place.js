@@ -0,0 +1,367 @@
+/**
+ * Place Model
+ *
+ * Database operations for the places registry. Each real place has one row
+ * with its normalised name, other spellings (alternate_names), country,
+ * coordinates and the place it lies in (parent_id). Members and life events
+ * reference places next to their free-text place fields.
+ */
+
+import { query } from '../database/db.js'
+
+// Letters compared without their diacritics, so "Rozaje" finds "Rožaje"
+const FOLDED_LETTERS = {
+  č: 'c', ć: 'c', ž: 'z', š: 's', đ: 'd',
+  á: 'a', à: 'a', â: 'a', ä: 'a', ã: 'a', å: 'a',
+  é: 'e', è: 'e', ê: 'e', ë: 'e',
+  í: 'i', ì: 'i', î: 'i', ï: 'i',
+  ó: 'o', ò: 'o', ô: 'o', ö: 'o', õ: 'o', ő: 'o',
+  ú: 'u', ù: 'u', û: 'u', ü: 'u', ű: 'u',
+  ý: 'y', ÿ: 'y', ñ: 'n', ç: 'c', ł: 'l', ń: 'n', ś: 's', ź: 'z', ż: 'z',
+}
+
+// LOWER() leaves non-ASCII letters alone under the C locale, so capitals are listed too
+const FOLD_FROM = Object.keys(FOLDED_LETTERS).join('') + Object.keys(FOLDED_LETTERS).join('').toUpperCase()
+const FOLD_TO = Object.values(FOLDED_LETTERS).join('').repeat(2)
+
+/**
+ * SQL expression comparing a text without case and diacritics
+ * @param {string} expression - SQL expression of the text
+ * @returns {string} SQL expression
+ */
+const fold = (expression) => `translate(LOWER(${expression}), '${FOLD_FROM}', '${FOLD_TO}')`
+
+/**
+ * Places with their full name: the place followed by the places it lies in,
+ * and the country when the hierarchy does not already end with it
+ * ("Bać, Rožaje, Montenegro"). The depth limit guards against cycles.
+ */
+const PLACE_SELECT = `
+  WITH RECURSIVE chain AS (
+    SELECT id AS place_id, parent_id, name, 0 AS depth FROM places
+    UNION ALL
+    SELECT c.place_id, p.parent_id, p.name, c.depth + 1
+    FROM chain c JOIN places p ON p.id = c.parent_id
+    WHERE c.depth < 10
+  ),
+  paths AS (
+    SELECT place_id,
+           string_agg(name, ', ' ORDER BY depth) AS path,
+           (array_agg(name ORDER BY depth DESC))[1] AS top_name
+    FROM chain GROUP BY place_id
+  )
+  SELECT p.*, parent.name AS parent_name,
+         CASE WHEN p.country IS NULL OR paths.top_name = p.country THEN paths.path
+              ELSE paths.path || ', ' || p.country END AS full_name,
+         ((SELECT COUNT(*) FROM family_members m WHERE p.id IN (m.birth_place_id, m.death_place_id, m.burial_place_id))
+          + (SELECT COUNT(*) FROM life_events e WHERE e.place_id = p.id))::int AS use_count
+  FROM places p
+  JOIN paths ON paths.place_id = p.id
+  LEFT JOIN places parent ON parent.id = p.parent_id`
+
+/**
+ * pg returns NUMERIC columns as strings; coordinates are used as numbers
+ * @param {Object} place - places row
+ * @returns {Object} Place with numeric latitude/longitude
+ */
+const withCoordinates = (place) => place && {
+  ...place,
+  latitude: place.latitude === null ? null : Number(place.latitude),
+  longitude: place.longitude === null ? null : Number(place.longitude),
+}
+
+/**
+ * Get all places, or those matching a search
+ * @param {Object} filters - Filter options
+ * @param {string} [filters.q] - Matches the name or an alternate name, ignoring case and diacritics
+ * @param {string} [filters.country] - Only places in this country
+ * @param {number} [filters.limit] - Maximum number of places (autocomplete)
+ * @returns {Promise<Array>} Places by name, names starting with the search first
+ */
+export const getAllPlaces = async (filters = {}) => {
+  const conditions = []
+  const params = []
+  let order = 'p.name ASC'
+
+  if (filters.q) {
+    params.push(filters.q)
+    const term = `'%' || ${fold(`$${params.length}`)} || '%'`
+    conditions.push(`(${fold('p.name')} LIKE ${term}
+      OR EXISTS (SELECT 1 FROM unnest(p.alternate_names) alt WHERE ${fold('alt')} LIKE ${term}))`)
+    order = `(${fold('p.name')} LIKE ${fold(`$${params.length}`)} || '%') DESC, ${order}`
+  }
+
+  if (filters.country) {
+    params.push(filters.country)
+    conditions.push(`p.country = $${params.length}`)
+  }
+
+  let limit = ''
+  if (filters.limit) {
+    params.push(filters.limit)
+    limit = `LIMIT $${params.length}`
+  }
+
+  const result = await query(
+    `${PLACE_SELECT}
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY ${order}
+     ${limit}`,
+    params
+  )
+
+  return result.rows.map(withCoordinates)
+}
+
+/**
+ * Get place by ID
+ * @param {number} id - Place ID
+ * @returns {Promise<Object|null>} Place with full_name, or null
+ */
+export const getPlaceById = async (id) => {
+  const result = await query(
+    `${PLACE_SELECT} WHERE p.id = $1`,
+    [id]
+  )
+
+  return withCoordinates(result.rows[0]) || null
+}
+
+/**
+ * Get places by IDs
+ * @param {Array<number>} ids - Place IDs
+ * @returns {Promise<Array>} Places with full_name
+ */
+export const getPlacesByIds = async (ids) => {
+  const result = await query(
+    `${PLACE_SELECT} WHERE p.id = ANY($1::int[])`,
+    [ids]
+  )
+
+  return result.rows.map(withCoordinates)
+}
+
+/**
+ * Get the places directly inside a place
+ * @param {number} id - Place ID
+ * @returns {Promise<Array>} Child places by name
+ */
+export const getChildPlaces = async (id) => {
+  const result = await query(
+    `SELECT id, name, place_type FROM places WHERE parent_id = $1 ORDER BY name ASC`,
+    [id]
+  )
+
+  return result.rows
+}
+
+/**
+ * Get IDs of a place and every place it lies in
+ * @param {number} id - Place ID
+ * @returns {Promise<Array<number>>} The place's ID followed by its ancestors'
+ */
+export const getPlaceChainIds = async (id) => {
+  const result = await query(
+    `WITH RECURSIVE chain(id, parent_id, depth) AS (
+       SELECT id, parent_id, 0 FROM places WHERE id = $1
+       UNION ALL
+       SELECT p.id, p.parent_id, c.depth + 1
+       FROM places p JOIN chain c ON p.id = c.parent_id
+       WHERE c.depth < 10
+     )
+     SELECT id FROM chain ORDER BY depth`,
+    [id]
+  )
+
+  return result.rows.map(row => row.id)
+}
+
+/**
+ * Create a place
+ * @param {Object} placeData - name, alternate_names, place_type, country, parent_id, latitude, longitude, notes
+ * @param {number} userId - User creating the place
+ * @returns {Promise<Object>} Created place
+ */
+export const createPlace = async (placeData, userId) => {
+  const { name, alternate_names, place_type, country, parent_id, latitude, longitude, notes } = placeData
+
+  const result = await query(
+    `INSERT INTO places (name, alternate_names, place_type, country, parent_id, latitude, longitude, notes, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      name, alternate_names || [], place_type || 'settlement', country || null, parent_id || null,
+      latitude ?? null, longitude ?? null, notes || null, userId,
+    ]
+  )
+
+  return withCoordinates(result.rows[0])
+}
+
+/**
+ * Update a place
+ * @param {number} id - Place ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated place
+ */
+export const updatePlace = async (id, updates) => {
+  const updateFields = []
+  const values = []
+  let paramCount = 1
+
+  Object.entries(updates).forEach(([key, value]) => {
+    updateFields.push(`${key} = $${paramCount++}`)
+    values.push(value === '' ? null : value)
+  })
+
+  values.push(id)
+
+  const result = await query(
+    `UPDATE places
+     SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${paramCount}
+     RETURNING *`,
+    values
+  )
+
+  return withCoordinates(result.rows[0])
+}
+
+/**
+ * Delete a place; references from members, events and child places are cleared
+ * @param {number} id - Place ID
+ * @returns {Promise<Object>} Deleted place
+ */
+export const deletePlace = async (id) => {
+  const result = await query(
+    `DELETE FROM places WHERE id = $1 RETURNING *`,
+    [id]
+  )
+
+  return result.rows[0]
+}
+
+/**
+ * Free-text places of members and life events not yet linked to a place,
+ * each with a suggested place: one whose name or alternate name matches
+ * the text, or its first part ("Rozaje, Montenegro" suggests "Rožaje")
+ * @returns {Promise<Array>} { name, count, suggestion_id }, most used first
+ */
+export const getUnlinkedPlaceNames = async () => {
+  const result = await query(
+    `WITH names AS (
+       SELECT birth_place AS name FROM family_members WHERE birth_place_id IS NULL
+       UNION ALL
+       SELECT death_place FROM family_members WHERE death_place_id IS NULL
+       UNION ALL
+       SELECT burial_place FROM family_members WHERE burial_place_id IS NULL
+       UNION ALL
+       SELECT place FROM life_events WHERE place_id IS NULL
+     ),
+     counted AS (
+       SELECT name, COUNT(*)::int AS count FROM names
+       WHERE name IS NOT NULL AND TRIM(name) <> ''
+       GROUP BY name
+     )
+     SELECT counted.name, counted.count, match.id AS suggestion_id
+     FROM counted
+     LEFT JOIN LATERAL (
+       SELECT p.id FROM places p
+       WHERE ${fold('p.name')} IN (${fold('counted.name')}, ${fold("TRIM(split_part(counted.name, ',', 1))")})
+          OR EXISTS (
+            SELECT 1 FROM unnest(p.alternate_names) alt
+            WHERE ${fold('alt')} IN (${fold('counted.name')}, ${fold("TRIM(split_part(counted.name, ',', 1))")})
+          )
+       ORDER BY p.id
+       LIMIT 1
+     ) match ON true
+     ORDER BY counted.count DESC, counted.name ASC`
+  )
+
+  return result.rows
+}
+
+/**
+ * Link every unlinked member and life event place with this text to a place
+ * The linked records show the place's full name instead of the text; the text
+ * is kept as an alternate name of the place when it is a different spelling.
+ * @param {Object} place - Place with full_name
+ * @param {string} name - Free-text place as entered
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ * @returns {Promise<number>} Number of places linked
+ */
+export const linkPlaceName = async (place, name, client = { query }) => {
+  let linked = 0
+
+  for (const field of ['birth_place', 'death_place', 'burial_place']) {
+    const result = await client.query(
+      `UPDATE family_members SET ${field}_id = $1, ${field} = $3
+       WHERE ${field}_id IS NULL AND ${field} = $2`,
+      [place.id, name, place.full_name]
+    )
+    linked += result.rowCount
+  }
+
+  const events = await client.query(
+    `UPDATE life_events SET place_id = $1, place = $3
+     WHERE place_id IS NULL AND place = $2`,
+    [place.id, name, place.full_name]
+  )
+  linked += events.rowCount
+
+  await client.query(
+    `UPDATE places SET alternate_names = array_append(alternate_names, $2::text), updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND $2 <> $3 AND ${fold('name')} <> ${fold('$2')} AND NOT $2 = ANY(alternate_names)`,
+    [place.id, name, place.full_name]
+  )
+
+  return linked
+}
+
+/**
+ * Births, deaths and life events of all members that have a linked place
+ * @returns {Promise<Array>} Rows { kind: 'birth'|'death'|'life_event', event_type, member_id, member_name, date, place_id }
+ */
+export const getPlaceEntries = async () => {
+  const result = await query(
+    `SELECT 'birth' AS kind, NULL AS event_type, id AS member_id, name AS member_name,
+            birth_date AS date, birth_place_id AS place_id
+     FROM family_members WHERE birth_place_id IS NOT NULL
+     UNION ALL
+     SELECT 'death', NULL, id, name, death_date, death_place_id
+     FROM family_members WHERE death_place_id IS NOT NULL
+     UNION ALL
+     SELECT 'life_event', e.event_type, m.id, m.name, e.event_date, e.place_id
+     FROM life_events e JOIN family_members m ON m.id = e.family_member_id
+     WHERE e.place_id IS NOT NULL`
+  )
+
+  return result.rows
+}
+
+/**
+ * Fill the free-text place fields of a member or life event write from
+ * their linked places. A linked place sets the text to its full name; text
+ * sent without its place ID is free text again and unlinks the place.
+ * @param {Object} data - Fields being written
+ * @param {Array<string>} fields - Text fields with a `${field}_id` reference, e.g. ['birth_place']
+ * @returns {Promise<Object>} Fields with place texts and IDs in step
+ */
+export const withPlaceNames = async (data, fields) => {
+  const filled = { ...data }
+  const ids = fields.map(field => filled[`${field}_id`]).filter(Boolean)
+  const places = ids.length ? await getPlacesByIds(ids) : []
+
+  fields.forEach((field) => {
+    const idField = `${field}_id`
+    if (filled[idField]) {
+      // Unknown IDs are left for the foreign key to reject
+      const place = places.find(p => p.id === filled[idField])
+      if (place) filled[field] = place.full_name
+    } else if (field in filled) {
+      filled[idField] = null
+    }
+  })
+
+  return filled
+}
@@ -0,0 +1,119 @@
+/**
+ * Source Model
+ *
+ * Database operations for sources: parish registers, civil records,
+ * interviews, letters, documents, ... that facts and biographies come from.
+ * Scans of a source are stored in the images table (images.source_id).
+ */
+
+import { query } from '../database/db.js'
+
+/**
+ * Get all sources with the number of citations of each
+ * @param {Object} filters - Filter options
+ * @param {string} [filters.q] - Search term matched against title, author and repository
+ * @param {string} [filters.source_type] - Only sources of this type
+ * @returns {Promise<Array>} List of sources, by title
+ */
+export const getAllSources = async (filters = {}) => {
+  const conditions = []
+  const params = []
+
+  if (filters.q) {
+    params.push(`%${filters.q}%`)
+    conditions.push(`(s.title ILIKE $${params.length} OR s.author ILIKE $${params.length} OR s.repository ILIKE $${params.length})`)
+  }
+
+  if (filters.source_type) {
+    params.push(filters.source_type)
+    conditions.push(`s.source_type = $${params.length}`)
+  }
+
+  const result = await query(
+    `SELECT s.*, COUNT(c.id)::int AS citation_count
+     FROM sources s
+     LEFT JOIN citations c ON c.source_id = s.id
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     GROUP BY s.id
+     ORDER BY s.title ASC`,
+    params
+  )
+
+  return result.rows
+}
+
+/**
+ * Get source by ID
+ * @param {number} id - Source ID
+ * @returns {Promise<Object|null>} Source or null
+ */
+export const getSourceById = async (id) => {
+  const result = await query(
+    `SELECT * FROM sources WHERE id = $1`,
+    [id]
+  )
+
+  return result.rows[0] || null
+}
+
+/**
+ * Create a source
+ * @param {Object} sourceData - title, source_type, author, repository, url, notes
+ * @param {number} userId - User creating the source
+ * @returns {Promise<Object>} Created source
+ */
+export const createSource = async (sourceData, userId) => {
+  const { title, source_type, author, repository, url, notes } = sourceData
+
+  const result = await query(
+    `INSERT INTO sources (title, source_type, author, repository, url, notes, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [title, source_type || 'document', author || null, repository || null, url || null, notes || null, userId]
+  )
+
+  return result.rows[0]
+}
+
+/**
+ * Update a source
+ * @param {number} id - Source ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated source
+ */
+export const updateSource = async (id, updates) => {
+  const updateFields = []
+  const values = []
+  let paramCount = 1
+
+  Object.entries(updates).forEach(([key, value]) => {
+    updateFields.push(`${key} = $${paramCount++}`)
+    values.push(value === '' ? null : value)
+  })
+
+  values.push(id)
+
+  const result = await query(
+    `UPDATE sources
+     SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${paramCount}
+     RETURNING *`,
+    values
+  )
+
+  return result.rows[0]
+}
+
+/**
+ * Delete a source (its citations and scan records are cascade deleted)
+ * @param {number} id - Source ID
+ * @returns {Promise<Object>} Deleted source
+ */
+export const deleteSource = async (id) => {
+  const result = await query(
+    `DELETE FROM sources WHERE id = $1 RETURNING *`,
+    [id]
+  )
+
+  return result.rows[0]
+}
@@ -0,0 +1,156 @@
+/**
+ * Translation Glossary Model
+ *
+ * Database operations for the translation glossary: family-specific terms
+ * (villages, clans, dialect kinship terms) and how machine translation
+ * should render them from one language into another. An entry without a
+ * translation keeps the term as it is.
+ */
+
+import { query } from '../database/db.js'
+
+/**
+ * Get glossary entries
+ * @param {Object} filters - Filter options
+ * @param {string} [filters.source_language] - Only entries from this language
+ * @param {string} [filters.target_language] - Only entries into this language
+ * @param {string} [filters.q] - Search term matched against term and translation
+ * @returns {Promise<Array>} Entries by language pair and term
+ */
+export const getAllEntries = async (filters = {}) => {
+  const conditions = []
+  const params = []
+
+  if (filters.source_language) {
+    params.push(filters.source_language)
+    conditions.push(`source_language = $${params.length}`)
+  }
+
+  if (filters.target_language) {
+    params.push(filters.target_language)
+    conditions.push(`target_language = $${params.length}`)
+  }
+
+  if (filters.q) {
+    params.push(`%${filters.q}%`)
+    conditions.push(`(term ILIKE $${params.length} OR translation ILIKE $${params.length})`)
+  }
+
+  const result = await query(
+    `SELECT * FROM translation_glossary
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY source_language, target_language, LOWER(term)`,
+    params
+  )
+
+  return result.rows
+}
+
+/**
+ * Get the entries used when translating from one language into another
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @returns {Promise<Array>} Entries ({ term, translation })
+ */
+export const getGlossaryForPair = async (sourceLanguage, targetLanguage) => {
+  const result = await query(
+    `SELECT term, translation FROM translation_glossary
+     WHERE source_language = $1 AND target_language = $2`,
+    [sourceLanguage, targetLanguage]
+  )
+
+  return result.rows
+}
+
+/**
+ * Get glossary entry by ID
+ * @param {number} id - Entry ID
+ * @returns {Promise<Object|null>} Entry or null
+ */
+export const getEntryById = async (id) => {
+  const result = await query(
+    `SELECT * FROM translation_glossary WHERE id = $1`,
+    [id]
+  )
+
+  return result.rows[0] || null
+}
+
+/**
+ * Get the entry for a term in a language pair, ignoring case
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @param {string} term - Term
+ * @returns {Promise<Object|null>} Entry or null
+ */
+export const getEntryByTerm = async (sourceLanguage, targetLanguage, term) => {
+  const result = await query(
+    `SELECT * FROM translation_glossary
+     WHERE source_language = $1 AND target_language = $2 AND LOWER(term) = LOWER($3)`,
+    [sourceLanguage, targetLanguage, term]
+  )
+
+  return result.rows[0] || null
+}
+
+/**
+ * Create a glossary entry
+ * @param {Object} entryData - source_language, target_language, term, translation, notes
+ * @param {number} userId - User creating the entry
+ * @returns {Promise<Object>} Created entry
+ */
+export const createEntry = async (entryData, userId) => {
+  const { source_language, target_language, term, translation, notes } = entryData
+
+  const result = await query(
+    `INSERT INTO translation_glossary (source_language, target_language, term, translation, notes, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [source_language, target_language, term, translation || null, notes || null, userId]
+  )
+
+  return result.rows[0]
+}
+
+/**
+ * Update a glossary entry
+ * @param {number} id - Entry ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated entry
+ */
+export const updateEntry = async (id, updates) => {
+  const updateFields = []
+  const values = []
+  let paramCount = 1
+
+  Object.entries(updates).forEach(([key, value]) => {
+    updateFields.push(`${key} = $${paramCount++}`)
+    values.push(value === '' ? null : value)
+  })
+
+  values.push(id)
+
+  const result = await query(
+    `UPDATE translation_glossary
+     SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${paramCount}
+     RETURNING *`,
+    values
+  )
+
+  return result.rows[0]
+}
+
+/**
+ * Delete a glossary entry
+ * @param {number} id - Entry ID
+ * @returns {Promise<Object>} Deleted entry
+ */
+export const deleteEntry = async (id) => {
+  const result = await query(
+    `DELETE FROM translation_glossary WHERE id = $1 RETURNING *`,
+    [id]
+  )
+
+  return result.rows[0]
+}
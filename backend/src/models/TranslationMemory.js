@@ -0,0 +1,127 @@
+/**
+ * Translation Memory Model
+ *
+ * Database operations for the translation memory: segments of articles (see
+ * utils/htmlSegments.js) with the translation a person gave them, reused
+ * when the same segment is machine translated again.
+ */
+
+import { query } from '../database/db.js'
+
+/**
+ * Get translation memory entries
+ * @param {Object} filters - Filter options
+ * @param {string} [filters.source_language] - Only segments from this language
+ * @param {string} [filters.target_language] - Only segments into this language
+ * @param {string} [filters.q] - Search term matched against both texts
+ * @param {number} [filters.limit] - Maximum number of entries
+ * @returns {Promise<Array>} Entries, most recently changed first
+ */
+export const getAllEntries = async (filters = {}) => {
+  const conditions = []
+  const params = []
+
+  if (filters.source_language) {
+    params.push(filters.source_language)
+    conditions.push(`source_language = $${params.length}`)
+  }
+
+  if (filters.target_language) {
+    params.push(filters.target_language)
+    conditions.push(`target_language = $${params.length}`)
+  }
+
+  if (filters.q) {
+    params.push(`%${filters.q}%`)
+    conditions.push(`(source_text ILIKE $${params.length} OR target_text ILIKE $${params.length})`)
+  }
+
+  let limit = ''
+  if (filters.limit) {
+    params.push(filters.limit)
+    limit = `LIMIT $${params.length}`
+  }
+
+  const result = await query(
+    `SELECT * FROM translation_memory
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY updated_at DESC, id DESC
+     ${limit}`,
+    params
+  )
+
+  return result.rows
+}
+
+/**
+ * Get translation memory entry by ID
+ * @param {number} id - Entry ID
+ * @returns {Promise<Object|null>} Entry or null
+ */
+export const getEntryById = async (id) => {
+  const result = await query(
+    `SELECT * FROM translation_memory WHERE id = $1`,
+    [id]
+  )
+
+  return result.rows[0] || null
+}
+
+/**
+ * Look up the remembered translations of segments
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @param {Array<string>} texts - Source segments
+ * @returns {Promise<Map<string, string>>} Translation by source segment, for those remembered
+ */
+export const findTranslations = async (sourceLanguage, targetLanguage, texts) => {
+  if (!texts.length) return new Map()
+
+  const result = await query(
+    `SELECT source_text, target_text FROM translation_memory
+     WHERE source_language = $1 AND target_language = $2
+       AND md5(source_text) IN (SELECT md5(text) FROM unnest($3::text[]) text)
+       AND source_text = ANY($3::text[])`,
+    [sourceLanguage, targetLanguage, [...new Set(texts)]]
+  )
+
+  return new Map(result.rows.map(row => [row.source_text, row.target_text]))
+}
+
+/**
+ * Remember the translation of a segment, replacing an earlier one
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @param {string} sourceText - Source segment
+ * @param {string} targetText - Its translation
+ * @param {number} userId - User who translated it
+ * @returns {Promise<Object>} Saved entry
+ */
+export const saveTranslation = async (sourceLanguage, targetLanguage, sourceText, targetText, userId) => {
+  const result = await query(
+    `INSERT INTO translation_memory (source_language, target_language, source_text, target_text, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (source_language, target_language, md5(source_text))
+     DO UPDATE SET target_text = EXCLUDED.target_text,
+                   created_by = EXCLUDED.created_by,
+                   updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [sourceLanguage, targetLanguage, sourceText, targetText, userId]
+  )
+
+  return result.rows[0]
+}
+
+/**
+ * Delete a translation memory entry
+ * @param {number} id - Entry ID
+ * @returns {Promise<Object>} Deleted entry
+ */
+export const deleteEntry = async (id) => {
+  const result = await query(
+    `DELETE FROM translation_memory WHERE id = $1 RETURNING *`,
+    [id]
+  )
+
+  return result.rows[0]
+}
@@ -3,13 +3,23 @@
  * 
  * Public read endpoints and protected write endpoints for article management.
  * Includes translation and version history endpoints with full admin CRUD.
+ * Each family member has one article; the other languages are its translations.
  */
 
 import express from 'express'
 import * as articleController from '../controllers/articleController.js'
+import * as linkController from '../controllers/linkController.js'
 import { authenticateToken, requireAdmin } from '../middleware/auth.js'
-import { validate } from '../validators/schemas.js'
-import { createArticleSchema, updateArticleSchema, translateArticleSchema } from '../validators/schemas.js'
+import {
+  validate,
+  createArticleSchema,
+  updateArticleSchema,
+  translateArticleSchema,
+  saveTranslationSchema,
+  retranslateOutdatedSchema,
+  revisionDiffQuerySchema,
+  previewContentSchema,
+} from '../validators/schemas.js'
 
 const router = express.Router()
 
@@ -19,47 +29,99 @@ const router = express.Router()
  */
 router.get('/languages', articleController.getSupportedLanguagesEndpoint)
 
+/**
+ * GET /articles
+ * Protected admin endpoint to list member articles with the status of their translations
+ * Requires: authenticateToken, admin role
+ */
+router.get('/', authenticateToken, requireAdmin, articleController.getAllArticles)
+
+/**
+ * GET /articles/broken-links
+ * Protected admin endpoint to list the links in member and general articles
+ * that lead nowhere: wikilinks that did not resolve, and links to members or
+ * articles that do not exist
+ * Requires: authenticateToken, admin role
+ */
+router.get('/broken-links', authenticateToken, requireAdmin, linkController.getBrokenLinks)
+
 /**
  * GET /articles/:id
- * Public endpoint to get article by ID with specific language
- * Query params: lang (language code, defaults to 'sr')
+ * Public endpoint to get a family member's article in a specific language
+ * Falls back to the source language (is_fallback) when there is no such version
+ * Query params: lang (language code, defaults to the source language)
  */
 router.get('/:id', articleController.getArticle)
 
 /**
  * GET /articles/:id/history
- * Public endpoint to view article version history
- * Shows all past versions of the article with editor information
+ * Public endpoint to view article revision history (id: article ID)
+ * Returns: article_id, revision (the current one), revisions (newest first,
+ * without content, with editor name, size and restored_from)
  */
 router.get('/:id/history', articleController.getArticleHistory)
 
+/**
+ * GET /articles/:id/revisions/:revision
+ * Public endpoint to get one revision of the article, with its content
+ */
+router.get('/:id/revisions/:revision', articleController.getArticleRevision)
+
+/**
+ * GET /articles/:id/diff
+ * Public endpoint to compare two revisions word by word
+ * Query params: from (defaults to the revision before to), to (defaults to the current revision)
+ * Returns: from, to (the revisions compared) and content ({ html, added, removed, changed },
+ * html being the newer content with <ins> and <del> markers)
+ */
+router.get('/:id/diff', validate(revisionDiffQuerySchema, 'query'), articleController.getArticleDiff)
+
 /**
  * GET /articles/:id/translations
  * Public endpoint to get all translations for an article
+ * Each has a status: auto, reviewed or outdated (made from an earlier revision)
  */
 router.get('/:id/translations', articleController.getArticleTranslations)
 
 /**
  * GET /articles/member/:memberId
- * Public endpoint to get all articles for a family member
+ * Public endpoint to get a family member's article in its source language, with its translations
  */
-router.get('/member/:memberId', articleController.getArticlesByMember)
+router.get('/member/:memberId', articleController.getMemberArticle)
 
 /**
  * POST /articles
  * Protected admin endpoint to create new article
  * Requires: authenticateToken, admin role
- * Body: family_member_id, language, content, template_type (optional)
+ * Body: family_member_id, language, content, format (html or wiki, optional), template_type (optional)
+ */
+router.post('/', authenticateToken, requireAdmin, validate(createArticleSchema), articleController.createArticle)
+
+/**
+ * POST /articles/preview
+ * Protected admin endpoint to render content as it would be saved, with the
+ * wikilinks that do not resolve; for member and general articles
+ * Requires: authenticateToken, admin role
+ * Body: content, format (html or wiki)
+ */
+router.post('/preview', authenticateToken, requireAdmin, validate(previewContentSchema), articleController.previewContent)
+
+/**
+ * POST /articles/retranslate-outdated
+ * Protected admin endpoint to machine translate again every translation made
+ * from an earlier revision of its article; results are recorded in the audit log
+ * Requires: authenticateToken, admin role
+ * Body: article_id (optional), include_reviewed (optional), dry_run (optional)
  */
-router.post('/', authenticateToken, requireAdmin, articleController.createArticle)
+router.post('/retranslate-outdated', authenticateToken, requireAdmin, validate(retranslateOutdatedSchema), articleController.retranslateOutdated)
 
 /**
  * PUT /articles/:id
  * Protected admin endpoint to update article content
  * Requires: authenticateToken, admin role
- * Body: content
+ * Body: content, format (optional, defaults to the article's)
  */
-router.put('/:id', authenticateToken, requireAdmin, articleController.updateArticle)
+router.put('/:id', authenticateToken, requireAdmin, validate(updateArticleSchema), articleController.updateArticle)
 
 /**
  * DELETE /articles/:id
@@ -68,12 +130,29 @@ router.put('/:id', authenticateToken, requireAdmin, articleController.updateArti
  */
 router.delete('/:id', authenticateToken, requireAdmin, articleController.deleteArticle)
 
+/**
+ * POST /articles/:id/revisions/:revision/restore
+ * Protected admin endpoint to restore an earlier revision; its content becomes a new revision
+ * Requires: authenticateToken, admin role
+ */
+router.post('/:id/revisions/:revision/restore', authenticateToken, requireAdmin, articleController.restoreArticleRevision)
+
 /**
  * POST /articles/:id/translate
- * Protected admin endpoint to translate article to another language using Google Translate
+ * Protected admin endpoint to translate article to another language with the configured provider
+ * Replaces an earlier translation into that language
  * Requires: authenticateToken, admin role
  * Body: targetLanguage
  */
-router.post('/:id/translate', authenticateToken, requireAdmin, articleController.translateArticle)
+router.post('/:id/translate', authenticateToken, requireAdmin, validate(translateArticleSchema), articleController.translateArticle)
+
+/**
+ * PUT /articles/:id/translations/:lang
+ * Protected admin endpoint to save a translation written or corrected by a person
+ * Marks it human-reviewed; its segments are added to the translation memory
+ * Requires: authenticateToken, admin role
+ * Body: content, source_revision (optional, revision translated from; defaults to the current one)
+ */
+router.put('/:id/translations/:lang', authenticateToken, requireAdmin, validate(saveTranslationSchema), articleController.saveArticleTranslation)
 
 export default router
@@ -6,32 +6,73 @@
 
 import express from 'express'
 import * as familyController from '../controllers/familyController.js'
-import { authenticateToken, requireEditor } from '../middleware/auth.js'
+import * as lifeEventController from '../controllers/lifeEventController.js'
+import * as sourceController from '../controllers/sourceController.js'
+import * as linkController from '../controllers/linkController.js'
+import { authenticateToken, requireAdmin, requireEditor } from '../middleware/auth.js'
 import { validate } from '../validators/schemas.js'
-import { createFamilyMemberSchema, updateFamilyMemberSchema } from '../validators/schemas.js'
+import {
+  createFamilyMemberSchema,
+  updateFamilyMemberSchema,
+  createRelationshipSchema,
+  updateRelationshipSchema,
+  attachUnionChildSchema,
+  createLifeEventSchema,
+  updateLifeEventSchema,
+  importGedcomSchema,
+  lineageQuerySchema,
+  duplicateQuerySchema,
+  mergeFamilyMembersSchema,
+  saveMemberTranslationSchema,
+  translateArticleSchema,
+} from '../validators/schemas.js'
 
 const router = express.Router()
 
 /**
  * GET /family-members
  * Public endpoint to get all family members with optional filters
- * Query params: name, birth_year
+ * Query params: name, birth_year, lang (short_bio, occupation and birth_place in that language where translated)
  */
 router.get('/', familyController.getAllFamilyMembers)
 
 /**
  * GET /family-members/search
  * Public endpoint to search family members by name or biography
- * Query params: q (search term)
+ * Query params: q (search term), lang
  */
 router.get('/search', familyController.searchFamilyMembers)
 
+/**
+ * GET /family-members/export.ged
+ * Public endpoint to download the whole family tree as a GEDCOM 5.5.1 file
+ */
+router.get('/export.ged', familyController.exportGedcom)
+
+/**
+ * GET /family-members/duplicates
+ * Protected endpoint to list members that were probably entered twice, best match first
+ * Requires: authenticateToken, editor+ role
+ * Query params: min_score (0-100, defaults to 60), limit
+ * Returns: pairs ({ score, reasons, members }), count
+ */
+router.get('/duplicates', authenticateToken, requireEditor, validate(duplicateQuerySchema, 'query'), familyController.findDuplicates)
+
 /**
  * GET /family-members/:id
  * Public endpoint to get specific family member details
+ * Query params: lang (short_bio, occupation and birth_place in that language where translated)
+ * Returns: the member, with requested_language, translated_fields and is_fallback when lang is given
  */
 router.get('/:id', familyController.getFamilyMember)
 
+/**
+ * GET /family-members/:id/translations
+ * Public endpoint to get the translations of the member's short_bio, occupation and birth_place
+ * Returns: source_language, translations (with status 'auto' or 'reviewed')
+ */
+router.get('/:id/translations', familyController.getMemberTranslations)
+
 /**
  * GET /family-members/:id/tree
  * Public endpoint to get family tree for a member
@@ -39,6 +80,62 @@ router.get('/:id', familyController.getFamilyMember)
  */
 router.get('/:id/tree', familyController.getFamilyTree)
 
+/**
+ * GET /family-members/:id/ancestors
+ * Public endpoint to get a member's ancestors as a nested pedigree
+ * Query params: depth (generations, 1-25, defaults to 5)
+ * Returns: tree (member with nested parents), count, generations
+ */
+router.get('/:id/ancestors', validate(lineageQuerySchema, 'query'), familyController.getAncestors)
+
+/**
+ * GET /family-members/:id/descendants
+ * Public endpoint to get a member's descendants as a nested tree
+ * Query params: depth (generations, 1-25, defaults to 5)
+ * Returns: tree (member with nested children), count, generations
+ */
+router.get('/:id/descendants', validate(lineageQuerySchema, 'query'), familyController.getDescendants)
+
+/**
+ * GET /family-members/:id/relationship-to/:otherId
+ * Public endpoint to name how another member is related to this one
+ * Returns: kind, generations_up/down, labels (one per supported language), path
+ */
+router.get('/:id/relationship-to/:otherId', familyController.getRelationshipTo)
+
+/**
+ * GET /family-members/:id/events
+ * Public endpoint to get a member's life events, oldest first
+ */
+router.get('/:id/events', lifeEventController.getLifeEvents)
+
+/**
+ * GET /family-members/:id/timeline
+ * Public endpoint to get a member's timeline: their own events merged with
+ * births, deaths and marriages of parents, spouses, children and siblings
+ */
+router.get('/:id/timeline', lifeEventController.getTimeline)
+
+/**
+ * GET /family-members/:id/citations
+ * Public endpoint to get the sources cited for a member's fields, life events and biography
+ */
+router.get('/:id/citations', sourceController.getMemberCitations)
+
+/**
+ * GET /family-members/:id/backlinks
+ * Public endpoint to get the member and general articles the member is mentioned in
+ * Query params: lang (general article titles in that language where translated)
+ */
+router.get('/:id/backlinks', linkController.getMemberBacklinks)
+
+/**
+ * GET /family-members/:id/export.ged
+ * Public endpoint to download a member's descendants or ancestors as GEDCOM
+ * Query params: scope ('descendants' or 'ancestors', defaults to 'descendants')
+ */
+router.get('/:id/export.ged', familyController.exportMemberGedcom)
+
 /**
  * POST /family-members
  * Protected endpoint to create new family member
@@ -46,6 +143,14 @@ router.get('/:id/tree', familyController.getFamilyTree)
  */
 router.post('/', authenticateToken, requireEditor, validate(createFamilyMemberSchema), familyController.createFamilyMember)
 
+/**
+ * POST /family-members/import/gedcom
+ * Protected endpoint to import a GEDCOM 5.5.1 file in one transaction
+ * Requires: authenticateToken, admin role
+ * Body: gedcom (file content), dry_run (optional, preview only)
+ */
+router.post('/import/gedcom', authenticateToken, requireAdmin, validate(importGedcomSchema), familyController.importGedcom)
+
 /**
  * PUT /family-members/:id
  * Protected endpoint to update family member
@@ -53,13 +158,93 @@ router.post('/', authenticateToken, requireEditor, validate(createFamilyMemberSc
  */
 router.put('/:id', authenticateToken, requireEditor, validate(updateFamilyMemberSchema), familyController.updateFamilyMember)
 
+/**
+ * PUT /family-members/:id/translations/:lang
+ * Protected endpoint to save a translation of the member's fields written or corrected by a person
+ * Requires: authenticateToken, editor+ role
+ * Body: short_bio, occupation, birth_place (each optional; empty: shown in the member's language)
+ */
+router.put('/:id/translations/:lang', authenticateToken, requireEditor, validate(saveMemberTranslationSchema), familyController.saveMemberTranslation)
+
+/**
+ * DELETE /family-members/:id/translations/:lang
+ * Protected endpoint to delete a translation of the member's fields
+ * Requires: authenticateToken, editor+ role
+ */
+router.delete('/:id/translations/:lang', authenticateToken, requireEditor, familyController.deleteMemberTranslation)
+
+/**
+ * POST /family-members/:id/translate
+ * Protected endpoint to machine translate the member's fields, replacing an earlier translation
+ * Requires: authenticateToken, editor+ role
+ * Body: targetLanguage
+ */
+router.post('/:id/translate', authenticateToken, requireEditor, validate(translateArticleSchema), familyController.translateMember)
+
+/**
+ * POST /family-members/:id/merge
+ * Protected endpoint to merge a duplicate into this member in one transaction;
+ * relationships, life events, images, citations, article and audit history move here
+ * Requires: authenticateToken, editor+ role
+ * Body: duplicate_id, take_fields (fields taken from the duplicate), keep_article
+ * ('survivor' or 'duplicate', when both have one), dry_run (optional, preview only)
+ */
+router.post('/:id/merge', authenticateToken, requireEditor, validate(mergeFamilyMembersSchema), familyController.mergeFamilyMembers)
+
 /**
  * POST /family-members/:id/relationships
- * Protected endpoint to create family relationship
+ * Protected endpoint to create family relationship; the inverse row is created with it
+ * Requires: authenticateToken, editor+ role
+ * Body: related_member_id, relationship_type (parent, child, spouse, sibling)
+ * Spouses may also send union_type, marriage_date, marriage_place, end_date, end_reason
+ */
+router.post('/:id/relationships', authenticateToken, requireEditor, validate(createRelationshipSchema), familyController.createFamilyRelationship)
+
+/**
+ * PUT /family-members/:id/relationships/:relatedId
+ * Protected endpoint to change a relationship type or union details; the inverse row follows
+ * Requires: authenticateToken, editor+ role
+ * Body: relationship_type (parent, child, spouse, sibling), union fields for spouses
+ */
+router.put('/:id/relationships/:relatedId', authenticateToken, requireEditor, validate(updateRelationshipSchema), familyController.updateFamilyRelationship)
+
+/**
+ * DELETE /family-members/:id/relationships/:relatedId
+ * Protected endpoint to delete a relationship in both directions
+ * Requires: authenticateToken, editor+ role
+ */
+router.delete('/:id/relationships/:relatedId', authenticateToken, requireEditor, familyController.deleteFamilyRelationship)
+
+/**
+ * POST /family-members/:id/unions/:spouseId/children
+ * Protected endpoint to add a child to a union; both partners become its parents
+ * Requires: authenticateToken, editor+ role
+ * Body: child_id
+ */
+router.post('/:id/unions/:spouseId/children', authenticateToken, requireEditor, validate(attachUnionChildSchema), familyController.attachUnionChild)
+
+/**
+ * POST /family-members/:id/events
+ * Protected endpoint to add a life event to a member
+ * Requires: authenticateToken, editor+ role
+ * Body: event_type, event_date (partial date), place, description, source
+ */
+router.post('/:id/events', authenticateToken, requireEditor, validate(createLifeEventSchema), lifeEventController.createLifeEvent)
+
+/**
+ * PUT /family-members/:id/events/:eventId
+ * Protected endpoint to update a member's life event
+ * Requires: authenticateToken, editor+ role
+ * Body: any of event_type, event_date, place, description, source
+ */
+router.put('/:id/events/:eventId', authenticateToken, requireEditor, validate(updateLifeEventSchema), lifeEventController.updateLifeEvent)
+
+/**
+ * DELETE /family-members/:id/events/:eventId
+ * Protected endpoint to delete a member's life event
  * Requires: authenticateToken, editor+ role
- * Body: related_member_id, relationship_type
  */
-router.post('/:id/relationships', authenticateToken, requireEditor, familyController.createFamilyRelationship)
+router.delete('/:id/events/:eventId', authenticateToken, requireEditor, lifeEventController.deleteLifeEvent)
 
 /**
  * DELETE /family-members/:id
@@ -6,14 +6,22 @@
 
 import express from 'express'
 import * as generalArticleController from '../controllers/generalArticleController.js'
+import * as sourceController from '../controllers/sourceController.js'
+import * as linkController from '../controllers/linkController.js'
 import { authenticateToken, requireAdmin } from '../middleware/auth.js'
+import {
+  validate,
+  saveGeneralArticleTranslationSchema,
+  translateArticleSchema,
+  revisionDiffQuerySchema,
+} from '../validators/schemas.js'
 
 const router = express.Router()
 
 /**
  * GET /general-articles
  * Public endpoint to get all articles with optional filtering
- * Query params: category, sortBy, order
+ * Query params: category, sortBy, order, lang (title and content in that language where translated)
  */
 router.get('/', generalArticleController.getAllArticles)
 
@@ -26,20 +34,63 @@ router.get('/categories', generalArticleController.getCategories)
 /**
  * GET /general-articles/:id
  * Public endpoint to get single article by ID
+ * Query params: lang (title and content in that language where translated)
  */
 router.get('/:id', generalArticleController.getArticle)
 
+/**
+ * GET /general-articles/:id/translations
+ * Public endpoint to get the article's translations
+ * Returns: source_language, translations (with status 'auto' or 'reviewed')
+ */
+router.get('/:id/translations', generalArticleController.getArticleTranslations)
+
+/**
+ * GET /general-articles/:id/history
+ * Public endpoint to view the article's revision history
+ * Returns: article_id, revision (the current one), revisions (newest first,
+ * without content, with title, editor name, size and restored_from)
+ */
+router.get('/:id/history', generalArticleController.getArticleHistory)
+
+/**
+ * GET /general-articles/:id/revisions/:revision
+ * Public endpoint to get one revision of the article, with its content
+ */
+router.get('/:id/revisions/:revision', generalArticleController.getArticleRevision)
+
+/**
+ * GET /general-articles/:id/diff
+ * Public endpoint to compare the title and content of two revisions word by word
+ * Query params: from (defaults to the revision before to), to (defaults to the current revision)
+ * Returns: from, to (the revisions compared), title and content ({ html, added, removed, changed })
+ */
+router.get('/:id/diff', validate(revisionDiffQuerySchema, 'query'), generalArticleController.getArticleDiff)
+
+/**
+ * GET /general-articles/:id/citations
+ * Public endpoint to get the article's citations (footnotes), in paragraph order
+ */
+router.get('/:id/citations', sourceController.getGeneralArticleCitations)
+
+/**
+ * GET /general-articles/:id/backlinks
+ * Public endpoint to get the member and general articles linking to the article
+ * Query params: lang (general article titles in that language where translated)
+ */
+router.get('/:id/backlinks', linkController.getGeneralArticleBacklinks)
+
 /**
  * POST /general-articles
  * Protected admin endpoint to create new article
- * Body: title, category (optional), content
+ * Body: title, category (optional), content, language (optional, defaults to 'sr')
  */
 router.post('/', authenticateToken, requireAdmin, generalArticleController.createArticle)
 
 /**
  * PUT /general-articles/:id
  * Protected admin endpoint to update article
- * Body: title (optional), category (optional), content (optional)
+ * Body: title (optional), category (optional), content (optional), language (optional)
  */
 router.put('/:id', authenticateToken, requireAdmin, generalArticleController.updateArticle)
 
@@ -49,4 +100,30 @@ router.put('/:id', authenticateToken, requireAdmin, generalArticleController.upd
  */
 router.delete('/:id', authenticateToken, requireAdmin, generalArticleController.deleteArticle)
 
+/**
+ * POST /general-articles/:id/revisions/:revision/restore
+ * Protected admin endpoint to restore an earlier revision; it becomes a new revision
+ */
+router.post('/:id/revisions/:revision/restore', authenticateToken, requireAdmin, generalArticleController.restoreArticleRevision)
+
+/**
+ * POST /general-articles/:id/translate
+ * Protected admin endpoint to machine translate the article, replacing an earlier translation
+ * Body: targetLanguage
+ */
+router.post('/:id/translate', authenticateToken, requireAdmin, validate(translateArticleSchema), generalArticleController.translateArticle)
+
+/**
+ * PUT /general-articles/:id/translations/:lang
+ * Protected admin endpoint to save a translation written or corrected by a person
+ * Body: title, content (each optional; empty: shown in the article's language)
+ */
+router.put('/:id/translations/:lang', authenticateToken, requireAdmin, validate(saveGeneralArticleTranslationSchema), generalArticleController.saveArticleTranslation)
+
+/**
+ * DELETE /general-articles/:id/translations/:lang
+ * Protected admin endpoint to delete a translation
+ */
+router.delete('/:id/translations/:lang', authenticateToken, requireAdmin, generalArticleController.deleteArticleTranslation)
+
 export default router
@@ -1,7 +1,7 @@
 /**
  * Image Routes
  * 
- * Handle file uploads and image management for family members and articles.
+ * Handle file uploads and image management for family members, articles and source scans.
  * Supports image metadata (captions, alt text, display sizing).
  * Limits gallery to 10 images per content box.
  */
@@ -45,19 +45,20 @@ const upload = multer({
 })
 
 /**
- * Upload image for a family member or article
+ * Upload image for a family member or article, or a scan of a source
  * POST /images/upload
  * 
  * Body:
  * - file: Image file (multipart form data)
  * - family_member_id: (optional) Family member ID
  * - article_id: (optional) General article ID
+ * - source_id: (optional) Source ID, for scans of a source
  * - caption: (optional) Image caption text
  * - alt_text: (optional) Alt text for accessibility
  * - description: (optional) Detailed description
  * - display_width: (optional) CSS width (default: 100%)
  * 
- * Note: Either family_member_id or article_id required
+ * Note: One of family_member_id, article_id or source_id required
  */
 router.post('/upload', authenticateToken, requireAdmin, upload.single('file'), async (req, res, next) => {
   try {
@@ -68,21 +69,23 @@ router.post('/upload', authenticateToken, requireAdmin, upload.single('file'), a
     const { 
       family_member_id, 
       article_id,
+      source_id,
       caption, 
       alt_text, 
       description, 
       display_width 
     } = req.body
 
-    // Require at least one parent (family member or article)
-    if (!family_member_id && !article_id) {
+    // Require at least one parent (family member, article or source)
+    if (!family_member_id && !article_id && !source_id) {
       fs.unlinkSync(req.file.path)
-      return res.status(400).json({ error: 'Either family_member_id or article_id is required' })
+      return res.status(400).json({ error: 'One of family_member_id, article_id or source_id is required' })
     }
 
     const imageData = {
       family_member_id: family_member_id ? parseInt(family_member_id) : null,
       article_id: article_id ? parseInt(article_id) : null,
+      source_id: source_id ? parseInt(source_id) : null,
       filename: req.file.filename,
       file_path: req.file.path,
       file_size: req.file.size,
@@ -0,0 +1,78 @@
+/**
+ * Place Routes
+ * 
+ * Public read endpoints and protected write endpoints for the places registry and map.
+ */
+
+import express from 'express'
+import * as placeController from '../controllers/placeController.js'
+import { authenticateToken, requireEditor } from '../middleware/auth.js'
+import { validate } from '../validators/schemas.js'
+import {
+  createPlaceSchema,
+  updatePlaceSchema,
+  placeQuerySchema,
+  placeMapQuerySchema,
+  linkPlaceNameSchema,
+} from '../validators/schemas.js'
+
+const router = express.Router()
+
+/**
+ * GET /places
+ * Public endpoint to list places with their full names and number of uses
+ * Query params: q (matches names and alternate names, ignoring diacritics), country, limit
+ */
+router.get('/', validate(placeQuerySchema, 'query'), placeController.getAllPlaces)
+
+/**
+ * GET /places/map
+ * Public endpoint to get where family members were born, lived and died
+ * Query params: generation, from, to (years)
+ */
+router.get('/map', validate(placeMapQuerySchema, 'query'), placeController.getPlaceMap)
+
+/**
+ * GET /places/unlinked
+ * Protected endpoint to list free-text places of members and events not linked to a place
+ * Requires: authenticateToken, editor+ role
+ */
+router.get('/unlinked', authenticateToken, requireEditor, placeController.getUnlinkedPlaceNames)
+
+/**
+ * GET /places/:id
+ * Public endpoint to get a place with the places inside it
+ */
+router.get('/:id', placeController.getPlace)
+
+/**
+ * POST /places
+ * Protected endpoint to create a place
+ * Requires: authenticateToken, editor+ role
+ * Body: name, alternate_names, place_type, country, parent_id, latitude, longitude, notes
+ */
+router.post('/', authenticateToken, requireEditor, validate(createPlaceSchema), placeController.createPlace)
+
+/**
+ * PUT /places/:id
+ * Protected endpoint to update a place
+ * Requires: authenticateToken, editor+ role
+ */
+router.put('/:id', authenticateToken, requireEditor, validate(updatePlaceSchema), placeController.updatePlace)
+
+/**
+ * DELETE /places/:id
+ * Protected endpoint to delete a place; linked members and events keep the name as text
+ * Requires: authenticateToken, editor+ role
+ */
+router.delete('/:id', authenticateToken, requireEditor, placeController.deletePlace)
+
+/**
+ * POST /places/:id/link
+ * Protected endpoint to link all members and events with a free-text place to this place
+ * Requires: authenticateToken, editor+ role
+ * Body: name (the free-text place as entered)
+ */
+router.post('/:id/link', authenticateToken, requireEditor, validate(linkPlaceNameSchema), placeController.linkPlaceName)
+
+export default router
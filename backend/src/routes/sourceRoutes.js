@@ -0,0 +1,79 @@
+/**
+ * Source Routes
+ * 
+ * Public read endpoints and protected write endpoints for sources and their citations.
+ */
+
+import express from 'express'
+import * as sourceController from '../controllers/sourceController.js'
+import { authenticateToken, requireEditor } from '../middleware/auth.js'
+import { validate } from '../validators/schemas.js'
+import {
+  createSourceSchema,
+  updateSourceSchema,
+  createCitationSchema,
+  updateCitationSchema,
+} from '../validators/schemas.js'
+
+const router = express.Router()
+
+/**
+ * GET /sources
+ * Public endpoint to list sources with the number of citations of each
+ * Query params: q (matches title, author, repository), source_type
+ */
+router.get('/', sourceController.getAllSources)
+
+/**
+ * GET /sources/:id
+ * Public endpoint to get a source with its scans and everything it is cited for
+ */
+router.get('/:id', sourceController.getSource)
+
+/**
+ * POST /sources
+ * Protected endpoint to create a source
+ * Requires: authenticateToken, editor+ role
+ * Body: title, source_type, author, repository, url, notes
+ */
+router.post('/', authenticateToken, requireEditor, validate(createSourceSchema), sourceController.createSource)
+
+/**
+ * PUT /sources/:id
+ * Protected endpoint to update a source
+ * Requires: authenticateToken, editor+ role
+ */
+router.put('/:id', authenticateToken, requireEditor, validate(updateSourceSchema), sourceController.updateSource)
+
+/**
+ * DELETE /sources/:id
+ * Protected endpoint to delete a source with its citations and scans
+ * Requires: authenticateToken, editor+ role
+ */
+router.delete('/:id', authenticateToken, requireEditor, sourceController.deleteSource)
+
+/**
+ * POST /sources/:id/citations
+ * Protected endpoint to cite the source
+ * Requires: authenticateToken, editor+ role
+ * Body: one of family_member_id (with optional field), life_event_id,
+ * article_id or general_article_id (with optional paragraph); page, note
+ */
+router.post('/:id/citations', authenticateToken, requireEditor, validate(createCitationSchema), sourceController.createCitation)
+
+/**
+ * PUT /sources/:id/citations/:citationId
+ * Protected endpoint to update a citation
+ * Requires: authenticateToken, editor+ role
+ * Body: field, paragraph, page, note
+ */
+router.put('/:id/citations/:citationId', authenticateToken, requireEditor, validate(updateCitationSchema), sourceController.updateCitation)
+
+/**
+ * DELETE /sources/:id/citations/:citationId
+ * Protected endpoint to delete a citation
+ * Requires: authenticateToken, editor+ role
+ */
+router.delete('/:id/citations/:citationId', authenticateToken, requireEditor, sourceController.deleteCitation)
+
+export default router
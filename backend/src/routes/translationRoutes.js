@@ -0,0 +1,75 @@
+/**
+ * Translation Routes
+ * 
+ * Protected admin endpoints for the translation glossary and translation memory
+ * that machine translation of articles consults.
+ */
+
+import express from 'express'
+import * as translationController from '../controllers/translationController.js'
+import { authenticateToken, requireAdmin } from '../middleware/auth.js'
+import {
+  validate,
+  createGlossaryEntrySchema,
+  updateGlossaryEntrySchema,
+  translationQuerySchema,
+  createMemoryEntrySchema,
+} from '../validators/schemas.js'
+
+const router = express.Router()
+
+/**
+ * GET /translation/glossary
+ * Protected admin endpoint to list glossary entries
+ * Requires: authenticateToken, admin role
+ * Query params: source_language, target_language, q (matches term and translation)
+ */
+router.get('/glossary', authenticateToken, requireAdmin, validate(translationQuerySchema, 'query'), translationController.getGlossary)
+
+/**
+ * POST /translation/glossary
+ * Protected admin endpoint to add a term to the glossary of a language pair
+ * Requires: authenticateToken, admin role
+ * Body: { source_language, target_language, term, translation?, notes? } (no translation: keep the term)
+ */
+router.post('/glossary', authenticateToken, requireAdmin, validate(createGlossaryEntrySchema), translationController.createGlossaryEntry)
+
+/**
+ * PUT /translation/glossary/:id
+ * Protected admin endpoint to update a glossary entry
+ * Requires: authenticateToken, admin role
+ * Body: { term?, translation?, notes? }
+ */
+router.put('/glossary/:id', authenticateToken, requireAdmin, validate(updateGlossaryEntrySchema), translationController.updateGlossaryEntry)
+
+/**
+ * DELETE /translation/glossary/:id
+ * Protected admin endpoint to delete a glossary entry
+ * Requires: authenticateToken, admin role
+ */
+router.delete('/glossary/:id', authenticateToken, requireAdmin, translationController.deleteGlossaryEntry)
+
+/**
+ * GET /translation/memory
+ * Protected admin endpoint to list translation memory entries, most recently changed first
+ * Requires: authenticateToken, admin role
+ * Query params: source_language, target_language, q (matches both texts), limit (default 200)
+ */
+router.get('/memory', authenticateToken, requireAdmin, validate(translationQuerySchema, 'query'), translationController.getMemory)
+
+/**
+ * POST /translation/memory
+ * Protected admin endpoint to remember the translation of a segment, replacing an earlier one
+ * Requires: authenticateToken, admin role
+ * Body: { source_language, target_language, source_text, target_text }
+ */
+router.post('/memory', authenticateToken, requireAdmin, validate(createMemoryEntrySchema), translationController.createMemoryEntry)
+
+/**
+ * DELETE /translation/memory/:id
+ * Protected admin endpoint to delete a translation memory entry
+ * Requires: authenticateToken, admin role
+ */
+router.delete('/memory/:id', authenticateToken, requireAdmin, translationController.deleteMemoryEntry)
+
+export default router
@@ -8,7 +8,8 @@
  * - PORT: Server port (default: 3000)
  * - DB_HOST, DB_PORT, DB_NAME, DB_USER, DB_PASSWORD: Database configuration
  * - JWT_SECRET: Secret key for JWT token signing
- * - DEEPL_API_KEY: API key for DeepL translation service
+ * - TRANSLATION_PROVIDER: google, deepl, libretranslate or local (see translationService)
+ * - GOOGLE_TRANSLATE_API_KEY, DEEPL_API_KEY, LIBRETRANSLATE_URL: Translation provider configuration
  * - CORS_ORIGIN: Allowed CORS origin (default: http://localhost:5173)
  */
 
@@ -23,6 +24,9 @@ import familyRoutes from './routes/familyRoutes.js'
 import articleRoutes from './routes/articleRoutes.js'
 import generalArticleRoutes from './routes/generalArticleRoutes.js'
 import imageRoutes from './routes/imageRoutes.js'
+import sourceRoutes from './routes/sourceRoutes.js'
+import placeRoutes from './routes/placeRoutes.js'
+import translationRoutes from './routes/translationRoutes.js'
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js'
@@ -95,6 +99,9 @@ app.use('/api/family-members', familyRoutes)
 app.use('/api/articles', articleRoutes)
 app.use('/api/general-articles', generalArticleRoutes)
 app.use('/api/images', imageRoutes)
+app.use('/api/sources', sourceRoutes)
+app.use('/api/places', placeRoutes)
+app.use('/api/translation', translationRoutes)
 
 // ============================================
 // 404 HANDLER
@@ -0,0 +1,185 @@
+/**
+ * GEDCOM Service tests
+ *
+ * Parsing edge cases, the import plan, and export read back by the importer.
+ */
+
+import { parseGedcom, parseGedcomDate, buildImportPlan, buildGedcom } from '../gedcomService.js'
+
+describe('parseGedcom', () => {
+  test('folds CONT and CONC lines into their parent value', () => {
+    const { records, warnings } = parseGedcom([
+      '0 @N1@ NOTE First',
+      '1 CONC  part',
+      '1 CONT Second line',
+    ].join('\n'))
+
+    expect(warnings).toEqual([])
+    expect(records[0].value).toBe('First part\nSecond line')
+  })
+
+  test('warns about a continuation line with nothing to continue', () => {
+    const { records, warnings } = parseGedcom('0 CONT stray\n0 HEAD\n1 CONC stray too')
+
+    expect(records.map(r => r.tag)).toEqual(['HEAD'])
+    expect(records[0].value).toBe('stray too')
+    expect(warnings).toEqual(['Line 1: CONT line has no value to continue'])
+  })
+
+  test('warns about lines without a parent record and lines it cannot read', () => {
+    const { warnings } = parseGedcom('2 NAME Orphan\nnot gedcom')
+
+    expect(warnings).toEqual([
+      'Line 1: level 2 line has no parent record',
+      'Line 2: could not parse "not gedcom"',
+    ])
+  })
+
+  test('unescapes @@ and ignores a byte order mark', () => {
+    const { records } = parseGedcom('﻿0 @N1@ NOTE mail@@example.org')
+
+    expect(records[0]).toMatchObject({ xref: '@N1@', tag: 'NOTE', value: 'mail@example.org' })
+  })
+})
+
+describe('parseGedcomDate', () => {
+  test.each([
+    ['12 MAR 1870', { year: 1870, month: 3, day: 12 }],
+    ['MAR 1870', { year: 1870, month: 3 }],
+    ['ABT 1870', { qualifier: 'about', year: 1870 }],
+    ['BEF 1870', { qualifier: 'before', year: 1870 }],
+    ['BET 1870 AND 1875', { qualifier: 'between', year: 1870, to: { year: 1875 } }],
+    ['31 FEB 1870', { year: 1870, month: 2 }],
+    ['1870s', { qualifier: 'about', year: 1870 }],
+    ['unknown', null],
+  ])('%s', (value, expected) => {
+    expect(parseGedcomDate(value)).toEqual(expected)
+  })
+})
+
+describe('buildImportPlan', () => {
+  const individual = (xref, name, lines = []) => [`0 ${xref} INDI`, `1 NAME ${name}`, ...lines]
+
+  test('truncates long names and occupations with a warning', () => {
+    const long = 'x'.repeat(300)
+    const plan = buildImportPlan(individual('@I1@', `Ana ${long}`, [`1 OCCU ${long}`]).join('\n'))
+
+    expect(plan.members[0].name).toHaveLength(255)
+    expect(plan.members[0].occupation).toHaveLength(255)
+    expect(plan.warnings).toEqual([
+      '@I1@ name truncated to 255 characters',
+      '@I1@ occupation truncated to 255 characters',
+    ])
+  })
+
+  test('leaves out a member related to themselves', () => {
+    const plan = buildImportPlan([
+      ...individual('@I1@', 'Ana'),
+      ...individual('@I2@', 'Ivo'),
+      '0 @F1@ FAM', '1 HUSB @I1@', '1 CHIL @I1@', '1 CHIL @I2@',
+    ].join('\n'))
+
+    expect(plan.relationships).toHaveLength(1)
+    expect(plan.relationships[0]).toMatchObject({ member_xref: '@I1@', relationship_type: 'parent', related_xref: '@I2@' })
+    expect(plan.warnings).toEqual(['@F1@ relates @I1@ to themselves; skipped'])
+  })
+
+  test('plans a pair listed by two families once', () => {
+    const plan = buildImportPlan([
+      ...individual('@I1@', 'Ana'),
+      ...individual('@I2@', 'Ivo'),
+      ...individual('@I3@', 'Mia'),
+      '0 @F1@ FAM', '1 HUSB @I2@', '1 WIFE @I1@', '1 CHIL @I3@',
+      '0 @F2@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I3@',
+    ].join('\n'))
+
+    expect(plan.relationships).toHaveLength(3)
+    expect(plan.warnings).toEqual([])
+  })
+
+  test('leaves out a parent born after the child', () => {
+    const plan = buildImportPlan([
+      ...individual('@I1@', 'Ana', ['1 BIRT', '2 DATE 1900']),
+      ...individual('@I2@', 'Ivo', ['1 BIRT', '2 DATE 1890']),
+      '0 @F1@ FAM', '1 WIFE @I1@', '1 CHIL @I2@',
+    ].join('\n'))
+
+    expect(plan.relationships).toEqual([])
+    expect(plan.warnings).toEqual(['@F1@: @I1@ (born 1900) cannot be a parent of @I2@ (born 1890); skipped'])
+  })
+
+  test('leaves out a member becoming their own ancestor', () => {
+    const plan = buildImportPlan([
+      ...individual('@I1@', 'Ana'),
+      ...individual('@I2@', 'Ivo'),
+      ...individual('@I3@', 'Mia'),
+      '0 @F1@ FAM', '1 WIFE @I1@', '1 CHIL @I2@',
+      '0 @F2@ FAM', '1 HUSB @I2@', '1 CHIL @I3@',
+      '0 @F3@ FAM', '1 WIFE @I3@', '1 CHIL @I1@',
+    ].join('\n'))
+
+    expect(plan.relationships).toHaveLength(2)
+    expect(plan.warnings).toEqual(['@F3@: @I1@ is already an ancestor of @I3@ and cannot also be their child; skipped'])
+  })
+})
+
+describe('buildGedcom', () => {
+  const members = [
+    {
+      id: 1,
+      name: 'Hamza Kurpejović',
+      birth_date: { qualifier: 'about', year: 1870 },
+      birth_place: 'Rožaje',
+      death_date: { year: 1930, month: 3, day: 12 },
+      occupation: 'Trgovac',
+      short_bio: `First line\n${'a'.repeat(450)} mail@example.org`,
+    },
+    { id: 2, name: 'Fata Kurpejović', birth_year: 1875 },
+    { id: 3, name: 'Ibro Kurpejović', birth_date: { qualifier: 'between', year: 1895, to: { year: 1897 } } },
+  ]
+  const relationships = [
+    { member_id: 1, related_member_id: 2, relationship_type: 'spouse', marriage_date: '1894-05-01', marriage_place: 'Rožaje' },
+    { member_id: 2, related_member_id: 1, relationship_type: 'spouse', marriage_date: '1894-05-01', marriage_place: 'Rožaje' },
+    { member_id: 1, related_member_id: 3, relationship_type: 'parent' },
+    { member_id: 3, related_member_id: 1, relationship_type: 'child' },
+    { member_id: 2, related_member_id: 3, relationship_type: 'parent' },
+    { member_id: 3, related_member_id: 2, relationship_type: 'child' },
+  ]
+
+  test('is read back by the importer as written', () => {
+    const plan = buildImportPlan(buildGedcom({ members, relationships }))
+
+    expect(plan.warnings).toEqual([])
+    expect(plan.members).toEqual([
+      expect.objectContaining({
+        xref: '@I1@',
+        name: 'Hamza Kurpejović',
+        birth_date: { qualifier: 'about', year: 1870 },
+        birth_place: 'Rožaje',
+        death_date: { year: 1930, month: 3, day: 12 },
+        occupation: 'Trgovac',
+        short_bio: members[0].short_bio,
+      }),
+      expect.objectContaining({ xref: '@I2@', name: 'Fata Kurpejović', birth_date: { year: 1875 } }),
+      expect.objectContaining({ xref: '@I3@', birth_date: { qualifier: 'between', year: 1895, to: { year: 1897 } } }),
+    ])
+    expect(plan.relationships.map(r => [r.member_xref, r.relationship_type, r.related_xref])).toEqual([
+      ['@I1@', 'spouse', '@I2@'],
+      ['@I1@', 'parent', '@I3@'],
+      ['@I2@', 'parent', '@I3@'],
+    ])
+    expect(plan.relationships[0].union).toMatchObject({ marriage_date: '1894-05-01', marriage_place: 'Rožaje' })
+  })
+
+  test('writes no SEX line, the tree has none', () => {
+    expect(buildGedcom({ members, relationships })).not.toMatch(/^1 SEX/m)
+  })
+
+  test('links primary images only with a server URL', () => {
+    const images = [{ family_member_id: 1, filename: 'a b.jpg', mime_type: 'image/jpeg' }]
+
+    expect(buildGedcom({ members, relationships, images })).not.toMatch(/OBJE/)
+    expect(buildGedcom({ members, relationships, images, baseUrl: 'https://example.org' }))
+      .toMatch(/^2 FILE https:\/\/example\.org\/images\/a%20b\.jpg$/m)
+  })
+})
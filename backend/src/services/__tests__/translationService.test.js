@@ -0,0 +1,106 @@
+/**
+ * Translation Service tests
+ *
+ * Provider selection, and translateText with the local provider: the
+ * translation memory and glossary models are mocked, so no database is needed.
+ */
+
+import { jest } from '@jest/globals'
+
+const memory = new Map()
+const glossary = []
+const memberNames = []
+
+jest.unstable_mockModule('../../models/TranslationMemory.js', () => ({
+  findTranslations: jest.fn(async () => memory),
+}))
+jest.unstable_mockModule('../../models/TranslationGlossary.js', () => ({
+  getGlossaryForPair: jest.fn(async () => glossary),
+}))
+jest.unstable_mockModule('../../models/FamilyMember.js', () => ({
+  getMemberNames: jest.fn(async () => memberNames),
+}))
+
+const { getTranslationProvider, translateText } = await import('../translationService.js')
+const { localProvider } = await import('../translationProviders/local.js')
+
+const PROVIDER_ENV = ['TRANSLATION_PROVIDER', 'GOOGLE_TRANSLATE_API_KEY', 'DEEPL_API_KEY', 'LIBRETRANSLATE_URL']
+const savedEnv = Object.fromEntries(PROVIDER_ENV.map(name => [name, process.env[name]]))
+
+beforeEach(() => {
+  PROVIDER_ENV.forEach(name => delete process.env[name])
+  memory.clear()
+  glossary.length = 0
+  memberNames.length = 0
+})
+
+afterAll(() => {
+  PROVIDER_ENV.forEach(name => {
+    if (savedEnv[name] === undefined) delete process.env[name]
+    else process.env[name] = savedEnv[name]
+  })
+})
+
+describe('getTranslationProvider', () => {
+  test('gives 503 when no provider is configured, also outside production', () => {
+    expect(() => getTranslationProvider()).toThrow(expect.objectContaining({
+      status: 503,
+      message: 'No translation provider configured',
+    }))
+  })
+
+  test('uses the local provider only when it is selected', () => {
+    process.env.TRANSLATION_PROVIDER = 'local'
+    expect(getTranslationProvider()).toBe(localProvider)
+  })
+
+  test('gives 503 for an unknown provider', () => {
+    process.env.TRANSLATION_PROVIDER = 'babelfish'
+    expect(() => getTranslationProvider()).toThrow(expect.objectContaining({ status: 503 }))
+  })
+})
+
+describe('translateText', () => {
+  let translate
+
+  beforeEach(() => {
+    process.env.TRANSLATION_PROVIDER = 'local'
+    translate = jest.spyOn(localProvider, 'translate')
+  })
+
+  afterEach(() => {
+    translate.mockRestore()
+  })
+
+  test('takes remembered segments from the memory and sends only the rest', async () => {
+    memory.set('Rođen je u Beogradu.', 'He was born in Belgrade.')
+
+    const html = await translateText('<p>Rođen je u Beogradu.</p><p>Bio je učitelj.</p>', 'sr', 'en')
+
+    expect(html).toBe('<p>He was born in Belgrade.</p><p>[sr→en] Bio je učitelj.</p>')
+    expect(translate).toHaveBeenCalledTimes(1)
+    expect(translate).toHaveBeenCalledWith(['Bio je učitelj.'], 'sr', 'en')
+  })
+
+  test('does not call the provider when every segment is remembered', async () => {
+    memory.set('Bio je učitelj.', 'He was a teacher.')
+
+    expect(await translateText('<p>Bio je učitelj.</p>', 'sr', 'en')).toBe('<p>He was a teacher.</p>')
+    expect(translate).not.toHaveBeenCalled()
+  })
+
+  test('applies the glossary to the provider output and keeps member names', async () => {
+    memberNames.push('Marko Petrović')
+    glossary.push({ term: 'zemljoradnik', translation: 'farmer' })
+
+    const html = await translateText('<p>Marko Petrović je bio zemljoradnik.</p>', 'sr', 'en')
+
+    expect(html).toBe('<p>Marko Petrović [sr→en] je bio farmer[sr→en] .</p>')
+    const [[sent]] = translate.mock.calls
+    expect(sent[0]).toMatch(/<span translate="no" class="notranslate" data-g="\d+">zemljoradnik<\/span>/)
+  })
+
+  test('gives 400 for a target language the provider does not have', async () => {
+    await expect(translateText('<p>Tekst</p>', 'sr', 'xx')).rejects.toMatchObject({ status: 400 })
+  })
+})
@@ -14,16 +14,20 @@ import { query } from '../database/db.js'
  * @param {string} action - Type of action (INSERT, UPDATE, DELETE)
  * @param {Object} oldValues - Previous values (for updates)
  * @param {Object} newValues - New values
+ * @param {Object} [client] - Transaction client, so the entry commits or rolls back with the change
  */
-export const logAudit = async (userId, tableName, recordId, action, oldValues, newValues) => {
+export const logAudit = async (userId, tableName, recordId, action, oldValues, newValues, client = null) => {
   try {
-    await query(
+    await (client || { query }).query(
       `INSERT INTO audit_logs (user_id, table_name, record_id, action, old_values, new_values)
        VALUES ($1, $2, $3, $4, $5, $6)`,
       [userId, tableName, recordId, action, JSON.stringify(oldValues), JSON.stringify(newValues)]
     )
   } catch (error) {
-    // Log audit errors but don't throw - don't let audit failures break the main operation
+    // A failed insert aborts the transaction it runs in, so the change fails with it
+    if (client) throw error
+
+    // Without a transaction the change is already saved; an audit failure is only logged
     console.error('Failed to log audit:', error)
   }
 }
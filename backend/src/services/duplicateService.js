@@ -0,0 +1,394 @@
+/**
+ * Duplicate Service
+ *
+ * Finds family members that were probably entered twice, and merges two
+ * members into one.
+ *
+ * Candidate pairs are scored from 0 to 100:
+ * - name similarity, ignoring case and diacritics (Kurpejović = Kurpejovic)
+ *   and word order, up to 50 points
+ * - birth and death years: equal or close years add points, years far
+ *   apart take points away
+ * - the same birth place (linked place or text)
+ * - relatives both members are linked to (the same parent entered twice
+ *   for a child usually shows up here)
+ * Members related to each other are never proposed.
+ *
+ * A merge keeps one member (the survivor) and deletes the other (the
+ * duplicate) in a single transaction, after moving its relationships,
+ * life events, images, citations, translations, article and audit history to
+ * the survivor; links to the duplicate in other articles count as links to
+ * the survivor.
+ */
+
+import { withTransaction } from '../database/db.js'
+import * as FamilyMember from '../models/FamilyMember.js'
+import * as ArticleLink from '../models/ArticleLink.js'
+import { logAudit } from './auditService.js'
+import { assertPossibleBirthYear } from './relationshipService.js'
+
+// Lowest score listed by default
+export const DEFAULT_MIN_SCORE = 60
+
+// Name similarity below which a pair is not considered at all
+const MIN_NAME_SIMILARITY = 0.75
+
+// Member fields an editor can take from the duplicate; place texts bring their place link
+export const MERGE_FIELDS = [
+  'name',
+  'birth_date',
+  'birth_place',
+  'death_date',
+  'death_place',
+  'burial_date',
+  'burial_place',
+  'occupation',
+  'short_bio',
+]
+
+const PLACE_FIELDS = ['birth_place', 'death_place', 'burial_place']
+
+/**
+ * Build an error carrying the HTTP status for the error handler
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+const mergeError = (status, message) => Object.assign(new Error(message), { status })
+
+/**
+ * Fold a name for comparison: lowercase, without diacritics, đ as dj
+ * @param {string} name - Name as entered
+ * @returns {string} Folded name with single spaces
+ */
+export const foldName = (name) => {
+  return (name || '')
+    .toLowerCase()
+    .replace(/đ/g, 'dj')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-letter edits
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+/**
+ * Similarity of two folded names, in either word order
+ * @param {string} a - Folded name
+ * @param {string} b - Folded name
+ * @returns {number} 0 (nothing alike) to 1 (same name)
+ */
+export const nameSimilarity = (a, b) => {
+  if (!a || !b) return 0
+
+  const ratio = (x, y) => 1 - editDistance(x, y) / Math.max(x.length, y.length)
+  const sorted = (name) => name.split(' ').sort().join(' ')
+
+  return Math.max(ratio(a, b), ratio(sorted(a), sorted(b)))
+}
+
+/**
+ * Blocking keys of a folded name: the first three letters of every two of its words
+ * Only members sharing a key are compared, so a large family is not compared
+ * everyone with everyone; a shared surname alone does not make a key.
+ * @param {string} folded - Folded name
+ * @returns {Array<string>} Distinct keys, e.g. ["kur meh"] for "mehmed kurpejovic"
+ */
+const blockingKeys = (folded) => {
+  const prefixes = [...new Set(folded.split(' ').map(word => word.slice(0, 3)))].sort()
+  if (prefixes.length < 2) return prefixes
+
+  return prefixes.flatMap((first, index) => prefixes.slice(index + 1).map(second => `${first} ${second}`))
+}
+
+/**
+ * Score a pair of members
+ * @param {Object} a - Member with folded name, relatives and related sets
+ * @param {Object} b - Member with folded name, relatives and related sets
+ * @returns {Object|null} { score, reasons }, or null when the names are too different
+ */
+const scorePair = (a, b) => {
+  const similarity = nameSimilarity(a.folded, b.folded)
+  if (similarity < MIN_NAME_SIMILARITY) return null
+
+  let score = Math.round(similarity * 50)
+  const reasons = [{ type: 'name', similarity: Number(similarity.toFixed(2)) }]
+
+  const compareYears = (type, yearA, yearB, points) => {
+    if (!yearA || !yearB) return
+    const difference = Math.abs(yearA - yearB)
+    if (difference === 0) score += points
+    else if (difference <= 2) score += Math.round(points / 2)
+    else if (difference > 5) score -= points + 10
+    reasons.push({ type, difference })
+  }
+
+  compareYears('birth_year', a.member.birth_year, b.member.birth_year, 20)
+  compareYears('death_year', a.member.death_year, b.member.death_year, 10)
+
+  const samePlace = a.member.birth_place_id && b.member.birth_place_id
+    ? a.member.birth_place_id === b.member.birth_place_id
+    : Boolean(a.member.birth_place) && foldName(a.member.birth_place) === foldName(b.member.birth_place)
+  if (samePlace) {
+    score += 10
+    reasons.push({ type: 'birth_place' })
+  }
+
+  const shared = [...a.relatives].filter(id => b.relatives.has(id))
+  if (shared.length) {
+    score += Math.min(30, shared.length * 15)
+    reasons.push({ type: 'shared_relatives', count: shared.length })
+  }
+
+  return { score: Math.max(0, Math.min(100, score)), reasons }
+}
+
+/**
+ * Find probable duplicate members
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.min_score] - Lowest score to return (defaults to DEFAULT_MIN_SCORE)
+ * @param {number} [options.limit] - Maximum number of pairs
+ * @returns {Promise<Array>} Pairs { score, reasons, members: [a, b] }, best first
+ */
+export const findDuplicates = async ({ min_score = DEFAULT_MIN_SCORE, limit } = {}) => {
+  const [members, relationships] = await Promise.all([
+    FamilyMember.getAllFamilyMembers(),
+    FamilyMember.getFamilyRelationships(),
+  ])
+
+  const relativesOf = new Map(members.map(member => [member.id, new Set()]))
+  relationships.forEach(row => relativesOf.get(row.member_id)?.add(row.related_member_id))
+
+  const entries = members.map(member => ({
+    member,
+    folded: foldName(member.name),
+    relatives: relativesOf.get(member.id),
+  }))
+
+  const byKey = new Map()
+  entries.forEach((entry, index) => {
+    entry.keys = blockingKeys(entry.folded)
+    entry.keys.forEach((key) => {
+      if (!byKey.has(key)) byKey.set(key, [])
+      byKey.get(key).push(index)
+    })
+  })
+
+  const pairs = []
+
+  byKey.forEach((indexes, key) => {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const a = entries[indexes[i]]
+        const b = entries[indexes[j]]
+        // Pairs sharing several keys are scored under the first of them only
+        if (a.keys.find(k => b.keys.includes(k)) !== key) continue
+        // A parent, child, spouse or sibling cannot be the same person
+        if (a.relatives.has(b.member.id)) continue
+
+        const result = scorePair(a, b)
+        if (result && result.score >= min_score) {
+          pairs.push({ ...result, members: [a.member, b.member] })
+        }
+      }
+    }
+  })
+
+  pairs.sort((x, y) => y.score - x.score || x.members[0].name.localeCompare(y.members[0].name))
+  return limit ? pairs.slice(0, limit) : pairs
+}
+
+/**
+ * Work out what merging a duplicate into a survivor would do, without writing anything
+ * Empty survivor fields are filled from the duplicate; take_fields replace
+ * survivor values with the duplicate's.
+ * @param {Object} survivor - Member that is kept
+ * @param {Object} duplicate - Member that is merged into the survivor and deleted
+ * @param {Object} [options={}] - Options
+ * @param {Array<string>} [options.take_fields] - MERGE_FIELDS to take from the duplicate
+ * @param {string} [options.keep_article] - 'survivor' or 'duplicate', when both have an article
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ * @returns {Promise<Object>} {
+ *   updates: Fields written to the survivor,
+ *   relationships: { moved, shared, conflicts: [{ member, survivor_type, duplicate_type }] },
+ *   records: { survivor, duplicate } counts of life events, images, citations, translations, articles, audit entries,
+ *   keep_article
+ * }
+ */
+export const buildMergePlan = async (survivor, duplicate, { take_fields = [], keep_article = 'survivor' } = {}, client) => {
+  if (survivor.id === duplicate.id) {
+    throw mergeError(400, 'A family member cannot be merged with themselves')
+  }
+
+  const updates = {}
+  MERGE_FIELDS.forEach((field) => {
+    const isEmpty = (value) => value === null || value === undefined || value === ''
+    if (isEmpty(duplicate[field])) return
+    if (!take_fields.includes(field) && !isEmpty(survivor[field])) return
+
+    updates[field] = duplicate[field]
+    if (PLACE_FIELDS.includes(field)) {
+      updates[`${field}_id`] = duplicate[`${field}_id`]
+    }
+  })
+
+  const [survivorRows, duplicateRows, survivorRecords, duplicateRecords] = await Promise.all([
+    FamilyMember.getRelationshipRowsOf(survivor.id, client),
+    FamilyMember.getRelationshipRowsOf(duplicate.id, client),
+    FamilyMember.countMemberRecords(survivor.id, client),
+    FamilyMember.countMemberRecords(duplicate.id, client),
+  ])
+
+  // "member is <type> of relative", from the member's own rows
+  const typesOf = (memberId, rows) => new Map(rows
+    .filter(row => row.member_id === memberId)
+    .map(row => [row.related_member_id, row.relationship_type]))
+
+  const survivorTypes = typesOf(survivor.id, survivorRows)
+  const duplicateTypes = typesOf(duplicate.id, duplicateRows)
+
+  const relationships = { moved: 0, shared: 0, conflicts: [] }
+  const relativeIds = [...duplicateTypes.keys()].filter(id => id !== survivor.id)
+  const relatives = await FamilyMember.getFamilyMembersByIds(relativeIds, client)
+
+  relativeIds.forEach((relativeId) => {
+    const duplicateType = duplicateTypes.get(relativeId)
+    const survivorType = survivorTypes.get(relativeId)
+    if (!survivorType) {
+      relationships.moved++
+    } else if (survivorType === duplicateType) {
+      relationships.shared++
+    } else {
+      const relative = relatives.find(member => member.id === relativeId)
+      relationships.conflicts.push({
+        member: { id: relativeId, name: relative?.name },
+        survivor_type: survivorType,
+        duplicate_type: duplicateType,
+      })
+    }
+  })
+
+  return {
+    updates,
+    relationships,
+    records: { survivor: survivorRecords, duplicate: duplicateRecords },
+    keep_article: survivorRecords.articles && duplicateRecords.articles ? keep_article : null,
+  }
+}
+
+/**
+ * Merge a duplicate into a survivor in one transaction
+ * Both members are locked and the plan is worked out inside the transaction,
+ * so the merge is checked against the records it moves.
+ * @param {number} survivorId - Member that is kept
+ * @param {number} duplicateId - Member that is deleted
+ * @param {Object} options - Options of buildMergePlan
+ * @param {number} userId - User making the change
+ * @returns {Promise<Object>} { plan: from buildMergePlan, member: merged survivor, moved: counts per table }
+ */
+export const mergeMembers = async (survivorId, duplicateId, options, userId) => {
+  return withTransaction(async (client) => {
+    const members = await FamilyMember.lockFamilyMembers([survivorId, duplicateId], client)
+    const survivor = members.find(member => member.id === Number(survivorId))
+    const duplicate = members.find(member => member.id === Number(duplicateId))
+    if (!survivor || !duplicate) {
+      throw mergeError(404, 'Family member not found')
+    }
+
+    const plan = await buildMergePlan(survivor, duplicate, options, client)
+    if (plan.relationships.conflicts.length) {
+      const names = plan.relationships.conflicts.map(conflict => conflict.member.name).join(', ')
+      throw mergeError(409, `Both members are related to ${names} in different ways; fix those relationships before merging`)
+    }
+
+    const { deleted, moved } = await FamilyMember.moveRelationships(duplicate.id, survivor.id, client)
+
+    // Relationships moved in may not make the survivor their own ancestor
+    const [ancestorIds, descendantIds] = await Promise.all([
+      FamilyMember.getAncestorIds(survivor.id, client),
+      FamilyMember.getDescendantIds(survivor.id, client),
+    ])
+    if (ancestorIds.some(id => descendantIds.includes(id))) {
+      throw mergeError(400, `Merging would make ${survivor.name} their own ancestor`)
+    }
+
+    for (const row of deleted) {
+      await logAudit(userId, 'family_relationships', row.id, 'DELETE', row, null, client)
+    }
+    for (const row of moved) {
+      const old = {
+        ...row,
+        member_id: row.member_id === survivor.id ? duplicate.id : row.member_id,
+        related_member_id: row.related_member_id === survivor.id ? duplicate.id : row.related_member_id,
+      }
+      await logAudit(userId, 'family_relationships', row.id, 'UPDATE', old, row, client)
+    }
+
+    let article = null
+    if (plan.keep_article) {
+      // Both members have an article; the one not kept is deleted with its translations
+      const removed = await FamilyMember.deleteMemberArticle(
+        plan.keep_article === 'duplicate' ? survivor.id : duplicate.id,
+        client
+      )
+      await logAudit(userId, 'articles', removed.id, 'DELETE', removed, null, client)
+    }
+    if (plan.keep_article !== 'survivor') {
+      article = await FamilyMember.moveArticle(duplicate.id, survivor.id, client)
+      if (article) {
+        await logAudit(userId, 'articles', article.id, 'UPDATE', { ...article, family_member_id: duplicate.id }, article, client)
+      }
+    }
+
+    const records = await FamilyMember.moveMemberRecords(duplicate.id, survivor.id, client)
+
+    // Articles mentioning the duplicate now mention the survivor
+    const articleLinks = await ArticleLink.moveMemberLinks(duplicate.id, survivor.id, client)
+
+    const member = Object.keys(plan.updates).length
+      ? await FamilyMember.updateFamilyMember(survivor.id, plan.updates, client)
+      : survivor
+
+    // A parent may not end up born in the same year as, or after, their child
+    await assertPossibleBirthYear(member, client)
+
+    await FamilyMember.deleteFamilyMember(duplicate.id, client)
+
+    // Logged on the survivor, whose history now also holds the duplicate's
+    await logAudit(userId, 'family_members', survivor.id, 'UPDATE', survivor, { ...member, merged_from: duplicate }, client)
+
+    return {
+      plan,
+      member,
+      moved: {
+        relationships: moved.length / 2,
+        ...records,
+        article_links: articleLinks,
+        article: Boolean(article),
+      },
+    }
+  })
+}
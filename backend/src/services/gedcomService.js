@@ -0,0 +1,673 @@
+/**
+ * GEDCOM Service
+ *
+ * Parses GEDCOM 5.5.1 files exported by other genealogy tools and turns
+ * INDI/FAM records into family members and relationships, and serialises
+ * the family tree back into GEDCOM for desktop genealogy software.
+ *
+ * Relationships follow the same convention as the family management screen:
+ * a row (member_id, related_member_id, 'parent') reads "member is parent of related".
+ */
+
+import { withTransaction } from '../database/db.js'
+import * as FamilyMember from '../models/FamilyMember.js'
+import { logAudit } from './auditService.js'
+import { assertPossible, impossibleParentReason } from './relationshipService.js'
+import { dateKey, isPossibleDate } from '../utils/partialDate.js'
+
+// level, optional @XREF@, tag, optional value
+const LINE_PATTERN = /^\s*(\d+)\s+(?:(@[^@]+@)\s+)?([A-Za-z0-9_]+)(?: (.*))?$/
+
+// Matches the validator limit on family member biographies
+const MAX_BIO_LENGTH = 1000
+
+// Length of the name, occupation and place columns
+const MAX_FIELD_LENGTH = 255
+
+// GEDCOM lines may not exceed 255 characters; longer values are split with CONC
+const MAX_VALUE_LENGTH = 200
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+
+// GEDCOM date modifiers and the partial date qualifier each maps to;
+// FROM/TO periods are read as after/before (or a range when both are given)
+const DATE_MODIFIERS = [
+  [/^BET (.+) AND (.+)$/, 'between'],
+  [/^FROM (.+) TO (.+)$/, 'between'],
+  [/^(?:ABT|EST|CAL) (.+)$/, 'about'],
+  [/^(?:BEF|TO) (.+)$/, 'before'],
+  [/^(?:AFT|FROM) (.+)$/, 'after'],
+]
+
+const QUALIFIER_MODIFIERS = { about: 'ABT', before: 'BEF', after: 'AFT' }
+
+/**
+ * Parse GEDCOM text into a tree of records
+ * CONT/CONC continuation lines are folded into their parent value.
+ * @param {string} text - Raw GEDCOM file content
+ * @returns {Object} { records: Array of level-0 nodes, warnings: Array of strings }
+ */
+export const parseGedcom = (text) => {
+  const records = []
+  const warnings = []
+  const stack = []
+
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/)
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return
+
+    const match = line.match(LINE_PATTERN)
+    if (!match) {
+      warnings.push(`Line ${index + 1}: could not parse "${line.trim().slice(0, 60)}"`)
+      return
+    }
+
+    const level = parseInt(match[1])
+    const node = {
+      level,
+      xref: match[2] || null,
+      tag: match[3].toUpperCase(),
+      value: (match[4] ?? '').replace(/@@/g, '@'),
+      children: [],
+    }
+
+    const parent = stack[level - 1]
+
+    if (node.tag === 'CONT' || node.tag === 'CONC') {
+      if (!parent) {
+        warnings.push(`Line ${index + 1}: ${node.tag} line has no value to continue`)
+      } else {
+        parent.value += (node.tag === 'CONT' ? '\n' : '') + node.value
+      }
+      return
+    }
+
+    if (level > 0 && !parent) {
+      warnings.push(`Line ${index + 1}: level ${level} line has no parent record`)
+      return
+    }
+
+    if (level === 0) {
+      records.push(node)
+    } else {
+      parent.children.push(node)
+    }
+
+    stack[level] = node
+    stack.length = level + 1
+  })
+
+  const charset = records.find(r => r.tag === 'HEAD')?.children.find(c => c.tag === 'CHAR')?.value
+  if (charset && !/^(UTF-?8|ASCII)$/i.test(charset.trim())) {
+    warnings.push(`File declares ${charset.trim()} encoding; only UTF-8 is supported, special characters may be wrong`)
+  }
+
+  return { records, warnings }
+}
+
+/**
+ * Find the first child node with a given tag
+ * @param {Object} node - Parsed GEDCOM node
+ * @param {string} tag - Tag to look for
+ * @returns {Object|undefined} Child node
+ */
+const findChild = (node, tag) => node?.children.find(c => c.tag === tag)
+
+/**
+ * Extract a year from a GEDCOM date value ("12 MAR 1870", "ABT 1870", "BET 1870 AND 1875")
+ * @param {string} value - GEDCOM date value
+ * @returns {number|null} First year found in the value
+ */
+export const extractGedcomYear = (value) => {
+  // Not part of a longer number; letters may follow ("1870s")
+  const match = String(value || '').match(/(?:^|\D)(\d{3,4})(?!\d)/)
+  return match ? parseInt(match[1]) : null
+}
+
+/**
+ * Parse a single GEDCOM day ("12 MAR 1870", "MAR 1870" or "1870")
+ * An impossible day ("31 FEB 1870") is dropped, keeping the month.
+ * @param {string} value - Date without modifiers
+ * @returns {Object|null} { year, month?, day? }
+ */
+const parseGedcomDay = (value) => {
+  const match = value.trim().match(/^(?:(?:(\d{1,2}) )?([A-Z]{3}) )?(\d{1,4})$/)
+  if (!match) return null
+
+  const [, day, monthName, year] = match
+  const point = { year: parseInt(year) }
+  if (monthName) {
+    if (!MONTHS.includes(monthName)) return null
+    point.month = MONTHS.indexOf(monthName) + 1
+  }
+  if (day && isPossibleDate({ ...point, day: parseInt(day) })) {
+    point.day = parseInt(day)
+  }
+
+  return point
+}
+
+/**
+ * Convert a GEDCOM date value into a partial date
+ * Values that do not follow the GEDCOM grammar but contain a year
+ * ("1870s", "circa 1870") are kept as "about <year>".
+ * @param {string} value - GEDCOM date value ("ABT 1870", "BET 1870 AND 1875", "12 MAR 1870")
+ * @returns {Object|null} Partial date, or null when no year is found
+ */
+export const parseGedcomDate = (value) => {
+  // INT dates carry a text interpretation after the date: "INT 1870 (the year of the flood)"
+  const text = String(value || '').trim().toUpperCase().replace(/^INT /, '').replace(/\s*\(.*\)$/, '')
+
+  for (const [pattern, qualifier] of DATE_MODIFIERS) {
+    const match = text.match(pattern)
+    if (!match) continue
+
+    const from = parseGedcomDay(match[1])
+    const to = match[2] && parseGedcomDay(match[2])
+    if (from && qualifier !== 'between') return { qualifier, ...from }
+    if (from && to && dateKey(to) > dateKey(from)) return { qualifier, ...from, to }
+    break
+  }
+
+  const exact = parseGedcomDay(text)
+  if (exact) return exact
+
+  const year = extractGedcomYear(value)
+  return year ? { qualifier: 'about', year } : null
+}
+
+/**
+ * Convert an exact GEDCOM date ("12 MAR 1870") to 'YYYY-MM-DD'
+ * Approximate, ranged or partial dates cannot be stored in a DATE column.
+ * @param {string} value - GEDCOM date value
+ * @returns {string|null} ISO date, or null when the value is not an exact day
+ */
+const parseGedcomExactDate = (value) => {
+  const date = parseGedcomDate(value)
+  if (!date?.day || date.qualifier) return null
+
+  return [String(date.year).padStart(4, '0'), date.month, date.day]
+    .map(part => String(part).padStart(2, '0'))
+    .join('-')
+}
+
+/**
+ * Build a display name from an INDI record's NAME structure
+ * @param {Object} individual - INDI node
+ * @returns {string|null} Name with surname slashes removed
+ */
+const buildName = (individual) => {
+  const nameNode = findChild(individual, 'NAME')
+  if (!nameNode) return null
+
+  const fromValue = nameNode.value.replace(/\//g, ' ').replace(/\s+/g, ' ').trim()
+  if (fromValue) return fromValue
+
+  const parts = [findChild(nameNode, 'GIVN')?.value, findChild(nameNode, 'SURN')?.value]
+  return parts.filter(Boolean).join(' ').trim() || null
+}
+
+/**
+ * Resolve an inline note or a pointer to a NOTE record
+ * @param {Object} noteNode - NOTE node
+ * @param {Map} notes - Top-level NOTE records by xref
+ * @returns {string|null} Note text
+ */
+const resolveNote = (noteNode, notes) => {
+  if (!noteNode) return null
+
+  const value = noteNode.value.trim()
+  const text = /^@[^@]+@$/.test(value) ? notes.get(value)?.value : noteNode.value
+
+  return text?.trim() || null
+}
+
+/**
+ * Build an import plan from GEDCOM text
+ * Nothing is written; the plan doubles as the dry-run preview.
+ * @param {string} text - Raw GEDCOM file content
+ * @returns {Object} { members, relationships, warnings }
+ */
+export const buildImportPlan = (text) => {
+  const { records, warnings } = parseGedcom(text)
+
+  const notes = new Map(records.filter(r => r.tag === 'NOTE' && r.xref).map(r => [r.xref, r]))
+  const members = []
+  const byXref = new Map()
+
+  records.filter(r => r.tag === 'INDI').forEach((individual) => {
+    if (!individual.xref) {
+      warnings.push('Skipped an INDI record without an identifier')
+      return
+    }
+
+    if (byXref.has(individual.xref)) {
+      warnings.push(`Skipped duplicate INDI record ${individual.xref}`)
+      return
+    }
+
+    let name = buildName(individual)
+    if (!name || name.length < 2) {
+      warnings.push(`${individual.xref} has no usable name, imported as "Unknown"`)
+      name = 'Unknown'
+    }
+
+    if (name.length > MAX_FIELD_LENGTH) {
+      warnings.push(`${individual.xref} name truncated to ${MAX_FIELD_LENGTH} characters`)
+      name = name.slice(0, MAX_FIELD_LENGTH)
+    }
+
+    const birth = findChild(individual, 'BIRT')
+    const death = findChild(individual, 'DEAT')
+    const burial = findChild(individual, 'BURI')
+    const birthDate = parseGedcomDate(findChild(birth, 'DATE')?.value)
+    const deathDate = parseGedcomDate(findChild(death, 'DATE')?.value)
+    let occupation = findChild(individual, 'OCCU')?.value.trim() || null
+    let shortBio = resolveNote(findChild(individual, 'NOTE'), notes)
+
+    if (occupation && occupation.length > MAX_FIELD_LENGTH) {
+      warnings.push(`${individual.xref} occupation truncated to ${MAX_FIELD_LENGTH} characters`)
+      occupation = occupation.slice(0, MAX_FIELD_LENGTH)
+    }
+
+    if (shortBio && shortBio.length > MAX_BIO_LENGTH) {
+      warnings.push(`${individual.xref} note truncated to ${MAX_BIO_LENGTH} characters`)
+      shortBio = shortBio.slice(0, MAX_BIO_LENGTH)
+    }
+
+    const member = {
+      xref: individual.xref,
+      name,
+      birth_year: birthDate?.year ?? null,
+      death_year: deathDate?.year ?? null,
+      birth_date: birthDate,
+      death_date: deathDate,
+      burial_date: parseGedcomDate(findChild(burial, 'DATE')?.value),
+      birth_place: findChild(birth, 'PLAC')?.value.trim().slice(0, MAX_FIELD_LENGTH) || null,
+      death_place: findChild(death, 'PLAC')?.value.trim().slice(0, MAX_FIELD_LENGTH) || null,
+      burial_place: findChild(burial, 'PLAC')?.value.trim().slice(0, MAX_FIELD_LENGTH) || null,
+      occupation,
+      short_bio: shortBio,
+    }
+
+    members.push(member)
+    byXref.set(member.xref, member)
+  })
+
+  const relationships = []
+  // Each pair of members once, whichever family lists it first
+  const pairs = new Map()
+  const parentsOf = new Map()
+
+  // Planned ancestors of a member, by xref
+  const ancestorsOf = (xref, found = new Set()) => {
+    for (const parentXref of parentsOf.get(xref) || []) {
+      if (found.has(parentXref)) continue
+      found.add(parentXref)
+      ancestorsOf(parentXref, found)
+    }
+    return found
+  }
+
+  const addRelationship = (family, memberXref, relatedXref, relationshipType, union = null) => {
+    const member = byXref.get(memberXref)
+    const related = byXref.get(relatedXref)
+
+    if (!member || !related) {
+      warnings.push(`${family.xref || 'FAM'} references unknown individual ${member ? relatedXref : memberXref}`)
+      return
+    }
+
+    if (memberXref === relatedXref) {
+      warnings.push(`${family.xref || 'FAM'} relates ${memberXref} to themselves; skipped`)
+      return
+    }
+
+    const key = [memberXref, relatedXref].sort().join('|')
+    const planned = pairs.get(key)
+    if (planned) {
+      const sameWay = planned.relationship_type === relationshipType && (relationshipType === 'spouse' || planned.member_xref === memberXref)
+      if (!sameWay) {
+        warnings.push(`${family.xref || 'FAM'} relates ${memberXref} and ${relatedXref} differently from an earlier family; skipped`)
+      }
+      return
+    }
+
+    // The checks the import runs, against the relationships planned so far
+    if (relationshipType === 'parent') {
+      const reason = impossibleParentReason(
+        { id: memberXref, name: memberXref, birth_year: member.birth_year },
+        { id: relatedXref, name: relatedXref, birth_year: related.birth_year },
+        [...ancestorsOf(memberXref)]
+      )
+      if (reason) {
+        warnings.push(`${family.xref || 'FAM'}: ${reason}; skipped`)
+        return
+      }
+
+      parentsOf.set(relatedXref, [...(parentsOf.get(relatedXref) || []), memberXref])
+    }
+
+    const relationship = {
+      member_xref: memberXref,
+      member_name: member.name,
+      related_xref: relatedXref,
+      related_name: related.name,
+      relationship_type: relationshipType,
+      ...(union && { union }),
+    }
+    pairs.set(key, relationship)
+    relationships.push(relationship)
+  }
+
+  // MARR/DIV events of a FAM record become the couple's union record
+  const buildUnion = (family) => {
+    const marriage = findChild(family, 'MARR')
+    const divorce = findChild(family, 'DIV')
+
+    return {
+      marriage_date: parseGedcomExactDate(findChild(marriage, 'DATE')?.value),
+      marriage_place: findChild(marriage, 'PLAC')?.value.trim().slice(0, MAX_FIELD_LENGTH) || null,
+      end_date: parseGedcomExactDate(findChild(divorce, 'DATE')?.value),
+      end_reason: divorce ? 'divorce' : null,
+    }
+  }
+
+  records.filter(r => r.tag === 'FAM').forEach((family) => {
+    const spouses = family.children
+      .filter(c => c.tag === 'HUSB' || c.tag === 'WIFE')
+      .map(c => c.value.trim())
+    const children = family.children.filter(c => c.tag === 'CHIL').map(c => c.value.trim())
+
+    if (spouses.length === 2) {
+      addRelationship(family, spouses[0], spouses[1], 'spouse', buildUnion(family))
+    }
+
+    spouses.forEach((parentXref) => {
+      children.forEach((childXref) => addRelationship(family, parentXref, childXref, 'parent'))
+    })
+  })
+
+  return { members, relationships, warnings: [...new Set(warnings)] }
+}
+
+/**
+ * Write an import plan in a single transaction
+ * Every created row gets an audit entry; any failure rolls back the whole import,
+ * including a relationship the family management screen would reject. The plan
+ * leaves those out already, so this only guards against plans built elsewhere.
+ * @param {Object} plan - Plan returned by buildImportPlan
+ * @param {number} userId - User performing the import
+ * @returns {Promise<Object>} { members: [{ xref, id, name }], relationships: number }
+ */
+export const importGedcomPlan = async (plan, userId) => {
+  return withTransaction(async (client) => {
+    const membersByXref = new Map()
+    const createdMembers = []
+
+    for (const { xref, ...memberData } of plan.members) {
+      const member = await FamilyMember.createFamilyMember(memberData, client)
+      await logAudit(userId, 'family_members', member.id, 'INSERT', null, member, client)
+
+      membersByXref.set(xref, member)
+      createdMembers.push({ xref, id: member.id, name: member.name })
+    }
+
+    for (const relationship of plan.relationships) {
+      const member = membersByXref.get(relationship.member_xref)
+      const related = membersByXref.get(relationship.related_xref)
+
+      // Members are all new, so the stored graph is the relationships written so far
+      await assertPossible(member, related, relationship.relationship_type, client)
+
+      // Saves the inverse row too
+      const saved = await FamilyMember.saveRelationshipPair(member.id, related.id, relationship.relationship_type, relationship.union, client)
+      await logAudit(userId, 'family_relationships', saved.relationship.id, 'INSERT', null, saved.relationship, client)
+      await logAudit(userId, 'family_relationships', saved.inverse.id, 'INSERT', null, saved.inverse, client)
+    }
+
+    return {
+      members: createdMembers,
+      relationships: plan.relationships.length,
+    }
+  })
+}
+
+/**
+ * Append a text value as one or more GEDCOM lines
+ * Newlines become CONT lines, long lines are split with CONC.
+ * @param {Array<string>} lines - Output lines
+ * @param {number} level - Level of the tag line
+ * @param {string} tag - GEDCOM tag
+ * @param {string} text - Value to write
+ */
+const pushText = (lines, level, tag, text) => {
+  String(text).split(/\r\n|\r|\n/).forEach((paragraph, index) => {
+    const escaped = paragraph.replace(/@/g, '@@')
+    const chunks = escaped.match(new RegExp(`[^]{1,${MAX_VALUE_LENGTH}}`, 'g')) || ['']
+
+    chunks.forEach((chunk, chunkIndex) => {
+      const lineTag = index === 0 && chunkIndex === 0
+        ? `${level} ${tag}`
+        : `${level + 1} ${chunkIndex === 0 ? 'CONT' : 'CONC'}`
+
+      lines.push(chunk ? `${lineTag} ${chunk}` : lineTag)
+    })
+  })
+}
+
+/**
+ * Format a name with the last word marked as surname ("Hamza /Kurpejović/")
+ * @param {string} name - Member name
+ * @returns {string} GEDCOM NAME value
+ */
+const formatGedcomName = (name) => {
+  const parts = name.trim().split(/\s+/)
+  if (parts.length < 2) return name.trim()
+
+  const surname = parts.pop()
+  return `${parts.join(' ')} /${surname}/`
+}
+
+/**
+ * Format today's date as a GEDCOM date ("19 OCT 2026")
+ * @returns {string} GEDCOM date
+ */
+const formatGedcomToday = () => {
+  const now = new Date()
+  return `${now.getDate()} ${MONTHS[now.getMonth()]} ${now.getFullYear()}`
+}
+
+/**
+ * Format a date point as a GEDCOM day ("12 MAR 1870", "MAR 1870", "1870")
+ * @param {Object} point - { year, month?, day? }
+ * @returns {string} GEDCOM date
+ */
+const formatGedcomDay = ({ year, month, day }) => [day, month && MONTHS[month - 1], year].filter(Boolean).join(' ')
+
+/**
+ * Format a partial date as a GEDCOM date value ("ABT 1870", "BET 1870 AND 1875")
+ * @param {Object} date - Partial date
+ * @returns {string} GEDCOM date
+ */
+const formatGedcomDate = (date) => {
+  if (date.qualifier === 'between') {
+    return `BET ${formatGedcomDay(date)} AND ${formatGedcomDay(date.to)}`
+  }
+  const modifier = QUALIFIER_MODIFIERS[date.qualifier]
+  return modifier ? `${modifier} ${formatGedcomDay(date)}` : formatGedcomDay(date)
+}
+
+/**
+ * Format a 'YYYY-MM-DD' date as a GEDCOM date ("12 MAR 1870")
+ * @param {string} iso - ISO date
+ * @returns {string} GEDCOM date
+ */
+const formatGedcomIsoDate = (iso) => {
+  const [year, month, day] = iso.split('-').map(Number)
+  return formatGedcomDay({ year, month, day })
+}
+
+/**
+ * Write a life event (BIRT, DEAT, BURI) with its date and place
+ * @param {Array<string>} lines - Output lines
+ * @param {string} tag - Event tag
+ * @param {Object|null} date - Partial date
+ * @param {string|null} place - Place of the event
+ */
+const pushEvent = (lines, tag, date, place) => {
+  if (!date && !place) return
+
+  lines.push(`1 ${tag}`)
+  if (date) lines.push(`2 DATE ${formatGedcomDate(date)}`)
+  if (place) pushText(lines, 2, 'PLAC', place)
+}
+
+/**
+ * Group parent/spouse relationships into GEDCOM families
+ * Children sharing the same parents form one FAM record; couples without
+ * children get a FAM record of their own. Couples keep their union record.
+ * @param {Array} relationships - family_relationships rows
+ * @returns {Array} Families as { parents: [id, id?], children: [id], union? }
+ */
+const buildFamilies = (relationships) => {
+  const parentsByChild = new Map()
+  const couples = new Map()
+
+  relationships.forEach((relationship) => {
+    const { member_id, related_member_id, relationship_type } = relationship
+
+    if (relationship_type === 'parent' || relationship_type === 'child') {
+      const [parentId, childId] = relationship_type === 'parent'
+        ? [member_id, related_member_id]
+        : [related_member_id, member_id]
+
+      if (!parentsByChild.has(childId)) parentsByChild.set(childId, new Set())
+      parentsByChild.get(childId).add(parentId)
+    }
+
+    if (relationship_type === 'spouse') {
+      const pair = [member_id, related_member_id].sort((a, b) => a - b)
+      couples.set(pair.join('|'), { pair, union: relationship })
+    }
+  })
+
+  const families = new Map()
+  const familyFor = (parents) => {
+    const key = parents.join('|')
+    if (!families.has(key)) families.set(key, { parents, children: [] })
+    return families.get(key)
+  }
+
+  parentsByChild.forEach((parentIds, childId) => {
+    const parents = [...parentIds].sort((a, b) => a - b)
+
+    // More than two recorded parents cannot be expressed in one FAM record
+    for (let i = 0; i < parents.length; i += 2) {
+      familyFor(parents.slice(i, i + 2)).children.push(childId)
+    }
+  })
+
+  couples.forEach(({ pair, union }) => {
+    familyFor(pair).union = union
+  })
+
+  return [...families.values()]
+}
+
+/**
+ * Serialise family members into a GEDCOM 5.5.1 document
+ * The tree has no sex field, so the first parent of a family is written as
+ * HUSB and the second as WIFE, and individuals are written without SEX.
+ * @param {Object} data - Data to export
+ * @param {Array} data.members - family_members rows
+ * @param {Array} data.relationships - family_relationships rows between those members
+ * @param {Array} [data.images] - Primary images of those members
+ * @param {string} [data.baseUrl] - Server URL used to build absolute image links;
+ *   without it images are left out
+ * @returns {string} GEDCOM document
+ */
+export const buildGedcom = ({ members, relationships, images = [], baseUrl = '' }) => {
+  const memberIds = new Set(members.map(m => m.id))
+  const families = buildFamilies(
+    relationships.filter(r => memberIds.has(r.member_id) && memberIds.has(r.related_member_id))
+  )
+  const imagesByMember = new Map(images.map(img => [img.family_member_id, img]))
+
+  const familiesAsSpouse = new Map()
+  const familiesAsChild = new Map()
+  const link = (map, memberId, xref) => {
+    if (!map.has(memberId)) map.set(memberId, [])
+    map.get(memberId).push(xref)
+  }
+
+  families.forEach((family, index) => {
+    family.xref = `@F${index + 1}@`
+    family.parents.forEach(id => link(familiesAsSpouse, id, family.xref))
+    family.children.forEach(id => link(familiesAsChild, id, family.xref))
+  })
+
+  const lines = [
+    '0 HEAD',
+    '1 SOUR KURPEJOVICA_ENCIKLOPEDIJA',
+    '2 NAME Kurpejovica Enciklopedija',
+    `1 DATE ${formatGedcomToday()}`,
+    '1 SUBM @SUBM@',
+    '1 GEDC',
+    '2 VERS 5.5.1',
+    '2 FORM LINEAGE-LINKED',
+    '1 CHAR UTF-8',
+    '0 @SUBM@ SUBM',
+    '1 NAME Kurpejovica Enciklopedija',
+  ]
+
+  members.forEach((member) => {
+    lines.push(`0 @I${member.id}@ INDI`)
+    pushText(lines, 1, 'NAME', formatGedcomName(member.name))
+
+    // Rows written before structured dates existed only have the year
+    const yearOnly = (year) => year ? { year } : null
+    pushEvent(lines, 'BIRT', member.birth_date || yearOnly(member.birth_year), member.birth_place)
+    pushEvent(lines, 'DEAT', member.death_date || yearOnly(member.death_year), member.death_place)
+    pushEvent(lines, 'BURI', member.burial_date, member.burial_place)
+
+    if (member.occupation) pushText(lines, 1, 'OCCU', member.occupation)
+    if (member.short_bio) pushText(lines, 1, 'NOTE', member.short_bio)
+
+    const image = imagesByMember.get(member.id)
+    if (image && baseUrl) {
+      lines.push('1 OBJE')
+      lines.push(`2 FILE ${baseUrl}/images/${encodeURIComponent(image.filename)}`)
+      lines.push(`3 FORM ${(image.mime_type || 'image/jpeg').split('/')[1]}`)
+      if (image.caption) pushText(lines, 3, 'TITL', image.caption)
+      lines.push('2 _PRIM Y')
+    }
+
+    familiesAsSpouse.get(member.id)?.forEach(xref => lines.push(`1 FAMS ${xref}`))
+    familiesAsChild.get(member.id)?.forEach(xref => lines.push(`1 FAMC ${xref}`))
+  })
+
+  families.forEach((family) => {
+    lines.push(`0 ${family.xref} FAM`)
+    const [husband, wife] = family.parents
+    if (husband) lines.push(`1 HUSB @I${husband}@`)
+    if (wife) lines.push(`1 WIFE @I${wife}@`)
+    family.children.forEach(id => lines.push(`1 CHIL @I${id}@`))
+
+    const { union } = family
+    if (union?.marriage_date || union?.marriage_place) {
+      lines.push('1 MARR')
+      if (union.marriage_date) lines.push(`2 DATE ${formatGedcomIsoDate(union.marriage_date)}`)
+      if (union.marriage_place) pushText(lines, 2, 'PLAC', union.marriage_place)
+    }
+    if (union?.end_reason === 'divorce') {
+      lines.push('1 DIV')
+      if (union.end_date) lines.push(`2 DATE ${formatGedcomIsoDate(union.end_date)}`)
+    }
+  })
+
+  lines.push('0 TRLR')
+
+  return lines.join('\r\n') + '\r\n'
+}
@@ -0,0 +1,152 @@
+/**
+ * Infobox Terms
+ *
+ * Labels of the member infobox and the words of partial dates for the nine
+ * supported languages. locale is the language's locale for month names.
+ */
+
+export const INFOBOX_TERMS = {
+  sr: {
+    locale: 'sr-Latn',
+    born: 'Rođenje',
+    died: 'Smrt',
+    buried: 'Sahrana',
+    occupation: 'Zanimanje',
+    parents: 'Roditelji',
+    spouses: (count) => (count > 1 ? 'Supružnici' : 'Supružnik'),
+    children: 'Djeca',
+    about: (date) => `oko ${date}`,
+    before: (date) => `prije ${date}`,
+    after: (date) => `poslije ${date}`,
+    between: (from, to) => `između ${from} i ${to}`,
+    married: (date) => `vj. ${date}`,
+  },
+
+  en: {
+    locale: 'en',
+    born: 'Born',
+    died: 'Died',
+    buried: 'Buried',
+    occupation: 'Occupation',
+    parents: 'Parents',
+    spouses: (count) => (count > 1 ? 'Spouses' : 'Spouse'),
+    children: 'Children',
+    about: (date) => `c. ${date}`,
+    before: (date) => `before ${date}`,
+    after: (date) => `after ${date}`,
+    between: (from, to) => `between ${from} and ${to}`,
+    married: (date) => `m. ${date}`,
+  },
+
+  fr: {
+    locale: 'fr',
+    born: 'Naissance',
+    died: 'Décès',
+    buried: 'Inhumation',
+    occupation: 'Profession',
+    parents: 'Parents',
+    spouses: (count) => (count > 1 ? 'Conjoints' : 'Conjoint(e)'),
+    children: 'Enfants',
+    about: (date) => `vers ${date}`,
+    before: (date) => `avant ${date}`,
+    after: (date) => `après ${date}`,
+    between: (from, to) => `entre ${from} et ${to}`,
+    married: (date) => `mariage : ${date}`,
+  },
+
+  de: {
+    locale: 'de',
+    born: 'Geboren',
+    died: 'Gestorben',
+    buried: 'Begraben',
+    occupation: 'Beruf',
+    parents: 'Eltern',
+    spouses: () => 'Ehepartner',
+    children: 'Kinder',
+    about: (date) => `um ${date}`,
+    before: (date) => `vor ${date}`,
+    after: (date) => `nach ${date}`,
+    between: (from, to) => `zwischen ${from} und ${to}`,
+    married: (date) => `⚭ ${date}`,
+  },
+
+  sv: {
+    locale: 'sv',
+    born: 'Född',
+    died: 'Död',
+    buried: 'Begravd',
+    occupation: 'Yrke',
+    parents: 'Föräldrar',
+    spouses: (count) => (count > 1 ? 'Makar' : 'Make/maka'),
+    children: 'Barn',
+    about: (date) => `omkring ${date}`,
+    before: (date) => `före ${date}`,
+    after: (date) => `efter ${date}`,
+    between: (from, to) => `mellan ${from} och ${to}`,
+    married: (date) => `g. ${date}`,
+  },
+
+  it: {
+    locale: 'it',
+    born: 'Nascita',
+    died: 'Morte',
+    buried: 'Sepoltura',
+    occupation: 'Professione',
+    parents: 'Genitori',
+    spouses: (count) => (count > 1 ? 'Coniugi' : 'Coniuge'),
+    children: 'Figli',
+    about: (date) => `circa ${date}`,
+    before: (date) => `prima del ${date}`,
+    after: (date) => `dopo il ${date}`,
+    between: (from, to) => `tra il ${from} e il ${to}`,
+    married: (date) => `sp. ${date}`,
+  },
+
+  es: {
+    locale: 'es',
+    born: 'Nacimiento',
+    died: 'Fallecimiento',
+    buried: 'Sepultura',
+    occupation: 'Ocupación',
+    parents: 'Padres',
+    spouses: (count) => (count > 1 ? 'Cónyuges' : 'Cónyuge'),
+    children: 'Hijos',
+    about: (date) => `hacia ${date}`,
+    before: (date) => `antes de ${date}`,
+    after: (date) => `después de ${date}`,
+    between: (from, to) => `entre ${from} y ${to}`,
+    married: (date) => `matr. ${date}`,
+  },
+
+  sq: {
+    locale: 'sq',
+    born: 'Lindja',
+    died: 'Vdekja',
+    buried: 'Varrimi',
+    occupation: 'Profesioni',
+    parents: 'Prindërit',
+    spouses: (count) => (count > 1 ? 'Bashkëshortët' : 'Bashkëshorti/ja'),
+    children: 'Fëmijët',
+    about: (date) => `rreth ${date}`,
+    before: (date) => `para ${date}`,
+    after: (date) => `pas ${date}`,
+    between: (from, to) => `midis ${from} dhe ${to}`,
+    married: (date) => `martesa ${date}`,
+  },
+
+  tr: {
+    locale: 'tr',
+    born: 'Doğum',
+    died: 'Ölüm',
+    buried: 'Defin',
+    occupation: 'Meslek',
+    parents: 'Ebeveynler',
+    spouses: (count) => (count > 1 ? 'Eşler' : 'Eş'),
+    children: 'Çocuklar',
+    about: (date) => `yaklaşık ${date}`,
+    before: (date) => `${date} öncesi`,
+    after: (date) => `${date} sonrası`,
+    between: (from, to) => `${from} ile ${to} arası`,
+    married: (date) => `evlilik ${date}`,
+  },
+}
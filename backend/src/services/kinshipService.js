@@ -0,0 +1,309 @@
+/**
+ * Kinship Service
+ *
+ * Finds the shortest kinship path between two family members and names it
+ * (first cousin once removed, great-aunt/uncle, sibling-in-law, ...) in
+ * every supported language.
+ *
+ * Blood relationships are found by climbing from the first member to a
+ * common ancestor and descending to the second, so a path is described by
+ * the number of generations up and down. Sibling rows stand in for a
+ * shared parent, so siblings entered without parents still connect.
+ * In-law relationships allow a single spouse edge at either end of the path.
+ */
+
+import * as FamilyMember from '../models/FamilyMember.js'
+import { getSupportedLanguages } from './translationService.js'
+import { KINSHIP_TERMS } from './kinshipTerms.js'
+
+// Adjacency set -> step name used in returned paths ("next person is the previous one's ...")
+const EDGE_STEPS = { parents: 'parent', children: 'child', spouses: 'spouse', siblings: 'sibling' }
+
+/**
+ * Build an adjacency map from relationship rows
+ * A row (member_id, related_member_id, 'parent') reads "member is parent of related".
+ * @param {Array} rows - family_relationships rows
+ * @returns {Map} Member ID -> { parents, children, spouses, siblings } sets
+ */
+const buildGraph = (rows) => {
+  const graph = new Map()
+  const node = (id) => {
+    if (!graph.has(id)) {
+      graph.set(id, { parents: new Set(), children: new Set(), spouses: new Set(), siblings: new Set() })
+    }
+    return graph.get(id)
+  }
+
+  rows.forEach(({ member_id: memberId, related_member_id: relatedId, relationship_type: type }) => {
+    if (memberId === relatedId) return
+
+    const member = node(memberId)
+    const related = node(relatedId)
+
+    if (type === 'parent') {
+      member.children.add(relatedId)
+      related.parents.add(memberId)
+    } else if (type === 'child') {
+      member.parents.add(relatedId)
+      related.children.add(memberId)
+    } else if (type === 'spouse') {
+      member.spouses.add(relatedId)
+      related.spouses.add(memberId)
+    } else if (type === 'sibling') {
+      member.siblings.add(relatedId)
+      related.siblings.add(memberId)
+    }
+  })
+
+  return graph
+}
+
+/**
+ * Shortest blood path: up to a common ancestor, then down
+ *
+ * Phases:
+ * - 'up': still climbing towards the common ancestor
+ * - 'sideways': moved to a sibling while climbing; climbing further goes
+ *   through the shared parent, stopping here counts as one up and one down
+ * - 'down': descending from the common ancestor
+ * - 'end': target reached sideways, with the sibling step counted
+ * A sibling step while descending is free: the sibling is another child
+ * of the same ancestor line.
+ * @param {Map} graph - Adjacency map from buildGraph
+ * @param {number} fromId - Starting member
+ * @param {number} toId - Target member
+ * @returns {Object|null} { up, down, cost, path: [{ id, step }] }
+ */
+const findBloodPath = (graph, fromId, toId) => {
+  const start = { id: fromId, phase: 'up', up: 0, down: 0, cost: 0, prev: null, step: null }
+  const best = new Map([[`${fromId}:up`, 0]])
+  const frontier = [start]
+
+  const push = (next) => {
+    const key = `${next.id}:${next.phase}`
+    if (best.has(key) && best.get(key) <= next.cost) return
+
+    best.set(key, next.cost)
+    frontier.push(next)
+  }
+
+  while (frontier.length) {
+    // Graphs are family-sized, a linear scan for the cheapest state is enough
+    let cheapest = 0
+    frontier.forEach((state, index) => {
+      if (state.cost < frontier[cheapest].cost) cheapest = index
+    })
+    const state = frontier.splice(cheapest, 1)[0]
+
+    if (state.id === toId) {
+      if (state.phase === 'sideways') {
+        push({ ...state, phase: 'end', up: state.up + 1, down: state.down + 1, cost: state.cost + 2 })
+        continue
+      }
+
+      const path = []
+      for (let current = state; current; current = current.prev) {
+        path.unshift({ id: current.id, step: current.step })
+      }
+      return { up: state.up, down: state.down, cost: state.cost, path }
+    }
+
+    const edges = graph.get(state.id)
+    if (!edges || state.phase === 'end') continue
+
+    // [target IDs, step name, next phase, generations up, generations down]
+    const moves = {
+      up: [
+        [edges.parents, 'parent', 'up', 1, 0],
+        [edges.siblings, 'sibling', 'sideways', 0, 0],
+        [edges.children, 'child', 'down', 0, 1],
+      ],
+      sideways: [
+        [edges.parents, 'parent', 'up', 1, 0],
+        [edges.siblings, 'sibling', 'sideways', 0, 0],
+        [edges.children, 'child', 'down', 1, 2],
+      ],
+      down: [
+        [edges.siblings, 'sibling', 'down', 0, 0],
+        [edges.children, 'child', 'down', 0, 1],
+      ],
+    }[state.phase]
+
+    moves.forEach(([ids, step, phase, up, down]) => {
+      ids.forEach(id => push({
+        id,
+        phase,
+        up: state.up + up,
+        down: state.down + down,
+        cost: state.cost + up + down,
+        prev: state,
+        step,
+      }))
+    })
+  }
+
+  return null
+}
+
+/**
+ * Shortest path over any relationship edge, for relatives too distant to name
+ * @param {Map} graph - Adjacency map from buildGraph
+ * @param {number} fromId - Starting member
+ * @param {number} toId - Target member
+ * @returns {Array|null} Path as [{ id, step }]
+ */
+const findAnyPath = (graph, fromId, toId) => {
+  const prev = new Map([[fromId, null]])
+  const queue = [fromId]
+
+  while (queue.length) {
+    const id = queue.shift()
+    if (id === toId) break
+
+    const edges = graph.get(id)
+    if (!edges) continue
+
+    Object.entries(EDGE_STEPS).forEach(([key, step]) => {
+      edges[key].forEach((nextId) => {
+        if (prev.has(nextId)) return
+        prev.set(nextId, { id, step })
+        queue.push(nextId)
+      })
+    })
+  }
+
+  if (!prev.has(toId)) return null
+
+  const path = []
+  for (let id = toId; id !== undefined;) {
+    const link = prev.get(id)
+    path.unshift({ id, step: link ? link.step : null })
+    id = link?.id
+  }
+  return path
+}
+
+/**
+ * Work out how one member is related to another
+ * Blood relationships win ties against in-law paths of the same length.
+ * @param {Map} graph - Adjacency map from buildGraph
+ * @param {number} fromId - Member the relationship is described from
+ * @param {number} toId - Member whose relationship is being named
+ * @returns {Object|null} { kind, up, down, path } or null when unrelated
+ */
+const resolveRelationship = (graph, fromId, toId) => {
+  if (fromId === toId) {
+    return { kind: 'self', up: 0, down: 0, path: [{ id: fromId, step: null }] }
+  }
+
+  const candidates = []
+
+  const blood = findBloodPath(graph, fromId, toId)
+  if (blood) candidates.push({ kind: 'blood', ...blood })
+
+  const edges = graph.get(fromId)
+  edges?.spouses.forEach((spouseId) => {
+    const found = findBloodPath(graph, spouseId, toId)
+    if (!found) return
+
+    candidates.push({
+      kind: found.cost === 0 ? 'spouse' : 'spouse_relative',
+      up: found.up,
+      down: found.down,
+      cost: found.cost + 1,
+      path: [{ id: fromId, step: null }, { ...found.path[0], step: 'spouse' }, ...found.path.slice(1)],
+    })
+  })
+
+  graph.get(toId)?.spouses.forEach((spouseId) => {
+    if (spouseId === fromId) return
+
+    const found = findBloodPath(graph, fromId, spouseId)
+    if (!found) return
+
+    candidates.push({
+      kind: 'relative_spouse',
+      up: found.up,
+      down: found.down,
+      cost: found.cost + 1,
+      path: [...found.path, { id: toId, step: 'spouse' }],
+    })
+  })
+
+  if (candidates.length) {
+    const { cost, ...relationship } = candidates.reduce((a, b) => (b.cost < a.cost ? b : a))
+    return relationship
+  }
+
+  const path = findAnyPath(graph, fromId, toId)
+  return path ? { kind: 'distant', up: null, down: null, path } : null
+}
+
+/**
+ * Name a blood relationship from generations up and down
+ * @param {Object} terms - Kinship terms for one language
+ * @param {number} up - Generations from the first member to the common ancestor
+ * @param {number} down - Generations from the common ancestor to the second member
+ * @returns {string} Relationship name
+ */
+const nameBlood = (terms, up, down) => {
+  if (up === 0 && down === 0) return terms.self
+  if (down === 0) return up === 1 ? terms.parent : terms.grandparent(up - 2)
+  if (up === 0) return down === 1 ? terms.child : terms.grandchild(down - 2)
+  if (up === 1 && down === 1) return terms.sibling
+  if (down === 1) return terms.auntUncle(up - 2)
+  if (up === 1) return terms.nieceNephew(down - 2)
+
+  return terms.cousin(Math.min(up, down) - 1, Math.abs(up - down))
+}
+
+/**
+ * Name a relationship in one language
+ * @param {Object} relationship - Result of findRelationship
+ * @param {string} language - Language code
+ * @returns {string} Relationship name, e.g. "2nd cousin once removed"
+ */
+export const describeRelationship = (relationship, language) => {
+  const terms = KINSHIP_TERMS[language] || KINSHIP_TERMS.en
+  const { kind, up, down } = relationship
+  const key = `${up}:${down}`
+
+  switch (kind) {
+    case 'self':
+      return terms.self
+    case 'spouse':
+      return terms.spouse
+    case 'blood':
+      return nameBlood(terms, up, down)
+    case 'spouse_relative':
+      return { '1:0': terms.parentInLaw, '1:1': terms.siblingInLaw, '0:1': terms.stepChild }[key]
+        || terms.relativeOfSpouse(nameBlood(terms, up, down))
+    case 'relative_spouse':
+      return { '1:0': terms.stepParent, '1:1': terms.siblingInLaw, '0:1': terms.childInLaw }[key]
+        || terms.spouseOfRelative(nameBlood(terms, up, down))
+    default:
+      return terms.distant
+  }
+}
+
+/**
+ * Name a relationship in every supported language
+ * @param {Object} relationship - Result of findRelationship
+ * @returns {Object} Language code -> relationship name
+ */
+export const describeRelationshipInAllLanguages = (relationship) => {
+  return Object.fromEntries(
+    getSupportedLanguages().map(({ code }) => [code, describeRelationship(relationship, code)])
+  )
+}
+
+/**
+ * Find the shortest kinship path from one member to another
+ * @param {number} fromId - Member the relationship is described from
+ * @param {number} toId - Member whose relationship is being named
+ * @returns {Promise<Object|null>} { kind, up, down, path } or null when unrelated
+ */
+export const findRelationship = async (fromId, toId) => {
+  const graph = buildGraph(await FamilyMember.getFamilyRelationships())
+  return resolveRelationship(graph, fromId, toId)
+}
@@ -0,0 +1,271 @@
+/**
+ * Kinship Terms
+ *
+ * Relationship names for the nine supported languages.
+ * The family tree stores no sex, so every term covers both forms
+ * ("aunt/uncle", "brat/sestra").
+ *
+ * Generational helpers take the number of extra generations:
+ * - grandparent(0) = grandparent, grandparent(1) = great-grandparent
+ * - auntUncle(0) = aunt/uncle, auntUncle(1) = great-aunt/uncle
+ * - nieceNephew(0) = niece/nephew, nieceNephew(1) = grand-niece/nephew
+ * - cousin(degree, removed): cousin(1, 0) = first cousin, cousin(2, 1) = second cousin once removed
+ */
+
+const englishOrdinal = (n) => {
+  const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[n % 100 > 10 && n % 100 < 14 ? 0 : n % 10] || 'th'
+  return `${n}${suffix}`
+}
+
+const englishGreat = (g, term) => {
+  if (g === 0) return term
+  if (g === 1) return `great-${term}`
+  return `${englishOrdinal(g)} great-${term}`
+}
+
+// German compounds: "Urgroßonkel", "Ururgroßonkel"
+const germanCompound = (prefix, term) => {
+  const word = `${prefix}${term}`.toLowerCase()
+  return word.charAt(0).toUpperCase() + word.slice(1)
+}
+
+const serbianOrdinals = ['', 'prvi', 'drugi', 'treći', 'četvrti', 'peti', 'šesti']
+
+const serbianGenerations = (n) => {
+  const lastTwo = n % 100
+  const last = n % 10
+  return last >= 2 && last <= 4 && (lastTwo < 12 || lastTwo > 14) ? 'generacije' : 'generacija'
+}
+
+export const KINSHIP_TERMS = {
+  sr: {
+    self: 'ista osoba',
+    spouse: 'supružnik',
+    parent: 'roditelj (otac/majka)',
+    grandparent: (g) => `${'pra'.repeat(g)}djed/${'pra'.repeat(g)}baka`,
+    child: 'dijete (sin/kćerka)',
+    grandchild: (g) => `${'pra'.repeat(g)}unuk/${'pra'.repeat(g)}unuka`,
+    sibling: 'brat/sestra',
+    auntUncle: (g) => (g === 0
+      ? 'stric/ujak/tetka'
+      : `brat/sestra ${'pra'.repeat(g - 1)}djeda ili ${'pra'.repeat(g - 1)}bake`),
+    nieceNephew: (g) => (g === 0
+      ? 'nećak/nećakinja'
+      : `${'pra'.repeat(g - 1)}unuk/${'pra'.repeat(g - 1)}unuka brata ili sestre`),
+    cousin: (degree, removed) => {
+      const base = `${serbianOrdinals[degree] || `${degree}.`} rođak/rođaka`
+      return removed ? `${base} (${removed} ${serbianGenerations(removed)} razlike)` : base
+    },
+    parentInLaw: 'tast/punica, svekar/svekrva',
+    siblingInLaw: 'šurak/svastika, djever/zaova',
+    childInLaw: 'zet/snaha',
+    stepParent: 'očuh/maćeha',
+    stepChild: 'pastorak/pastorka',
+    relativeOfSpouse: (rel) => `supružnikov/a ${rel}`,
+    spouseOfRelative: (rel) => `supružnik (${rel})`,
+    distant: 'daljnji srodnik po braku',
+  },
+
+  en: {
+    self: 'same person',
+    spouse: 'spouse',
+    parent: 'parent',
+    grandparent: (g) => englishGreat(g, 'grandparent'),
+    child: 'child',
+    grandchild: (g) => englishGreat(g, 'grandchild'),
+    sibling: 'sibling',
+    auntUncle: (g) => englishGreat(g, 'aunt/uncle'),
+    nieceNephew: (g) => (g === 0 ? 'niece/nephew' : englishGreat(g - 1, 'grand-niece/nephew')),
+    cousin: (degree, removed) => {
+      const times = { 1: 'once', 2: 'twice', 3: 'thrice' }[removed] || `${removed} times`
+      return `${englishOrdinal(degree)} cousin${removed ? ` ${times} removed` : ''}`
+    },
+    parentInLaw: 'parent-in-law',
+    siblingInLaw: 'sibling-in-law',
+    childInLaw: 'child-in-law',
+    stepParent: 'step-parent',
+    stepChild: 'stepchild',
+    relativeOfSpouse: (rel) => `spouse's ${rel}`,
+    spouseOfRelative: (rel) => `${rel}'s spouse`,
+    distant: 'relative by marriage',
+  },
+
+  fr: {
+    self: 'même personne',
+    spouse: 'conjoint(e)',
+    parent: 'parent',
+    grandparent: (g) => `${'arrière-'.repeat(g)}grand-parent`,
+    child: 'enfant',
+    grandchild: (g) => `${'arrière-'.repeat(g)}petit-enfant`,
+    sibling: 'frère/sœur',
+    auntUncle: (g) => (g === 0 ? 'oncle/tante' : `${'arrière-'.repeat(g - 1)}grand-oncle/grand-tante`),
+    nieceNephew: (g) => (g === 0 ? 'neveu/nièce' : `${'arrière-'.repeat(g - 1)}petit-neveu/petite-nièce`),
+    cousin: (degree, removed) => {
+      const base = { 1: 'cousin(e) germain(e)', 2: 'cousin(e) issu(e) de germain' }[degree]
+        || `cousin(e) au ${degree}e degré`
+      return removed ? `${base} (${removed} génération${removed > 1 ? 's' : ''} d'écart)` : base
+    },
+    parentInLaw: 'beau-père/belle-mère',
+    siblingInLaw: 'beau-frère/belle-sœur',
+    childInLaw: 'gendre/belle-fille',
+    stepParent: 'beau-parent',
+    stepChild: 'enfant du conjoint',
+    relativeOfSpouse: (rel) => `${rel} du conjoint`,
+    spouseOfRelative: (rel) => `conjoint(e) (${rel})`,
+    distant: 'parent par alliance',
+  },
+
+  de: {
+    self: 'dieselbe Person',
+    spouse: 'Ehepartner',
+    parent: 'Elternteil',
+    grandparent: (g) => germanCompound('ur'.repeat(g), 'Großelternteil'),
+    child: 'Kind',
+    grandchild: (g) => germanCompound('ur'.repeat(g), 'Enkelkind'),
+    sibling: 'Geschwister',
+    auntUncle: (g) => (g === 0 ? 'Onkel/Tante' : germanCompound('ur'.repeat(g - 1), 'Großonkel/-tante')),
+    nieceNephew: (g) => (g === 0 ? 'Neffe/Nichte' : germanCompound('ur'.repeat(g - 1), 'Großneffe/-nichte')),
+    cousin: (degree, removed) => {
+      const base = degree === 1 ? 'Cousin/Cousine' : `Cousin/Cousine ${degree}. Grades`
+      return removed ? `${base}, ${removed} Generation${removed > 1 ? 'en' : ''} versetzt` : base
+    },
+    parentInLaw: 'Schwiegervater/-mutter',
+    siblingInLaw: 'Schwager/Schwägerin',
+    childInLaw: 'Schwiegersohn/-tochter',
+    stepParent: 'Stiefvater/-mutter',
+    stepChild: 'Stiefkind',
+    relativeOfSpouse: (rel) => `${rel} des Ehepartners`,
+    spouseOfRelative: (rel) => `Ehepartner (${rel})`,
+    distant: 'angeheirateter Verwandter',
+  },
+
+  sv: {
+    self: 'samma person',
+    spouse: 'make/maka',
+    parent: 'förälder',
+    grandparent: (g) => `${'gammel'.repeat(g)}far-/morförälder`,
+    child: 'barn',
+    grandchild: (g) => `barnbarn${'sbarn'.repeat(g)}`,
+    sibling: 'syskon',
+    auntUncle: (g) => `${'gammel'.repeat(g)}farbror/morbror/faster/moster`,
+    nieceNephew: (g) => (g === 0 ? 'syskonbarn' : `syskonbarnbarn${'sbarn'.repeat(g - 1)}`),
+    cousin: (degree, removed) => {
+      const base = { 1: 'kusin', 2: 'tremänning', 3: 'fyrmänning', 4: 'femmänning' }[degree] || `${degree}:e kusin`
+      return removed ? `${base} (${removed} generation${removed > 1 ? 'er' : ''} ifrån)` : base
+    },
+    parentInLaw: 'svärförälder',
+    siblingInLaw: 'svåger/svägerska',
+    childInLaw: 'svärson/svärdotter',
+    stepParent: 'styvförälder',
+    stepChild: 'styvbarn',
+    relativeOfSpouse: (rel) => `${rel} till make/maka`,
+    spouseOfRelative: (rel) => `make/maka till ${rel}`,
+    distant: 'ingift släkting',
+  },
+
+  it: {
+    self: 'stessa persona',
+    spouse: 'coniuge',
+    parent: 'genitore',
+    grandparent: (g) => (['nonno/nonna', 'bisnonno/bisnonna', 'trisnonno/trisnonna'][g]
+      || `avo/ava di ${g + 2}ª generazione`),
+    child: 'figlio/figlia',
+    grandchild: (g) => (['nipote', 'pronipote'][g] || `discendente di ${g + 2}ª generazione`),
+    sibling: 'fratello/sorella',
+    auntUncle: (g) => (['zio/zia', 'prozio/prozia'][g] || `prozio/prozia di ${g + 1}ª generazione`),
+    nieceNephew: (g) => (['nipote (figlio/a di fratello o sorella)', 'pronipote'][g]
+      || `pronipote di ${g + 1}ª generazione`),
+    cousin: (degree, removed) => {
+      const base = `cugino/cugina di ${['', 'primo', 'secondo', 'terzo', 'quarto'][degree] || `${degree}º`} grado`
+      return removed ? `${base}, ${removed} generazion${removed > 1 ? 'i' : 'e'} di distanza` : base
+    },
+    parentInLaw: 'suocero/suocera',
+    siblingInLaw: 'cognato/cognata',
+    childInLaw: 'genero/nuora',
+    stepParent: 'patrigno/matrigna',
+    stepChild: 'figliastro/figliastra',
+    relativeOfSpouse: (rel) => `${rel} del coniuge`,
+    spouseOfRelative: (rel) => `coniuge (${rel})`,
+    distant: 'parente acquisito',
+  },
+
+  es: {
+    self: 'la misma persona',
+    spouse: 'cónyuge',
+    parent: 'padre/madre',
+    grandparent: (g) => (['abuelo/abuela', 'bisabuelo/bisabuela', 'tatarabuelo/tatarabuela'][g]
+      || `antepasado/a de ${g + 2}ª generación`),
+    child: 'hijo/hija',
+    grandchild: (g) => (['nieto/nieta', 'bisnieto/bisnieta', 'tataranieto/tataranieta'][g]
+      || `descendiente de ${g + 2}ª generación`),
+    sibling: 'hermano/hermana',
+    auntUncle: (g) => (['tío/tía', 'tío abuelo/tía abuela'][g] || `tío bisabuelo/tía bisabuela (${g + 1}ª generación)`),
+    nieceNephew: (g) => (['sobrino/sobrina', 'sobrino nieto/sobrina nieta'][g]
+      || `sobrino bisnieto/sobrina bisnieta (${g + 1}ª generación)`),
+    cousin: (degree, removed) => {
+      const base = ['', 'primo/prima hermano/a', 'primo/prima segundo/a', 'primo/prima tercero/a'][degree]
+        || `primo/prima de ${degree}º grado`
+      return removed ? `${base}, ${removed} generaci${removed > 1 ? 'ones' : 'ón'} de diferencia` : base
+    },
+    parentInLaw: 'suegro/suegra',
+    siblingInLaw: 'cuñado/cuñada',
+    childInLaw: 'yerno/nuera',
+    stepParent: 'padrastro/madrastra',
+    stepChild: 'hijastro/hijastra',
+    relativeOfSpouse: (rel) => `${rel} del cónyuge`,
+    spouseOfRelative: (rel) => `cónyuge (${rel})`,
+    distant: 'pariente político',
+  },
+
+  sq: {
+    self: 'i njëjti person',
+    spouse: 'bashkëshort/e',
+    parent: 'prind',
+    grandparent: (g) => `${'stër'.repeat(g)}gjysh/${'stër'.repeat(g)}gjyshe`,
+    child: 'fëmijë',
+    grandchild: (g) => `${'stër'.repeat(g)}nip/${'stër'.repeat(g)}mbesë`,
+    sibling: 'vëlla/motër',
+    auntUncle: (g) => (g === 0
+      ? 'xhaxha/dajë/hallë/teze'
+      : `vëlla/motër e ${'stër'.repeat(g - 1)}gjyshit ose ${'stër'.repeat(g - 1)}gjyshes`),
+    nieceNephew: (g) => (g === 0
+      ? 'nip/mbesë (fëmijë i vëllait ose motrës)'
+      : `${'stër'.repeat(g)}nip/${'stër'.repeat(g)}mbesë nga vëllai ose motra`),
+    cousin: (degree, removed) => {
+      const base = `kushëri/kushërirë i shkallës ${degree}`
+      return removed ? `${base}, ${removed} brez${removed > 1 ? 'a' : ''} diferencë` : base
+    },
+    parentInLaw: 'vjehërr/vjehrrë',
+    siblingInLaw: 'kunat/kunatë',
+    childInLaw: 'dhëndër/nuse',
+    stepParent: 'njerk/njerkë',
+    stepChild: 'thjeshtër/thjeshtërë',
+    relativeOfSpouse: (rel) => `${rel} i/e bashkëshortit`,
+    spouseOfRelative: (rel) => `bashkëshort/e (${rel})`,
+    distant: 'i afërm nga martesa',
+  },
+
+  tr: {
+    self: 'aynı kişi',
+    spouse: 'eş',
+    parent: 'ebeveyn',
+    grandparent: (g) => `${'büyük '.repeat(g)}büyükbaba/büyükanne`,
+    child: 'çocuk',
+    grandchild: (g) => (g === 0 ? 'torun' : `${g + 2}. kuşak torun`),
+    sibling: 'kardeş',
+    auntUncle: (g) => (g === 0 ? 'amca/dayı/hala/teyze' : `${'büyük '.repeat(g)}amca/dayı/hala/teyze`),
+    nieceNephew: (g) => (g === 0 ? 'yeğen' : `${g + 1}. kuşak yeğen`),
+    cousin: (degree, removed) => {
+      const base = degree === 1 ? 'kuzen' : `${degree}. derece kuzen`
+      return removed ? `${base}, ${removed} kuşak farkı` : base
+    },
+    parentInLaw: 'kayınpeder/kayınvalide',
+    siblingInLaw: 'kayınbirader/baldız/enişte/yenge',
+    childInLaw: 'damat/gelin',
+    stepParent: 'üvey ebeveyn',
+    stepChild: 'üvey çocuk',
+    relativeOfSpouse: (rel) => `eşin akrabası (${rel})`,
+    spouseOfRelative: (rel) => `eş (${rel})`,
+    distant: 'evlilik yoluyla akraba',
+  },
+}
@@ -0,0 +1,138 @@
+/**
+ * Member Infobox Service
+ *
+ * Fills the member infobox of a member article (the MEMBER_INFOBOX
+ * placeholder, {{member infobox}} in wiki markup) from the family tree when
+ * the article is read, so it always shows the member as recorded: primary
+ * photo, birth, death and burial dates and places, occupation, parents,
+ * spouses (with the date of marriage) and children.
+ *
+ * Labels and dates are written in the reader's language (see infoboxTerms.js);
+ * occupation and birth place are given in it where translated. Rows without
+ * a value are left out.
+ */
+
+import * as FamilyMember from '../models/FamilyMember.js'
+import * as Image from '../models/Image.js'
+import { INFOBOX_TERMS } from './infoboxTerms.js'
+import { localizeFields } from './translationService.js'
+import { fromIsoDate } from '../utils/partialDate.js'
+import { escapeText } from '../utils/htmlSegments.js'
+
+// The placeholder as stored (sanitised, so class is double quoted)
+const PLACEHOLDER = /<div\b[^>]*\bclass="[^"]*\bmember-infobox\b[^"]*"[^>]*>(?:(?!<div\b)[\s\S])*?<\/div>/gi
+
+const escapeAttribute = (value) => escapeText(value).replace(/"/g, '&quot;')
+
+/**
+ * Format one date point: "1870", "March 1870" or "12 March 1870"
+ */
+const formatPoint = ({ year, month, day }, terms) => {
+  if (!month) return String(year)
+
+  // setUTCFullYear keeps years below 100 as given
+  const date = new Date(0)
+  date.setUTCFullYear(year, month - 1, day || 1)
+
+  return new Intl.DateTimeFormat(terms.locale, {
+    timeZone: 'UTC',
+    year: 'numeric',
+    month: 'long',
+    ...(day && { day: 'numeric' }),
+  }).format(date)
+}
+
+/**
+ * Format a partial date with its qualifier
+ * @param {Object|null} date - Partial date
+ * @param {Object} terms - Infobox terms of the language
+ * @returns {string} Date, or '' without one
+ */
+export const formatPartialDate = (date, terms) => {
+  if (!date?.year) return ''
+
+  const text = formatPoint(date, terms)
+  switch (date.qualifier) {
+    case 'about':
+    case 'before':
+    case 'after':
+      return terms[date.qualifier](text)
+    case 'between':
+      return date.to?.year ? terms.between(text, formatPoint(date.to, terms)) : text
+    default:
+      return text
+  }
+}
+
+const memberLink = (relative) => `<a href="/member/${relative.id}" class="wiki-link">${escapeText(relative.name)}</a>`
+
+/**
+ * Render the infobox of a member
+ * @param {Object} member - Family member with relationships, its translatable
+ *   fields in the language
+ * @param {Object|null} image - Primary image
+ * @param {string} language - Language code
+ * @returns {string} HTML in the markup of the infobox template
+ */
+export const renderMemberInfobox = (member, image, language) => {
+  const terms = INFOBOX_TERMS[language] || INFOBOX_TERMS.en
+  const relatives = (type) => (member.relationships || []).filter(relative => relative.relationship_type === type)
+
+  // A date and a place, on a line each
+  const event = (date, year, place) => [formatPartialDate(date, terms) || (year ? String(year) : ''), place]
+    .filter(Boolean).map(escapeText).join('<br>')
+
+  const spouses = relatives('spouse').map((spouse) => {
+    const married = formatPartialDate(fromIsoDate(spouse.marriage_date), terms)
+    return married ? `${memberLink(spouse)} (${escapeText(terms.married(married))})` : memberLink(spouse)
+  })
+
+  const rows = [
+    [terms.born, event(member.birth_date, member.birth_year, member.birth_place)],
+    [terms.died, event(member.death_date, member.death_year, member.death_place)],
+    [terms.buried, event(member.burial_date, null, member.burial_place)],
+    [terms.occupation, member.occupation ? escapeText(member.occupation) : ''],
+    [terms.parents, relatives('parent').map(memberLink).join('<br>')],
+    [terms.spouses(spouses.length), spouses.join('<br>')],
+    [terms.children, relatives('child').map(memberLink).join('<br>')],
+  ].filter(([, value]) => value)
+
+  let html = `<div class="wiki-infobox member-infobox"><div class="infobox-title">${escapeText(member.name)}</div>`
+  if (image || rows.length) {
+    html += '<table class="infobox-table">'
+    if (image) {
+      const caption = image.caption ? `<div>${escapeText(image.caption)}</div>` : ''
+      html += `<tr><td colspan="2" class="infobox-image"><img src="/images/${escapeAttribute(image.filename)}" alt="${escapeAttribute(image.alt_text || member.name)}">${caption}</td></tr>`
+    }
+    for (const [label, value] of rows) {
+      html += `<tr><td class="label">${escapeText(label)}:</td><td>${value}</td></tr>`
+    }
+    html += '</table>'
+  }
+
+  return `${html}</div>`
+}
+
+/**
+ * Fill the member infobox of an article's content
+ * @param {string} content - Article content (HTML)
+ * @param {number} memberId - ID of the member the article is about
+ * @param {string} language - Language the article is read in
+ * @returns {Promise<string>} Content; without the placeholder it is returned
+ *   as it is, and the placeholder is removed when the member does not exist
+ */
+export const fillMemberInfobox = async (content, memberId, language) => {
+  if (!content || !content.match(PLACEHOLDER)) return content
+
+  const [member, translation, image] = await Promise.all([
+    FamilyMember.getFamilyMemberById(memberId),
+    FamilyMember.getMemberTranslation(memberId, language),
+    Image.getPrimaryImage(memberId),
+  ])
+  if (!member) return content.replace(PLACEHOLDER, '')
+
+  const localized = localizeFields(member, translation, language, FamilyMember.TRANSLATABLE_FIELDS)
+  const infobox = renderMemberInfobox(localized, image, language)
+
+  return content.replace(PLACEHOLDER, () => infobox)
+}
@@ -0,0 +1,140 @@
+/**
+ * Place Map Service
+ *
+ * Builds the data of the places map: for every place with coordinates,
+ * the family members who were born, lived or died there.
+ *
+ * "Lived" covers residence, emigration and immigration events. Members are
+ * numbered by generation: 1 for the earliest known ancestors (members
+ * without recorded parents), one more than their eldest-line parent for
+ * everyone else. A member who married into the family without recorded
+ * parents takes the generation of their spouse.
+ */
+
+import * as FamilyMember from '../models/FamilyMember.js'
+import * as Place from '../models/Place.js'
+
+// Life event types whose place is where the member lived
+export const LIVED_EVENT_TYPES = ['residence', 'emigration', 'immigration']
+
+/**
+ * Generation number of every member in the relationships
+ * @param {Array} relationships - family_relationships rows
+ * @returns {Map} Member ID -> generation (1 = earliest known ancestors)
+ */
+export const computeGenerations = (relationships) => {
+  const parentsOf = new Map()
+  const spousesOf = new Map()
+  const add = (map, key, value) => {
+    if (!map.has(key)) map.set(key, new Set())
+    map.get(key).add(value)
+  }
+
+  relationships.forEach(({ member_id, related_member_id, relationship_type }) => {
+    if (relationship_type === 'parent') add(parentsOf, related_member_id, member_id)
+    if (relationship_type === 'child') add(parentsOf, member_id, related_member_id)
+    if (relationship_type === 'spouse') add(spousesOf, member_id, related_member_id)
+  })
+
+  const generations = new Map()
+  const visiting = new Set()
+
+  const generationOf = (id) => {
+    if (generations.has(id)) return generations.get(id)
+    // A parent cycle cannot be saved, but must not hang the map either
+    if (visiting.has(id)) return 0
+
+    visiting.add(id)
+    const parents = [...(parentsOf.get(id) || [])]
+    const generation = parents.length ? 1 + Math.max(...parents.map(generationOf)) : 1
+    visiting.delete(id)
+
+    generations.set(id, generation)
+    return generation
+  }
+
+  const memberIds = new Set(relationships.flatMap(row => [row.member_id, row.related_member_id]))
+  memberIds.forEach(generationOf)
+
+  // Members without parents who married in belong to their spouse's generation
+  memberIds.forEach((id) => {
+    if (parentsOf.has(id)) return
+    const spouses = [...(spousesOf.get(id) || [])].filter(spouseId => parentsOf.has(spouseId))
+    if (spouses.length) {
+      generations.set(id, Math.max(...spouses.map(spouseId => generations.get(spouseId))))
+    }
+  })
+
+  return generations
+}
+
+/**
+ * Year an entry is filtered by: the year of its (start) date
+ * @param {Object|null} date - Partial date
+ * @returns {number|null} Year, or null when undated
+ */
+const entryYear = (date) => date?.year || null
+
+/**
+ * Build the places map
+ * @param {Object} [filters={}] - Filter options
+ * @param {number} [filters.generation] - Only members of this generation
+ * @param {number} [filters.from] - Only entries dated in or after this year
+ * @param {number} [filters.to] - Only entries dated in or before this year
+ * @returns {Promise<Object>} {
+ *   places: [{ id, name, full_name, latitude, longitude,
+ *              entries: [{ kind: 'birth'|'lived'|'death', event_type, member, generation, date }] }],
+ *   generations: Highest generation number,
+ *   unmapped: Number of matching entries whose place has no coordinates yet
+ * }
+ */
+export const buildPlaceMap = async (filters = {}) => {
+  const [rows, relationships] = await Promise.all([
+    Place.getPlaceEntries(),
+    FamilyMember.getFamilyRelationships(),
+  ])
+
+  const generations = computeGenerations(relationships)
+
+  const entries = rows
+    .filter(row => row.kind !== 'life_event' || LIVED_EVENT_TYPES.includes(row.event_type))
+    .map(row => ({
+      place_id: row.place_id,
+      kind: row.kind === 'life_event' ? 'lived' : row.kind,
+      event_type: row.event_type,
+      member: { id: row.member_id, name: row.member_name },
+      // Members without any relationship start a family of their own
+      generation: generations.get(row.member_id) || 1,
+      date: row.date,
+    }))
+    .filter((entry) => {
+      if (filters.generation && entry.generation !== filters.generation) return false
+      if (!filters.from && !filters.to) return true
+
+      // A period only keeps dated entries
+      const year = entryYear(entry.date)
+      return year !== null
+        && (!filters.from || year >= filters.from)
+        && (!filters.to || year <= filters.to)
+    })
+
+  const places = await Place.getPlacesByIds([...new Set(entries.map(entry => entry.place_id))])
+  const mapped = places.filter(place => place.latitude !== null)
+
+  return {
+    places: mapped
+      .map(place => ({
+        id: place.id,
+        name: place.name,
+        full_name: place.full_name,
+        latitude: place.latitude,
+        longitude: place.longitude,
+        entries: entries
+          .filter(entry => entry.place_id === place.id)
+          .map(({ place_id, ...entry }) => entry),
+      }))
+      .sort((a, b) => b.entries.length - a.entries.length || a.name.localeCompare(b.name)),
+    generations: Math.max(1, ...generations.values()),
+    unmapped: entries.filter(entry => !mapped.some(place => place.id === entry.place_id)).length,
+  }
+}
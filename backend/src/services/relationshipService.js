@@ -0,0 +1,262 @@
+/**
+ * Relationship Service
+ *
+ * Creates, retypes and deletes family relationships. Every relationship is
+ * stored as a pair of rows ("A parent of B" and "B child of A") written in one
+ * transaction, so the two directions can never disagree.
+ *
+ * Changes that would produce an impossible family graph are rejected and
+ * rolled back:
+ * - a member related to themselves
+ * - a member becoming their own ancestor
+ * - a parent born in the same year as, or after, their child
+ * - a union that ends before it began
+ *
+ * A member whose birth year changes is checked against their parents and
+ * children the same way (updateMember).
+ *
+ * Spouse rows also carry the union record (type, marriage date/place, end
+ * date and reason); a member can have any number of them.
+ */
+
+import { withTransaction } from '../database/db.js'
+import * as FamilyMember from '../models/FamilyMember.js'
+import { logAudit } from './auditService.js'
+
+/**
+ * Build an error carrying the HTTP status for the error handler
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+const relationshipError = (status, message) => Object.assign(new Error(message), { status })
+
+/**
+ * Tell why a parent and child link cannot exist in a family tree
+ * Also used on GEDCOM import plans, whose members are not stored yet.
+ * @param {Object} parent - Parent: id, name, birth_year
+ * @param {Object} child - Child: id, name, birth_year
+ * @param {Array} ancestorIds - IDs of the parent's ancestors
+ * @returns {string|null} Reason, or null when the link is possible
+ */
+export const impossibleParentReason = (parent, child, ancestorIds) => {
+  if (parent.birth_year && child.birth_year && parent.birth_year >= child.birth_year) {
+    return `${parent.name} (born ${parent.birth_year}) cannot be a parent of ${child.name} (born ${child.birth_year})`
+  }
+
+  if (ancestorIds.includes(child.id)) {
+    return `${child.name} is already an ancestor of ${parent.name} and cannot also be their child`
+  }
+
+  return null
+}
+
+/**
+ * Reject relationships that cannot exist in a family tree
+ * Run after the rows are written when a relationship may be retyped, so
+ * ancestry is checked against the new graph rather than the old rows.
+ * @param {Object} member - Member the type is read from
+ * @param {Object} related - Related member
+ * @param {string} type - "member is <type> of related"
+ * @param {Object} client - Transaction client
+ */
+export const assertPossible = async (member, related, type, client) => {
+  if (type !== 'parent' && type !== 'child') return
+
+  const [parent, child] = type === 'parent' ? [member, related] : [related, member]
+
+  const reason = impossibleParentReason(parent, child, await FamilyMember.getAncestorIds(parent.id, client))
+  if (reason) {
+    throw relationshipError(400, reason)
+  }
+}
+
+/**
+ * Reject a member born in the same year as, or before, a parent, or in the
+ * same year as, or after, a child
+ * @param {Object} member - Member as stored
+ * @param {Object} client - Transaction client
+ */
+export const assertPossibleBirthYear = async (member, client) => {
+  if (!member.birth_year) return
+
+  const rows = (await FamilyMember.getRelationshipRowsOf(member.id, client))
+    .filter(row => row.member_id === member.id && ['parent', 'child'].includes(row.relationship_type))
+  if (!rows.length) return
+
+  const relatives = await FamilyMember.getFamilyMembersByIds(rows.map(row => row.related_member_id), client)
+
+  for (const row of rows) {
+    const relative = relatives.find(r => r.id === row.related_member_id)
+    if (!relative?.birth_year) continue
+
+    const [parent, child] = row.relationship_type === 'parent' ? [member, relative] : [relative, member]
+    if (parent.birth_year >= child.birth_year) {
+      throw relationshipError(
+        400,
+        `${parent.name} (born ${parent.birth_year}) cannot be a parent of ${child.name} (born ${child.birth_year})`
+      )
+    }
+  }
+}
+
+/**
+ * Update a family member, rejecting a birth year that does not fit their
+ * parents and children
+ * @param {Object} member - Member as stored
+ * @param {Object} updates - Fields to update
+ * @param {number} userId - User making the change
+ * @returns {Promise<Object>} Updated member
+ */
+export const updateMember = async (member, updates, userId) => {
+  return withTransaction(async (client) => {
+    const updated = await FamilyMember.updateFamilyMember(member.id, updates, client)
+    if ('birth_year' in updates || 'birth_date' in updates) {
+      await assertPossibleBirthYear(updated, client)
+    }
+
+    await logAudit(userId, 'family_members', member.id, 'UPDATE', member, updated, client)
+
+    return updated
+  })
+}
+
+/**
+ * Reject union records whose end date precedes the marriage date
+ * @param {Object} union - Union details
+ */
+const assertUnionDates = (union) => {
+  if (union.marriage_date && union.end_date && union.end_date < union.marriage_date) {
+    throw relationshipError(400, `A union cannot end (${union.end_date}) before it began (${union.marriage_date})`)
+  }
+}
+
+/**
+ * Create a relationship and its inverse
+ * @param {Object} member - Member the type is read from
+ * @param {Object} related - Related member
+ * @param {string} type - "member is <type> of related"
+ * @param {Object} union - Union details, used for spouses only
+ * @param {number} userId - User making the change
+ * @returns {Promise<Object>} { relationship, inverse }
+ */
+export const createRelationship = async (member, related, type, union, userId) => {
+  if (member.id === related.id) {
+    throw relationshipError(400, 'A family member cannot be related to themselves')
+  }
+
+  return withTransaction(async (client) => {
+    const existing = await FamilyMember.getRelationshipPair(member.id, related.id, client)
+    if (existing.length) {
+      throw relationshipError(409, `${member.name} and ${related.name} are already related; update the existing relationship instead`)
+    }
+
+    assertUnionDates(union)
+    const saved = await FamilyMember.saveRelationshipPair(member.id, related.id, type, union, client)
+    await assertPossible(member, related, type, client)
+
+    await logAudit(userId, 'family_relationships', saved.relationship.id, 'INSERT', null, saved.relationship, client)
+    await logAudit(userId, 'family_relationships', saved.inverse.id, 'INSERT', null, saved.inverse, client)
+
+    return saved
+  })
+}
+
+/**
+ * Change the type or union details of an existing relationship, keeping its inverse in step
+ * Union fields left out of the request keep their stored values.
+ * @param {Object} member - Member the type is read from
+ * @param {Object} related - Related member
+ * @param {string} type - New type: "member is <type> of related"
+ * @param {Object} union - Union details to change, used for spouses only
+ * @param {number} userId - User making the change
+ * @returns {Promise<Object>} { relationship, inverse }
+ */
+export const updateRelationship = async (member, related, type, union, userId) => {
+  return withTransaction(async (client) => {
+    const existing = await FamilyMember.getRelationshipPair(member.id, related.id, client)
+    if (!existing.length) {
+      throw relationshipError(404, 'Relationship not found')
+    }
+
+    const current = existing.find(row => row.member_id === member.id && row.relationship_type === 'spouse')
+    const merged = current
+      ? { ...Object.fromEntries(FamilyMember.UNION_FIELDS.map(field => [field, current[field]])), ...union }
+      : union
+
+    assertUnionDates(merged)
+    const saved = await FamilyMember.saveRelationshipPair(member.id, related.id, type, merged, client)
+    await assertPossible(member, related, type, client)
+
+    for (const row of [saved.relationship, saved.inverse]) {
+      const old = existing.find(e => e.id === row.id)
+      await logAudit(userId, 'family_relationships', row.id, old ? 'UPDATE' : 'INSERT', old || null, row, client)
+    }
+
+    return saved
+  })
+}
+
+/**
+ * Record a child of a union: both partners become the child's parents
+ * Parent links that already exist are kept as they are.
+ * @param {Object} member - One partner
+ * @param {Object} spouse - The other partner
+ * @param {Object} child - Child of the union
+ * @param {number} userId - User making the change
+ * @returns {Promise<Array>} Newly created { relationship, inverse } pairs
+ */
+export const attachChildToUnion = async (member, spouse, child, userId) => {
+  if (child.id === member.id || child.id === spouse.id) {
+    throw relationshipError(400, 'A family member cannot be their own child')
+  }
+
+  return withTransaction(async (client) => {
+    const union = await FamilyMember.getRelationshipPair(member.id, spouse.id, client)
+    if (!union.some(row => row.relationship_type === 'spouse')) {
+      throw relationshipError(404, `${member.name} and ${spouse.name} are not recorded as spouses`)
+    }
+
+    const created = []
+    for (const parent of [member, spouse]) {
+      const existing = await FamilyMember.getRelationshipPair(parent.id, child.id, client)
+      const current = existing.find(row => row.member_id === parent.id)
+
+      if (current?.relationship_type === 'parent') continue
+      if (existing.length) {
+        throw relationshipError(409, `${parent.name} and ${child.name} are already related as ${current?.relationship_type || 'relatives'}`)
+      }
+
+      const saved = await FamilyMember.saveRelationshipPair(parent.id, child.id, 'parent', {}, client)
+      await assertPossible(parent, child, 'parent', client)
+
+      await logAudit(userId, 'family_relationships', saved.relationship.id, 'INSERT', null, saved.relationship, client)
+      await logAudit(userId, 'family_relationships', saved.inverse.id, 'INSERT', null, saved.inverse, client)
+      created.push(saved)
+    }
+
+    return created
+  })
+}
+
+/**
+ * Delete a relationship in both directions
+ * @param {Object} member - Member
+ * @param {Object} related - Related member
+ * @param {number} userId - User making the change
+ * @returns {Promise<Array>} Deleted rows
+ */
+export const deleteRelationship = async (member, related, userId) => {
+  return withTransaction(async (client) => {
+    const deleted = await FamilyMember.deleteRelationshipPair(member.id, related.id, client)
+    if (!deleted.length) {
+      throw relationshipError(404, 'Relationship not found')
+    }
+
+    for (const row of deleted) {
+      await logAudit(userId, 'family_relationships', row.id, 'DELETE', row, null, client)
+    }
+
+    return deleted
+  })
+}
@@ -0,0 +1,81 @@
+/**
+ * Retranslation Service
+ *
+ * Machine translates again the article translations that went stale: those
+ * made from an earlier revision of their article. Translations are redone one
+ * after another; one that fails stays outdated and does not stop the others.
+ *
+ * Human-reviewed translations are only redone when asked for, since the
+ * machine translation replaces the reviewer's work.
+ *
+ * Every result is written to the audit log: an UPDATE of the translation,
+ * or a RETRANSLATE_FAILED entry with the error.
+ */
+
+import * as Article from '../models/Article.js'
+import { translateText } from './translationService.js'
+import { logAudit } from './auditService.js'
+import { sanitizeHtml } from '../utils/htmlSanitizer.js'
+
+/**
+ * Summary of an outdated translation, as listed in the results
+ * @param {Object} translation - Row from Article.getOutdatedTranslations
+ * @returns {Object} { id, article_id, member_name, language, is_auto_translated, source_revision, revision }
+ */
+const describe = (translation) => ({
+  id: translation.id,
+  article_id: translation.article_id,
+  member_name: translation.member_name,
+  language: translation.language,
+  is_auto_translated: translation.is_auto_translated,
+  source_revision: translation.source_revision,
+  revision: translation.revision,
+})
+
+/**
+ * Retranslate all outdated translations
+ * @param {number} userId - User running the job
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.article_id] - Only this article's translations
+ * @param {boolean} [options.include_reviewed=false] - Also redo human-reviewed translations
+ * @param {boolean} [options.dry_run=false] - Only list what would be retranslated
+ * @returns {Promise<Object>} { dry_run, outdated } for a dry run, else
+ *   { retranslated, failed } (failed entries carry the error)
+ */
+export const retranslateOutdated = async (userId, { article_id, include_reviewed = false, dry_run = false } = {}) => {
+  const outdated = await Article.getOutdatedTranslations({ article_id, include_reviewed })
+
+  if (dry_run) {
+    return { dry_run: true, outdated: outdated.map(describe) }
+  }
+
+  const retranslated = []
+  const failed = []
+
+  for (const translation of outdated) {
+    const { source_language, source_content, revision, member_name, ...old } = translation
+
+    try {
+      const content = sanitizeHtml(await translateText(source_content, source_language, translation.language))
+      const saved = await Article.saveArticleTranslation(
+        translation.article_id,
+        translation.language,
+        content,
+        true,
+        userId,
+        revision
+      )
+
+      await logAudit(userId, 'article_translations', saved.id, 'UPDATE', old, saved)
+      retranslated.push({ ...describe(translation), source_revision: saved.source_revision })
+    } catch (error) {
+      await logAudit(userId, 'article_translations', translation.id, 'RETRANSLATE_FAILED', old, {
+        error: error.message,
+        revision,
+      })
+      failed.push({ ...describe(translation), error: error.message })
+    }
+  }
+
+  return { retranslated, failed }
+}
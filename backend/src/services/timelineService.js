@@ -0,0 +1,143 @@
+/**
+ * Timeline Service
+ *
+ * Builds the chronological timeline of a family member: their own birth,
+ * death, burial and recorded life events, merged with the births, deaths
+ * and marriages of their close relatives (parents, spouses, children and
+ * siblings).
+ *
+ * Relatives' events are only shown when dated and within the member's
+ * lifetime, as far as it is known. Undated events of the member themselves
+ * are kept and listed last.
+ */
+
+import * as FamilyMember from '../models/FamilyMember.js'
+import * as LifeEvent from '../models/LifeEvent.js'
+import { dateKey, fromIsoDate } from '../utils/partialDate.js'
+
+const CLOSE_RELATIONS = ['parent', 'spouse', 'child', 'sibling']
+
+// Vital events stored on the member row: timeline kind -> date and place columns
+const VITAL_EVENTS = {
+  birth: ['birth_date', 'birth_place'],
+  death: ['death_date', 'death_place'],
+  burial: ['burial_date', 'burial_place'],
+}
+
+/**
+ * Birth and death years bounding a member's life; either may be unknown
+ * @param {Object} member - Family member row
+ * @returns {Object} { from, to } years or null
+ */
+const lifetime = (member) => ({
+  from: member.birth_date?.year || member.birth_year || null,
+  to: member.death_date?.year || member.death_year || null,
+})
+
+/**
+ * Birth, death and burial entries of a member
+ * @param {Object} person - Family member row
+ * @param {string} relation - 'self' or how the person relates to the timeline's member
+ * @returns {Array} Timeline items
+ */
+const vitalItems = (person, relation) => Object.entries(VITAL_EVENTS)
+  .filter(([, [dateField, placeField]]) => person[dateField] || person[placeField])
+  .map(([kind, [dateField, placeField]]) => ({
+    kind,
+    date: person[dateField] || null,
+    place: person[placeField] || null,
+    member: { id: person.id, name: person.name },
+    relation,
+  }))
+
+/**
+ * Marriage and union-end entries of a couple
+ * A union ended by death is left out: the partner's death is already listed.
+ * @param {Object} union - Row from FamilyMember.getUnionsOf
+ * @param {Object} member - The timeline's member
+ * @param {Map} relations - Relative ID -> relation to the member
+ * @returns {Array} Timeline items
+ */
+const unionItems = (union, member, relations) => {
+  const partners = [
+    { id: union.member_id, name: union.member_name },
+    { id: union.related_member_id, name: union.related_name },
+  ]
+  // Told from the side of the member, or else of the relative
+  const own = partners.some(partner => partner.id === member.id)
+  const person = partners.find(partner => (own ? partner.id === member.id : relations.has(partner.id)))
+  const partner = partners.find(other => other !== person)
+  const relation = own ? 'self' : relations.get(person.id)
+
+  const items = []
+  if (union.marriage_date || union.marriage_place) {
+    items.push({
+      kind: 'marriage',
+      union_type: union.union_type,
+      date: fromIsoDate(union.marriage_date),
+      place: union.marriage_place || null,
+      member: person,
+      partner,
+      relation,
+    })
+  }
+  if (union.end_date && union.end_reason !== 'death') {
+    items.push({
+      kind: 'union_end',
+      end_reason: union.end_reason,
+      date: fromIsoDate(union.end_date),
+      place: null,
+      member: person,
+      partner,
+      relation,
+    })
+  }
+  return items
+}
+
+/**
+ * Build the timeline of a member
+ * @param {Object} member - Family member with relationships (FamilyMember.getFamilyMemberById)
+ * @returns {Promise<Array>} Items { kind, date, place, member, relation, ... }, oldest first
+ */
+export const buildTimeline = async (member) => {
+  const relations = new Map(member.relationships
+    .filter(rel => CLOSE_RELATIONS.includes(rel.relationship_type))
+    .map(rel => [rel.id, rel.relationship_type]))
+
+  const [relatives, events, unions] = await Promise.all([
+    FamilyMember.getFamilyMembersByIds([...relations.keys()]),
+    LifeEvent.getLifeEventsByMember(member.id),
+    FamilyMember.getUnionsOf([member.id, ...relations.keys()]),
+  ])
+
+  const own = [
+    ...vitalItems(member, 'self'),
+    ...events.map(event => ({
+      kind: 'life_event',
+      id: event.id,
+      event_type: event.event_type,
+      date: event.event_date,
+      place: event.place,
+      place_id: event.place_id,
+      description: event.description,
+      source: event.source,
+      member: { id: member.id, name: member.name },
+      relation: 'self',
+    })),
+  ]
+
+  const { from, to } = lifetime(member)
+  const family = [
+    ...relatives.flatMap(relative => vitalItems(relative, relations.get(relative.id))),
+    ...unions.flatMap(union => unionItems(union, member, relations)),
+  ].filter(item => item.relation === 'self' || (
+    item.date && (!from || item.date.year >= from) && (!to || item.date.year <= to)
+  ))
+
+  // On the same date the member's own entries come first
+  return [...own, ...family]
+    .map((item, order) => ({ item, order, key: item.date ? dateKey(item.date) : Infinity }))
+    .sort((a, b) => a.key - b.key || a.order - b.order)
+    .map(({ item }) => item)
+}
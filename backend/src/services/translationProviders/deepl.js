@@ -0,0 +1,62 @@
+/**
+ * DeepL provider
+ *
+ * DeepL has no Serbo-Croatian or Albanian; articles in those languages are
+ * translated with the source language detected, and cannot be translated into.
+ *
+ * Configuration:
+ * - DEEPL_API_KEY: Authentication key (keys of free accounts end in ":fx")
+ */
+
+import axios from 'axios'
+
+const DEEPL_URL = 'https://api.deepl.com/v2/translate'
+const DEEPL_FREE_URL = 'https://api-free.deepl.com/v2/translate'
+
+export const deeplProvider = {
+  name: 'deepl',
+
+  // Internal language codes to DeepL target codes (English needs a variant)
+  languageCodes: {
+    en: 'EN-GB',
+    fr: 'FR',
+    de: 'DE',
+    sv: 'SV',
+    it: 'IT',
+    es: 'ES',
+    tr: 'TR',
+  },
+
+  // Most texts the API takes in one request
+  batchSize: 50,
+
+  isConfigured: () => Boolean(process.env.DEEPL_API_KEY),
+
+  /**
+   * Translate HTML fragments
+   * @param {Array<string>} texts - HTML fragments to translate
+   * @param {string|null} source - DeepL language code (null: detect)
+   * @param {string} target - DeepL target language code
+   * @returns {Promise<Array<string>>} Translated fragments, in the same order
+   */
+  async translate(texts, source, target) {
+    const key = process.env.DEEPL_API_KEY
+
+    const response = await axios.post(
+      key.endsWith(':fx') ? DEEPL_FREE_URL : DEEPL_URL,
+      {
+        text: texts,
+        target_lang: target,
+        tag_handling: 'html',
+        // Source languages have no variants
+        ...(source && { source_lang: source.split('-')[0] }),
+      },
+      {
+        headers: { Authorization: `DeepL-Auth-Key ${key}` },
+        timeout: 30000,
+      }
+    )
+
+    return response.data.translations.map(translation => translation.text)
+  },
+}
@@ -0,0 +1,57 @@
+/**
+ * Google Cloud Translation (v2) provider
+ *
+ * Configuration:
+ * - GOOGLE_TRANSLATE_API_KEY: API key
+ */
+
+import axios from 'axios'
+
+const GOOGLE_TRANSLATE_URL = 'https://translation.googleapis.com/language/translate/v2'
+
+export const googleProvider = {
+  name: 'google',
+
+  // Internal language codes to Google's; Croatian gives Serbo-Croatian in Latin script
+  languageCodes: {
+    sr: 'hr',
+    en: 'en',
+    fr: 'fr',
+    de: 'de',
+    sv: 'sv',
+    it: 'it',
+    es: 'es',
+    sq: 'sq',
+    tr: 'tr',
+  },
+
+  // Most texts the API takes in one request
+  batchSize: 100,
+
+  isConfigured: () => Boolean(process.env.GOOGLE_TRANSLATE_API_KEY),
+
+  /**
+   * Translate HTML fragments
+   * @param {Array<string>} texts - HTML fragments to translate
+   * @param {string|null} source - Google source language code (null: detect)
+   * @param {string} target - Google target language code
+   * @returns {Promise<Array<string>>} Translated fragments, in the same order
+   */
+  async translate(texts, source, target) {
+    const response = await axios.post(
+      GOOGLE_TRANSLATE_URL,
+      {
+        q: texts,
+        target,
+        format: 'html',
+        ...(source && { source }),
+      },
+      {
+        params: { key: process.env.GOOGLE_TRANSLATE_API_KEY },
+        timeout: 30000,
+      }
+    )
+
+    return response.data.data.translations.map(translation => translation.translatedText)
+  },
+}
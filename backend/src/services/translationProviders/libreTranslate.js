@@ -0,0 +1,53 @@
+/**
+ * LibreTranslate provider, for a self-hosted or public LibreTranslate server
+ *
+ * Configuration:
+ * - LIBRETRANSLATE_URL: Server URL, e.g. http://localhost:5000
+ * - LIBRETRANSLATE_API_KEY: API key, if the server requires one
+ */
+
+import axios from 'axios'
+
+export const libreTranslateProvider = {
+  name: 'libretranslate',
+
+  // Which of these the server offers depends on the language models it has installed
+  languageCodes: {
+    sr: 'sr',
+    en: 'en',
+    fr: 'fr',
+    de: 'de',
+    sv: 'sv',
+    it: 'it',
+    es: 'es',
+    sq: 'sq',
+    tr: 'tr',
+  },
+
+  batchSize: 50,
+
+  isConfigured: () => Boolean(process.env.LIBRETRANSLATE_URL),
+
+  /**
+   * Translate HTML fragments
+   * @param {Array<string>} texts - HTML fragments to translate
+   * @param {string|null} source - Language code (null: detect)
+   * @param {string} target - Target language code
+   * @returns {Promise<Array<string>>} Translated fragments, in the same order
+   */
+  async translate(texts, source, target) {
+    const response = await axios.post(
+      `${process.env.LIBRETRANSLATE_URL.replace(/\/+$/, '')}/translate`,
+      {
+        q: texts,
+        source: source || 'auto',
+        target,
+        format: 'html',
+        ...(process.env.LIBRETRANSLATE_API_KEY && { api_key: process.env.LIBRETRANSLATE_API_KEY }),
+      },
+      { timeout: 30000 }
+    )
+
+    return response.data.translatedText
+  },
+}
@@ -0,0 +1,56 @@
+/**
+ * Local provider for development and tests
+ *
+ * Does not translate: it marks every piece of text with the language pair,
+ * e.g. "Rođen je <b>1880</b>" to "[sr→en] Rođen je <b>[sr→en] 1880</b>",
+ * leaving the HTML intact and text marked translate="no" alone. The output
+ * only depends on the input, and no network is needed.
+ */
+
+export const localProvider = {
+  name: 'local',
+
+  languageCodes: {
+    sr: 'sr',
+    en: 'en',
+    fr: 'fr',
+    de: 'de',
+    sv: 'sv',
+    it: 'it',
+    es: 'es',
+    sq: 'sq',
+    tr: 'tr',
+  },
+
+  batchSize: 100,
+
+  isConfigured: () => true,
+
+  /**
+   * "Translate" HTML fragments by marking their text
+   * @param {Array<string>} texts - HTML fragments to translate
+   * @param {string|null} source - Language code (null: unknown)
+   * @param {string} target - Target language code
+   * @returns {Promise<Array<string>>} Fragments with each text part prefixed by [source→target]
+   */
+  async translate(texts, source, target) {
+    const marker = `[${source || '?'}→${target}]`
+
+    return texts.map((text) => {
+      // Inside <span translate="no">...</span> when above zero
+      let keep = 0
+
+      return text
+        .split(/(<[^>]*>)/)
+        .map((part) => {
+          if (part.startsWith('<span') && /translate="no"/.test(part)) keep++
+          else if (part === '</span>' && keep) keep--
+
+          return part.startsWith('<') || !part.trim() || keep
+            ? part
+            : part.replace(/^(\s*)/, `$1${marker} `)
+        })
+        .join('')
+    })
+  },
+}
@@ -1,64 +1,280 @@
 /**
- * Google Translate API Service
- * 
- * Integrates with Google Translate API for automatic text translation.
- * Supports 9 languages for the family encyclopedia.
- * 
- * Uses Google Cloud Translation API
+ * Translation Service
+ *
+ * Automatic translation of article HTML for the family encyclopedia,
+ * through a provider chosen by configuration:
+ * - google: Google Cloud Translation (GOOGLE_TRANSLATE_API_KEY)
+ * - deepl: DeepL (DEEPL_API_KEY)
+ * - libretranslate: LibreTranslate server (LIBRETRANSLATE_URL)
+ * - local: Marks text instead of translating, for development and tests
+ *
+ * TRANSLATION_PROVIDER selects the provider. Without it, the first provider
+ * with its key or URL set is used, in the order above. The local provider is
+ * only used when selected, so a missing key is not mistaken for a translation.
+ *
+ * A provider has a name, languageCodes (internal language code to the
+ * provider's; a language it cannot translate into is missing), batchSize,
+ * isConfigured() and translate(texts, source, target) taking HTML fragments
+ * and the provider's codes.
+ *
+ * Articles are not sent whole: only their text and alt/title attributes are
+ * (see utils/htmlSegments.js), so the infobox, section and table markup
+ * survives translation. Before a segment goes to the provider, the
+ * translation memory is asked for a translation a person gave it; after,
+ * glossary terms (family member names, and the admin-managed glossary of
+ * the language pair) are put back as the glossary wants them.
+ *
+ * Member fields and general articles are translated field by field (see
+ * translateFields); readers get them in their language with localizeFields.
  */
 
-import axios from 'axios'
-
-const GOOGLE_TRANSLATE_URL = 'https://translation.googleapis.com/language/translate/v2'
-
-// Mapping of internal language codes to Google Translate language codes
-const LANGUAGE_MAP = {
-  sr: 'hr', // Serbo-Croatian (using Croatian)
-  en: 'en', // English
-  fr: 'fr', // French
-  de: 'de', // German
-  sv: 'sv', // Swedish
-  it: 'it', // Italian
-  es: 'es', // Spanish
-  sq: 'sq', // Albanian
-  tr: 'tr', // Turkish
+import * as FamilyMember from '../models/FamilyMember.js'
+import * as TranslationGlossary from '../models/TranslationGlossary.js'
+import * as TranslationMemory from '../models/TranslationMemory.js'
+import { segmentHtml, escapeText, unescapeText } from '../utils/htmlSegments.js'
+import { googleProvider } from './translationProviders/google.js'
+import { deeplProvider } from './translationProviders/deepl.js'
+import { libreTranslateProvider } from './translationProviders/libreTranslate.js'
+import { localProvider } from './translationProviders/local.js'
+
+const PROVIDERS = [googleProvider, deeplProvider, libreTranslateProvider, localProvider]
+
+/**
+ * Build an error carrying an HTTP status for the error handler
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+const httpError = (status, message) => Object.assign(new Error(message), { status })
+
+/**
+ * Get the configured translation provider
+ * @returns {Object} Provider ({ name, languageCodes, batchSize, isConfigured, translate })
+ * @throws {Error} 503 when no provider is configured, or the one selected is unknown or lacks its key
+ */
+export const getTranslationProvider = () => {
+  const selected = process.env.TRANSLATION_PROVIDER
+
+  if (selected) {
+    const provider = PROVIDERS.find(p => p.name === selected.toLowerCase())
+    if (!provider) {
+      throw httpError(503, `Unknown translation provider: ${selected}`)
+    }
+    if (!provider.isConfigured()) {
+      throw httpError(503, `Translation provider ${provider.name} is not configured`)
+    }
+    return provider
+  }
+
+  const configured = PROVIDERS.find(p => p !== localProvider && p.isConfigured())
+  if (configured) return configured
+
+  throw httpError(503, 'No translation provider configured')
+}
+
+/**
+ * Get the glossary for a language pair: family member names, whole and each
+ * part of them (given names and surnames also appear on their own), kept as
+ * they are, then the glossary entries of the pair, which win over the names
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @returns {Promise<Array<string|Object>>} Terms and { term, translation } entries
+ */
+export const getTranslationGlossary = async (sourceLanguage, targetLanguage) => {
+  const [names, entries] = await Promise.all([
+    FamilyMember.getMemberNames(),
+    TranslationGlossary.getGlossaryForPair(sourceLanguage, targetLanguage),
+  ])
+  const terms = new Set()
+
+  for (const name of names) {
+    terms.add(name.trim())
+    // Parts of at least three letters starting with a capital, e.g. not "el"
+    for (const part of name.split(/\s+/)) {
+      if (part.length >= 3 && /^\p{Lu}/u.test(part)) terms.add(part)
+    }
+  }
+
+  return [...[...terms].filter(Boolean), ...entries]
 }
 
 /**
- * Translate text using Google Translate API
- * @param {string} text - Text to translate
+ * Translate article HTML, keeping its markup. Segments in the translation
+ * memory are not sent to the provider.
+ * @param {string} text - HTML to translate
  * @param {string} sourceLanguage - Source language code
  * @param {string} targetLanguage - Target language code
- * @returns {Promise<string>} Translated text
+ * @returns {Promise<string>} Translated HTML
+ * @throws {Error} 400 when the provider cannot translate into the target language,
+ *   502 when the provider fails
  */
 export const translateText = async (text, sourceLanguage, targetLanguage) => {
-  if (!process.env.GOOGLE_TRANSLATE_API_KEY) {
-    throw new Error('Google Translate API key not configured')
+  const provider = getTranslationProvider()
+
+  const target = provider.languageCodes[targetLanguage]
+  if (!target) {
+    throw httpError(400, `Unsupported target language: ${targetLanguage}`)
   }
 
   if (!text || !text.trim()) {
     return text
   }
 
-  const targetLangCode = LANGUAGE_MAP[targetLanguage]
-  if (!targetLangCode) {
-    throw new Error(`Unsupported target language: ${targetLanguage}`)
+  const glossary = await getTranslationGlossary(sourceLanguage, targetLanguage)
+  const { segments, keys, assemble } = segmentHtml(text, glossary)
+  if (!segments.length) {
+    return text
   }
 
+  const remembered = await TranslationMemory.findTranslations(sourceLanguage, targetLanguage, keys)
+  const translations = keys.map(key => remembered.get(key))
+  const missing = translations.flatMap((translation, index) => (translation === undefined ? [index] : []))
+
+  // A source language the provider does not know is left for it to detect
+  const source = provider.languageCodes[sourceLanguage] || null
+
   try {
-    const response = await axios.post(
-      `${GOOGLE_TRANSLATE_URL}?key=${process.env.GOOGLE_TRANSLATE_API_KEY}`,
-      {
-        q: text,
-        target_language_code: targetLangCode,
-        source_language_code: LANGUAGE_MAP[sourceLanguage] || 'hr',
-      }
-    )
+    for (let start = 0; start < missing.length; start += provider.batchSize) {
+      const batch = missing.slice(start, start + provider.batchSize)
+      const translated = await provider.translate(batch.map(index => segments[index]), source, target)
+      batch.forEach((index, position) => { translations[index] = translated[position] })
+    }
 
-    return response.data.data.translations[0].translatedText
+    return assemble(translations)
   } catch (error) {
-    console.error('Google Translate API error:', error.response?.data || error.message)
-    throw new Error('Translation service unavailable')
+    console.error(`Translation provider ${provider.name} error:`, error.response?.data || error.message)
+    throw httpError(502, 'Translation service unavailable')
+  }
+}
+
+/**
+ * Remember the segments of a translation written or corrected by a person.
+ * Segments are paired in order, so nothing is remembered when the two
+ * documents do not have the same number of segments.
+ * @param {string} sourceHtml - Source article HTML
+ * @param {string} targetHtml - Its translation
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @param {number} userId - User who translated it
+ * @returns {Promise<number>} Number of segments remembered
+ */
+export const rememberTranslation = async (sourceHtml, targetHtml, sourceLanguage, targetLanguage, userId) => {
+  const source = segmentHtml(sourceHtml || '').keys
+  const target = segmentHtml(targetHtml || '').keys
+  if (!source.length || source.length !== target.length) {
+    return 0
+  }
+
+  let remembered = 0
+  for (let index = 0; index < source.length; index++) {
+    if (!/\p{L}/u.test(target[index])) continue
+
+    await TranslationMemory.saveTranslation(sourceLanguage, targetLanguage, source[index], target[index], userId)
+    remembered++
+  }
+
+  return remembered
+}
+
+// Line breaks of a field become segment boundaries, so each line is translated
+// on its own and the translation keeps the lines of the source
+const LINE_BREAK = '<hr data-line-break>'
+
+/**
+ * HTML of a field value, as it is translated and remembered
+ * @param {string} value - Field value
+ * @param {boolean} isHtml - Whether the value is HTML; plain text is escaped
+ * @returns {string} HTML with line breaks as LINE_BREAK
+ */
+const fieldHtml = (value, isHtml) => (isHtml ? value : escapeText(value)).split('\n').join(LINE_BREAK)
+
+/**
+ * Field value of translated field HTML
+ * @param {string} html - Translated HTML from fieldHtml
+ * @param {boolean} isHtml - Whether the value is HTML
+ * @returns {string} Field value
+ */
+const fieldValue = (html, isHtml) => {
+  const value = html.split(LINE_BREAK).join('\n')
+  return isHtml ? value : unescapeText(value)
+}
+
+/**
+ * Translate the text fields of a record (a member's occupation, a general
+ * article's title and content), with the glossary and translation memory
+ * @param {Object} record - Record with the source values
+ * @param {Array<string>} fields - Fields to translate; empty ones are left out
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @param {Array<string>} [htmlFields=[]] - Fields holding HTML; the others are plain text
+ * @returns {Promise<Object>} Translated values by field
+ * @throws {Error} As translateText
+ */
+export const translateFields = async (record, fields, sourceLanguage, targetLanguage, htmlFields = []) => {
+  const translated = {}
+
+  for (const field of fields) {
+    if (!record[field]?.trim()) continue
+
+    const isHtml = htmlFields.includes(field)
+    const html = await translateText(fieldHtml(record[field], isHtml), sourceLanguage, targetLanguage)
+    translated[field] = fieldValue(html, isHtml)
+  }
+
+  return translated
+}
+
+/**
+ * Remember the fields of a translation written or corrected by a person,
+ * line by line (see rememberTranslation)
+ * @param {Object} record - Record with the source values
+ * @param {Object} translation - Translated values by field
+ * @param {Array<string>} fields - Translatable fields
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @param {number} userId - User who translated them
+ * @param {Array<string>} [htmlFields=[]] - Fields holding HTML; the others are plain text
+ * @returns {Promise<number>} Number of segments remembered
+ */
+export const rememberFields = async (record, translation, fields, sourceLanguage, targetLanguage, userId, htmlFields = []) => {
+  let remembered = 0
+
+  for (const field of fields) {
+    if (!record[field] || !translation[field]) continue
+
+    const isHtml = htmlFields.includes(field)
+    remembered += await rememberTranslation(
+      fieldHtml(record[field], isHtml),
+      fieldHtml(translation[field], isHtml),
+      sourceLanguage,
+      targetLanguage,
+      userId
+    )
+  }
+
+  return remembered
+}
+
+/**
+ * Give a record's translatable fields in the reader's language; a field
+ * without a translation keeps its source value
+ * @param {Object} record - Record, with the language it is written in as language
+ * @param {Object} [translation] - Its translation into the requested language
+ * @param {string} language - Requested language code
+ * @param {Array<string>} fields - Translatable fields
+ * @returns {Object} Record with the translated values, requested_language,
+ *   translated_fields and is_fallback (a field with a value is only in the source language)
+ */
+export const localizeFields = (record, translation, language, fields) => {
+  const isSource = language === record.language
+  const translated = translation && !isSource ? fields.filter(field => translation[field]) : []
+
+  return {
+    ...record,
+    ...Object.fromEntries(translated.map(field => [field, translation[field]])),
+    requested_language: language,
+    translated_fields: translated,
+    is_fallback: !isSource && fields.some(field => record[field] && !translated.includes(field)),
   }
 }
 
@@ -0,0 +1,76 @@
+/**
+ * Wiki Markup Service
+ *
+ * Renders article content as it is saved. HTML is sanitised; wiki markup
+ * (see utils/wikiMarkup.js) has its links to family members, general
+ * articles and images looked up, is rendered to HTML and sanitised. The
+ * markup is kept as the article's source, and readers, translations and
+ * revision comparisons use the rendered HTML, as for an HTML article.
+ *
+ * A member name matching several members does not resolve: such links are
+ * reported missing, to be written with the member's ID.
+ */
+
+import * as FamilyMember from '../models/FamilyMember.js'
+import * as GeneralArticle from '../models/GeneralArticle.js'
+import * as Image from '../models/Image.js'
+import { renderWikiMarkup, collectReferences } from '../utils/wikiMarkup.js'
+import { sanitizeHtml } from '../utils/htmlSanitizer.js'
+
+const normalize = (text) => text.trim().replace(/\s+/g, ' ').toLowerCase()
+
+/**
+ * Index rows by a key; a key shared by several rows maps to null
+ */
+const indexBy = (rows, key) => {
+  const index = new Map()
+  for (const row of rows) {
+    const value = key(row)
+    index.set(value, index.has(value) ? null : row)
+  }
+  return index
+}
+
+/**
+ * Render wiki markup, looking up what its links point to
+ * @param {string} source - Wiki markup
+ * @returns {Promise<Object>} { html, missing } (see renderWikiMarkup)
+ */
+export const renderWiki = async (source) => {
+  const { memberIds, memberNames, articleTitles, imageIds } = collectReferences(source)
+
+  const [membersById, membersByName, articles, images] = await Promise.all([
+    memberIds.length ? FamilyMember.getFamilyMembersByIds(memberIds) : [],
+    memberNames.length ? FamilyMember.getFamilyMembersByNames(memberNames) : [],
+    articleTitles.length ? GeneralArticle.getGeneralArticlesByTitles(articleTitles) : [],
+    imageIds.length ? Image.getImagesByIds(imageIds) : [],
+  ])
+
+  const members = new Map(membersById.map(member => [member.id, member]))
+  const names = indexBy(membersByName, member => normalize(member.name))
+  const titles = indexBy(articles, article => normalize(article.title))
+  const files = new Map(images.map(image => [image.id, image]))
+
+  return renderWikiMarkup(source, {
+    memberById: (id) => members.get(id) || null,
+    memberByName: (name) => names.get(normalize(name)) || null,
+    articleByTitle: (title) => titles.get(normalize(title)) || null,
+    imageById: (id) => files.get(id) || null,
+  })
+}
+
+/**
+ * Article content as it is stored
+ * @param {string} text - Content as written: HTML, or wiki markup
+ * @param {string} [format='html'] - 'html' or 'wiki'
+ * @returns {Promise<Object>} format, source (the wiki markup; null for HTML),
+ *   content (sanitised HTML) and missing_links (targets of unresolved wikilinks)
+ */
+export const renderContent = async (text, format = 'html') => {
+  if (format !== 'wiki') {
+    return { format: 'html', source: null, content: sanitizeHtml(text), missing_links: [] }
+  }
+
+  const { html, missing } = await renderWiki(text)
+  return { format, source: text, content: sanitizeHtml(html), missing_links: missing }
+}
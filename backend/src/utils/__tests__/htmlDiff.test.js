@@ -0,0 +1,105 @@
+/**
+ * HTML Diff tests
+ *
+ * Insertions, deletions and replacements, also where they cross tag
+ * boundaries: the result keeps the newer revision's markup, never cuts a tag,
+ * and marks only text.
+ */
+
+import { diffHtml } from '../htmlDiff.js'
+
+describe('diffHtml', () => {
+  test('reports no change for the same HTML', () => {
+    expect(diffHtml('<p>Rođen je 1870.</p>', '<p>Rođen je 1870.</p>')).toEqual({
+      html: '<p>Rođen je 1870.</p>',
+      added: 0,
+      removed: 0,
+      changed: false,
+    })
+  })
+
+  describe('insert', () => {
+    test('marks words put in', () => {
+      expect(diffHtml('<p>Rođen je 1870.</p>', '<p>Rođen je u selu 1870.</p>')).toEqual({
+        html: '<p>Rođen je <ins>u selu </ins>1870.</p>',
+        added: 2,
+        removed: 0,
+        changed: true,
+      })
+    })
+
+    test('keeps the tags of inserted markup and marks its text', () => {
+      const { html, added } = diffHtml('<p>Prvi.</p>', '<p>Prvi.</p><h2>Život</h2><p>Drugi.</p>')
+
+      expect(html).toBe('<p>Prvi.</p><h2><ins>Život</ins></h2><p><ins>Drugi.</ins></p>')
+      expect(added).toBe(2)
+    })
+
+    test('marks text put in across a tag boundary', () => {
+      expect(diffHtml('<p>Bio je učitelj.</p>', '<p>Bio je <b>seoski</b> učitelj.</p>').html)
+        .toBe('<p>Bio je <b><ins>seoski</ins></b> učitelj.</p>')
+    })
+  })
+
+  describe('delete', () => {
+    test('marks words taken out', () => {
+      expect(diffHtml('<p>Rođen je u selu 1870.</p>', '<p>Rođen je 1870.</p>')).toEqual({
+        html: '<p>Rođen je <del>u selu </del>1870.</p>',
+        added: 0,
+        removed: 2,
+        changed: true,
+      })
+    })
+
+    test('drops the tags of deleted markup and marks its text', () => {
+      const { html, removed } = diffHtml('<p>Prvi.</p><h2>Život</h2><p>Drugi.</p>', '<p>Prvi.</p>')
+
+      expect(html).toBe('<p>Prvi.</p><del>Život</del><del>Drugi.</del>')
+      expect(removed).toBe(2)
+    })
+
+    test('marks text taken out of an inline element', () => {
+      expect(diffHtml('<p>Bio je <b>seoski</b> učitelj.</p>', '<p>Bio je učitelj.</p>').html)
+        .toBe('<p>Bio je <del>seoski</del> učitelj.</p>')
+    })
+  })
+
+  describe('replace', () => {
+    test('shows a replaced phrase removed, then put in', () => {
+      expect(diffHtml('<p>Živio je u Beogradu.</p>', '<p>Živio je u Novom Sadu.</p>')).toEqual({
+        html: '<p>Živio je u <del>Beogradu</del><ins>Novom Sadu</ins>.</p>',
+        added: 2,
+        removed: 1,
+        changed: true,
+      })
+    })
+
+    test('keeps whole tags when a change crosses a tag boundary', () => {
+      const { html } = diffHtml(
+        '<p>Bio je <a href="/member/2">Markov</a> sin.</p>',
+        '<p>Bio je <a href="/member/3">Petrov</a> sin.</p>'
+      )
+
+      // The old link's tags are dropped, so its removed text comes before the new link
+      expect(html).toBe('<p>Bio je <del>Markov</del><a href="/member/3"><ins>Petrov</ins></a> sin.</p>')
+    })
+
+    test('shows no marker for a change of markup alone', () => {
+      const result = diffHtml('<p>Život</p>', '<h2>Život</h2>')
+
+      expect(result.html).toBe('<h2>Život</h2>')
+      expect(result).toMatchObject({ added: 0, removed: 0, changed: true })
+    })
+
+    test('replaces text spanning two elements', () => {
+      const { html, added, removed } = diffHtml('<p>Jedan</p><p>Dva</p>', '<p>Tri</p><p>Dva</p>')
+
+      expect(html).toBe('<p><del>Jedan</del><ins>Tri</ins></p><p>Dva</p>')
+      expect({ added, removed }).toEqual({ added: 1, removed: 1 })
+    })
+  })
+
+  test('escaped text is compared as it is written', () => {
+    expect(diffHtml('<p>A &amp; B</p>', '<p>A &lt; B</p>').html).toBe('<p>A <del>&amp;</del><ins>&lt;</ins> B</p>')
+  })
+})
@@ -0,0 +1,119 @@
+/**
+ * HTML Sanitiser tests
+ *
+ * Known XSS payloads are removed or made harmless; the markup of the article
+ * templates and uploaded images is kept.
+ */
+
+import { sanitizeHtml } from '../htmlSanitizer.js'
+
+describe('sanitizeHtml', () => {
+  describe('removes script', () => {
+    test('script elements with their content', () => {
+      expect(sanitizeHtml('<p>a</p><script>alert(1)</script><p>b</p>')).toBe('<p>a</p><p>b</p>')
+    })
+
+    test('script elements in any case, with attributes', () => {
+      expect(sanitizeHtml('<SCRIPT src="https://evil.example/x.js"></SCRIPT>text')).toBe('text')
+    })
+
+    test('an unclosed script tag and what follows it', () => {
+      expect(sanitizeHtml('<p>a<script src=x>alert(1)')).toBe('<p>a')
+    })
+
+    test('a script tag cut off at the end', () => {
+      const html = sanitizeHtml('<p>a</p><script')
+      expect(html).not.toMatch(/<script/i)
+      expect(html).toBe('<p>a</p>&lt;script')
+    })
+  })
+
+  describe('removes event handlers', () => {
+    test('on* attributes, quoted or not', () => {
+      expect(sanitizeHtml('<p onclick="alert(1)" onmouseover=alert(2)>x</p>')).toBe('<p>x</p>')
+    })
+
+    test('svg with onload, with its content', () => {
+      expect(sanitizeHtml('<svg onload=alert(1)><circle/></svg>ok')).toBe('ok')
+    })
+
+    test('img with a slash before src and onerror', () => {
+      expect(sanitizeHtml('<img/src=x onerror=alert(1)>')).not.toMatch(/onerror|<img/i)
+    })
+
+    test('onerror on an allowed image', () => {
+      expect(sanitizeHtml('<img src="/images/a.jpg" onerror="alert(1)" alt="A">'))
+        .toBe('<img src="/images/a.jpg" alt="A">')
+    })
+  })
+
+  describe('neutralises javascript: links', () => {
+    test.each([
+      ['plain', '<a href="javascript:alert(1)">x</a>'],
+      ['mixed case and spaces', '<a href="  JaVaScRiPt:alert(1)">x</a>'],
+      ['numeric entity', '<a href="&#106;avascript:alert(1)">x</a>'],
+      ['hex entity', '<a href="&#x6A;avascript:alert(1)">x</a>'],
+      ['entity-encoded colon', '<a href="javascript&colon;alert(1)">x</a>'],
+      ['unquoted', '<a href=javascript:alert(1)>x</a>'],
+    ])('%s', (_, payload) => {
+      const html = sanitizeHtml(payload)
+      expect(html).not.toMatch(/href="\s*javascript(:|&colon;)/i)
+      expect(html).toMatch(/>x<\/a>$/)
+    })
+
+    test('keeps http(s), mailto and links within the site', () => {
+      expect(sanitizeHtml('<a href="https://example.org/">x</a>')).toBe('<a href="https://example.org/">x</a>')
+      expect(sanitizeHtml('<a href="mailto:a@example.org">x</a>')).toBe('<a href="mailto:a@example.org">x</a>')
+      expect(sanitizeHtml('<a href="/member/42">x</a>')).toBe('<a href="/member/42">x</a>')
+    })
+  })
+
+  describe('iframes', () => {
+    test('showing another site are removed', () => {
+      expect(sanitizeHtml('<iframe src="https://evil.example/"></iframe>ok')).toBe('ok')
+    })
+
+    test('showing an embeddable page are kept', () => {
+      expect(sanitizeHtml('<iframe src="/tree/2"></iframe>')).toBe('<iframe src="/tree/2"></iframe>')
+      expect(sanitizeHtml('<iframe src="/places?member=2"></iframe>')).toBe('<iframe src="/places?member=2"></iframe>')
+    })
+
+    test('showing other pages of the site are removed', () => {
+      expect(sanitizeHtml('<iframe src="/member/2"></iframe>ok')).toBe('ok')
+      expect(sanitizeHtml('<iframe src="/api/auth/me"></iframe>ok')).toBe('ok')
+      expect(sanitizeHtml('<iframe src="/tree/2/../../admin"></iframe>ok')).toBe('ok')
+    })
+  })
+
+  describe('comments', () => {
+    test('are removed with markup inside them', () => {
+      expect(sanitizeHtml('<!-- <script>alert(1)</script> -->text')).toBe('text')
+    })
+
+    test('an abruptly closed comment does not let markup through', () => {
+      expect(sanitizeHtml('<!--><img src=x onerror=alert(1)>-->')).not.toMatch(/onerror/i)
+    })
+  })
+
+  describe('keeps', () => {
+    test('the template classes, dropping others', () => {
+      const infobox = '<div class="wiki-infobox member-infobox"><div class="infobox-title">T</div>'
+        + '<table class="infobox-table"><tr><td class="label">L</td><td>V</td></tr></table></div>'
+      expect(sanitizeHtml(infobox)).toBe(infobox)
+      expect(sanitizeHtml('<section class="wiki-section evil"><h2>H</h2></section>'))
+        .toBe('<section class="wiki-section"><h2>H</h2></section>')
+    })
+
+    test('images from /images/ only', () => {
+      expect(sanitizeHtml('<img src="/images/photo.jpg" alt="Photo">')).toBe('<img src="/images/photo.jpg" alt="Photo">')
+      expect(sanitizeHtml('<img src="https://evil.example/x.png">')).not.toMatch(/evil/)
+    })
+
+    test('no images by a path leading out of /images/', () => {
+      expect(sanitizeHtml('<img src="/images/../api/auth/me" alt="A">')).toBe('')
+      expect(sanitizeHtml('<img src="/images/%2E%2e/api/family" alt="A">')).toBe('')
+      expect(sanitizeHtml('<img src="/images\\..\\api" alt="A">')).toBe('')
+      expect(sanitizeHtml('<img src="/images/./photo.jpg" alt="A">')).toBe('')
+    })
+  })
+})
@@ -0,0 +1,91 @@
+/**
+ * HTML Segmentation tests
+ *
+ * Segments put back untranslated give the original HTML, inline markup and
+ * attributes survive, and glossary terms are only replaced in text.
+ */
+
+import { segmentHtml } from '../htmlSegments.js'
+
+// Put the segments back as they were sent
+const roundTrip = (html, glossary) => {
+  const { segments, assemble } = segmentHtml(html, glossary)
+  return assemble(segments)
+}
+
+describe('segmentHtml', () => {
+  describe('assembled from its own segments', () => {
+    test.each([
+      ['paragraphs', '<p>Rođen je u Beogradu.</p>\n<p>Bio je učitelj.</p>'],
+      ['an infobox table', '<div class="wiki-infobox"><table class="infobox-table"><tr><td class="label">Rođen:</td><td>1870</td></tr></table></div>'],
+      ['sections and lists', '<h2 id="zivot">Život</h2><ul><li>Prvi</li><li>Drugi <em>red</em></li></ul>'],
+      ['comments, code and untranslated elements', '<!-- note --><p>Tekst</p><pre>kod <b>x</b></pre><span translate="no">Ime</span>'],
+      ['a stray "<"', '<p>3 < 5 je tačno</p>'],
+      ['an image with alt and title', '<p><img src="/images/a.jpg" alt="Kuća u selu" title="Stara kuća"></p>'],
+    ])('gives back %s', (name, html) => {
+      expect(roundTrip(html)).toBe(html)
+    })
+
+    test('gives back text with glossary terms', () => {
+      const html = '<p>Marko Petrović je bio zemljoradnik.</p>'
+      expect(roundTrip(html, ['Marko Petrović', { term: 'zemljoradnik', translation: null }])).toBe(html)
+    })
+  })
+
+  describe('inline markup', () => {
+    test('stays in the segment without its attributes and comes back with them', () => {
+      const html = '<p>Vidi <a href="/member/4" class="wiki-link">Marka</a> i <b>njegovu</b> kuću.</p>'
+      const { segments, assemble } = segmentHtml(html)
+
+      expect(segments).toEqual(['Vidi <a data-t="0">Marka</a> i <b data-t="1">njegovu</b> kuću.'])
+      expect(assemble(['See <b data-t="1">his</b> house and <a data-t="0">Marko</a>.']))
+        .toBe('<p>See <b>his</b> house and <a href="/member/4" class="wiki-link">Marko</a>.</p>')
+    })
+
+    test('keeps void inline tags', () => {
+      const { segments, assemble } = segmentHtml('<p>Prvi red<br>drugi red</p>')
+
+      expect(segments).toEqual(['Prvi red<br data-t="0" />drugi red'])
+      expect(assemble(['First line<br data-t="0" />second line'])).toBe('<p>First line<br>second line</p>')
+    })
+
+    test('block tags end a segment', () => {
+      expect(segmentHtml('<div>Jedan<p>Dva</p>Tri</div>').segments).toEqual(['Jedan', 'Dva', 'Tri'])
+    })
+  })
+
+  describe('attributes', () => {
+    test('alt and title are segments of their own and are translated in place', () => {
+      const { segments, assemble } = segmentHtml('<img src="/images/kuca.jpg" alt="Kuća" title="Selo">')
+
+      expect(segments).toEqual(['Kuća', 'Selo'])
+      expect(assemble(['House "old"', 'Village'])).toBe('<img src="/images/kuca.jpg" alt="House &quot;old&quot;" title="Village">')
+    })
+
+    test('other attributes are not sent', () => {
+      expect(segmentHtml('<p class="uvod" data-note="Beleška">Tekst</p>').segments).toEqual(['Tekst'])
+    })
+  })
+
+  describe('glossary', () => {
+    test('marks terms in text and replaces them with their translation', () => {
+      const { segments, keys, assemble } = segmentHtml('<p>Bio je zemljoradnik.</p>', [{ term: 'zemljoradnik', translation: 'farmer' }])
+
+      expect(segments).toEqual(['Bio je <span translate="no" class="notranslate" data-g="0">zemljoradnik</span>.'])
+      expect(keys).toEqual(['Bio je zemljoradnik.'])
+      expect(assemble([segments[0].replace('Bio je', 'He was a')])).toBe('<p>He was a farmer.</p>')
+    })
+
+    test('does not replace a term inside an attribute of the markup', () => {
+      const html = '<p><a href="/articles/zemljoradnik" class="zemljoradnik">Zanat</a></p>'
+      const { segments, assemble } = segmentHtml(html, [{ term: 'zemljoradnik', translation: 'farmer' }])
+
+      expect(segments).toEqual(['<a data-t="0">Zanat</a>'])
+      expect(assemble(['<a data-t="0">Trade</a>'])).toBe('<p><a href="/articles/zemljoradnik" class="zemljoradnik">Trade</a></p>')
+    })
+
+    test('does not match a term inside a longer word', () => {
+      expect(segmentHtml('<p>Marković</p>', ['Marko']).segments).toEqual(['Marković'])
+    })
+  })
+})
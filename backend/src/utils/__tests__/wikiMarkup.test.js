@@ -0,0 +1,156 @@
+/**
+ * Wiki Markup tests
+ *
+ * Rendering of the Markdown blocks and the wiki extensions, with lookups
+ * standing in for the database.
+ */
+
+import { renderWikiMarkup, collectReferences, MEMBER_INFOBOX } from '../wikiMarkup.js'
+
+const members = [{ id: 42, name: 'Marko Petrović' }, { id: 7, name: 'Ana' }]
+
+const lookups = {
+  memberById: (id) => members.find(member => member.id === id) || null,
+  memberByName: (name) => members.find(member => member.name === name) || null,
+  articleByTitle: (title) => (title === 'Selo' ? { id: 3, title: 'Selo' } : null),
+  imageById: (id) => (id === 12 ? { filename: 'kuca.jpg', caption: 'Kuća', alt_text: 'Stara kuća' } : null),
+}
+
+const render = (source) => renderWikiMarkup(source, lookups).html
+
+describe('renderWikiMarkup', () => {
+  describe('headings and sections', () => {
+    test('a ## heading starts a section that runs to the next one', () => {
+      expect(render('Uvod\n\n## Život\nTekst\n\n### Djetinjstvo\nRano\n\n## Smrt\nKraj')).toBe(
+        '<p>Uvod</p>' +
+        '<section class="wiki-section"><h2>Život</h2><p>Tekst</p><h3>Djetinjstvo</h3><p>Rano</p></section>' +
+        '<section class="wiki-section"><h2>Smrt</h2><p>Kraj</p></section>'
+      )
+    })
+
+    test('a # heading ends the section', () => {
+      expect(render('## Život\nTekst\n# Dodatak')).toBe('<section class="wiki-section"><h2>Život</h2><p>Tekst</p></section><h1>Dodatak</h1>')
+    })
+
+    test('closing hashes are left out', () => {
+      expect(render('### Naslov ###')).toBe('<h3>Naslov</h3>')
+    })
+  })
+
+  describe('lists', () => {
+    test('nested by indenting', () => {
+      expect(render('- Prvi\n  - Unutra\n  - Još\n- Drugi')).toBe(
+        '<ul><li>Prvi<ul><li>Unutra</li><li>Još</li></ul></li><li>Drugi</li></ul>'
+      )
+    })
+
+    test('ordered lists keep their start number and may hold bullets', () => {
+      expect(render('3. Treći\n   * tačka\n4. Četvrti')).toBe(
+        '<ol start="3"><li>Treći<ul><li>tačka</li></ul></li><li>Četvrti</li></ol>'
+      )
+    })
+
+    test('a blank line between items makes paragraphs of them', () => {
+      expect(render('- Prvi\n\n- Drugi')).toBe('<ul><li><p>Prvi</p></li><li><p>Drugi</p></li></ul>')
+    })
+  })
+
+  describe('tables', () => {
+    test('a header row, the delimiter line and body rows make a wiki-table', () => {
+      expect(render('| Ime | Godina |\n|---|---|\n| Marko | 1870 |\n| Ana | *1875* |')).toBe(
+        '<table class="wiki-table"><tr><th>Ime</th><th>Godina</th></tr>' +
+        '<tr><td>Marko</td><td>1870</td></tr><tr><td>Ana</td><td><em>1875</em></td></tr></table>'
+      )
+    })
+
+    test('a pipe inside a wikilink does not split the cell', () => {
+      expect(render('| Otac |\n|---|\n| [[member:42|djed]] |')).toBe(
+        '<table class="wiki-table"><tr><th>Otac</th></tr><tr><td><a href="/member/42" class="wiki-link">djed</a></td></tr></table>'
+      )
+    })
+  })
+
+  describe('wikilinks', () => {
+    test('[[member:id|label]] links the member with the label', () => {
+      expect(render('[[member:42|moj djed]]')).toBe('<p><a href="/member/42" class="wiki-link">moj djed</a></p>')
+    })
+
+    test('members by name and articles by title', () => {
+      expect(render('[[Ana]] iz [[article:Selo]]')).toBe(
+        '<p><a href="/member/7" class="wiki-link">Ana</a> iz <a href="/articles/3" class="wiki-link">Selo</a></p>'
+      )
+    })
+
+    test('an image on a line of its own is a figure', () => {
+      expect(render('[[image:12]]')).toBe(
+        '<figure class="wiki-image"><img src="/images/kuca.jpg" alt="Stara kuća"><figcaption>Kuća</figcaption></figure>'
+      )
+    })
+
+    test('missing links are shown as text and reported once each', () => {
+      const { html, missing } = renderWikiMarkup('[[member:99]], [[Nepoznat|neko]], [[article:Grad]] i [[member:99]]', lookups)
+
+      expect(html).toBe(
+        '<p><span class="wiki-link-missing" title="member:99">99</span>, ' +
+        '<span class="wiki-link-missing" title="Nepoznat">neko</span>, ' +
+        '<span class="wiki-link-missing" title="article:Grad">Grad</span> i ' +
+        '<span class="wiki-link-missing" title="member:99">99</span></p>'
+      )
+      expect(missing).toEqual(['member:99', 'Nepoznat', 'article:Grad'])
+    })
+
+    test('nothing is missing when every link resolves', () => {
+      expect(renderWikiMarkup('[[member:42]]', lookups).missing).toEqual([])
+    })
+  })
+
+  describe('infoboxes', () => {
+    test('title, image and caption make the header, other params rows', () => {
+      expect(render('{{infobox\n| title = Kuća Petrovića\n| image = 12\n| caption = Oko 1900.\n| Sagrađena = 1885\n| Vlasnik = [[member:42]]\n}}')).toBe(
+        '<div class="wiki-infobox"><div class="infobox-title">Kuća Petrovića</div><table class="infobox-table">' +
+        '<tr><td colspan="2" class="infobox-image"><img src="/images/kuca.jpg" alt="Stara kuća"><div>Oko 1900.</div></td></tr>' +
+        '<tr><td class="label">Sagrađena:</td><td>1885</td></tr>' +
+        '<tr><td class="label">Vlasnik:</td><td><a href="/member/42" class="wiki-link">Marko Petrović</a></td></tr>' +
+        '</table></div>'
+      )
+    })
+
+    test('params without a value are left out', () => {
+      expect(render('{{infobox | title = Selo | Opština = }}')).toBe('<div class="wiki-infobox"><div class="infobox-title">Selo</div></div>')
+    })
+
+    test('{{member infobox}} is the placeholder filled when the article is read', () => {
+      expect(render('{{member infobox}}\n\nTekst')).toBe(`${MEMBER_INFOBOX}<p>Tekst</p>`)
+    })
+  })
+
+  describe('escaping', () => {
+    test('a stray "<" and "&" are escaped, character references kept', () => {
+      expect(render('3 < 5 & 5 > 3&nbsp;tačno')).toBe('<p>3 &lt; 5 &amp; 5 &gt; 3&nbsp;tačno</p>')
+    })
+
+    test('HTML tags written in the text are kept', () => {
+      expect(render('Tekst <b>podebljan</b>')).toBe('<p>Tekst <b>podebljan</b></p>')
+    })
+
+    test('code is escaped whole', () => {
+      expect(render('`<b>&amp;</b>`')).toBe('<p><code>&lt;b&gt;&amp;amp;&lt;/b&gt;</code></p>')
+    })
+
+    test('labels and link targets are escaped', () => {
+      expect(render('[[member:42|A & <B>]]')).toBe('<p><a href="/member/42" class="wiki-link">A &amp; &lt;B&gt;</a></p>')
+      expect(renderWikiMarkup('[[Ime "x"]]', lookups).html).toBe('<p><span class="wiki-link-missing" title="Ime &quot;x&quot;">Ime "x"</span></p>')
+    })
+  })
+})
+
+describe('collectReferences', () => {
+  test('lists what the links point to', () => {
+    expect(collectReferences('[[Ana]] [[member:42]] [[article:Selo]] [[image:12]]\n\n{{infobox | image = 5 }}')).toEqual({
+      memberIds: [42],
+      memberNames: ['Ana'],
+      articleTitles: ['Selo'],
+      imageIds: [12, 5],
+    })
+  })
+})
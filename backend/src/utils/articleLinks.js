@@ -0,0 +1,93 @@
+/**
+ * Article Link Utility Functions
+ *
+ * Finds what an article links to, for backlinks ("Mentioned in") and the
+ * report of broken links. Content is read as stored: sanitised HTML, whatever
+ * format the article is written in, so links written in HTML and rendered
+ * wikilinks are found alike.
+ * - <a href="/member/42"> links family member 42, <a href="/articles/7">
+ *   general article 7 (links within the site; a query or fragment is ignored)
+ * - Wikilinks that did not resolve (<span class="wiki-link-missing">) are
+ *   kept with their target as written, [[Name]] and [[article:Title]] alike;
+ *   missing images are not links and are left out
+ *
+ * Each target is listed once, with the text of its first link.
+ */
+
+import { unescapeText } from './htmlSegments.js'
+
+// A link, or the start of a span (an unresolved wikilink holds only text)
+const LINK = /<a\s((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/a>|<span\s((?:[^>"']|"[^"]*"|'[^']*')*)>([^<]*)/gi
+
+const TARGET_PATH = /^\/(member|articles)\/(\d+)\/?(?:[?#]|$)/
+
+const WIKILINK_TARGET = /^(?:(member|article|image)\s*:)?\s*([\s\S]*)$/i
+
+// Most link text kept, in characters
+const MAX_TEXT_LENGTH = 255
+
+/**
+ * Value of an attribute in an attribute list
+ */
+const attribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'))
+  return match ? unescapeText(match[1] ?? match[2]) : null
+}
+
+/**
+ * Plain text of a link
+ */
+const linkText = (html) => unescapeText(html.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH)
+
+/**
+ * Target of an unresolved wikilink, as written in it
+ * @returns {Object|null} { target_type, target_id, target_title }, or null for an image
+ */
+const wikilinkTarget = (written) => {
+  const [, prefix, reference] = written.trim().match(WIKILINK_TARGET)
+  const kind = prefix?.toLowerCase() || 'member'
+  if (kind === 'image' || !reference) return null
+
+  // [[member:42]] names the member it links; by name, the member is unknown
+  const isId = kind === 'member' && /^\d+$/.test(reference)
+  return {
+    target_type: kind,
+    target_id: isId ? Number(reference) : null,
+    target_title: isId ? null : reference.replace(/\s+/g, ' ').slice(0, MAX_TEXT_LENGTH),
+  }
+}
+
+/**
+ * Find the family members and general articles an article links to
+ * @param {string} html - Article content (HTML)
+ * @returns {Array<Object>} Links: target_type ('member' or 'article'),
+ *   target_id (null for a wikilink by name or title that did not resolve),
+ *   target_title (that name or title, else null) and link_text
+ */
+export const extractLinks = (html) => {
+  const links = new Map()
+
+  for (const [, anchorAttributes, anchorText, spanAttributes, spanText] of String(html || '').matchAll(LINK)) {
+    let target = null
+
+    if (anchorAttributes !== undefined) {
+      const path = (attribute(anchorAttributes, 'href') || '').trim().match(TARGET_PATH)
+      if (path) {
+        target = {
+          target_type: path[1] === 'member' ? 'member' : 'article',
+          target_id: Number(path[2]),
+          target_title: null,
+        }
+      }
+    } else if ((attribute(spanAttributes, 'class') || '').split(/\s+/).includes('wiki-link-missing')) {
+      target = wikilinkTarget(attribute(spanAttributes, 'title') || linkText(spanText))
+    }
+
+    if (!target) continue
+
+    const key = `${target.target_type}:${target.target_id ?? target.target_title.toLowerCase()}`
+    if (!links.has(key)) links.set(key, { ...target, link_text: linkText(anchorText ?? spanText) })
+  }
+
+  return [...links.values()]
+}
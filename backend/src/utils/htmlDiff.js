@@ -0,0 +1,234 @@
+/**
+ * HTML Diff Utility Functions
+ *
+ * Word-level comparison of two revisions of article HTML. Both are split into
+ * tags, words, whitespace and punctuation; a tag is one token, so markup is
+ * never cut in half and a changed attribute shows as a changed tag. The
+ * result is the newer HTML with the text taken out wrapped in <del> and the
+ * text put in wrapped in <ins>:
+ * - Tags of the newer revision are kept, tags only in the older one are
+ *   dropped, so the result has the newer revision's structure
+ * - Changes of markup alone (a paragraph made a heading) show no marker
+ *
+ * Tokens are compared with Myers' algorithm. Past MAX_EDITS differing tokens
+ * (a rewrite rather than an edit) the changed part is shown as removed and
+ * put in whole, which is cheaper and reads as well.
+ */
+
+// Comments, tags (quoted attribute values may contain ">"), entities,
+// whitespace, words, and any other single character
+const TOKEN = /<!--[\s\S]*?-->|<\/?[a-zA-Z][^\s/>]*(?:[^>"']|"[^"]*"|'[^']*')*>|&#?\w+;|\s+|[\p{L}\p{N}\p{M}]+(?:['’-][\p{L}\p{N}\p{M}]+)*|[\s\S]/gu
+
+const WORD = /[\p{L}\p{N}]/u
+
+const MAX_EDITS = 2000
+
+/**
+ * Split HTML into diff tokens
+ * @param {string} html - HTML
+ * @returns {Array<string>} Tokens, which joined give the HTML back
+ */
+const tokenize = (html) => (html || '').match(TOKEN) || []
+
+const isTag = (token) => token.length > 1 && token[0] === '<'
+
+/**
+ * Shortest edit script between two token lists (Myers)
+ * @param {Array<string>} a - Older tokens
+ * @param {Array<string>} b - Newer tokens
+ * @returns {Array|null} Operations [type, token] in order, or null past MAX_EDITS
+ */
+const editScript = (a, b) => {
+  const n = a.length
+  const m = b.length
+  const offset = n + m + 1
+  const v = new Int32Array(2 * offset + 1)
+  // Furthest x on each diagonal k after each number of edits d, for k from -d to d
+  const trace = []
+
+  for (let d = 0; d <= n + m; d++) {
+    if (d > MAX_EDITS) return null
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1
+      let y = x - k
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+
+      if (x >= n && y >= m) {
+        trace.push(v.slice(offset - d, offset + d + 1))
+        return backtrack(trace, a, b)
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1))
+  }
+
+  return null
+}
+
+/**
+ * Walk the trace of editScript back from the end into operations
+ */
+const backtrack = (trace, a, b) => {
+  const operations = []
+  let x = a.length
+  let y = b.length
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = (k) => trace[d - 1][k + d - 1]
+    const k = x - y
+    const previousK = k === -d || (k !== d && previous(k - 1) < previous(k + 1)) ? k + 1 : k - 1
+    const previousX = previous(previousK)
+    const previousY = previousX - previousK
+
+    while (x > previousX && y > previousY) {
+      operations.push(['equal', a[--x]])
+      y--
+    }
+    if (x === previousX) {
+      operations.push(['insert', b[--y]])
+    } else {
+      operations.push(['delete', a[--x]])
+    }
+  }
+  while (x > 0 && y > 0) {
+    operations.push(['equal', a[--x]])
+    y--
+  }
+
+  return operations.reverse()
+}
+
+/**
+ * Group operations into runs of the same type
+ * @param {Array} operations - Operations [type, token]
+ * @returns {Array<Object>} Runs { type: 'equal' | 'insert' | 'delete', tokens }
+ */
+const toRuns = (operations) => {
+  const runs = []
+
+  for (const [type, token] of operations) {
+    const last = runs[runs.length - 1]
+    if (last?.type === type) {
+      last.tokens.push(token)
+    } else {
+      runs.push({ type, tokens: [token] })
+    }
+  }
+
+  return runs
+}
+
+/**
+ * Make changes separated only by whitespace one change, so a replaced phrase
+ * shows as removed, then put in, rather than word by word
+ * @param {Array<Object>} runs - Runs
+ * @returns {Array<Object>} Runs
+ */
+const joinChanges = (runs) => {
+  const joined = []
+  let i = 0
+
+  while (i < runs.length) {
+    if (runs[i].type === 'equal') {
+      joined.push(runs[i++])
+      continue
+    }
+
+    const deleted = []
+    const inserted = []
+    for (; i < runs.length; i++) {
+      const run = runs[i]
+      if (run.type === 'delete') {
+        deleted.push(...run.tokens)
+      } else if (run.type === 'insert') {
+        inserted.push(...run.tokens)
+      } else if (run.tokens.every(token => !/\S/.test(token)) && runs[i + 1]) {
+        deleted.push(...run.tokens)
+        inserted.push(...run.tokens)
+      } else {
+        break
+      }
+    }
+    if (deleted.length) joined.push({ type: 'delete', tokens: deleted })
+    if (inserted.length) joined.push({ type: 'insert', tokens: inserted })
+  }
+
+  return joined
+}
+
+/**
+ * HTML of a run: text of a change wrapped in <ins> or <del>, tags of an
+ * insertion kept and tags of a deletion dropped
+ */
+const renderRun = ({ type, tokens }) => {
+  if (type === 'equal') return tokens.join('')
+
+  const marker = type === 'insert' ? 'ins' : 'del'
+  let html = ''
+  let text = ''
+  const flush = () => {
+    html += /\S/.test(text) ? `<${marker}>${text}</${marker}>` : text
+    text = ''
+  }
+
+  for (const token of tokens) {
+    if (isTag(token)) {
+      flush()
+      if (type === 'insert') html += token
+    } else {
+      text += token
+    }
+  }
+  flush()
+
+  return html
+}
+
+const countWords = (runs, type) => runs
+  .filter(run => run.type === type)
+  .reduce((count, run) => count + run.tokens.filter(token => !isTag(token) && WORD.test(token)).length, 0)
+
+/**
+ * Compare two revisions of article HTML word by word
+ * @param {string} oldHtml - Older HTML
+ * @param {string} newHtml - Newer HTML
+ * @returns {Object} html (newer HTML with <ins> and <del> markers), added and
+ *   removed (numbers of words), changed (whether the HTML differs at all)
+ */
+export const diffHtml = (oldHtml, newHtml) => {
+  const a = tokenize(oldHtml)
+  const b = tokenize(newHtml)
+
+  // Leave the common start and end out of the comparison
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+  let end = 0
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++
+
+  const oldMiddle = a.slice(start, a.length - end)
+  const newMiddle = b.slice(start, b.length - end)
+  const middle = editScript(oldMiddle, newMiddle) || [
+    ...oldMiddle.map(token => ['delete', token]),
+    ...newMiddle.map(token => ['insert', token]),
+  ]
+
+  const runs = joinChanges(toRuns([
+    ...a.slice(0, start).map(token => ['equal', token]),
+    ...middle,
+    ...a.slice(a.length - end).map(token => ['equal', token]),
+  ]))
+
+  return {
+    html: runs.map(renderRun).join(''),
+    added: countWords(runs, 'insert'),
+    removed: countWords(runs, 'delete'),
+    changed: runs.some(run => run.type !== 'equal'),
+  }
+}
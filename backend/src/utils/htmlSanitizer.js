@@ -0,0 +1,284 @@
+/**
+ * HTML Sanitiser
+ *
+ * Article content is shown to readers as HTML, so it is cleaned when it is
+ * stored and again when it is sent out (content stored before this, or
+ * written straight to the database, is cleaned on the way out). Only an
+ * allowlist of elements, attributes and classes is kept: the markup of the
+ * wiki templates (infoboxes, sections, tables), text formatting, lists,
+ * links and images.
+ * - script, style, object, svg, ... are removed with their content; other
+ *   elements not on the list are removed, keeping their text
+ * - Event handlers (on...), style and every attribute not on the list are
+ *   removed; classes other than the template classes are removed
+ * - Links may point to http(s), mailto and tel addresses or within the site;
+ *   links opening a new window get rel="noopener noreferrer"
+ * - Images may only come from /images/ (uploaded images), by a path without
+ *   "." or ".." segments, which would lead out of it
+ * - Iframes are only kept when they show one of the EMBEDDABLE_PAGES
+ * - Comments and doctypes are removed; text that would read as markup is escaped
+ *
+ * Tags are rebuilt from their name and the attributes kept, never copied.
+ */
+
+// Comments, doctypes and processing instructions, tags (quoted attribute
+// values may contain ">"), text, and a stray "<"
+const TOKEN = /<!--[\s\S]*?-->|<[!?][^>]*>|<\/?[a-zA-Z][^\s/>]*(?:[^>"']|"[^"]*"|'[^']*')*>|[^<]+|</g
+
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+
+// Allowed elements, each with the attributes it may have besides GLOBAL_ATTRIBUTES
+const ALLOWED_ELEMENTS = {
+  section: [], div: [], span: [], p: [], br: [], hr: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  b: [], strong: [], i: [], em: [], u: [], s: [], small: [], sub: [], sup: [], mark: [],
+  abbr: [], cite: [], code: [], pre: [], kbd: [], var: [], samp: [], dfn: [], bdi: [], wbr: [],
+  blockquote: ['cite'], q: ['cite'], ins: ['datetime'], del: ['datetime'], time: ['datetime'],
+  ul: [], ol: ['start', 'reversed', 'type'], li: ['value'], dl: [], dt: [], dd: [],
+  table: [], caption: [], thead: [], tbody: [], tfoot: [], tr: [],
+  th: ['colspan', 'rowspan', 'scope'], td: ['colspan', 'rowspan'], colgroup: ['span'], col: ['span'],
+  figure: [], figcaption: [],
+  a: ['href', 'target'],
+  img: ['src', 'alt', 'width', 'height', 'loading'],
+  iframe: ['src', 'width', 'height', 'loading', 'allowfullscreen'],
+}
+
+const GLOBAL_ATTRIBUTES = ['class', 'title', 'lang', 'dir', 'translate']
+
+// Classes of the article templates (member-infobox: where the infobox made
+// from the member's data goes) and of rendered wiki markup, and of text kept
+// from machine translation
+export const ALLOWED_CLASSES = new Set([
+  'wiki-infobox', 'member-infobox', 'infobox-title', 'infobox-table', 'infobox-image', 'label',
+  'wiki-section', 'wiki-table', 'wiki-link', 'wiki-link-missing', 'wiki-image', 'notranslate',
+])
+
+// Elements removed with everything in them
+const DROPPED_WITH_CONTENT = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'applet', 'noscript', 'noembed', 'noframes',
+  'template', 'textarea', 'select', 'title', 'xmp', 'svg', 'math', 'frame', 'frameset', 'head',
+])
+
+// Of those, elements whose content is raw text, ended by the first closing tag
+const RAW_TEXT_ELEMENTS = new Set([
+  'script', 'style', 'iframe', 'noscript', 'noembed', 'noframes', 'textarea', 'title', 'xmp',
+])
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+])
+
+const NUMBER_ATTRIBUTES = new Set(['colspan', 'rowspan', 'span', 'start', 'value'])
+const SIZE_ATTRIBUTES = new Set(['width', 'height'])
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' }
+
+// An "&" that does not start a character reference
+const BARE_AMPERSAND = /&(?!#\d+;|#x[\da-f]+;|[a-z][a-z\d]*;)/gi
+
+const LINK_SCHEMES = new Set(['http', 'https', 'mailto', 'tel'])
+
+// Pages of the site an article may show in an iframe: the family tree of a
+// member and the map of places, with an optional query string
+const EMBEDDABLE_PAGES = [
+  /^\/tree\/\d+(?:\?[\w=&%-]*)?$/,
+  /^\/places(?:\?[\w=&%-]*)?$/,
+]
+
+/**
+ * Decode the character references browsers decode in attribute values
+ */
+const decodeEntities = (value) => value.replace(/&(#\d+|#x[\da-f]+|[a-z]+);/gi, (reference, name) => {
+  if (name[0] === '#') {
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10)
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : ''
+  }
+  return Object.hasOwn(ENTITIES, name.toLowerCase()) ? ENTITIES[name.toLowerCase()] : reference
+})
+
+// Every "&" is escaped: a character reference left undecoded (&colon;) must
+// not be decoded by the browser into something that was not checked
+const escapeAttribute = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+
+const escapeText = (text) => text
+  .replace(BARE_AMPERSAND, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+
+/**
+ * URL as a browser reads it: without the whitespace and control characters
+ * it ignores, backslashes read as slashes
+ */
+const normalizeUrl = (url) => url.replace(/[\u0000- \u007f-\u009f]/g, '').replace(/\\/g, '/')
+
+/**
+ * Whether the path of a URL has a "." or ".." segment, also percent-encoded,
+ * which the browser resolves before requesting it
+ */
+const hasDotSegment = (url) => normalizeUrl(url).split(/[?#]/)[0].split('/')
+  .some(segment => /^(?:\.|%2e){1,2}$/i.test(segment))
+
+/**
+ * Whether a URL points within the site: a path, not a protocol-relative URL
+ */
+export const isLocalUrl = (url) => {
+  const normalized = normalizeUrl(url)
+  return normalized.startsWith('/') && !normalized.startsWith('//')
+}
+
+/**
+ * Whether a link URL is safe: an allowed scheme, or no scheme (relative)
+ */
+export const isSafeLink = (url) => {
+  const scheme = normalizeUrl(url).match(/^([a-z][a-z\d+.-]*):/i)
+  return !scheme || LINK_SCHEMES.has(scheme[1].toLowerCase())
+}
+
+/**
+ * Whether an image URL is an uploaded image
+ */
+export const isImageUrl = (url) => isLocalUrl(url) && !hasDotSegment(url) && normalizeUrl(url).startsWith('/images/')
+
+/**
+ * Whether an iframe URL is one of the embeddable pages
+ */
+export const isEmbeddableUrl = (url) => EMBEDDABLE_PAGES.some(page => page.test(normalizeUrl(url)))
+
+/**
+ * Value of an attribute to keep, or null to drop it
+ */
+const cleanAttribute = (element, name, value) => {
+  switch (name) {
+    case 'class': {
+      const classes = value.split(/\s+/).filter(name => ALLOWED_CLASSES.has(name))
+      return classes.length ? classes.join(' ') : null
+    }
+    case 'href':
+      return isSafeLink(value) ? value : null
+    case 'src':
+      if (element === 'img') return isImageUrl(value) ? value : null
+      return isEmbeddableUrl(value) ? value : null
+    case 'target':
+      return value === '_blank' ? value : null
+    case 'translate':
+      return ['yes', 'no'].includes(value.toLowerCase()) ? value.toLowerCase() : null
+    case 'dir':
+      return ['ltr', 'rtl', 'auto'].includes(value.toLowerCase()) ? value.toLowerCase() : null
+    case 'loading':
+      return ['lazy', 'eager'].includes(value.toLowerCase()) ? value.toLowerCase() : null
+    case 'allowfullscreen':
+    case 'reversed':
+      return ''
+    default:
+      if (NUMBER_ATTRIBUTES.has(name)) return /^\d{1,4}$/.test(value) ? value : null
+      if (SIZE_ATTRIBUTES.has(name)) return /^\d{1,4}%?$/.test(value) ? value : null
+      return value
+  }
+}
+
+/**
+ * Rebuild an allowed start tag with the attributes it may keep
+ * @returns {string|null} Tag, or null when it cannot be kept (an image or
+ *   iframe without an allowed source)
+ */
+const buildStartTag = (element, attributeText) => {
+  const allowed = [...GLOBAL_ATTRIBUTES, ...ALLOWED_ELEMENTS[element]]
+  const attributes = new Map()
+
+  for (const [, rawName, double, single, unquoted] of attributeText.matchAll(ATTRIBUTE)) {
+    const name = rawName.toLowerCase()
+    if (!allowed.includes(name) || attributes.has(name)) continue
+
+    const value = cleanAttribute(element, name, decodeEntities(double ?? single ?? unquoted ?? '').trim())
+    if (value !== null) attributes.set(name, value)
+  }
+
+  if ((element === 'img' || element === 'iframe') && !attributes.has('src')) return null
+  if (attributes.get('target') === '_blank') attributes.set('rel', 'noopener noreferrer')
+
+  const serialized = [...attributes]
+    .map(([name, value]) => (value === '' && name !== 'alt' ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`))
+    .join('')
+  return `<${element}${serialized}>`
+}
+
+/**
+ * Clean article HTML, keeping only allowed markup
+ * @param {string} html - HTML as written or stored
+ * @returns {string} Safe HTML (null and undefined are returned as they are)
+ */
+export const sanitizeHtml = (html) => {
+  if (html === null || html === undefined) return html
+
+  let output = ''
+  // Element being dropped with its content, and how deep in it we are
+  let dropping = null
+  let depth = 0
+
+  for (const token of String(html).match(TOKEN) || []) {
+    const tag = token.match(/^<(\/?)([a-zA-Z][^\s/>]*)([\s\S]*)>$/)
+
+    if (!tag) {
+      // Text (a lone "<" is text too); comments and doctypes are dropped
+      if (!dropping && !/^<[!?]/.test(token)) output += escapeText(token)
+      continue
+    }
+
+    const [, closing, rawName, attributeText] = tag
+    const element = rawName.toLowerCase()
+
+    if (dropping) {
+      if (element === dropping) {
+        if (closing) depth--
+        // A start tag in raw text is text
+        else if (!RAW_TEXT_ELEMENTS.has(element)) depth++
+      }
+      if (depth === 0) dropping = null
+      continue
+    }
+
+    if (DROPPED_WITH_CONTENT.has(element)) {
+      if (closing) continue
+      // A kept iframe shows an embeddable page; whatever is inside it is dropped
+      if (element === 'iframe') {
+        const iframe = buildStartTag(element, attributeText)
+        if (iframe) output += `${iframe}</iframe>`
+      }
+      if (!VOID_ELEMENTS.has(element)) {
+        dropping = element
+        depth = 1
+      }
+      continue
+    }
+
+    if (!Object.hasOwn(ALLOWED_ELEMENTS, element)) continue
+
+    if (closing) {
+      if (!VOID_ELEMENTS.has(element)) output += `</${element}>`
+    } else {
+      output += buildStartTag(element, attributeText) || ''
+    }
+  }
+
+  return output
+}
+
+/**
+ * Copy of a record with its HTML fields cleaned
+ * @param {Object|null} record - Row with HTML fields (an article, translation or revision)
+ * @param {Array<string>} [fields=['content']] - Names of the HTML fields
+ * @returns {Object|null} Record (null is returned as it is)
+ */
+export const sanitizeFields = (record, fields = ['content']) => {
+  if (!record) return record
+
+  const cleaned = { ...record }
+  for (const field of fields) {
+    if (field in cleaned) cleaned[field] = sanitizeHtml(cleaned[field])
+  }
+  return cleaned
+}
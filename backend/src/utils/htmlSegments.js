@@ -0,0 +1,280 @@
+/**
+ * HTML Segmentation Utility Functions
+ *
+ * Splits article HTML into the pieces a translation provider should see, and
+ * puts the translations back in place so the markup (infoboxes, sections,
+ * tables, classes, links) comes back unchanged:
+ * - Text with its inline markup (<b>, <a>, ...) between two block boundaries
+ *   is one segment, so sentences are translated whole. Inline tags are sent
+ *   without their attributes (<a data-t="0">) and restored afterwards.
+ * - alt, title and aria-label attributes are segments of their own
+ * - script, style, code and pre elements, and elements marked translate="no"
+ *   or class="notranslate", are left alone
+ * - Glossary terms are wrapped in <span translate="no" class="notranslate">
+ *   and come back as they were, or as the glossary's translation of them
+ *
+ * Each segment also has a key: its text without the glossary markup, with
+ * whitespace collapsed, under which the translation memory stores it.
+ */
+
+// Tags that stay inside a segment; every other tag ends one
+const INLINE_TAGS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'data', 'dfn', 'em', 'i', 'kbd', 'mark',
+  'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var', 'wbr',
+])
+
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+])
+
+// Elements whose content is never translated
+const SKIP_TAGS = new Set(['script', 'style', 'code', 'pre'])
+
+const TRANSLATABLE_ATTRIBUTE = /(\s)(alt|title|aria-label)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi
+
+// Comments, tags (quoted attribute values may contain ">"), text, and a stray "<"
+const TOKEN = /<!--[\s\S]*?-->|<\/?[a-zA-Z][^\s/>]*(?:[^>"']|"[^"]*"|'[^']*')*>|[^<]+|</g
+
+const INLINE_MARKER = /<([a-zA-Z][\w-]*) data-t="(\d+)"\s*\/?>/g
+const GLOSSARY_MARKER = /<span\b[^>]*\bdata-g="(\d+)"[^>]*>[\s\S]*?<\/span>/g
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Escape plain text for use as HTML text
+ * @param {string} text - Plain text
+ * @returns {string} HTML text
+ */
+export const escapeText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+/**
+ * Plain text of HTML text, with the entities translation providers return decoded
+ * @param {string} html - HTML text without tags
+ * @returns {string} Plain text
+ */
+export const unescapeText = (html) => html
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#0?39;|&apos;/g, "'")
+  .replace(/&nbsp;/g, '\u00a0')
+  .replace(/&amp;/g, '&')
+
+/**
+ * Text with its first letter capitalized
+ * @param {string} text - Text
+ * @returns {string} Capitalized text
+ */
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1)
+
+/**
+ * Glossary entries by the text they match, and what that text becomes
+ * @param {Array<string|Object>} glossary - Terms kept as they are, or { term, translation }
+ * @returns {Map<string, string|null>} Replacement by term (null: the term itself)
+ */
+const glossaryTerms = (glossary) => {
+  const terms = new Map()
+
+  for (const entry of glossary) {
+    const { term, translation = null } = typeof entry === 'string' ? { term: entry } : entry
+    if (!term) continue
+
+    terms.set(term, translation)
+    // A lowercase term also matches at the start of a sentence
+    if (capitalize(term) !== term && !terms.has(capitalize(term))) {
+      terms.set(capitalize(term), translation && capitalize(translation))
+    }
+  }
+
+  return terms
+}
+
+/**
+ * Parse a tag token
+ * @param {string} token - e.g. '<td class="label">' or '</td>'
+ * @returns {Object} { name, closing, selfClosing, noTranslate }
+ */
+const parseTag = (token) => {
+  const [, slash, name] = /^<(\/?)([a-zA-Z][^\s/>]*)/.exec(token)
+  const lowerName = name.toLowerCase()
+
+  return {
+    name: lowerName,
+    closing: slash === '/',
+    selfClosing: VOID_TAGS.has(lowerName) || token.endsWith('/>'),
+    noTranslate: /\stranslate\s*=\s*["']?no\b/i.test(token) ||
+      /\sclass\s*=\s*["'][^"']*\bnotranslate\b/i.test(token),
+  }
+}
+
+/**
+ * Split HTML into translatable segments
+ * @param {string} html - Article HTML
+ * @param {Array<string|Object>} [glossary=[]] - Terms never to translate, e.g. family
+ *   member names, or { term, translation } entries; a later entry for the same term wins
+ * @returns {Object} { segments, keys, assemble }: segments is an Array of HTML fragments
+ *   to translate, keys their translation memory keys, assemble(translations) rebuilds
+ *   the document from their translations (same order)
+ */
+export const segmentHtml = (html, glossary = []) => {
+  const segments = []
+  // Literal strings, or functions of the translations
+  const parts = []
+  // Glossary terms as found in the text ({ text, replacement }), by data-g index
+  const terms = []
+
+  const replacements = glossaryTerms(glossary)
+  const termPattern = replacements.size
+    ? new RegExp(
+      `(?<![\\p{L}\\p{N}])(${[...replacements.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`,
+      'gu'
+    )
+    : null
+
+  const addSegment = (fragment) => segments.push(fragment) - 1
+
+  const protect = (text) => (termPattern
+    ? text.replace(termPattern, (term) => {
+      terms.push({ text: term, replacement: replacements.get(term) })
+      return `<span translate="no" class="notranslate" data-g="${terms.length - 1}">${term}</span>`
+    })
+    : text)
+
+  const restoreTerms = (translated) => translated.replace(GLOSSARY_MARKER, (match, index) => {
+    const term = terms[index]
+    if (!term) return match
+    // Terms come from the HTML, glossary translations are plain text
+    return term.replacement === null ? term.text : escapeText(term.replacement)
+  })
+
+  /**
+   * A tag, with its alt/title/aria-label values made segments
+   * @returns {string|Function} The tag, or a function of the translations giving it
+   */
+  const tagPart = (token) => {
+    const indexes = []
+    token.replace(TRANSLATABLE_ATTRIBUTE, (match, space, name, double, single) => {
+      const value = double ?? single
+      indexes.push(/\p{L}/u.test(value) ? addSegment(protect(value)) : null)
+      return match
+    })
+    if (!indexes.some(index => index !== null)) return token
+
+    return (translations) => {
+      let position = 0
+      return token.replace(TRANSLATABLE_ATTRIBUTE, (match, space, name) => {
+        const index = indexes[position++]
+        if (index === null) return match
+
+        const value = restoreTerms(translations[index])
+          .replace(/<[^>]*>/g, '')
+          .replace(/"/g, '&quot;')
+          .replace(/</g, '&lt;')
+        return `${space}${name}="${value}"`
+      })
+    }
+  }
+
+  const emit = (part) => parts.push(part)
+
+  const tagPartOrText = (token) => (token.startsWith('<') && token !== '<' ? tagPart(token) : token)
+
+  // Text and inline tags since the last block boundary
+  let run = []
+
+  const flushRun = () => {
+    const tokens = run
+    run = []
+    if (!tokens.length) return
+
+    const hasWords = tokens.some(token => !token.startsWith('<') && /\p{L}/u.test(token))
+    if (!hasWords) {
+      tokens.forEach(token => emit(tagPartOrText(token)))
+      return
+    }
+
+    const inlineTags = []
+    const fragment = tokens.map((token) => {
+      if (!token.startsWith('<') || token === '<') return protect(token)
+
+      const tag = parseTag(token)
+      if (tag.closing) return `</${tag.name}>`
+
+      inlineTags.push(tagPart(token))
+      return `<${tag.name} data-t="${inlineTags.length - 1}"${tag.selfClosing ? ' /' : ''}>`
+    }).join('')
+
+    // Whitespace around the text stays where it is
+    const [, leading, body, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(fragment)
+    const index = addSegment(body)
+
+    emit(leading)
+    emit((translations) => restoreTerms(translations[index]).replace(INLINE_MARKER, (match, name, tagIndex) => {
+      const tag = inlineTags[tagIndex]
+      if (tag === undefined) return match
+      return typeof tag === 'function' ? tag(translations) : tag
+    }))
+    emit(trailing)
+  }
+
+  // Element being skipped, and how deep inside elements of its name
+  let skipping = null
+  let skipDepth = 0
+
+  for (const token of html.match(TOKEN) || []) {
+    if (skipping) {
+      emit(token)
+      if (token.startsWith('<') && !token.startsWith('<!--') && token !== '<') {
+        const tag = parseTag(token)
+        if (tag.name === skipping && !tag.selfClosing) {
+          skipDepth += tag.closing ? -1 : 1
+          if (skipDepth === 0) skipping = null
+        }
+      }
+      continue
+    }
+
+    if (token.startsWith('<!--')) {
+      flushRun()
+      emit(token)
+      continue
+    }
+
+    if (!token.startsWith('<') || token === '<') {
+      run.push(token)
+      continue
+    }
+
+    const tag = parseTag(token)
+
+    if (!tag.closing && (SKIP_TAGS.has(tag.name) || tag.noTranslate)) {
+      flushRun()
+      emit(token)
+      if (!tag.selfClosing) {
+        skipping = tag.name
+        skipDepth = 1
+      }
+      continue
+    }
+
+    if (INLINE_TAGS.has(tag.name)) {
+      run.push(token)
+      continue
+    }
+
+    flushRun()
+    emit(tagPart(token))
+  }
+  flushRun()
+
+  return {
+    segments,
+    keys: segments.map(segment => segment
+      .replace(GLOSSARY_MARKER, (match, index) => terms[index]?.text ?? match)
+      .replace(/\s+/g, ' ')
+      .trim()),
+    assemble: (translations) => parts
+      .map(part => (typeof part === 'function' ? part(translations) : part))
+      .join(''),
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Partial Date Utility Functions
+ * 
+ * Life events are often known only to the month or year, or only roughly.
+ * A partial date is { year, month?, day? }, optionally with a qualifier:
+ * 'about', 'before', 'after', or 'between' together with `to`, the end of the range.
+ */
+
+export const DATE_QUALIFIERS = ['about', 'before', 'after', 'between']
+
+/**
+ * Check that a date point names a real day and that a day comes with a month
+ * @param {Object} point - { year, month?, day? }
+ * @returns {boolean} Whether the point is a possible calendar date
+ */
+export const isPossibleDate = ({ year, month, day }) => {
+  if (day && !month) return false
+  if (!day) return true
+
+  // Day 0 of the next month is the last day of this one (setUTCFullYear keeps years below 100 as given)
+  const lastDay = new Date(0)
+  lastDay.setUTCFullYear(year, month, 0)
+  return day <= lastDay.getUTCDate()
+}
+
+/**
+ * Sort key of a date point, so dates of any precision can be compared
+ * @param {Object} point - { year, month?, day? }
+ * @returns {number} e.g. 18700312 for 12 March 1870, 18700000 for 1870
+ */
+export const dateKey = ({ year, month = 0, day = 0 }) => year * 10000 + month * 100 + day
+
+/**
+ * Convert a 'YYYY-MM-DD' DATE column value into a partial date
+ * @param {string|null} iso - ISO date
+ * @returns {Object|null} { year, month, day }
+ */
+export const fromIsoDate = (iso) => {
+  if (!iso) return null
+  const [year, month, day] = iso.split('-').map(Number)
+  return { year, month, day }
+}
@@ -0,0 +1,434 @@
+/**
+ * Wiki Markup Utility Functions
+ *
+ * Articles can be written in wiki markup instead of HTML: Markdown with a few
+ * extensions, rendered to the same markup as the HTML templates, so readers,
+ * translations and revision comparisons see the article as any other.
+ *
+ * Markdown:
+ * - # to ###### headings; a ## heading starts a <section class="wiki-section">
+ *   that runs to the next # or ## heading
+ * - Paragraphs, **bold**, *italic*, ~~struck~~, `code`, [links](url),
+ *   ![images](url), line breaks (two spaces or \ at the end of a line)
+ * - Lists (-, * or + and 1.), nested by indenting; > quotes; --- rules;
+ *   ``` code blocks
+ * - Tables, with a |---|---| line under the header row, as a wiki-table
+ * - HTML written in the text is kept as it is (content is sanitised anyway),
+ *   so an HTML article reads the same once switched to wiki markup
+ *
+ * Extensions:
+ * - [[Member Name]] or [[member:42]]: link to a family member, by name or ID
+ * - [[article:Title]]: link to a general article
+ * - [[image:12]]: an uploaded image, by ID; a figure when on a line of its own
+ * - Each takes a label after "|": [[member:42|my grandfather]]
+ * - {{infobox ... }}: an infobox with one "| name = value" per line; title,
+ *   image (an image ID) and caption make its header, any other name a row
+ * - {{member infobox}}: on a line of its own, the infobox of the member the
+ *   article is about, filled from the family tree when the article is read
+ *   (see memberInfoboxService)
+ *
+ * Links are resolved with lookups passed in, which keeps this module free of
+ * the database (see wikiMarkupService). Links that cannot be resolved are
+ * shown as plain text marked wiki-link-missing, and listed.
+ */
+
+import { escapeText } from './htmlSegments.js'
+
+export const ARTICLE_FORMATS = ['html', 'wiki']
+
+// Where the member infobox goes; replaced when a member article is read
+export const MEMBER_INFOBOX = '<div class="wiki-infobox member-infobox"></div>'
+
+// Inline markup rendered already, kept out of escaping and emphasis
+const PLACEHOLDER = /\u0000(\d+)\u0000/g
+
+const INLINE = new RegExp([
+  // 1: hard line break
+  /( {2,}|\\)\n/.source,
+  // 2: backslash escape
+  /\\([!-/:-@[-`{-~])/.source,
+  // 3, 4: code span
+  /(`+)([\s\S]*?[^`])\3(?!`)/.source,
+  // 5, 6: wikilink with its label
+  /\[\[([^[\]|]+)(?:\|([^[\]]*))?\]\]/.source,
+  // 7-10: link or image: !, text, URL, title
+  /(!?)\[([^[\]]*)\]\(\s*<?([^\s()<>]*)>?(?:\s+"([^"]*)")?\s*\)/.source,
+  // 11: autolink
+  /<((?:https?:\/\/|mailto:)[^\s<>]+)>/.source,
+  // HTML written in the text
+  /<!--[\s\S]*?-->|<\/?[a-zA-Z][^\s/>]*(?:[^>"']|"[^"]*"|'[^']*')*>/.source,
+].join('|'), 'g')
+
+// Lines that start a block, ending a paragraph
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/
+const FENCE = /^ {0,3}(`{3,}|~{3,})/
+const QUOTE = /^ {0,3}> ?/
+const LIST_ITEM = /^( {0,3})([-*+]|(\d{1,9})[.)])(?:[ \t]+|$)/
+const INFOBOX = /^\s*\{\{\s*infobox\b/i
+const MEMBER_INFOBOX_LINE = /^\s*\{\{\s*member[ _-]?infobox\s*\}\}\s*$/i
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/
+
+// HTML elements that make a line an HTML block, kept up to the next blank line
+const HTML_BLOCK = /^ {0,3}<(?:!--|\/?(?:section|div|table|thead|tbody|tr|td|th|p|ul|ol|li|dl|h[1-6]|figure|blockquote|pre|hr|iframe)\b)/i
+
+const IMAGE_LINE = /^\[\[\s*image:([^[\]|]+)(?:\|([^[\]]*))?\]\]$/i
+
+/**
+ * Escape text for HTML, keeping character references (&nbsp;) written in it
+ */
+const escapeHtml = (text) => text
+  .replace(/&(?!#\d+;|#x[\da-f]+;|[a-z][a-z\d]*;)/gi, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+
+const escapeAttribute = (value) => escapeHtml(value).replace(/"/g, '&quot;')
+
+const emphasize = (html) => html
+  .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+  .replace(/(^|[^\p{L}\p{N}_])__(?=\S)([\s\S]*?\S)__(?![\p{L}\p{N}_])/gu, '$1<strong>$2</strong>')
+  .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+  .replace(/(^|[^\p{L}\p{N}_])_(?=\S)([\s\S]*?\S)_(?![\p{L}\p{N}_])/gu, '$1<em>$2</em>')
+  .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+
+/**
+ * Split on "|", except inside a wikilink or after a backslash
+ * @param {string} text - Infobox body or table row
+ * @returns {Array<string>} Parts
+ */
+const splitOnPipes = (text) => {
+  const parts = ['']
+  let depth = 0
+
+  for (let i = 0; i < text.length; i++) {
+    const pair = text.slice(i, i + 2)
+    if (text[i] === '\\' && text[i + 1] === '|') {
+      parts[parts.length - 1] += pair
+      i++
+    } else if (pair === '[[' || pair === ']]') {
+      depth = Math.max(0, depth + (pair === '[[' ? 1 : -1))
+      parts[parts.length - 1] += pair
+      i++
+    } else if (text[i] === '|' && depth === 0) {
+      parts.push('')
+    } else {
+      parts[parts.length - 1] += text[i]
+    }
+  }
+
+  return parts
+}
+
+/**
+ * HTML of an image
+ */
+const imageHtml = (image, alt) => `<img src="/images/${escapeAttribute(image.filename)}" alt="${escapeAttribute(alt)}">`
+
+/**
+ * HTML of a wikilink
+ * @param {string} target - What is linked: a member name, or member:, article: or image: and a reference
+ * @param {string} [label] - Text shown instead of the member name, article title or image caption
+ * @param {Object} context - Lookups and the list of missing links
+ * @param {boolean} [figure=false] - Show an image as a figure with its caption
+ * @returns {string} HTML
+ */
+const renderWikiLink = (target, label, context, figure = false) => {
+  const { lookups, missing } = context
+  const [, prefix, reference] = target.trim().match(/^(?:(member|article|image)\s*:)?\s*([\s\S]*)$/i)
+  const kind = prefix?.toLowerCase() || 'member'
+  const text = label?.trim()
+  const isId = /^\d+$/.test(reference)
+
+  if (kind === 'member') {
+    const member = isId ? lookups.memberById?.(Number(reference)) : lookups.memberByName?.(reference)
+    if (member) return `<a href="/member/${member.id}" class="wiki-link">${escapeHtml(text || member.name)}</a>`
+  } else if (kind === 'article') {
+    const article = lookups.articleByTitle?.(reference)
+    if (article) return `<a href="/articles/${article.id}" class="wiki-link">${escapeHtml(text || article.title)}</a>`
+  } else {
+    const image = isId ? lookups.imageById?.(Number(reference)) : null
+    if (image) {
+      const caption = text || image.caption || ''
+      const img = imageHtml(image, image.alt_text || caption)
+      if (!figure) return img
+      return `<figure class="wiki-image">${img}${caption ? `<figcaption>${escapeHtml(caption)}</figcaption>` : ''}</figure>`
+    }
+  }
+
+  missing.push(target.trim())
+  return `<span class="wiki-link-missing" title="${escapeAttribute(target.trim())}">${escapeHtml(text || reference)}</span>`
+}
+
+/**
+ * Render the inline markup of a paragraph, heading or cell
+ * @param {string} text - Wiki markup
+ * @param {Object} context - Lookups and the list of missing links
+ * @returns {string} HTML
+ */
+const renderInline = (text, context) => {
+  const rendered = []
+  const keep = (html) => `\u0000${rendered.push(html) - 1}\u0000`
+
+  const marked = text.replace(INLINE, (match, lineBreak, escaped, ticks, code, target, label, bang, linkText, url, title, autolink) => {
+    if (lineBreak !== undefined) return keep('<br>\n')
+    if (escaped !== undefined) return keep(escapeHtml(escaped))
+    if (ticks !== undefined) return keep(`<code>${escapeText(code.trim())}</code>`)
+    if (target !== undefined) return keep(renderWikiLink(target, label, context))
+    if (url !== undefined) {
+      const titleAttribute = title ? ` title="${escapeAttribute(title)}"` : ''
+      return keep(bang
+        ? `<img src="${escapeAttribute(url)}" alt="${escapeAttribute(linkText)}"${titleAttribute}>`
+        : `<a href="${escapeAttribute(url)}"${titleAttribute}>${renderInline(linkText, context)}</a>`)
+    }
+    if (autolink !== undefined) return keep(`<a href="${escapeAttribute(autolink)}">${escapeHtml(autolink)}</a>`)
+    return keep(match)
+  })
+
+  return emphasize(escapeHtml(marked)).replace(PLACEHOLDER, (placeholder, index) => rendered[index])
+}
+
+/**
+ * Render an infobox
+ * @param {string} text - From {{infobox to }}
+ * @param {Object} context - Lookups and the list of missing links
+ * @returns {string} HTML in the markup of the infobox template
+ */
+const renderInfobox = (text, context) => {
+  const body = text.trim().replace(INFOBOX, '').replace(/\}\}$/, '')
+  const header = {}
+  const rows = []
+
+  for (const parameter of splitOnPipes(body)) {
+    const separator = parameter.indexOf('=')
+    if (separator === -1) continue
+
+    const name = parameter.slice(0, separator).trim()
+    const value = parameter.slice(separator + 1).trim()
+    if (!name || !value) continue
+
+    if (['title', 'image', 'caption'].includes(name.toLowerCase())) {
+      header[name.toLowerCase()] = value
+    } else {
+      rows.push([name, value])
+    }
+  }
+
+  let html = '<div class="wiki-infobox">'
+  if (header.title) html += `<div class="infobox-title">${renderInline(header.title, context)}</div>`
+
+  if (header.image || rows.length) {
+    html += '<table class="infobox-table">'
+    if (header.image) {
+      const image = /^\d+$/.test(header.image)
+        ? renderWikiLink(`image:${header.image}`, header.caption, context)
+        : renderInline(header.image, context)
+      const caption = header.caption ? `<div>${renderInline(header.caption, context)}</div>` : ''
+      html += `<tr><td colspan="2" class="infobox-image">${image}${caption}</td></tr>`
+    }
+    for (const [name, value] of rows) {
+      const label = renderInline(name, context) + (name.endsWith(':') ? '' : ':')
+      html += `<tr><td class="label">${label}</td><td>${renderInline(value, context)}</td></tr>`
+    }
+    html += '</table>'
+  }
+
+  return `${html}</div>`
+}
+
+/**
+ * Cells of a table row
+ */
+const tableCells = (line) => splitOnPipes(line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')).map(cell => cell.trim())
+
+const renderTable = (lines, context) => {
+  const row = (cells, tag) => `<tr>${cells.map(cell => `<${tag}>${renderInline(cell, context)}</${tag}>`).join('')}</tr>`
+  const [header, , ...body] = lines
+
+  return `<table class="wiki-table">${row(tableCells(header), 'th')}${body.map(line => row(tableCells(line), 'td')).join('')}</table>`
+}
+
+const startsBlock = (line) => [HEADING, RULE, FENCE, QUOTE, LIST_ITEM, INFOBOX, MEMBER_INFOBOX_LINE, HTML_BLOCK].some(pattern => pattern.test(line))
+
+const indentOf = (line) => line.match(/^ */)[0].length
+
+/**
+ * Render a list starting at lines[start]
+ * @returns {Object} { html, end } with end the index of the line after the list
+ */
+const renderList = (lines, start, context) => {
+  const [, indent, marker, number] = lines[start].match(LIST_ITEM)
+  const ordered = number !== undefined
+  const items = []
+  let loose = false
+  let i = start
+
+  while (i < lines.length) {
+    const item = lines[i].match(LIST_ITEM)
+    if (!item || item[1].length !== indent.length || (item[3] !== undefined) !== ordered) break
+
+    // Lines of the item, without the marker and the indent of its content
+    const contentIndent = item[0].length
+    const itemLines = [lines[i].slice(contentIndent)]
+    for (i++; i < lines.length; i++) {
+      const line = lines[i]
+      if (!line.trim()) {
+        const next = lines.slice(i + 1).find(following => following.trim())
+        if (next === undefined || indentOf(next) < Math.min(contentIndent, indent.length + 2)) break
+        itemLines.push('')
+        continue
+      }
+      if (indentOf(line) >= Math.min(contentIndent, indent.length + 2)) {
+        itemLines.push(line.slice(Math.min(indentOf(line), contentIndent)))
+      } else if (itemLines[itemLines.length - 1].trim() && !startsBlock(line)) {
+        itemLines.push(line)
+      } else {
+        break
+      }
+    }
+    if (itemLines.some((line, index) => !line.trim() && index < itemLines.length - 1)) loose = true
+    items.push(itemLines)
+
+    // A blank line between items makes the list loose
+    if (i < lines.length && !lines[i].trim()) {
+      const next = lines.slice(i).findIndex(following => following.trim())
+      if (next === -1) break
+      const nextItem = lines[i + next].match(LIST_ITEM)
+      if (!nextItem || nextItem[1].length !== indent.length || (nextItem[3] !== undefined) !== ordered) break
+      loose = true
+      i += next
+    }
+  }
+
+  const html = items.map((itemLines) => {
+    const blocks = renderBlocks(itemLines, context)
+    return `<li>${blocks.map(block => (loose ? block.html : block.inline ?? block.html)).join('')}</li>`
+  }).join('')
+
+  const startAttribute = ordered && Number(number) !== 1 ? ` start="${Number(number)}"` : ''
+  return { html: ordered ? `<ol${startAttribute}>${html}</ol>` : `<ul>${html}</ul>`, end: i }
+}
+
+/**
+ * Render lines of wiki markup into blocks
+ * @param {Array<string>} lines - Lines
+ * @param {Object} context - Lookups and the list of missing links
+ * @returns {Array<Object>} Blocks { html, heading (level, for headings), inline (paragraph content) }
+ */
+const renderBlocks = (lines, context) => {
+  const blocks = []
+  let i = 0
+
+  while (i < lines.length) {
+    const line = lines[i]
+    let match
+
+    if (!line.trim()) {
+      i++
+    } else if ((match = line.match(FENCE))) {
+      const code = []
+      for (i++; i < lines.length && !lines[i].trim().startsWith(match[1]); i++) code.push(lines[i])
+      i++
+      blocks.push({ html: `<pre><code>${escapeText(code.join('\n'))}</code></pre>` })
+    } else if (MEMBER_INFOBOX_LINE.test(line)) {
+      blocks.push({ html: MEMBER_INFOBOX })
+      i++
+    } else if (INFOBOX.test(line)) {
+      const infobox = [line]
+      while (!/\}\}\s*$/.test(infobox[infobox.length - 1]) && i + 1 < lines.length) infobox.push(lines[++i])
+      i++
+      blocks.push({ html: renderInfobox(infobox.join('\n'), context) })
+    } else if (HTML_BLOCK.test(line)) {
+      const html = []
+      for (; i < lines.length && lines[i].trim(); i++) html.push(lines[i])
+      blocks.push({ html: html.join('\n') })
+    } else if ((match = line.match(HEADING))) {
+      const level = match[1].length
+      blocks.push({ html: `<h${level}>${renderInline(match[2], context)}</h${level}>`, heading: level })
+      i++
+    } else if (RULE.test(line)) {
+      blocks.push({ html: '<hr>' })
+      i++
+    } else if (QUOTE.test(line)) {
+      const quoted = []
+      for (; i < lines.length && QUOTE.test(lines[i]); i++) quoted.push(lines[i].replace(QUOTE, ''))
+      blocks.push({ html: `<blockquote>${renderBlocks(quoted, context).map(block => block.html).join('')}</blockquote>` })
+    } else if (LIST_ITEM.test(line)) {
+      const list = renderList(lines, i, context)
+      blocks.push({ html: list.html })
+      i = list.end
+    } else if (line.includes('|') && TABLE_DELIMITER.test(lines[i + 1] || '') && lines[i + 1].includes('-')) {
+      const table = []
+      for (; i < lines.length && lines[i].trim() && lines[i].includes('|'); i++) table.push(lines[i])
+      blocks.push({ html: renderTable(table, context) })
+    } else {
+      const paragraph = []
+      for (; i < lines.length && lines[i].trim() && (!paragraph.length || !startsBlock(lines[i])); i++) {
+        paragraph.push(lines[i].replace(/^\s+/, ''))
+      }
+      const text = paragraph.join('\n')
+      const image = text.trim().match(IMAGE_LINE)
+      if (image) {
+        blocks.push({ html: renderWikiLink(`image:${image[1]}`, image[2], context, true) })
+      } else {
+        const inline = renderInline(text.replace(/\s+$/, ''), context)
+        blocks.push({ html: `<p>${inline}</p>`, inline })
+      }
+    }
+  }
+
+  return blocks
+}
+
+/**
+ * Render wiki markup to HTML
+ * @param {string} source - Wiki markup
+ * @param {Object} [lookups={}] - Functions giving what links point to, or
+ *   null when there is none: memberById(id) and memberByName(name) give a
+ *   member ({ id, name }), articleByTitle(title) a general article
+ *   ({ id, title }), imageById(id) an image ({ filename, caption, alt_text })
+ * @returns {Object} { html, missing } with missing the targets of the links
+ *   that could not be resolved
+ */
+export const renderWikiMarkup = (source, lookups = {}) => {
+  const context = { lookups, missing: [] }
+  const lines = String(source ?? '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '').split('\n')
+
+  let html = ''
+  let inSection = false
+  for (const block of renderBlocks(lines, context)) {
+    if (block.heading <= 2 && inSection) {
+      html += '</section>'
+      inSection = false
+    }
+    if (block.heading === 2) {
+      html += '<section class="wiki-section">'
+      inSection = true
+    }
+    html += block.html
+  }
+  if (inSection) html += '</section>'
+
+  return { html, missing: [...new Set(context.missing)] }
+}
+
+/**
+ * What the links of wiki markup point to, to be looked up before rendering
+ * @param {string} source - Wiki markup
+ * @returns {Object} { memberIds, memberNames, articleTitles, imageIds }
+ */
+export const collectReferences = (source) => {
+  const references = { memberIds: new Set(), memberNames: new Set(), articleTitles: new Set(), imageIds: new Set() }
+  const record = (set) => (reference) => {
+    set.add(reference)
+    return null
+  }
+
+  renderWikiMarkup(source, {
+    memberById: record(references.memberIds),
+    memberByName: record(references.memberNames),
+    articleByTitle: record(references.articleTitles),
+    imageById: record(references.imageIds),
+  })
+
+  return Object.fromEntries(Object.entries(references).map(([name, set]) => [name, [...set]]))
+}
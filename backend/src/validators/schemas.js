@@ -6,6 +6,11 @@
  */
 
 import Joi from 'joi'
+import { DATE_QUALIFIERS, dateKey, isPossibleDate } from '../utils/partialDate.js'
+import { ARTICLE_FORMATS } from '../utils/wikiMarkup.js'
+
+// Languages articles and member fields are written and translated in (see translationService)
+const ARTICLE_LANGUAGES = ['sr', 'en', 'fr', 'de', 'sv', 'it', 'es', 'sq', 'tr']
 
 // ============================================
 // AUTH VALIDATION SCHEMAS
@@ -26,42 +31,384 @@ export const registerSchema = Joi.object({
 // FAMILY MEMBER VALIDATION SCHEMAS
 // ============================================
 
+const currentYear = new Date().getFullYear()
+
+const datePoint = {
+  year: Joi.number().integer().min(1).max(currentYear).required(),
+  month: Joi.number().integer().min(1).max(12),
+  day: Joi.number().integer().min(1).max(31),
+}
+
+/**
+ * Partial date of a life event (see utils/partialDate.js)
+ * Precision follows the fields given: { year }, { year, month } or { year, month, day }.
+ * @example { qualifier: 'between', year: 1870, to: { year: 1875 } }
+ */
+export const partialDateSchema = Joi.object({
+  qualifier: Joi.string().valid(...DATE_QUALIFIERS).allow(null),
+  ...datePoint,
+  to: Joi.object(datePoint).when('qualifier', {
+    is: 'between',
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+})
+  .custom((date, helpers) => {
+    if (!isPossibleDate(date) || (date.to && !isPossibleDate(date.to))) {
+      return helpers.message('{{#label}} is not a possible calendar date')
+    }
+    if (date.to && dateKey(date.to) <= dateKey(date)) {
+      return helpers.message('{{#label}} must end after it starts')
+    }
+    return date
+  })
+  .allow(null)
+
+const lifeEventFields = {
+  birth_year: Joi.number().integer().positive().max(currentYear).allow(null),
+  death_year: Joi.number().integer().positive().max(currentYear).allow(null),
+  birth_date: partialDateSchema,
+  death_date: partialDateSchema,
+  burial_date: partialDateSchema,
+  birth_place: Joi.string().max(255).allow(null, ''),
+  death_place: Joi.string().max(255).allow(null, ''),
+  burial_place: Joi.string().max(255).allow(null, ''),
+  // A linked place replaces the text with the place's full name
+  birth_place_id: Joi.number().integer().positive().allow(null),
+  death_place_id: Joi.number().integer().positive().allow(null),
+  burial_place_id: Joi.number().integer().positive().allow(null),
+}
+
 export const createFamilyMemberSchema = Joi.object({
-  name: Joi.string().min(2).required(),
-  birth_year: Joi.number().integer().min(1800).max(new Date().getFullYear()),
-  death_year: Joi.number().integer().min(1800).allow(null),
-  birth_place: Joi.string(),
-  occupation: Joi.string(),
-  short_bio: Joi.string().max(1000),
+  name: Joi.string().min(2).max(255).required(),
+  ...lifeEventFields,
+  occupation: Joi.string().max(255).allow(null, ''),
+  short_bio: Joi.string().max(1000).allow(null, ''),
+  // Language short_bio, occupation and birth_place are written in
+  language: Joi.string().valid(...ARTICLE_LANGUAGES),
 })
 
 export const updateFamilyMemberSchema = Joi.object({
-  name: Joi.string().min(2),
-  birth_year: Joi.number().integer().min(1800).max(new Date().getFullYear()),
-  death_year: Joi.number().integer().min(1800).allow(null),
-  birth_place: Joi.string(),
-  occupation: Joi.string(),
-  short_bio: Joi.string().max(1000),
+  name: Joi.string().min(2).max(255),
+  ...lifeEventFields,
+  occupation: Joi.string().max(255).allow(null, ''),
+  short_bio: Joi.string().max(1000).allow(null, ''),
+  language: Joi.string().valid(...ARTICLE_LANGUAGES),
+}).min(1)
+
+// Empty fields are shown in the member's language
+export const saveMemberTranslationSchema = Joi.object({
+  short_bio: Joi.string().max(1000).allow(null, ''),
+  occupation: Joi.string().max(255).allow(null, ''),
+  birth_place: Joi.string().max(255).allow(null, ''),
+}).min(1)
+
+// "member is <type> of related"; the inverse row is derived, so only these four are stored
+const RELATIONSHIP_TYPES = ['parent', 'child', 'spouse', 'sibling']
+
+// Calendar date kept as a 'YYYY-MM-DD' string; impossible days like 02-30 are rejected
+const isoDate = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .custom((value, helpers) => {
+    const date = new Date(`${value}T00:00:00Z`)
+    return !isNaN(date) && date.toISOString().startsWith(value) ? value : helpers.error('any.invalid')
+  })
+  .messages({ 'string.pattern.base': '{{#label}} must be a date in YYYY-MM-DD format' })
+
+// Union details only apply to spouses
+const spouseOnly = (schema) => schema.when('relationship_type', {
+  is: 'spouse',
+  otherwise: Joi.forbidden(),
+})
+
+const unionFields = {
+  union_type: spouseOnly(Joi.string().valid('marriage', 'civil_union', 'partnership')),
+  marriage_date: spouseOnly(isoDate.allow(null)),
+  marriage_place: spouseOnly(Joi.string().max(255).allow(null, '')),
+  end_date: spouseOnly(isoDate.allow(null)),
+  end_reason: spouseOnly(Joi.string().valid('divorce', 'death', 'annulment', 'separation').allow(null)),
+}
+
+export const createRelationshipSchema = Joi.object({
+  related_member_id: Joi.number().integer().positive().required(),
+  relationship_type: Joi.string().valid(...RELATIONSHIP_TYPES).required(),
+  ...unionFields,
+})
+
+export const updateRelationshipSchema = Joi.object({
+  relationship_type: Joi.string().valid(...RELATIONSHIP_TYPES).required(),
+  ...unionFields,
+})
+
+export const attachUnionChildSchema = Joi.object({
+  child_id: Joi.number().integer().positive().required(),
+})
+
+export const lineageQuerySchema = Joi.object({
+  depth: Joi.number().integer().min(1).max(25).default(5),
+})
+
+export const importGedcomSchema = Joi.object({
+  gedcom: Joi.string().required(),
+  dry_run: Joi.boolean().default(false),
+})
+
+export const duplicateQuerySchema = Joi.object({
+  min_score: Joi.number().integer().min(0).max(100),
+  limit: Joi.number().integer().min(1).max(500),
+})
+
+export const mergeFamilyMembersSchema = Joi.object({
+  duplicate_id: Joi.number().integer().positive().required(),
+  // Fields whose value is taken from the duplicate even when the survivor has one
+  take_fields: Joi.array().items(Joi.string().valid(
+    'name', 'birth_date', 'birth_place', 'death_date', 'death_place',
+    'burial_date', 'burial_place', 'occupation', 'short_bio'
+  )).unique().default([]),
+  // Article kept when both members have one; the other is deleted
+  keep_article: Joi.string().valid('survivor', 'duplicate').default('survivor'),
+  dry_run: Joi.boolean().default(false),
+})
+
+// ============================================
+// LIFE EVENT VALIDATION SCHEMAS
+// ============================================
+
+export const LIFE_EVENT_TYPES = [
+  'residence', 'emigration', 'immigration', 'education', 'graduation',
+  'military_service', 'occupation', 'religious', 'award', 'other',
+]
+
+const lifeEventDetails = {
+  event_date: partialDateSchema,
+  place: Joi.string().max(255).allow(null, ''),
+  place_id: Joi.number().integer().positive().allow(null),
+  description: Joi.string().max(2000).allow(null, ''),
+  source: Joi.string().max(1000).allow(null, ''),
+}
+
+export const createLifeEventSchema = Joi.object({
+  event_type: Joi.string().valid(...LIFE_EVENT_TYPES).required(),
+  ...lifeEventDetails,
+})
+
+export const updateLifeEventSchema = Joi.object({
+  event_type: Joi.string().valid(...LIFE_EVENT_TYPES),
+  ...lifeEventDetails,
+}).min(1)
+
+// ============================================
+// SOURCE & CITATION VALIDATION SCHEMAS
+// ============================================
+
+export const SOURCE_TYPES = [
+  'parish_register', 'civil_register', 'census', 'military_record', 'interview',
+  'letter', 'document', 'photograph', 'book', 'newspaper', 'website', 'other',
+]
+
+// Member fields a citation can support
+export const CITABLE_FIELDS = [
+  'name', 'birth_date', 'birth_place', 'death_date', 'death_place',
+  'burial_date', 'burial_place', 'occupation', 'short_bio',
+]
+
+const sourceFields = {
+  source_type: Joi.string().valid(...SOURCE_TYPES),
+  author: Joi.string().max(255).allow(null, ''),
+  repository: Joi.string().max(255).allow(null, ''),
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).max(500).allow(null, ''),
+  notes: Joi.string().allow(null, ''),
+}
+
+export const createSourceSchema = Joi.object({
+  title: Joi.string().max(255).required(),
+  ...sourceFields,
+  source_type: sourceFields.source_type.default('document'),
+})
+
+export const updateSourceSchema = Joi.object({
+  title: Joi.string().max(255),
+  ...sourceFields,
 }).min(1)
 
+const citationDetails = {
+  page: Joi.string().max(255).allow(null, ''),
+  note: Joi.string().max(2000).allow(null, ''),
+}
+
+// A field only applies to member citations, a paragraph (1 = first) only to articles
+export const createCitationSchema = Joi.object({
+  family_member_id: Joi.number().integer().positive(),
+  life_event_id: Joi.number().integer().positive(),
+  article_id: Joi.number().integer().positive(),
+  general_article_id: Joi.number().integer().positive(),
+  field: Joi.string().valid(...CITABLE_FIELDS).allow(null).when('family_member_id', {
+    is: Joi.exist(),
+    otherwise: Joi.forbidden(),
+  }),
+  paragraph: Joi.number().integer().min(1).allow(null).when('article_id', {
+    is: Joi.exist(),
+    otherwise: Joi.when('general_article_id', { is: Joi.exist(), otherwise: Joi.forbidden() }),
+  }),
+  ...citationDetails,
+}).xor('family_member_id', 'life_event_id', 'article_id', 'general_article_id')
+
+export const updateCitationSchema = Joi.object({
+  field: Joi.string().valid(...CITABLE_FIELDS).allow(null),
+  paragraph: Joi.number().integer().min(1).allow(null),
+  ...citationDetails,
+}).min(1)
+
+// ============================================
+// PLACE VALIDATION SCHEMAS
+// ============================================
+
+export const PLACE_TYPES = [
+  'country', 'region', 'municipality', 'settlement', 'parish', 'cemetery', 'other',
+]
+
+// Coordinates are given together or not at all
+const placeFields = {
+  alternate_names: Joi.array().items(Joi.string().max(255)).max(50),
+  place_type: Joi.string().valid(...PLACE_TYPES),
+  country: Joi.string().max(100).allow(null, ''),
+  parent_id: Joi.number().integer().positive().allow(null),
+  latitude: Joi.number().min(-90).max(90).allow(null),
+  longitude: Joi.number().min(-180).max(180).allow(null),
+  notes: Joi.string().allow(null, ''),
+}
+
+export const createPlaceSchema = Joi.object({
+  name: Joi.string().max(255).required(),
+  ...placeFields,
+  place_type: placeFields.place_type.default('settlement'),
+}).and('latitude', 'longitude')
+
+export const updatePlaceSchema = Joi.object({
+  name: Joi.string().max(255),
+  ...placeFields,
+}).and('latitude', 'longitude').min(1)
+
+export const placeQuerySchema = Joi.object({
+  q: Joi.string().max(255).allow(''),
+  country: Joi.string().max(100),
+  limit: Joi.number().integer().min(1).max(100),
+})
+
+export const placeMapQuerySchema = Joi.object({
+  generation: Joi.number().integer().min(1),
+  from: Joi.number().integer().min(1),
+  to: Joi.number().integer().min(1).when('from', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('from')),
+  }),
+})
+
+export const linkPlaceNameSchema = Joi.object({
+  name: Joi.string().max(255).required(),
+})
+
 // ============================================
 // ARTICLE VALIDATION SCHEMAS
 // ============================================
 
 export const createArticleSchema = Joi.object({
   family_member_id: Joi.number().integer().required(),
-  language: Joi.string().length(2).default('sr'),
-  content: Joi.string().required(),
+  language: Joi.string().valid(...ARTICLE_LANGUAGES).default('sr'),
+  // Without content the article starts from a template
+  content: Joi.string().allow(''),
+  // Content is HTML, or wiki markup rendered to HTML when saved
+  format: Joi.string().valid(...ARTICLE_FORMATS).default('html'),
+  template_type: Joi.string().valid('basic', 'infobox', 'fullFeatured'),
 })
 
 export const updateArticleSchema = Joi.object({
   content: Joi.string().required(),
+  // Defaults to the article's format
+  format: Joi.string().valid(...ARTICLE_FORMATS),
+})
+
+export const previewContentSchema = Joi.object({
+  content: Joi.string().allow('').required(),
+  format: Joi.string().valid(...ARTICLE_FORMATS).default('html'),
 })
 
 export const translateArticleSchema = Joi.object({
-  targetLanguage: Joi.string().length(2).required(),
+  targetLanguage: Joi.string().valid(...ARTICLE_LANGUAGES).required(),
+})
+
+export const saveTranslationSchema = Joi.object({
+  content: Joi.string().required(),
+  // Revision of the article the translation was made from; defaults to the current one
+  source_revision: Joi.number().integer().min(1),
 })
 
+// Revisions to compare (member and general articles); without to, the current
+// revision, and without from, the one before to
+export const revisionDiffQuerySchema = Joi.object({
+  from: Joi.number().integer().min(1),
+  to: Joi.number().integer().min(1),
+})
+
+export const retranslateOutdatedSchema = Joi.object({
+  // Without it, the outdated translations of every article
+  article_id: Joi.number().integer().positive(),
+  // Human-reviewed translations are replaced by machine translations too
+  include_reviewed: Joi.boolean().default(false),
+  dry_run: Joi.boolean().default(false),
+})
+
+// ============================================
+// GENERAL ARTICLE VALIDATION SCHEMAS
+// ============================================
+
+// Empty fields are shown in the article's language
+export const saveGeneralArticleTranslationSchema = Joi.object({
+  title: Joi.string().max(255).allow(null, ''),
+  content: Joi.string().allow(null, ''),
+}).min(1)
+
+// ============================================
+// TRANSLATION GLOSSARY & MEMORY VALIDATION SCHEMAS
+// ============================================
+
+const languagePair = {
+  source_language: Joi.string().valid(...ARTICLE_LANGUAGES).required(),
+  target_language: Joi.string().valid(...ARTICLE_LANGUAGES).required(),
+}
+
+// An entry translates from one language into another
+const differentLanguages = (entry, helpers) => (entry.source_language === entry.target_language
+  ? helpers.message('"target_language" must differ from "source_language"')
+  : entry)
+
+// Without a translation the term is kept as it is
+export const createGlossaryEntrySchema = Joi.object({
+  ...languagePair,
+  term: Joi.string().trim().max(255).required(),
+  translation: Joi.string().trim().max(255).allow(null, ''),
+  notes: Joi.string().allow(null, ''),
+}).custom(differentLanguages)
+
+export const updateGlossaryEntrySchema = Joi.object({
+  term: Joi.string().trim().max(255),
+  translation: Joi.string().trim().max(255).allow(null, ''),
+  notes: Joi.string().allow(null, ''),
+}).min(1)
+
+export const translationQuerySchema = Joi.object({
+  source_language: Joi.string().valid(...ARTICLE_LANGUAGES),
+  target_language: Joi.string().valid(...ARTICLE_LANGUAGES),
+  q: Joi.string().max(255).allow(''),
+  limit: Joi.number().integer().min(1).max(500),
+})
+
+export const createMemoryEntrySchema = Joi.object({
+  ...languagePair,
+  source_text: Joi.string().trim().max(10000).required(),
+  target_text: Joi.string().trim().max(10000).required(),
+}).custom(differentLanguages)
+
 // ============================================
 // VALIDATION MIDDLEWARE FACTORY
 // ============================================
@@ -0,0 +1,28 @@
+import { computed } from 'vue'
+import { useLanguageStore } from '@/stores/language'
+import { translate, hasMessage, formatDate, formatNumber } from '@/i18n'
+
+/**
+ * Interface translations in the selected language (see @/i18n)
+ *
+ * Templates calling t() render again when the language changes.
+ *
+ * @example
+ * const { t, formatDate } = useI18n()
+ * t('common.save') // "Sačuvaj"
+ * t('search.results', { count: 5 }) // "Pronađeno 5 članova"
+ * formatDate(article.created_at) // "12. mart 2024."
+ */
+export function useI18n() {
+  const languageStore = useLanguageStore()
+
+  const locale = computed(() => languageStore.currentLanguage)
+
+  return {
+    locale,
+    t: (key, params) => translate(languageStore.currentLanguage, key, params),
+    te: (key) => hasMessage(languageStore.currentLanguage, key),
+    formatDate: (value, options) => formatDate(languageStore.currentLanguage, value, options),
+    formatNumber: (value, options) => formatNumber(languageStore.currentLanguage, value, options),
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Interface Translations (i18n)
+ *
+ * Message catalogues for the labels, buttons and messages of the interface,
+ * one bundle per language in ./locales. A message is looked up by its dotted
+ * key ('common.save') in the bundle of the language, then in English; a key
+ * missing from both is shown as it is, so it stands out. Languages without a
+ * bundle (fr, de, sv, it, es, sq, tr) are shown in English.
+ *
+ * Messages may contain {placeholders}, filled from the params. A message with
+ * plural forms is an object keyed by the plural categories of its language
+ * (Intl.PluralRules: zero, one, two, few, many, other), picked by the count
+ * param; 'other' is used for a category the bundle leaves out:
+ *
+ * members: { one: '{count} član', few: '{count} člana', other: '{count} članova' }
+ *
+ * Dates and numbers are formatted with Intl in the language's locale.
+ *
+ * Components use the useI18n composable, which follows the selected
+ * language; this module is for code outside components.
+ *
+ * Usage:
+ * translate('sr', 'search.results', { count: 3 }) // "Pronađena 3 člana"
+ * formatDate('en', '2024-03-12T10:00:00Z') // "March 12, 2024"
+ * formatNumber('sr', 1234.5) // "1.234,5"
+ *
+ * @module i18n
+ */
+
+import en from './locales/en'
+import sr from './locales/sr'
+
+const MESSAGES = { en, sr }
+
+/**
+ * Language of messages a bundle does not have
+ */
+export const FALLBACK_LANGUAGE = 'en'
+
+// Locales given to Intl where they differ from the language code;
+// Serbo-Croatian is written in Latin script here
+const INTL_LOCALES = {
+  sr: 'sr-Latn',
+}
+
+const pluralRules = {}
+
+/**
+ * Locale for Intl formatting of a language
+ *
+ * @param {string} language - Language code, e.g. 'sr'
+ * @returns {string} BCP 47 locale, e.g. 'sr-Latn'
+ */
+export function intlLocale(language) {
+  return INTL_LOCALES[language] || language
+}
+
+/**
+ * Message of a key in a language's bundle
+ *
+ * @param {string} language - Language code
+ * @param {string} key - Dotted key
+ * @returns {string|Object|undefined} Message, plural forms, or undefined
+ */
+function lookup(language, key) {
+  return key.split('.').reduce((node, part) => node?.[part], MESSAGES[language])
+}
+
+/**
+ * Plural form for a count, by the plural rules of the language
+ */
+function pluralForm(forms, count, language) {
+  const locale = intlLocale(language)
+  pluralRules[locale] ||= new Intl.PluralRules(locale)
+  return forms[pluralRules[locale].select(count)] ?? forms.other
+}
+
+/**
+ * Fill in the {placeholders} of a message; the count is formatted as a number
+ */
+function interpolate(message, params, language) {
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder
+    return name === 'count' ? formatNumber(language, params.count) : String(params[name] ?? '')
+  })
+}
+
+/**
+ * Translate a message
+ *
+ * @param {string} language - Language code
+ * @param {string} key - Dotted key, e.g. 'common.save'
+ * @param {Object} [params={}] - Placeholder values; count picks the plural form
+ * @returns {string} Message in the language, in English, or the key
+ */
+export function translate(language, key, params = {}) {
+  for (const messageLanguage of [language, FALLBACK_LANGUAGE]) {
+    let message = lookup(messageLanguage, key)
+
+    if (message && typeof message === 'object' && typeof params.count === 'number') {
+      message = pluralForm(message, params.count, messageLanguage)
+    }
+    if (typeof message === 'string') {
+      return interpolate(message, params, messageLanguage)
+    }
+  }
+  return key
+}
+
+/**
+ * Whether a language has a message for the key (its own or the English one)
+ *
+ * @param {string} language - Language code
+ * @param {string} key - Dotted key
+ * @returns {boolean}
+ */
+export function hasMessage(language, key) {
+  return lookup(language, key) !== undefined || lookup(FALLBACK_LANGUAGE, key) !== undefined
+}
+
+/**
+ * Format a date in a language
+ *
+ * @param {string} language - Language code
+ * @param {Date|string|number} value - Date, ISO string or timestamp
+ * @param {Object} [options] - Intl.DateTimeFormat options; default: day, month name and year
+ * @returns {string} Formatted date, or '' without a valid date
+ */
+export function formatDate(language, value, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
+  if (value === null || value === undefined || value === '') return ''
+
+  const date = value instanceof Date ? value : new Date(value)
+  if (Number.isNaN(date.getTime())) return ''
+
+  return new Intl.DateTimeFormat(intlLocale(language), options).format(date)
+}
+
+/**
+ * Format a number in a language
+ *
+ * @param {string} language - Language code
+ * @param {number} value - Number
+ * @param {Object} [options] - Intl.NumberFormat options
+ * @returns {string} Formatted number, e.g. "1.234,5" in Serbo-Croatian
+ */
+export function formatNumber(language, value, options = {}) {
+  return new Intl.NumberFormat(intlLocale(language), options).format(value)
+}
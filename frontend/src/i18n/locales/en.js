@@ -0,0 +1,1122 @@
+/**
+ * English interface messages
+ *
+ * The complete bundle: every key of the interface is here, and languages
+ * without a bundle or a message fall back to it. Grouped by the page or
+ * component using them; common holds the words used all over.
+ */
+export default {
+  common: {
+    loading: 'Loading...',
+    save: 'Save',
+    saving: 'Saving...',
+    cancel: 'Cancel',
+    edit: 'Edit',
+    delete: 'Delete',
+    remove: 'Remove',
+    close: 'Close',
+    back: 'Back',
+    search: 'Search',
+    select: '-- Select --',
+    unknown: '?',
+    none: '—',
+    yes: 'Yes',
+    no: 'No',
+  },
+
+  app: {
+    title: 'Kurpejovica Enciklopedija',
+    nav: {
+      search: 'Search',
+      articles: 'Articles',
+      sources: 'Sources',
+      places: 'Places',
+      familyManagement: 'Family Management',
+      manageArticles: 'Manage Articles',
+      biographies: 'Biographies',
+      glossary: 'Glossary',
+      admin: 'Admin',
+      login: 'Login',
+      logout: 'Logout',
+    },
+    languageAutoDetected: 'Language auto-detected from your location',
+    selectLanguage: 'Select language',
+    autoDetectedBadge: 'This language was auto-detected',
+    copyright: '© 2025 Kurpejovica Enciklopedija. All rights reserved.',
+  },
+
+  dates: {
+    qualifiers: {
+      on: 'On',
+      about: 'About',
+      before: 'Before',
+      after: 'After',
+      between: 'Between',
+    },
+    about: 'c. {date}',
+    before: 'before {date}',
+    after: 'after {date}',
+    between: 'between {from} and {to}',
+    lifeSpan: '{birth} – {death}',
+    born: 'b. {date}',
+    died: 'd. {date}',
+  },
+
+  alert: {
+    close: 'Close alert',
+  },
+
+  memberCard: {
+    present: 'Present',
+  },
+
+  citationForm: {
+    source: 'Source',
+    notListed: 'Not listed?',
+    recordSource: 'Record a new source first.',
+    supports: 'Supports',
+    paragraph: 'Paragraph (1 = first, empty = whole text)',
+    page: 'Page or entry',
+    pagePlaceholder: 'e.g. p. 42, entry 7',
+    note: 'Note',
+    notePlaceholder: 'Transcription or remark',
+    add: 'Add citation',
+    chooseSource: 'Please choose a source',
+    saveFailed: 'Failed to save the citation',
+    loadSourcesFailed: 'Failed to load sources',
+  },
+
+  lifeEventTypes: {
+    residence: 'Residence',
+    emigration: 'Emigration',
+    immigration: 'Immigration',
+    education: 'Education',
+    graduation: 'Graduation',
+    military_service: 'Military service',
+    occupation: 'Occupation',
+    religious: 'Religious event',
+    award: 'Award',
+    other: 'Other',
+  },
+
+  placeTypes: {
+    country: 'Country',
+    region: 'Region',
+    municipality: 'Municipality',
+    settlement: 'Town or village',
+    parish: 'Parish',
+    cemetery: 'Cemetery',
+    other: 'Other',
+  },
+
+  sourceTypes: {
+    parish_register: 'Parish register',
+    civil_register: 'Civil register',
+    census: 'Census',
+    military_record: 'Military record',
+    interview: 'Interview',
+    letter: 'Letter',
+    document: 'Document',
+    photograph: 'Photograph',
+    book: 'Book',
+    newspaper: 'Newspaper',
+    website: 'Website',
+    other: 'Other',
+  },
+
+  citableFields: {
+    name: 'Name',
+    birth_date: 'Birth date',
+    birth_place: 'Birth place',
+    death_date: 'Death date',
+    death_place: 'Death place',
+    burial_date: 'Burial date',
+    burial_place: 'Burial place',
+    occupation: 'Occupation',
+    short_bio: 'Short biography',
+  },
+
+  citationTargets: {
+    general: 'General',
+    biography: 'Biography',
+    biographyParagraph: 'Biography, paragraph {paragraph}',
+    article: 'Article',
+    articleParagraph: 'Article, paragraph {paragraph}',
+  },
+
+  memberSources: {
+    empty: 'No sources cited yet.',
+    cite: '+ Cite a source',
+    confirmRemove: 'Remove the citation of "{title}"?',
+    removeLabel: 'Remove citation of {title}',
+    removeFailed: 'Failed to remove the citation',
+  },
+
+  memberTimeline: {
+    own: {
+      birth: 'Born',
+      death: 'Died',
+      burial: 'Buried',
+      marriage: 'Married',
+      union_end: 'Union ended with',
+    },
+    unions: {
+      civil_union: 'Civil union with',
+      partnership: 'Partnership with',
+    },
+    unionEnds: {
+      divorce: 'Divorced from',
+      annulment: 'Marriage annulled with',
+      separation: 'Separated from',
+    },
+    // Relatives' events, followed by the relative's name ("Birth of child Ahmed")
+    family: {
+      birth: 'Birth of {relation}',
+      death: 'Death of {relation}',
+      burial: 'Burial of {relation}',
+      marriage: 'Marriage of {relation}',
+      union_end: 'End of the union of {relation}',
+    },
+    relations: {
+      parent: 'parent',
+      child: 'child',
+      spouse: 'spouse',
+      sibling: 'sibling',
+    },
+    and: 'and',
+    undated: 'Undated',
+    source: 'Source: {source}',
+    empty: 'No events recorded yet.',
+    event: 'Event',
+    date: 'Date',
+    place: 'Place',
+    description: 'Description',
+    sourceLabel: 'Source',
+    sourcePlaceholder: 'Document, record or person this is known from',
+    saveEvent: 'Save event',
+    add: '+ Add life event',
+    confirmDelete: 'Delete this event ({event})?',
+    loadFailed: 'Failed to load the timeline.',
+    saveFailed: 'Failed to save the event',
+    deleteFailed: 'Failed to delete the event',
+  },
+
+  partialDate: {
+    day: 'Day',
+    month: 'Month',
+    year: 'Year',
+    and: 'and',
+    precision: '{label}: precision',
+    dayOf: '{label}: day',
+    monthOf: '{label}: month',
+    endDayOf: '{label}: end day',
+    endMonthOf: '{label}: end month',
+    endYearOf: '{label}: end year',
+  },
+
+  placeInput: {
+    placeholder: 'Start typing a place...',
+    linked: 'Linked to the places registry',
+    freeText: 'Free text – pick a suggestion to link a registered place',
+  },
+
+  mapViews: {
+    world: 'World',
+    europe: 'Europe',
+    balkans: 'Balkans',
+  },
+
+  placeForm: {
+    name: 'Name',
+    namePlaceholder: 'e.g. Rožaje',
+    alternateNames: 'Other spellings and names (comma separated)',
+    alternateNamesPlaceholder: 'e.g. Rozaje, Rožaj',
+    type: 'Type',
+    country: 'Country',
+    liesIn: 'Lies in',
+    liesInPlaceholder: 'Municipality, region or country',
+    latitude: 'Latitude',
+    longitude: 'Longitude',
+    notes: 'Notes',
+    pickOnMap: 'Click the map to set the coordinates',
+    aroundPlace: 'Around the place',
+    removeCoordinates: 'Remove coordinates',
+    save: 'Save place',
+  },
+
+  placeMap: {
+    label: 'Map of family places',
+    // Members who were born, lived or died at a place
+    counts: {
+      birth: '{count} born',
+      lived: '{count} lived',
+      death: '{count} died',
+    },
+    legend: {
+      birth: 'Born',
+      lived: 'Lived',
+      death: 'Died',
+      mixed: 'Several',
+    },
+  },
+
+  relationshipFinder: {
+    compareWith: 'Family member to compare with',
+    choose: 'Choose a family member…',
+    find: 'Find relationship',
+    searching: 'Searching…',
+    unrelated: 'No family connection between {member} and {other} is recorded yet.',
+    // Followed by the relationship name: "Ahmed is Mehmed's cousin"
+    isOf: "is {member}'s",
+    steps: {
+      parent: 'parent',
+      child: 'child',
+      spouse: 'spouse',
+      sibling: 'sibling',
+    },
+    otherLanguages: 'In other languages',
+    failed: 'Failed to work out the relationship.',
+  },
+
+  sourceForm: {
+    title: 'Title',
+    titlePlaceholder: 'e.g. Parish register of Sjenica, births 1860-1890',
+    type: 'Type',
+    author: 'Author or informant',
+    repository: 'Kept at',
+    repositoryPlaceholder: 'Archive, parish office, family collection',
+    url: 'Link',
+    notes: 'Notes',
+    save: 'Save source',
+  },
+
+  familyTreeChart: {
+    zoomIn: 'Zoom in',
+    zoomOut: 'Zoom out',
+    resetView: 'Reset view',
+    showMore: { one: 'Show {count} more', other: 'Show {count} more' },
+    collapse: 'Collapse branch',
+  },
+
+  imageFields: {
+    caption: 'Caption',
+    captionPlaceholder: 'Image caption...',
+    altText: 'Alt Text',
+    altTextPlaceholder: 'Alternative text for accessibility...',
+    description: 'Description',
+    descriptionPlaceholder: 'Detailed description...',
+    displayWidth: 'Display Width',
+    widths: {
+      full: 'Full width',
+      threeQuarters: '75% width',
+      half: '50% width (half)',
+      third: '33% width (third)',
+    },
+  },
+
+  imageEditor: {
+    preview: 'Preview',
+    image: 'Image',
+    editDetails: 'Edit Details',
+    save: 'Save Changes',
+    delete: 'Delete Image',
+    saved: 'Image updated successfully!',
+    confirmDelete: 'Are you sure you want to delete this image?',
+    saveFailed: 'Failed to save image',
+    deleteFailed: 'Failed to delete image',
+  },
+
+  imageUploader: {
+    preview: 'Image Preview',
+    previewAlt: 'Preview',
+    details: 'Image Details',
+    caption: 'Caption (displayed under image)',
+    captionPlaceholder: "e.g., 'Family gathering 1925'",
+    altText: 'Alt Text (for accessibility)',
+    altTextPlaceholder: "e.g., 'Three men in formal attire'",
+    descriptionPlaceholder: 'Detailed description of the image...',
+    progress: 'Uploading... {percent}%',
+    upload: 'Upload Image',
+    uploading: 'Uploading...',
+    dropHint: 'Drag and drop an image here or click to select',
+    requirements: 'Supported: JPEG, PNG, WebP, GIF (max 10MB)',
+    select: 'Select Image',
+    uploaded: 'Image uploaded successfully!',
+    notAnImage: 'Please select an image file',
+    tooLarge: 'File size must be less than 10MB',
+    selectImage: 'Please select an image',
+    noTarget: 'One of familyMemberId, articleId or sourceId is required',
+    failed: 'Upload failed',
+  },
+
+  imageGallery: {
+    empty: 'No images available',
+    imageAlt: 'Gallery image',
+    previous: 'Previous',
+    next: 'Next',
+  },
+
+  fieldTranslations: {
+    language: 'Language',
+    status: {
+      auto: 'Machine translated',
+      reviewed: 'Reviewed',
+      missing: 'Not translated',
+    },
+    hint: 'Written in {language}. Fields left empty are shown in {language}.',
+    save: 'Save translation',
+    translate: 'Translate from source',
+    delete: 'Delete translation',
+    confirmReplace: 'Replace the reviewed translation with a machine translation?',
+    confirmDelete: 'Delete the {language} translation?',
+    translated: 'Machine translated; check the translation and save it',
+    saved: 'Translation saved',
+    deleted: 'Translation deleted',
+    loadFailed: 'Failed to load translations',
+    translateFailed: 'Translation failed',
+    saveFailed: 'Failed to save the translation',
+    deleteFailed: 'Failed to delete the translation',
+  },
+
+  search: {
+    title: 'Search Family Members',
+    placeholder: 'Enter name or keywords...',
+    searching: 'Searching...',
+    results: { one: 'Found {count} result', other: 'Found {count} results' },
+    noResults: 'No results found for "{query}"',
+    prompt: 'Enter a search query to find family members.',
+  },
+
+  login: {
+    title: 'Login to Kurpejovica Enciklopedija',
+    email: 'Email',
+    password: 'Password',
+    submit: 'Login',
+    loggingIn: 'Logging in...',
+    info: 'Contact an administrator to request an account.',
+    failed: 'Login failed',
+  },
+
+  home: {
+    title: 'Welcome to Kurpejovica Enciklopedija',
+    subtitle: 'A comprehensive family encyclopedia, available in multiple languages.',
+    featuredMembers: 'Featured Family Members',
+    allMembers: 'View All Members',
+    featuredArticles: 'Featured Articles',
+    readMore: 'Read more',
+    allArticles: 'View All Articles',
+  },
+
+  familyTree: {
+    title: 'Family Tree',
+    titleOf: 'Family Tree: {name}',
+    // "12 descendants across 3 generations"
+    summary: '{people} {generations}',
+    counts: {
+      descendants: { one: '{count} descendant', other: '{count} descendants' },
+      ancestors: { one: '{count} ancestor', other: '{count} ancestors' },
+    },
+    generations: { one: 'across {count} generation', other: 'across {count} generations' },
+    descendants: 'Descendants',
+    ancestors: 'Ancestors',
+    depth: 'Generations',
+    backToProfile: 'Back to profile',
+    hint: 'Drag to pan, scroll to zoom, click a person to open their profile.',
+    loading: 'Loading family tree...',
+    notFound: 'Family member not found.',
+    loadFailed: 'Failed to load family tree.',
+  },
+
+  sources: {
+    title: 'Sources',
+    subtitle: 'Registers, documents and interviews the family history is based on',
+    searchPlaceholder: 'Search by title, author or archive...',
+    filterByType: 'Filter by Type',
+    allTypes: 'All Types',
+    new: '+ New source',
+    create: 'Create source',
+    loading: 'Loading sources...',
+    empty: 'No sources found.',
+    citations: { one: '{count} citation', other: '{count} citations' },
+    loadFailed: 'Failed to load sources',
+    createFailed: 'Failed to create the source',
+  },
+
+  sourcePage: {
+    loading: 'Loading source...',
+    saveChanges: 'Save changes',
+    scans: 'Scans',
+    noScans: 'No scans uploaded.',
+    citedFor: 'Cited for',
+    notCited: 'This source is not cited yet.',
+    allSources: 'All sources',
+    updated: 'Source updated successfully!',
+    confirmDelete: 'Delete "{title}"?',
+    confirmDeleteCited: {
+      one: 'Delete "{title}"? It is cited {count} time; the citation is removed too.',
+      other: 'Delete "{title}"? It is cited {count} times; the citations are removed too.',
+    },
+    scanUploaded: 'Scan uploaded successfully!',
+    scanDeleted: 'Scan deleted successfully!',
+    confirmDeleteScan: 'Delete this scan?',
+    notFound: 'Source not found',
+    loadFailed: 'Failed to load the source',
+    updateFailed: 'Failed to update the source',
+    deleteFailed: 'Failed to delete the source',
+    scanUpdateFailed: 'Failed to update the scan',
+    scanDeleteFailed: 'Failed to delete the scan',
+  },
+
+  places: {
+    title: 'Places',
+    subtitle: 'Where family members were born, lived and died',
+    generation: 'Generation',
+    allGenerations: 'All generations',
+    generationNumber: 'Generation {generation}',
+    generationShort: 'gen. {generation}',
+    fromYear: 'From year',
+    toYear: 'To year',
+    yearPlaceholder: 'e.g. {year}',
+    mapView: 'Map view',
+    fitToPlaces: 'Fit to places',
+    apply: 'Apply',
+    reset: 'Reset',
+    loading: 'Loading the map...',
+    // "12 entries at 4 places."
+    summary: '{entries} at {places}.',
+    entries: { one: '{count} entry', other: '{count} entries' },
+    placeCount: { one: '{count} place', other: '{count} places' },
+    datedOnly: 'Only dated entries are shown for a period.',
+    unmapped: {
+      one: '{count} more is at places without coordinates.',
+      other: '{count} more are at places without coordinates.',
+    },
+    selectHint: 'Select a place on the map to see who was there.',
+    noMatch: 'No places with coordinates match these filters.',
+    registry: 'Places registry',
+    new: '+ New place',
+    create: 'Create place',
+    saveChanges: 'Save changes',
+    enteredAsText: 'Places entered as text',
+    linkHint: 'Link these to a place in the registry to show them on the map. Every member and event with the same text is linked at once.',
+    linkTo: 'Link to {name}',
+    linkToOther: 'Link to another place',
+    link: 'Link',
+    registryEmpty: 'No places in the registry yet.',
+    columns: {
+      place: 'Place',
+      type: 'Type',
+      coordinates: 'Coordinates',
+      usedBy: 'Used by',
+    },
+    notSet: 'Not set',
+    saved: '{name} saved',
+    created: '{name} created',
+    createdAndLinked: {
+      one: '{name} created and linked to {count} entry',
+      other: '{name} created and linked to {count} entries',
+    },
+    linked: {
+      one: '"{text}" linked to {name} ({count} entry)',
+      other: '"{text}" linked to {name} ({count} entries)',
+    },
+    deleted: '{name} deleted',
+    confirmDelete: 'Delete {name}? Members and events keep its name as text.',
+    mapFailed: 'Failed to load the map',
+    registryFailed: 'Failed to load the places registry',
+    saveFailed: 'Failed to save the place',
+    deleteFailed: 'Failed to delete the place',
+    linkFailed: 'Failed to link the place',
+  },
+
+  articles: {
+    title: 'Articles',
+    subtitle: 'Explore family history and stories',
+    searchPlaceholder: 'Search articles...',
+    filterByCategory: 'Filter by Category',
+    allCategories: 'All Categories',
+    loading: 'Loading articles...',
+    empty: 'No articles found.',
+    readMore: 'Read more →',
+    loadFailed: 'Failed to load articles',
+  },
+
+  article: {
+    title: 'Article',
+    loading: 'Loading article...',
+    notFound: 'Article not found',
+    edit: 'Edit Article',
+    delete: 'Delete Article',
+    untranslated: 'This article is not available in {requested} yet; it is shown in the original {source}.',
+    partlyUntranslated: 'Parts of this article are not available in {requested} yet; they are shown in the original {source}.',
+    thisArticle: 'This article',
+    citeSource: '+ Cite a source',
+    gallery: 'Gallery',
+    tabs: {
+      read: 'Article',
+      history: 'History',
+    },
+    fields: {
+      title: 'Title',
+      titlePlaceholder: 'Enter article title',
+      category: 'Category (Optional)',
+      categoryPlaceholder: 'Enter category or leave blank',
+      content: 'Content',
+      contentPlaceholder: 'Enter article content...',
+    },
+    saveChanges: 'Save Changes',
+    titleRequired: 'Title is required',
+    contentRequired: 'Content is required',
+    updated: 'Article updated successfully!',
+    deleted: 'Article deleted successfully!',
+    confirmDelete: 'Are you sure you want to delete this article?',
+    editLoadFailed: 'Failed to load the article for editing',
+    updateFailed: 'Failed to update article',
+    deleteFailed: 'Failed to delete article',
+  },
+
+  adminArticles: {
+    title: 'Manage Articles',
+    new: '+ New Article',
+    newTitle: 'New Article',
+    create: 'Create Article',
+    update: 'Update Article',
+    empty: 'No articles yet. Create your first article to get started.',
+    fields: {
+      title: 'Title',
+      content: 'Article Content',
+    },
+    noCategory: 'No category',
+    newCategory: '+ Create new category',
+    newCategoryPrompt: 'New category name:',
+    writtenIn: 'Written in',
+    preview: 'Preview',
+    translations: 'Translations',
+    translationsHint: 'Title and content in the other languages of the encyclopedia. Readers see the article in their language where it is translated.',
+    images: 'Article Images',
+    imagesHint: 'Upload images to display in the article gallery. You can add up to {count} images.',
+    currentImages: 'Current Images',
+    addImages: 'Add Images',
+    created: 'Article created successfully!',
+    saveFailed: 'Failed to save article',
+    imageUploaded: 'Image uploaded successfully!',
+    imageDeleted: 'Image deleted successfully!',
+    imageDeleteFailed: 'Failed to delete image',
+  },
+
+  admin: {
+    title: 'Admin Panel',
+    subtitle: 'Manage users and system settings',
+    createTitle: 'Create New User',
+    showForm: 'Show Form',
+    hideForm: 'Hide Form',
+    fields: {
+      email: 'Email',
+      name: 'Full Name',
+      namePlaceholder: 'John Doe',
+      password: 'Password',
+      role: 'Role',
+    },
+    roles: {
+      viewer: 'Viewer (Read-only)',
+      editor: 'Editor (Can edit content)',
+      admin: 'Admin (Full access)',
+    },
+    create: 'Create User',
+    creating: 'Creating...',
+    allUsers: 'All Users ({count})',
+    loading: 'Loading users...',
+    columns: {
+      name: 'Name',
+      status: 'Status',
+      actions: 'Actions',
+    },
+    active: 'Active',
+    inactive: 'Inactive',
+    empty: 'No users found',
+    accessDenied: 'Access Denied',
+    noPermission: "You don't have permission to access the admin panel.",
+    adminsOnly: 'Only administrators can manage users and system settings.',
+    fillAllFields: 'Please fill in all fields',
+    created: 'User "{name}" created successfully',
+    deleted: 'User "{name}" deleted successfully',
+    confirmDelete: 'Are you sure you want to delete "{name}"?',
+    roleUpdated: 'User role updated successfully',
+    loadFailed: 'Failed to load users',
+    createFailed: 'Failed to create user',
+    deleteFailed: 'Failed to delete user',
+    roleUpdateFailed: 'Failed to update user role',
+  },
+
+  articleEditor: {
+    tabs: {
+      content: 'Content',
+      history: 'History',
+    },
+    retranslateOutdated: 'Re-translate outdated',
+    translationCount: { one: '{count} translation', other: '{count} translations' },
+    outdatedCount: '{count} outdated',
+    selectMember: 'Select Family Member',
+    language: 'Language',
+    template: 'Template',
+    templates: {
+      basic: 'Basic (Section + Paragraph)',
+      infobox: 'With Infobox',
+      fullFeatured: 'Full Featured (Wikipedia-style)',
+    },
+    content: 'Article Content (HTML)',
+    contentPlaceholder: 'Enter article content in HTML...',
+    insertInfobox: 'Insert Infobox',
+    insertSection: 'Insert Section',
+    insertTable: 'Insert Table',
+    save: 'Save Article',
+    translationsHint: 'Readers see the version in their language, or the source with a notice when there is none. Translations of an earlier revision of the article are outdated.',
+    status: {
+      source: 'Source',
+      auto: 'Machine translated',
+      reviewed: 'Human reviewed',
+      outdated: 'Outdated',
+      missing: 'Not translated',
+    },
+    revisionOf: '(revision {revision} of {latest})',
+    machineTranslate: 'Machine translate',
+    retranslate: 'Re-translate',
+    translateByHand: 'Translate by hand',
+    retranslateAllOutdated: 'Re-translate all outdated ({count})',
+    translationTitle: '{language} translation',
+    changedParagraphs: '{changed} of {count} paragraphs changed',
+    saveHint: 'Saving marks the translation as human reviewed for revision {revision} of the article. Paragraphs keep their markup: edit the text, and keep tags such as <b> and <a>.',
+    notAligned: 'This translation no longer has the same paragraphs as the article, so it is edited as a whole.',
+    sourceColumn: '{language} (source)',
+    translationHtml: 'Translation (HTML)',
+    saveReviewed: 'Save as reviewed',
+    contentEmpty: 'Content cannot be empty',
+    selectMemberRequired: 'Please select a family member',
+    translated: 'Article translated to {language} successfully!',
+    translateFailed: 'Translation failed',
+    noOutdated: 'No outdated machine translations.',
+    confirmRetranslate: {
+      one: 'Re-translate {count} outdated machine translation?',
+      other: 'Re-translate {count} outdated machine translations?',
+    },
+    retranslated: { one: 'Re-translated {count} translation.', other: 'Re-translated {count} translations.' },
+    retranslateFailures: {
+      one: '{count} translation failed: {failures}',
+      other: '{count} translations failed: {failures}',
+    },
+    retranslateFailed: 'Re-translation failed',
+    translationEmpty: 'Translation cannot be empty',
+    translationSaved: '{language} translation saved as human reviewed.',
+    translationSavedRemembered: {
+      one: '{language} translation saved as human reviewed ({count} segment added to the translation memory).',
+      other: '{language} translation saved as human reviewed ({count} segments added to the translation memory).',
+    },
+    translationSaveFailed: 'Failed to save translation',
+  },
+
+  paragraphTags: {
+    paragraph: 'Paragraph',
+    heading: 'Heading',
+    listItem: 'List item',
+    tableCell: 'Table cell',
+    tableHeader: 'Table header',
+    caption: 'Caption',
+    quote: 'Quote',
+  },
+
+  editMember: {
+    title: 'Edit: {name}',
+    subtitle: 'Update family member information and photos',
+    details: 'Member Details',
+    fields: {
+      name: 'Full Name',
+      birthDate: 'Birth Date',
+      birthPlace: 'Birth Place',
+      deathDate: 'Death Date',
+      deathPlace: 'Death Place',
+      burialDate: 'Burial Date',
+      burialPlace: 'Burial Place',
+      occupation: 'Occupation',
+      shortBio: 'Short Biography',
+      shortBioPlaceholder: 'Brief summary of the family member...',
+    },
+    view: {
+      name: 'Name:',
+      born: 'Born:',
+      died: 'Died:',
+      buried: 'Buried:',
+      occupation: 'Occupation:',
+      shortBio: 'Short Biography:',
+      writtenIn: 'Written in:',
+    },
+    edit: 'Edit Member',
+    translationsHint: 'Birth place, occupation and short biography in the other languages of the encyclopedia.',
+    photos: 'Member Photos',
+    uploadPhotos: 'Upload Photos',
+    uploadHint: 'Upload photos of the family member. You can add up to {count} photos total.',
+    noPermission: "You don't have permission to edit family members.",
+    updated: 'Family member updated successfully!',
+    saveFailed: 'Failed to save changes. Please try again.',
+    loadFailed: 'Failed to load family member.',
+    loadFailedRetry: 'Failed to load family member. Please try again.',
+  },
+
+  familyManagement: {
+    title: 'Family Management',
+    subtitle: 'Create and manage family members and relationships',
+    importLink: 'Import from GEDCOM file →',
+    duplicatesLink: 'Find duplicate members →',
+    membersTab: 'Family Members',
+    relationshipsTab: 'Relationships',
+    membersHeading: 'Family Members ({count})',
+    addMember: '+ Add Member',
+    namePlaceholder: 'e.g., Hamza Kurpejović',
+    birthPlacePlaceholder: 'e.g., Novi Pazar',
+    deathDateLabel: 'Death Date (Leave blank if living)',
+    occupationPlaceholder: 'e.g., Teacher, Farmer, Doctor',
+    biography: 'Biography',
+    biographyPlaceholder: 'Brief description about this person...',
+    createMember: 'Create Member',
+    loadingMembers: 'Loading members...',
+    noMembers: 'No family members yet. Create your first member to get started!',
+    addRelationship: '+ Add Relationship',
+    relationshipHelp: 'Define how family members are related. For example:<br>'
+      + '• If <strong>Hamza</strong> is the <strong>father</strong> of <strong>Abid</strong>, choose Hamza, <strong>Parent</strong>, Abid<br>'
+      + '• If <strong>Hamza</strong> is the <strong>brother</strong> of <strong>Nejra</strong>, choose Hamza, <strong>Sibling</strong>, Nejra<br>'
+      + "The reverse relationship (Abid is Hamza's child) is added automatically. "
+      + 'Grandparents, cousins and in-laws follow from these links.',
+    person: 'Person *',
+    selectMember: 'Select a family member',
+    relationshipType: 'Relationship Type *',
+    relatedTo: 'Related To *',
+    selectRelated: 'Select the related family member',
+    // "Person is <type> of Related To"
+    relationshipTypes: {
+      parent: 'Parent',
+      child: 'Child',
+      spouse: 'Spouse',
+      sibling: 'Sibling',
+    },
+    unionType: 'Union Type',
+    unionTypes: {
+      marriage: 'Marriage',
+      civil_union: 'Civil union',
+      partnership: 'Partnership',
+    },
+    place: 'Place',
+    marriagePlace: 'Place of marriage',
+    marriagePlacePlaceholder: 'e.g., Sarajevo',
+    marriageDate: 'Date of Marriage',
+    endDate: 'End Date',
+    endedBy: 'Ended By',
+    endReasons: {
+      none: 'Still together',
+      divorce: 'Divorce',
+      death: 'Death of a partner',
+      annulment: 'Annulment',
+      separation: 'Separation',
+    },
+    until: 'until',
+    createRelationship: 'Create Relationship',
+    needTwoMembers: 'You need at least 2 family members to create relationships. Go to the Family Members tab and create some first!',
+    existingRelationships: 'Existing Relationships',
+    showRelationshipsOf: 'Show relationships of',
+    // "<relative> is <type> of <member>"
+    is: 'is',
+    of: 'of {name}',
+    relationshipOf: 'Relationship of {name}',
+    unionChild: 'Child of this union',
+    addUnionChild: 'Add a child of this union…',
+    addChild: 'Add Child',
+    noRelationships: 'No relationships recorded for {name} yet.',
+    noPermission: "You don't have permission to manage family members.",
+    editorsOnly: 'Only editors and administrators can manage the family tree.',
+    nameRequired: 'Name is required',
+    memberCreated: '"{name}" created successfully!',
+    memberDeleted: '"{name}" deleted successfully',
+    confirmDeleteMember: 'Are you sure you want to delete "{name}"? This will also remove all their relationships.',
+    selectBoth: 'Please select both family members',
+    samePerson: 'Cannot create relationship with the same person',
+    relationshipCreated: 'Relationship created: "{member}" is {type} of "{related}"',
+    relationshipUpdated: 'Relationship updated: "{member}" is now {type} of "{related}"',
+    unionSaved: 'Union of "{member}" and "{related}" saved',
+    childAdded: '"{child}" added as a child of "{member}" and "{related}"',
+    confirmRemoveRelationship: 'Remove the relationship between "{member}" and "{related}"?',
+    relationshipRemoved: 'Relationship removed',
+    loadFailed: 'Failed to load family members',
+    memberCreateFailed: 'Failed to create family member',
+    memberDeleteFailed: 'Failed to delete family member',
+    relationshipCreateFailed: 'Failed to create relationship',
+    relationshipsLoadFailed: 'Failed to load relationships',
+    relationshipUpdateFailed: 'Failed to update relationship',
+    unionSaveFailed: 'Failed to save union',
+    childAddFailed: 'Failed to add child',
+    relationshipRemoveFailed: 'Failed to remove relationship',
+  },
+
+  member: {
+    notice: {
+      untranslated: 'This biography is not available in {requested} yet; it is shown in the original {source}.',
+      outdated: 'This translation was made before the {source} original was last edited and may be out of date.',
+      machineTranslated: 'This biography was machine-translated from {source}.',
+    },
+    summary: 'Summary',
+    birthPlace: 'Birth Place:',
+    biography: 'Biography',
+    marriagesAndChildren: 'Marriages & Children',
+    // "Married 12 March 1950 in Sarajevo · Divorced 3 May 1962"
+    unions: {
+      marriage: 'Married',
+      civil_union: 'Civil union',
+      partnership: 'Partners',
+      place: 'in {place}',
+      divorce: 'Divorced',
+      death: 'Widowed',
+      annulment: 'Annulled',
+      separation: 'Separated',
+      ended: 'Ended',
+    },
+    bornShort: 'b. {year}',
+    otherChildren: 'Other children',
+    timeline: 'Timeline',
+    sources: 'Sources',
+    seeAlso: 'See Also',
+    howRelated: 'How Are We Related?',
+    noBiography: 'No biography has been written yet.',
+    info: {
+      title: 'Information',
+      born: 'Born',
+      died: 'Died',
+      buried: 'Buried',
+      parents: 'Parents',
+      spouses: { one: 'Spouse', other: 'Spouses' },
+      children: 'Children',
+      siblings: 'Siblings',
+    },
+    tree: {
+      title: 'Family Tree',
+      view: 'View interactive family tree →',
+      descendants: 'Descendants (GEDCOM)',
+      ancestors: 'Ancestors (GEDCOM)',
+      whole: 'Whole family tree (GEDCOM)',
+    },
+    notFound: 'Family member not found.',
+  },
+
+  duplicates: {
+    title: 'Possible duplicates',
+    subtitle: 'Members that may have been entered twice under slightly different spellings',
+    show: 'Show',
+    scores: {
+      veryLikely: 'Very likely ({score}+)',
+      likely: 'Likely ({score}+)',
+      possible: 'Possible ({score}+)',
+    },
+    searching: 'Looking for duplicates...',
+    empty: 'No possible duplicates found.',
+    matchScore: 'Match score',
+    reasons: {
+      sameName: 'Same name',
+      similarName: 'Similar name ({percent}%)',
+      bornSameYear: 'Born the same year',
+      diedSameYear: 'Died the same year',
+      bornYearsApart: { one: 'Born {count} year apart', other: 'Born {count} years apart' },
+      diedYearsApart: { one: 'Died {count} year apart', other: 'Died {count} years apart' },
+      sameBirthPlace: 'Same birth place',
+      sharedRelatives: { one: '{count} shared relative', other: '{count} shared relatives' },
+    },
+    compare: 'Compare and merge',
+    swap: 'Keep the other member',
+    keep: 'Keep:',
+    mergeAndDelete: 'Merge and delete:',
+    fields: {
+      name: 'Name',
+      birth_date: 'Birth date',
+      birth_place: 'Birth place',
+      death_date: 'Death date',
+      death_place: 'Death place',
+      burial_date: 'Burial date',
+      burial_place: 'Burial place',
+      occupation: 'Occupation',
+      short_bio: 'Short biography',
+    },
+    willBeKept: '(will be kept)',
+    checking: 'Checking the merge...',
+    relationshipsMove: {
+      one: '{count} relationship moves to #{id}',
+      other: '{count} relationships move to #{id}',
+    },
+    relationshipsShared: {
+      one: '{count} is already recorded for both',
+      other: '{count} are already recorded for both',
+    },
+    alsoMoved: 'Also moved:',
+    records: {
+      life_events: { one: '{count} life event', other: '{count} life events' },
+      images: { one: '{count} image', other: '{count} images' },
+      citations: { one: '{count} citation', other: '{count} citations' },
+      translations: { one: '{count} translation', other: '{count} translations' },
+      audit_logs: { one: '{count} history entry', other: '{count} history entries' },
+    },
+    articleChoice: 'Both members have a biography article. Keep:',
+    articleOf: 'The article of #{id}',
+    otherArticleDeleted: 'The other article and its translations are deleted.',
+    conflicts: 'These relatives are linked to both members in different ways. Fix the relationships before merging:',
+    // "parent of #12"
+    relationshipOf: '{type} of #{id}',
+    relationships: {
+      parent: 'parent',
+      child: 'child',
+      spouse: 'spouse',
+      sibling: 'sibling',
+    },
+    mergeInto: 'Merge into #{id}',
+    confirmMerge: 'Merge {duplicate} into {survivor}? {duplicate} will be deleted.',
+    merged: '{duplicate} was merged into {survivor}',
+    loadFailed: 'Failed to load possible duplicates',
+    previewFailed: 'Failed to preview the merge',
+    mergeFailed: 'Failed to merge the members',
+  },
+
+  gedcomImport: {
+    title: 'GEDCOM Import',
+    subtitle: 'Import family members and relationships from other genealogy software',
+    back: 'Back to Family Management',
+    steps: {
+      choose: '1. Choose File',
+      preview: '2. Preview',
+      imported: '3. Imported',
+    },
+    help: 'Select a GEDCOM 5.5.1 file (<strong>.ged</strong>) exported from another genealogy tool.<br>'
+      + 'Individuals (INDI) become family members, families (FAM) become spouse and parent relationships.<br>'
+      + 'Nothing is saved until you confirm the preview below.',
+    selectFile: 'Select GEDCOM file...',
+    processing: 'Processing GEDCOM file...',
+    importMembers: { one: 'Import {count} Member', other: 'Import {count} Members' },
+    another: 'Import Another File',
+    members: 'Members',
+    relationshipsHeading: 'Relationships',
+    warnings: 'Warnings',
+    columns: {
+      xref: 'GEDCOM ID',
+      name: 'Name',
+      born: 'Born',
+      died: 'Died',
+      birthPlace: 'Birth Place',
+      occupation: 'Occupation',
+    },
+    // "<member> is parent of <related>"
+    relationships: {
+      parent: 'is parent of',
+      spouse: 'is spouse of',
+    },
+    memberCount: { one: '{count} member', other: '{count} members' },
+    relationshipCount: { one: '{count} relationship', other: '{count} relationships' },
+    confirm: 'Import {members} and {relationships}?',
+    imported: 'Imported {members} and {relationships}',
+    readFailed: 'Failed to read GEDCOM file',
+    importFailed: 'Import failed, nothing was saved',
+  },
+
+  glossary: {
+    title: 'Translation Glossary',
+    subtitle: 'How family names, places and kinship terms are machine translated',
+    from: 'From',
+    into: 'Into',
+    loading: 'Loading glossary...',
+    glossaryHeading: 'Glossary {pair}',
+    glossaryHint: 'A term with a translation is always translated that way; a term without one is kept as it is. Terms written in lowercase also match at the start of a sentence. Family member names are always kept.',
+    term: 'Term',
+    termPlaceholder: 'e.g. amidža',
+    translation: 'Translation',
+    translationPlaceholder: 'Empty: keep the term',
+    notes: 'Notes',
+    addTerm: 'Add term',
+    searchTerms: 'Search terms and translations...',
+    noTerms: 'No terms in this glossary yet.',
+    keepTerm: 'Keep the term',
+    keptAsIs: 'kept as is',
+    memoryHeading: 'Translation memory {pair}',
+    memoryHint: 'Segments translated by a person. When the same paragraph, table cell or caption is translated again, its remembered translation is used instead of the machine translation. Translations corrected in the biography editor are added here.',
+    addSegment: 'Add segment',
+    sourceText: 'Source text',
+    searchSegments: 'Search source texts and translations...',
+    noSegments: 'No remembered segments yet.',
+    memoryLimit: 'Showing the {count} most recent segments; search to find older ones.',
+    termAdded: '"{term}" added to the {pair} glossary',
+    termSaved: '"{term}" saved',
+    termRemoved: '"{term}" removed',
+    confirmRemoveTerm: 'Remove "{term}" from the {pair} glossary?',
+    segmentAdded: 'Segment added to the translation memory',
+    segmentRemoved: 'Segment removed',
+    confirmRemoveSegment: 'Remove this segment from the translation memory? It will be machine translated again.',
+    loadFailed: 'Failed to load the glossary',
+    searchFailed: 'Search failed',
+    termAddFailed: 'Failed to add the term',
+    termSaveFailed: 'Failed to save the term',
+    termRemoveFailed: 'Failed to remove the term',
+    segmentAddFailed: 'Failed to add the segment',
+    segmentRemoveFailed: 'Failed to remove the segment',
+  },
+
+  revisionHistory: {
+    loading: 'Loading history...',
+    loadFailed: 'Failed to load the revision history',
+    hint: 'Every saved change is a revision. Pick two revisions to compare them, or compare a revision with the one before it.',
+    compareFrom: 'Compare from revision {revision}',
+    compareTo: 'Compare to revision {revision}',
+    compareSelected: 'Compare selected revisions',
+    revision: 'Revision {revision}',
+    current: 'current',
+    unknownEditor: 'unknown editor',
+    size: { one: '{count} character', other: '{count} characters' },
+    restoredFrom: 'restored from revision {revision}',
+    view: 'View',
+    changes: 'Changes',
+    restore: 'Restore',
+    confirmRestore: 'Restore revision {revision}? Its content becomes a new revision; the current one stays in the history.',
+    restored: 'Revision {revision} restored.',
+    restoreFailed: 'Failed to restore the revision',
+    revisionLoadFailed: 'Failed to load the revision',
+    diffFailed: 'Failed to compare the revisions',
+    diffTitle: 'Changes from revision {from} to revision {to}',
+    added: { one: '{count} word added', other: '{count} words added' },
+    removed: { one: '{count} word removed', other: '{count} words removed' },
+    noChanges: 'The two revisions are the same.',
+    titleChange: 'Title',
+    olderNotKept: 'Earlier revisions were written before the history was kept.',
+  },
+  articleFormat: {
+    label: 'Written in',
+    html: 'HTML',
+    wiki: 'Wiki markup',
+    help: '## Heading starts a section · **bold** · *italic* · [text](https://…) · - list item · | table | row |\n[[Member Name]] or [[member:42]] links a family member · [[article:Title]] a general article · [[image:12]] shows an uploaded image · [[member:42|label]] shows your own text\n{{member infobox}} shows the infobox of the member, filled from the family tree · {{infobox | title = Name | image = 12 | Born = 1901, Rožaje }} makes your own, one "| name = value" per line',
+    convertFailed: 'The wiki markup could not be converted to HTML.',
+  },
+  wikiPreview: {
+    failed: 'The preview could not be rendered.',
+    missingLinks: { one: '{count} link points to nothing:', other: '{count} links point to nothing:' },
+  },
+
+  mentionedIn: {
+    title: 'Mentioned in',
+    member_article: 'biography',
+    general_article: 'article',
+  },
+
+  brokenLinks: {
+    title: 'Broken Links ({count})',
+    hint: 'Links in biographies and articles that lead nowhere. Edit the article to fix them; the list is updated when it is saved.',
+    refresh: 'Refresh',
+    empty: 'No broken links',
+    loadFailed: 'Failed to load broken links',
+    targets: {
+      member: 'family member #{id}',
+      article: 'article #{id}',
+    },
+    reasons: {
+      unresolved: 'Not found',
+      missing: 'Does not exist',
+    },
+  },
+}
@@ -0,0 +1,1154 @@
+/**
+ * Serbo-Croatian interface messages (Latin script)
+ *
+ * Same keys as the English bundle; a key missing here is shown in English.
+ * Plural forms follow the Serbo-Croatian rules: one (1, 21, 31...),
+ * few (2-4, 22-24...) and other.
+ */
+export default {
+  common: {
+    loading: 'Učitavanje...',
+    save: 'Sačuvaj',
+    saving: 'Čuvanje...',
+    cancel: 'Otkaži',
+    edit: 'Uredi',
+    delete: 'Obriši',
+    remove: 'Ukloni',
+    close: 'Zatvori',
+    back: 'Nazad',
+    search: 'Pretraga',
+    select: '-- Izaberi --',
+    unknown: '?',
+    none: '—',
+    yes: 'Da',
+    no: 'Ne',
+  },
+
+  app: {
+    title: 'Kurpejovica Enciklopedija',
+    nav: {
+      search: 'Pretraga',
+      articles: 'Članci',
+      sources: 'Izvori',
+      places: 'Mjesta',
+      familyManagement: 'Upravljanje porodicom',
+      manageArticles: 'Upravljanje člancima',
+      biographies: 'Biografije',
+      glossary: 'Pojmovnik',
+      admin: 'Administracija',
+      login: 'Prijava',
+      logout: 'Odjava',
+    },
+    languageAutoDetected: 'Jezik je prepoznat prema vašoj lokaciji',
+    selectLanguage: 'Izaberite jezik',
+    autoDetectedBadge: 'Ovaj jezik je automatski prepoznat',
+    copyright: '© 2025 Kurpejovica Enciklopedija. Sva prava zadržana.',
+  },
+
+  dates: {
+    qualifiers: {
+      on: 'Tačno',
+      about: 'Oko',
+      before: 'Prije',
+      after: 'Poslije',
+      between: 'Između',
+    },
+    about: 'oko {date}',
+    before: 'prije {date}',
+    after: 'poslije {date}',
+    between: 'između {from} i {to}',
+    lifeSpan: '{birth} – {death}',
+    born: 'rođ. {date}',
+    died: 'um. {date}',
+  },
+
+  alert: {
+    close: 'Zatvori obavještenje',
+  },
+
+  memberCard: {
+    present: 'Danas',
+  },
+
+  citationForm: {
+    source: 'Izvor',
+    notListed: 'Nije na spisku?',
+    recordSource: 'Prvo unesite novi izvor.',
+    supports: 'Potvrđuje',
+    paragraph: 'Pasus (1 = prvi, prazno = cijeli tekst)',
+    page: 'Strana ili upis',
+    pagePlaceholder: 'npr. str. 42, upis 7',
+    note: 'Napomena',
+    notePlaceholder: 'Prepis ili primjedba',
+    add: 'Dodaj navod',
+    chooseSource: 'Izaberite izvor',
+    saveFailed: 'Navod nije sačuvan',
+    loadSourcesFailed: 'Izvori nisu učitani',
+  },
+
+  lifeEventTypes: {
+    residence: 'Prebivalište',
+    emigration: 'Iseljenje',
+    immigration: 'Doseljenje',
+    education: 'Školovanje',
+    graduation: 'Diplomiranje',
+    military_service: 'Vojna služba',
+    occupation: 'Zanimanje',
+    religious: 'Vjerski događaj',
+    award: 'Nagrada',
+    other: 'Ostalo',
+  },
+
+  placeTypes: {
+    country: 'Država',
+    region: 'Oblast',
+    municipality: 'Opština',
+    settlement: 'Grad ili selo',
+    parish: 'Parohija',
+    cemetery: 'Groblje',
+    other: 'Ostalo',
+  },
+
+  sourceTypes: {
+    parish_register: 'Matična knjiga vjerske zajednice',
+    civil_register: 'Matična knjiga',
+    census: 'Popis stanovništva',
+    military_record: 'Vojni dokument',
+    interview: 'Razgovor',
+    letter: 'Pismo',
+    document: 'Dokument',
+    photograph: 'Fotografija',
+    book: 'Knjiga',
+    newspaper: 'Novine',
+    website: 'Internet stranica',
+    other: 'Ostalo',
+  },
+
+  citableFields: {
+    name: 'Ime',
+    birth_date: 'Datum rođenja',
+    birth_place: 'Mjesto rođenja',
+    death_date: 'Datum smrti',
+    death_place: 'Mjesto smrti',
+    burial_date: 'Datum sahrane',
+    burial_place: 'Mjesto sahrane',
+    occupation: 'Zanimanje',
+    short_bio: 'Kratka biografija',
+  },
+
+  citationTargets: {
+    general: 'Općenito',
+    biography: 'Biografija',
+    biographyParagraph: 'Biografija, pasus {paragraph}',
+    article: 'Članak',
+    articleParagraph: 'Članak, pasus {paragraph}',
+  },
+
+  memberSources: {
+    empty: 'Još nema navedenih izvora.',
+    cite: '+ Navedi izvor',
+    confirmRemove: 'Ukloniti navod izvora "{title}"?',
+    removeLabel: 'Ukloni navod izvora {title}',
+    removeFailed: 'Navod nije uklonjen',
+  },
+
+  memberTimeline: {
+    own: {
+      birth: 'Rođen(a)',
+      death: 'Umro/la',
+      burial: 'Sahranjen(a)',
+      marriage: 'Vjenčanje sa',
+      union_end: 'Kraj zajednice sa',
+    },
+    unions: {
+      civil_union: 'Građanska zajednica sa',
+      partnership: 'Vanbračna zajednica sa',
+    },
+    unionEnds: {
+      divorce: 'Razvod od',
+      annulment: 'Poništen brak sa',
+      separation: 'Rastanak od',
+    },
+    // Relation in the genitive ("Rođenje djeteta Ahmed")
+    family: {
+      birth: 'Rođenje {relation}',
+      death: 'Smrt {relation}',
+      burial: 'Sahrana {relation}',
+      marriage: 'Vjenčanje {relation}',
+      union_end: 'Kraj zajednice {relation}',
+    },
+    relations: {
+      parent: 'roditelja',
+      child: 'djeteta',
+      spouse: 'supružnika',
+      sibling: 'brata ili sestre',
+    },
+    and: 'i',
+    undated: 'Bez datuma',
+    source: 'Izvor: {source}',
+    empty: 'Još nema unesenih događaja.',
+    event: 'Događaj',
+    date: 'Datum',
+    place: 'Mjesto',
+    description: 'Opis',
+    sourceLabel: 'Izvor',
+    sourcePlaceholder: 'Dokument, zapis ili osoba od koje se ovo zna',
+    saveEvent: 'Sačuvaj događaj',
+    add: '+ Dodaj životni događaj',
+    confirmDelete: 'Obrisati ovaj događaj ({event})?',
+    loadFailed: 'Hronologija nije učitana.',
+    saveFailed: 'Događaj nije sačuvan',
+    deleteFailed: 'Događaj nije obrisan',
+  },
+
+  partialDate: {
+    day: 'Dan',
+    month: 'Mjesec',
+    year: 'Godina',
+    and: 'i',
+    precision: '{label}: preciznost',
+    dayOf: '{label}: dan',
+    monthOf: '{label}: mjesec',
+    endDayOf: '{label}: krajnji dan',
+    endMonthOf: '{label}: krajnji mjesec',
+    endYearOf: '{label}: krajnja godina',
+  },
+
+  placeInput: {
+    placeholder: 'Počnite kucati mjesto...',
+    linked: 'Povezano s registrom mjesta',
+    freeText: 'Slobodan tekst – izaberite prijedlog da povežete upisano mjesto',
+  },
+
+  mapViews: {
+    world: 'Svijet',
+    europe: 'Evropa',
+    balkans: 'Balkan',
+  },
+
+  placeForm: {
+    name: 'Naziv',
+    namePlaceholder: 'npr. Rožaje',
+    alternateNames: 'Drugi zapisi i nazivi (odvojeni zarezom)',
+    alternateNamesPlaceholder: 'npr. Rozaje, Rožaj',
+    type: 'Vrsta',
+    country: 'Država',
+    liesIn: 'Nalazi se u',
+    liesInPlaceholder: 'Opština, oblast ili država',
+    latitude: 'Geografska širina',
+    longitude: 'Geografska dužina',
+    notes: 'Napomene',
+    pickOnMap: 'Kliknite na kartu da postavite koordinate',
+    aroundPlace: 'Oko mjesta',
+    removeCoordinates: 'Ukloni koordinate',
+    save: 'Sačuvaj mjesto',
+  },
+
+  placeMap: {
+    label: 'Karta porodičnih mjesta',
+    counts: {
+      birth: { one: '{count} rođen', few: '{count} rođena', other: '{count} rođenih' },
+      lived: { one: '{count} živio', few: '{count} živjela', other: '{count} živjelih' },
+      death: { one: '{count} umro', few: '{count} umrla', other: '{count} umrlih' },
+    },
+    legend: {
+      birth: 'Rođeni',
+      lived: 'Živjeli',
+      death: 'Umrli',
+      mixed: 'Više vrsta',
+    },
+  },
+
+  relationshipFinder: {
+    compareWith: 'Član porodice za poređenje',
+    choose: 'Izaberite člana porodice…',
+    find: 'Pronađi srodstvo',
+    searching: 'Traženje…',
+    unrelated: 'Još nije upisana porodična veza između osoba {member} i {other}.',
+    isOf: 'je za osobu {member}',
+    steps: {
+      parent: 'roditelj',
+      child: 'dijete',
+      spouse: 'supružnik',
+      sibling: 'brat ili sestra',
+    },
+    otherLanguages: 'Na drugim jezicima',
+    failed: 'Srodstvo nije utvrđeno.',
+  },
+
+  sourceForm: {
+    title: 'Naslov',
+    titlePlaceholder: 'npr. Matična knjiga Sjenice, rođeni 1860-1890',
+    type: 'Vrsta',
+    author: 'Autor ili kazivač',
+    repository: 'Čuva se u',
+    repositoryPlaceholder: 'Arhiv, matični ured, porodična zbirka',
+    url: 'Link',
+    notes: 'Napomene',
+    save: 'Sačuvaj izvor',
+  },
+
+  familyTreeChart: {
+    zoomIn: 'Uvećaj',
+    zoomOut: 'Umanji',
+    resetView: 'Vrati prikaz',
+    showMore: { one: 'Prikaži još {count} osobu', few: 'Prikaži još {count} osobe', other: 'Prikaži još {count} osoba' },
+    collapse: 'Skupi granu',
+  },
+
+  imageFields: {
+    caption: 'Opis ispod slike',
+    captionPlaceholder: 'Tekst ispod slike...',
+    altText: 'Alternativni tekst',
+    altTextPlaceholder: 'Tekst za čitače ekrana...',
+    description: 'Opis',
+    descriptionPlaceholder: 'Detaljan opis...',
+    displayWidth: 'Širina prikaza',
+    widths: {
+      full: 'Puna širina',
+      threeQuarters: '75% širine',
+      half: '50% širine (polovina)',
+      third: '33% širine (trećina)',
+    },
+  },
+
+  imageEditor: {
+    preview: 'Pregled',
+    image: 'Slika',
+    editDetails: 'Uredi podatke',
+    save: 'Sačuvaj izmjene',
+    delete: 'Obriši sliku',
+    saved: 'Slika je sačuvana!',
+    confirmDelete: 'Da li ste sigurni da želite obrisati ovu sliku?',
+    saveFailed: 'Slika nije sačuvana',
+    deleteFailed: 'Slika nije obrisana',
+  },
+
+  imageUploader: {
+    preview: 'Pregled slike',
+    previewAlt: 'Pregled',
+    details: 'Podaci o slici',
+    caption: 'Opis (prikazuje se ispod slike)',
+    captionPlaceholder: "npr. 'Porodično okupljanje 1925.'",
+    altText: 'Alternativni tekst (za pristupačnost)',
+    altTextPlaceholder: "npr. 'Trojica muškaraca u svečanoj odjeći'",
+    descriptionPlaceholder: 'Detaljan opis slike...',
+    progress: 'Otpremanje... {percent}%',
+    upload: 'Otpremi sliku',
+    uploading: 'Otpremanje...',
+    dropHint: 'Prevucite sliku ovdje ili kliknite da je izaberete',
+    requirements: 'Podržano: JPEG, PNG, WebP, GIF (najviše 10 MB)',
+    select: 'Izaberi sliku',
+    uploaded: 'Slika je otpremljena!',
+    notAnImage: 'Izaberite datoteku sa slikom',
+    tooLarge: 'Datoteka mora biti manja od 10 MB',
+    selectImage: 'Izaberite sliku',
+    noTarget: 'Potreban je jedan od familyMemberId, articleId ili sourceId',
+    failed: 'Otpremanje nije uspjelo',
+  },
+
+  imageGallery: {
+    empty: 'Nema slika',
+    imageAlt: 'Slika iz galerije',
+    previous: 'Prethodna',
+    next: 'Sljedeća',
+  },
+
+  fieldTranslations: {
+    language: 'Jezik',
+    status: {
+      auto: 'Mašinski prevedeno',
+      reviewed: 'Pregledano',
+      missing: 'Nije prevedeno',
+    },
+    hint: 'Napisano na jeziku: {language}. Prazna polja se prikazuju na izvornom jeziku.',
+    save: 'Sačuvaj prevod',
+    translate: 'Prevedi iz izvornika',
+    delete: 'Obriši prevod',
+    confirmReplace: 'Zamijeniti pregledani prevod mašinskim prevodom?',
+    confirmDelete: 'Obrisati prevod ({language})?',
+    translated: 'Mašinski prevedeno; provjerite prevod i sačuvajte ga',
+    saved: 'Prevod je sačuvan',
+    deleted: 'Prevod je obrisan',
+    loadFailed: 'Prevodi nisu učitani',
+    translateFailed: 'Prevođenje nije uspjelo',
+    saveFailed: 'Prevod nije sačuvan',
+    deleteFailed: 'Prevod nije obrisan',
+  },
+
+  search: {
+    title: 'Pretraga članova porodice',
+    placeholder: 'Unesite ime ili ključne riječi...',
+    searching: 'Traženje...',
+    results: {
+      one: 'Pronađen je {count} rezultat',
+      few: 'Pronađena su {count} rezultata',
+      other: 'Pronađeno je {count} rezultata',
+    },
+    noResults: 'Nema rezultata za "{query}"',
+    prompt: 'Unesite pojam da pronađete članove porodice.',
+  },
+
+  login: {
+    title: 'Prijava na Kurpejovica Enciklopediju',
+    email: 'E-pošta',
+    password: 'Lozinka',
+    submit: 'Prijavi se',
+    loggingIn: 'Prijavljivanje...',
+    info: 'Za nalog se obratite administratoru.',
+    failed: 'Prijava nije uspjela',
+  },
+
+  home: {
+    title: 'Dobro došli u Kurpejovica Enciklopediju',
+    subtitle: 'Sveobuhvatna porodična enciklopedija, dostupna na više jezika.',
+    featuredMembers: 'Izdvojeni članovi porodice',
+    allMembers: 'Svi članovi',
+    featuredArticles: 'Izdvojeni članci',
+    readMore: 'Pročitaj više',
+    allArticles: 'Svi članci',
+  },
+
+  familyTree: {
+    title: 'Porodično stablo',
+    titleOf: 'Porodično stablo: {name}',
+    summary: '{people} {generations}',
+    counts: {
+      descendants: { one: '{count} potomak', few: '{count} potomka', other: '{count} potomaka' },
+      ancestors: { one: '{count} predak', few: '{count} pretka', other: '{count} predaka' },
+    },
+    generations: { one: 'kroz {count} generaciju', few: 'kroz {count} generacije', other: 'kroz {count} generacija' },
+    descendants: 'Potomci',
+    ancestors: 'Preci',
+    depth: 'Generacija',
+    backToProfile: 'Nazad na profil',
+    hint: 'Povucite za pomjeranje, skrolujte za uvećanje, kliknite na osobu da otvorite njen profil.',
+    loading: 'Učitavanje porodičnog stabla...',
+    notFound: 'Član porodice nije pronađen.',
+    loadFailed: 'Porodično stablo nije učitano.',
+  },
+
+  sources: {
+    title: 'Izvori',
+    subtitle: 'Matične knjige, dokumenti i razgovori na kojima počiva porodična istorija',
+    searchPlaceholder: 'Pretraga po naslovu, autoru ili arhivu...',
+    filterByType: 'Vrsta',
+    allTypes: 'Sve vrste',
+    new: '+ Novi izvor',
+    create: 'Dodaj izvor',
+    loading: 'Učitavanje izvora...',
+    empty: 'Nema pronađenih izvora.',
+    citations: { one: '{count} navod', few: '{count} navoda', other: '{count} navoda' },
+    loadFailed: 'Izvori nisu učitani',
+    createFailed: 'Izvor nije dodan',
+  },
+
+  sourcePage: {
+    loading: 'Učitavanje izvora...',
+    saveChanges: 'Sačuvaj izmjene',
+    scans: 'Snimci',
+    noScans: 'Nema otpremljenih snimaka.',
+    citedFor: 'Naveden za',
+    notCited: 'Ovaj izvor još nije naveden.',
+    allSources: 'Svi izvori',
+    updated: 'Izvor je sačuvan!',
+    confirmDelete: 'Obrisati "{title}"?',
+    confirmDeleteCited: {
+      one: 'Obrisati "{title}"? Naveden je {count} put; navod se takođe uklanja.',
+      few: 'Obrisati "{title}"? Naveden je {count} puta; navodi se takođe uklanjaju.',
+      other: 'Obrisati "{title}"? Naveden je {count} puta; navodi se takođe uklanjaju.',
+    },
+    scanUploaded: 'Snimak je otpremljen!',
+    scanDeleted: 'Snimak je obrisan!',
+    confirmDeleteScan: 'Obrisati ovaj snimak?',
+    notFound: 'Izvor nije pronađen',
+    loadFailed: 'Izvor nije učitan',
+    updateFailed: 'Izvor nije sačuvan',
+    deleteFailed: 'Izvor nije obrisan',
+    scanUpdateFailed: 'Snimak nije sačuvan',
+    scanDeleteFailed: 'Snimak nije obrisan',
+  },
+
+  places: {
+    title: 'Mjesta',
+    subtitle: 'Gdje su se članovi porodice rodili, živjeli i umrli',
+    generation: 'Generacija',
+    allGenerations: 'Sve generacije',
+    generationNumber: '{generation}. generacija',
+    generationShort: '{generation}. gen.',
+    fromYear: 'Od godine',
+    toYear: 'Do godine',
+    yearPlaceholder: 'npr. {year}',
+    mapView: 'Prikaz karte',
+    fitToPlaces: 'Prema mjestima',
+    apply: 'Primijeni',
+    reset: 'Poništi',
+    loading: 'Učitavanje karte...',
+    summary: '{entries} u {places}.',
+    entries: { one: '{count} zapis', few: '{count} zapisa', other: '{count} zapisa' },
+    placeCount: { one: '{count} mjestu', few: '{count} mjesta', other: '{count} mjesta' },
+    datedOnly: 'Za period se prikazuju samo zapisi s datumom.',
+    unmapped: {
+      one: 'Još {count} je u mjestima bez koordinata.',
+      few: 'Još {count} su u mjestima bez koordinata.',
+      other: 'Još {count} je u mjestima bez koordinata.',
+    },
+    selectHint: 'Izaberite mjesto na karti da vidite ko je tu bio.',
+    noMatch: 'Nijedno mjesto s koordinatama ne odgovara ovim filterima.',
+    registry: 'Registar mjesta',
+    new: '+ Novo mjesto',
+    create: 'Dodaj mjesto',
+    saveChanges: 'Sačuvaj izmjene',
+    enteredAsText: 'Mjesta upisana kao tekst',
+    linkHint: 'Povežite ih s mjestom iz registra da bi se prikazala na karti. Svi članovi i događaji s istim tekstom povezuju se odjednom.',
+    linkTo: 'Poveži sa: {name}',
+    linkToOther: 'Poveži s drugim mjestom',
+    link: 'Poveži',
+    registryEmpty: 'Registar mjesta je još prazan.',
+    columns: {
+      place: 'Mjesto',
+      type: 'Vrsta',
+      coordinates: 'Koordinate',
+      usedBy: 'Korišćeno',
+    },
+    notSet: 'Nije postavljeno',
+    saved: '{name} je sačuvano',
+    created: '{name} je dodano',
+    createdAndLinked: {
+      one: '{name} je dodano i povezano s {count} zapisom',
+      few: '{name} je dodano i povezano s {count} zapisa',
+      other: '{name} je dodano i povezano s {count} zapisa',
+    },
+    linked: {
+      one: '"{text}" je povezano sa: {name} ({count} zapis)',
+      few: '"{text}" je povezano sa: {name} ({count} zapisa)',
+      other: '"{text}" je povezano sa: {name} ({count} zapisa)',
+    },
+    deleted: '{name} je obrisano',
+    confirmDelete: 'Obrisati {name}? Članovi i događaji zadržavaju naziv kao tekst.',
+    mapFailed: 'Karta nije učitana',
+    registryFailed: 'Registar mjesta nije učitan',
+    saveFailed: 'Mjesto nije sačuvano',
+    deleteFailed: 'Mjesto nije obrisano',
+    linkFailed: 'Mjesto nije povezano',
+  },
+
+  articles: {
+    title: 'Članci',
+    subtitle: 'Istražite porodičnu istoriju i priče',
+    searchPlaceholder: 'Pretraži članke...',
+    filterByCategory: 'Filtriraj po kategoriji',
+    allCategories: 'Sve kategorije',
+    loading: 'Učitavanje članaka...',
+    empty: 'Nema pronađenih članaka.',
+    readMore: 'Pročitaj više →',
+    loadFailed: 'Članci nisu učitani',
+  },
+
+  article: {
+    title: 'Članak',
+    loading: 'Učitavanje članka...',
+    notFound: 'Članak nije pronađen',
+    edit: 'Uredi članak',
+    delete: 'Obriši članak',
+    untranslated: 'Ovaj članak još nije dostupan na jeziku: {requested}; prikazan je u originalu ({source}).',
+    partlyUntranslated: 'Dijelovi ovog članka još nisu dostupni na jeziku: {requested}; prikazani su u originalu ({source}).',
+    thisArticle: 'Ovaj članak',
+    citeSource: '+ Navedi izvor',
+    gallery: 'Galerija',
+    tabs: {
+      read: 'Članak',
+      history: 'Istorija',
+    },
+    fields: {
+      title: 'Naslov',
+      titlePlaceholder: 'Unesite naslov članka',
+      category: 'Kategorija (neobavezno)',
+      categoryPlaceholder: 'Unesite kategoriju ili ostavite prazno',
+      content: 'Sadržaj',
+      contentPlaceholder: 'Unesite sadržaj članka...',
+    },
+    saveChanges: 'Sačuvaj izmjene',
+    titleRequired: 'Naslov je obavezan',
+    contentRequired: 'Sadržaj je obavezan',
+    updated: 'Članak je uspješno ažuriran!',
+    deleted: 'Članak je uspješno obrisan!',
+    confirmDelete: 'Da li ste sigurni da želite obrisati ovaj članak?',
+    editLoadFailed: 'Članak nije učitan za uređivanje',
+    updateFailed: 'Članak nije ažuriran',
+    deleteFailed: 'Članak nije obrisan',
+  },
+
+  adminArticles: {
+    title: 'Upravljanje člancima',
+    new: '+ Novi članak',
+    newTitle: 'Novi članak',
+    create: 'Napravi članak',
+    update: 'Ažuriraj članak',
+    empty: 'Još nema članaka. Napravite prvi članak za početak.',
+    fields: {
+      title: 'Naslov',
+      content: 'Sadržaj članka',
+    },
+    noCategory: 'Bez kategorije',
+    newCategory: '+ Nova kategorija',
+    newCategoryPrompt: 'Naziv nove kategorije:',
+    writtenIn: 'Napisano na jeziku',
+    preview: 'Pregled',
+    translations: 'Prevodi',
+    translationsHint: 'Naslov i sadržaj na ostalim jezicima enciklopedije. Čitaoci vide članak na svom jeziku tamo gdje je preveden.',
+    images: 'Slike članka',
+    imagesHint: 'Otpremite slike za galeriju članka. Možete dodati najviše {count} slika.',
+    currentImages: 'Trenutne slike',
+    addImages: 'Dodaj slike',
+    created: 'Članak je uspješno napravljen!',
+    saveFailed: 'Članak nije sačuvan',
+    imageUploaded: 'Slika je uspješno otpremljena!',
+    imageDeleted: 'Slika je uspješno obrisana!',
+    imageDeleteFailed: 'Slika nije obrisana',
+  },
+
+  admin: {
+    title: 'Administracija',
+    subtitle: 'Upravljanje korisnicima i podešavanjima sistema',
+    createTitle: 'Novi korisnik',
+    showForm: 'Prikaži obrazac',
+    hideForm: 'Sakrij obrazac',
+    fields: {
+      email: 'E-pošta',
+      name: 'Ime i prezime',
+      namePlaceholder: 'Petar Petrović',
+      password: 'Lozinka',
+      role: 'Uloga',
+    },
+    roles: {
+      viewer: 'Čitalac (samo čitanje)',
+      editor: 'Urednik (može uređivati sadržaj)',
+      admin: 'Administrator (pun pristup)',
+    },
+    create: 'Napravi korisnika',
+    creating: 'Pravljenje...',
+    allUsers: 'Svi korisnici ({count})',
+    loading: 'Učitavanje korisnika...',
+    columns: {
+      name: 'Ime',
+      status: 'Status',
+      actions: 'Radnje',
+    },
+    active: 'Aktivan',
+    inactive: 'Neaktivan',
+    empty: 'Nema pronađenih korisnika',
+    accessDenied: 'Pristup odbijen',
+    noPermission: 'Nemate dozvolu za pristup administraciji.',
+    adminsOnly: 'Samo administratori mogu upravljati korisnicima i podešavanjima sistema.',
+    fillAllFields: 'Popunite sva polja',
+    created: 'Korisnik "{name}" je uspješno napravljen',
+    deleted: 'Korisnik "{name}" je uspješno obrisan',
+    confirmDelete: 'Da li ste sigurni da želite obrisati korisnika "{name}"?',
+    roleUpdated: 'Uloga korisnika je uspješno ažurirana',
+    loadFailed: 'Korisnici nisu učitani',
+    createFailed: 'Korisnik nije napravljen',
+    deleteFailed: 'Korisnik nije obrisan',
+    roleUpdateFailed: 'Uloga korisnika nije ažurirana',
+  },
+
+  articleEditor: {
+    tabs: {
+      content: 'Sadržaj',
+      history: 'Istorija',
+    },
+    retranslateOutdated: 'Ponovo prevedi zastarjele',
+    translationCount: { one: '{count} prevod', few: '{count} prevoda', other: '{count} prevoda' },
+    outdatedCount: 'zastarjelih: {count}',
+    selectMember: 'Izaberite člana porodice',
+    language: 'Jezik',
+    template: 'Šablon',
+    templates: {
+      basic: 'Osnovni (odjeljak + pasus)',
+      infobox: 'S infokutijom',
+      fullFeatured: 'Potpun (u stilu Wikipedije)',
+    },
+    content: 'Sadržaj članka (HTML)',
+    contentPlaceholder: 'Unesite sadržaj članka u HTML-u...',
+    insertInfobox: 'Umetni infokutiju',
+    insertSection: 'Umetni odjeljak',
+    insertTable: 'Umetni tabelu',
+    save: 'Sačuvaj članak',
+    translationsHint: 'Čitaoci vide verziju na svom jeziku, ili izvornik s napomenom kada je nema. Prevodi ranije revizije članka su zastarjeli.',
+    status: {
+      source: 'Izvornik',
+      auto: 'Mašinski preveden',
+      reviewed: 'Pregledao čovjek',
+      outdated: 'Zastario',
+      missing: 'Nije preveden',
+    },
+    revisionOf: '(revizija {revision} od {latest})',
+    machineTranslate: 'Mašinski prevedi',
+    retranslate: 'Ponovo prevedi',
+    translateByHand: 'Prevedi ručno',
+    retranslateAllOutdated: 'Ponovo prevedi sve zastarjele ({count})',
+    translationTitle: 'Prevod: {language}',
+    changedParagraphs: 'Izmijenjeno pasusa: {changed} od {count}',
+    saveHint: 'Čuvanjem se prevod označava kao pregledan za reviziju {revision} članka. Pasusi zadržavaju oznake: mijenjajte tekst i zadržite oznake kao što su <b> i <a>.',
+    notAligned: 'Ovaj prevod više nema iste pasuse kao članak, pa se uređuje u cjelini.',
+    sourceColumn: '{language} (izvornik)',
+    translationHtml: 'Prevod (HTML)',
+    saveReviewed: 'Sačuvaj kao pregledano',
+    contentEmpty: 'Sadržaj ne može biti prazan',
+    selectMemberRequired: 'Izaberite člana porodice',
+    translated: 'Članak je uspješno preveden na jezik: {language}!',
+    translateFailed: 'Prevođenje nije uspjelo',
+    noOutdated: 'Nema zastarjelih mašinskih prevoda.',
+    confirmRetranslate: {
+      one: 'Ponovo prevesti {count} zastarjeli mašinski prevod?',
+      few: 'Ponovo prevesti {count} zastarjela mašinska prevoda?',
+      other: 'Ponovo prevesti {count} zastarjelih mašinskih prevoda?',
+    },
+    retranslated: {
+      one: 'Ponovo preveden {count} prevod.',
+      few: 'Ponovo prevedena {count} prevoda.',
+      other: 'Ponovo prevedeno {count} prevoda.',
+    },
+    retranslateFailures: {
+      one: '{count} prevod nije uspio: {failures}',
+      few: '{count} prevoda nisu uspjela: {failures}',
+      other: '{count} prevoda nije uspjelo: {failures}',
+    },
+    retranslateFailed: 'Ponovno prevođenje nije uspjelo',
+    translationEmpty: 'Prevod ne može biti prazan',
+    translationSaved: 'Prevod ({language}) je sačuvan kao pregledan.',
+    translationSavedRemembered: {
+      one: 'Prevod ({language}) je sačuvan kao pregledan ({count} segment je dodan u memoriju prevoda).',
+      few: 'Prevod ({language}) je sačuvan kao pregledan ({count} segmenta su dodana u memoriju prevoda).',
+      other: 'Prevod ({language}) je sačuvan kao pregledan ({count} segmenata je dodano u memoriju prevoda).',
+    },
+    translationSaveFailed: 'Prevod nije sačuvan',
+  },
+
+  paragraphTags: {
+    paragraph: 'Pasus',
+    heading: 'Naslov',
+    listItem: 'Stavka liste',
+    tableCell: 'Ćelija tabele',
+    tableHeader: 'Zaglavlje tabele',
+    caption: 'Natpis',
+    quote: 'Citat',
+  },
+
+  editMember: {
+    title: 'Uređivanje: {name}',
+    subtitle: 'Ažurirajte podatke i fotografije člana porodice',
+    details: 'Podaci o članu',
+    fields: {
+      name: 'Ime i prezime',
+      birthDate: 'Datum rođenja',
+      birthPlace: 'Mjesto rođenja',
+      deathDate: 'Datum smrti',
+      deathPlace: 'Mjesto smrti',
+      burialDate: 'Datum sahrane',
+      burialPlace: 'Mjesto sahrane',
+      occupation: 'Zanimanje',
+      shortBio: 'Kratka biografija',
+      shortBioPlaceholder: 'Kratak opis člana porodice...',
+    },
+    view: {
+      name: 'Ime:',
+      born: 'Rođen:',
+      died: 'Umro:',
+      buried: 'Sahranjen:',
+      occupation: 'Zanimanje:',
+      shortBio: 'Kratka biografija:',
+      writtenIn: 'Napisano na jeziku:',
+    },
+    edit: 'Uredi člana',
+    translationsHint: 'Mjesto rođenja, zanimanje i kratka biografija na ostalim jezicima enciklopedije.',
+    photos: 'Fotografije člana',
+    uploadPhotos: 'Otpremi fotografije',
+    uploadHint: 'Otpremite fotografije člana porodice. Ukupno možete dodati najviše {count} fotografija.',
+    noPermission: 'Nemate dozvolu za uređivanje članova porodice.',
+    updated: 'Član porodice je uspješno ažuriran!',
+    saveFailed: 'Izmjene nisu sačuvane. Pokušajte ponovo.',
+    loadFailed: 'Član porodice nije učitan.',
+    loadFailedRetry: 'Član porodice nije učitan. Pokušajte ponovo.',
+  },
+
+  familyManagement: {
+    title: 'Upravljanje porodicom',
+    subtitle: 'Dodajte članove porodice i srodstva i upravljajte njima',
+    importLink: 'Uvoz iz GEDCOM datoteke →',
+    duplicatesLink: 'Pronađi duple članove →',
+    membersTab: 'Članovi porodice',
+    relationshipsTab: 'Srodstva',
+    membersHeading: 'Članovi porodice ({count})',
+    addMember: '+ Dodaj člana',
+    namePlaceholder: 'npr. Hamza Kurpejović',
+    birthPlacePlaceholder: 'npr. Novi Pazar',
+    deathDateLabel: 'Datum smrti (ostavite prazno ako je živ)',
+    occupationPlaceholder: 'npr. učitelj, zemljoradnik, ljekar',
+    biography: 'Biografija',
+    biographyPlaceholder: 'Kratak opis ove osobe...',
+    createMember: 'Dodaj člana',
+    loadingMembers: 'Učitavanje članova...',
+    noMembers: 'Još nema članova porodice. Dodajte prvog člana za početak!',
+    addRelationship: '+ Dodaj srodstvo',
+    relationshipHelp: 'Odredite kako su članovi porodice u srodstvu. Na primjer:<br>'
+      + '• Ako je <strong>Hamza</strong> <strong>otac</strong> <strong>Abida</strong>, izaberite Hamza, <strong>Roditelj</strong>, Abid<br>'
+      + '• Ako je <strong>Hamza</strong> <strong>brat</strong> <strong>Nejre</strong>, izaberite Hamza, <strong>Brat/sestra</strong>, Nejra<br>'
+      + 'Obrnuto srodstvo (Abid je Hamzino dijete) dodaje se automatski. '
+      + 'Djedovi i bake, rođaci i tazbina slijede iz ovih veza.',
+    person: 'Osoba *',
+    selectMember: 'Izaberite člana porodice',
+    relationshipType: 'Vrsta srodstva *',
+    relatedTo: 'U srodstvu sa *',
+    selectRelated: 'Izaberite srodnog člana porodice',
+    relationshipTypes: {
+      parent: 'Roditelj',
+      child: 'Dijete',
+      spouse: 'Supružnik',
+      sibling: 'Brat/sestra',
+    },
+    unionType: 'Vrsta zajednice',
+    unionTypes: {
+      marriage: 'Brak',
+      civil_union: 'Građanska zajednica',
+      partnership: 'Partnerstvo',
+    },
+    place: 'Mjesto',
+    marriagePlace: 'Mjesto vjenčanja',
+    marriagePlacePlaceholder: 'npr. Sarajevo',
+    marriageDate: 'Datum vjenčanja',
+    endDate: 'Datum završetka',
+    endedBy: 'Završeno zbog',
+    endReasons: {
+      none: 'Još su zajedno',
+      divorce: 'Razvod',
+      death: 'Smrt partnera',
+      annulment: 'Poništenje',
+      separation: 'Razdvajanje',
+    },
+    until: 'do',
+    createRelationship: 'Dodaj srodstvo',
+    needTwoMembers: 'Za srodstva su potrebna najmanje 2 člana porodice. Prvo ih dodajte na kartici Članovi porodice!',
+    existingRelationships: 'Postojeća srodstva',
+    showRelationshipsOf: 'Prikaži srodstva za',
+    is: 'je',
+    of: 'za: {name}',
+    relationshipOf: 'Srodstvo: {name}',
+    unionChild: 'Dijete iz ove zajednice',
+    addUnionChild: 'Dodajte dijete iz ove zajednice…',
+    addChild: 'Dodaj dijete',
+    noRelationships: 'Za {name} još nema zabilježenih srodstava.',
+    noPermission: 'Nemate dozvolu za upravljanje članovima porodice.',
+    editorsOnly: 'Samo urednici i administratori mogu upravljati porodičnim stablom.',
+    nameRequired: 'Ime je obavezno',
+    memberCreated: '"{name}" je uspješno dodan!',
+    memberDeleted: '"{name}" je uspješno obrisan',
+    confirmDeleteMember: 'Da li ste sigurni da želite obrisati "{name}"? Time se uklanjaju i sva njegova srodstva.',
+    selectBoth: 'Izaberite oba člana porodice',
+    samePerson: 'Osoba ne može biti u srodstvu sama sa sobom',
+    relationshipCreated: 'Srodstvo je dodano: "{member}" je {type} za "{related}"',
+    relationshipUpdated: 'Srodstvo je ažurirano: "{member}" je sada {type} za "{related}"',
+    unionSaved: 'Zajednica "{member}" i "{related}" je sačuvana',
+    childAdded: '"{child}" je dodan kao dijete "{member}" i "{related}"',
+    confirmRemoveRelationship: 'Ukloniti srodstvo između "{member}" i "{related}"?',
+    relationshipRemoved: 'Srodstvo je uklonjeno',
+    loadFailed: 'Članovi porodice nisu učitani',
+    memberCreateFailed: 'Član porodice nije dodan',
+    memberDeleteFailed: 'Član porodice nije obrisan',
+    relationshipCreateFailed: 'Srodstvo nije dodano',
+    relationshipsLoadFailed: 'Srodstva nisu učitana',
+    relationshipUpdateFailed: 'Srodstvo nije ažurirano',
+    unionSaveFailed: 'Zajednica nije sačuvana',
+    childAddFailed: 'Dijete nije dodano',
+    relationshipRemoveFailed: 'Srodstvo nije uklonjeno',
+  },
+
+  member: {
+    notice: {
+      untranslated: 'Ova biografija još nije dostupna na jeziku: {requested}; prikazana je u originalu ({source}).',
+      outdated: 'Ovaj prevod je napravljen prije posljednje izmjene originala ({source}) i možda je zastario.',
+      machineTranslated: 'Ova biografija je mašinski prevedena s originala ({source}).',
+    },
+    summary: 'Sažetak',
+    birthPlace: 'Mjesto rođenja:',
+    biography: 'Biografija',
+    marriagesAndChildren: 'Brakovi i djeca',
+    unions: {
+      marriage: 'Vjenčani',
+      civil_union: 'Građanska zajednica',
+      partnership: 'Partneri',
+      place: 'u mjestu {place}',
+      divorce: 'Razvedeni',
+      death: 'Obudovio',
+      annulment: 'Poništeno',
+      separation: 'Razdvojeni',
+      ended: 'Završeno',
+    },
+    bornShort: 'rođ. {year}',
+    otherChildren: 'Ostala djeca',
+    timeline: 'Hronologija',
+    sources: 'Izvori',
+    seeAlso: 'Vidi također',
+    howRelated: 'Kako smo u srodstvu?',
+    noBiography: 'Biografija još nije napisana.',
+    info: {
+      title: 'Podaci',
+      born: 'Rođen',
+      died: 'Umro',
+      buried: 'Sahranjen',
+      parents: 'Roditelji',
+      spouses: { one: 'Supružnik', few: 'Supružnici', other: 'Supružnici' },
+      children: 'Djeca',
+      siblings: 'Braća i sestre',
+    },
+    tree: {
+      title: 'Porodično stablo',
+      view: 'Pogledaj interaktivno porodično stablo →',
+      descendants: 'Potomci (GEDCOM)',
+      ancestors: 'Preci (GEDCOM)',
+      whole: 'Cijelo porodično stablo (GEDCOM)',
+    },
+    notFound: 'Član porodice nije pronađen.',
+  },
+
+  duplicates: {
+    title: 'Mogući duplikati',
+    subtitle: 'Članovi koji su možda upisani dvaput, pod malo drugačijim imenom',
+    show: 'Prikaži',
+    scores: {
+      veryLikely: 'Vrlo vjerovatno ({score}+)',
+      likely: 'Vjerovatno ({score}+)',
+      possible: 'Moguće ({score}+)',
+    },
+    searching: 'Traženje duplikata...',
+    empty: 'Nema mogućih duplikata.',
+    matchScore: 'Stepen podudarnosti',
+    reasons: {
+      sameName: 'Isto ime',
+      similarName: 'Slično ime ({percent}%)',
+      bornSameYear: 'Rođeni iste godine',
+      diedSameYear: 'Umrli iste godine',
+      bornYearsApart: {
+        one: 'Rođeni s razmakom od {count} godine',
+        few: 'Rođeni s razmakom od {count} godine',
+        other: 'Rođeni s razmakom od {count} godina',
+      },
+      diedYearsApart: {
+        one: 'Umrli s razmakom od {count} godine',
+        few: 'Umrli s razmakom od {count} godine',
+        other: 'Umrli s razmakom od {count} godina',
+      },
+      sameBirthPlace: 'Isto mjesto rođenja',
+      sharedRelatives: {
+        one: '{count} zajednički srodnik',
+        few: '{count} zajednička srodnika',
+        other: '{count} zajedničkih srodnika',
+      },
+    },
+    compare: 'Uporedi i spoji',
+    swap: 'Zadrži drugog člana',
+    keep: 'Zadržati:',
+    mergeAndDelete: 'Spojiti i obrisati:',
+    fields: {
+      name: 'Ime',
+      birth_date: 'Datum rođenja',
+      birth_place: 'Mjesto rođenja',
+      death_date: 'Datum smrti',
+      death_place: 'Mjesto smrti',
+      burial_date: 'Datum sahrane',
+      burial_place: 'Mjesto sahrane',
+      occupation: 'Zanimanje',
+      short_bio: 'Kratka biografija',
+    },
+    willBeKept: '(biće zadržano)',
+    checking: 'Provjera spajanja...',
+    relationshipsMove: {
+      one: '{count} srodstvo prelazi na #{id}',
+      few: '{count} srodstva prelaze na #{id}',
+      other: '{count} srodstava prelazi na #{id}',
+    },
+    relationshipsShared: {
+      one: '{count} je već zabilježeno za oba',
+      few: '{count} su već zabilježena za oba',
+      other: '{count} je već zabilježeno za oba',
+    },
+    alsoMoved: 'Prenosi se i:',
+    records: {
+      life_events: { one: '{count} životni događaj', few: '{count} životna događaja', other: '{count} životnih događaja' },
+      images: { one: '{count} slika', few: '{count} slike', other: '{count} slika' },
+      citations: { one: '{count} navod', few: '{count} navoda', other: '{count} navoda' },
+      translations: { one: '{count} prevod', few: '{count} prevoda', other: '{count} prevoda' },
+      audit_logs: { one: '{count} zapis istorije', few: '{count} zapisa istorije', other: '{count} zapisa istorije' },
+    },
+    articleChoice: 'Oba člana imaju biografski članak. Zadržati:',
+    articleOf: 'Članak člana #{id}',
+    otherArticleDeleted: 'Drugi članak i njegovi prevodi se brišu.',
+    conflicts: 'Ovi srodnici su s dva člana povezani na različite načine. Ispravite srodstva prije spajanja:',
+    relationshipOf: '{type} za #{id}',
+    relationships: {
+      parent: 'roditelj',
+      child: 'dijete',
+      spouse: 'supružnik',
+      sibling: 'brat/sestra',
+    },
+    mergeInto: 'Spoji u #{id}',
+    confirmMerge: 'Spojiti {duplicate} u {survivor}? {duplicate} će biti obrisan.',
+    merged: '{duplicate} je spojen u {survivor}',
+    loadFailed: 'Mogući duplikati nisu učitani',
+    previewFailed: 'Pregled spajanja nije uspio',
+    mergeFailed: 'Članovi nisu spojeni',
+  },
+
+  gedcomImport: {
+    title: 'Uvoz GEDCOM datoteke',
+    subtitle: 'Uvezite članove porodice i srodstva iz drugih genealoških programa',
+    back: 'Nazad na upravljanje porodicom',
+    steps: {
+      choose: '1. Izaberite datoteku',
+      preview: '2. Pregled',
+      imported: '3. Uvezeno',
+    },
+    help: 'Izaberite GEDCOM 5.5.1 datoteku (<strong>.ged</strong>) izvezenu iz drugog genealoškog programa.<br>'
+      + 'Osobe (INDI) postaju članovi porodice, porodice (FAM) postaju bračna i roditeljska srodstva.<br>'
+      + 'Ništa se ne čuva dok ne potvrdite pregled ispod.',
+    selectFile: 'Izaberite GEDCOM datoteku...',
+    processing: 'Obrada GEDCOM datoteke...',
+    importMembers: {
+      one: 'Uvezi {count} člana',
+      few: 'Uvezi {count} člana',
+      other: 'Uvezi {count} članova',
+    },
+    another: 'Uvezi drugu datoteku',
+    members: 'Članovi',
+    relationshipsHeading: 'Srodstva',
+    warnings: 'Upozorenja',
+    columns: {
+      xref: 'GEDCOM ID',
+      name: 'Ime',
+      born: 'Rođen',
+      died: 'Umro',
+      birthPlace: 'Mjesto rođenja',
+      occupation: 'Zanimanje',
+    },
+    relationships: {
+      parent: 'je roditelj za',
+      spouse: 'je supružnik za',
+    },
+    memberCount: { one: '{count} člana', few: '{count} člana', other: '{count} članova' },
+    relationshipCount: { one: '{count} srodstvo', few: '{count} srodstva', other: '{count} srodstava' },
+    confirm: 'Uvesti {members} i {relationships}?',
+    imported: 'Uvezeno: {members} i {relationships}',
+    readFailed: 'GEDCOM datoteka nije pročitana',
+    importFailed: 'Uvoz nije uspio, ništa nije sačuvano',
+  },
+
+  glossary: {
+    title: 'Pojmovnik prevoda',
+    subtitle: 'Kako se porodična imena, mjesta i nazivi srodstva mašinski prevode',
+    from: 'Iz',
+    into: 'Na',
+    loading: 'Učitavanje pojmovnika...',
+    glossaryHeading: 'Pojmovnik {pair}',
+    glossaryHint: 'Pojam s prevodom uvijek se tako prevodi; pojam bez prevoda ostaje kakav jeste. Pojmovi napisani malim slovima podudaraju se i na početku rečenice. Imena članova porodice uvijek se zadržavaju.',
+    term: 'Pojam',
+    termPlaceholder: 'npr. amidža',
+    translation: 'Prevod',
+    translationPlaceholder: 'Prazno: zadrži pojam',
+    notes: 'Bilješke',
+    addTerm: 'Dodaj pojam',
+    searchTerms: 'Pretraži pojmove i prevode...',
+    noTerms: 'U ovom pojmovniku još nema pojmova.',
+    keepTerm: 'Zadrži pojam',
+    keptAsIs: 'ostaje kakav jeste',
+    memoryHeading: 'Memorija prevoda {pair}',
+    memoryHint: 'Segmenti koje je preveo čovjek. Kada se isti pasus, ćelija tabele ili natpis ponovo prevodi, koristi se zapamćeni prevod umjesto mašinskog. Ovdje se dodaju prevodi ispravljeni u uređivaču biografija.',
+    addSegment: 'Dodaj segment',
+    sourceText: 'Izvorni tekst',
+    searchSegments: 'Pretraži izvorne tekstove i prevode...',
+    noSegments: 'Još nema zapamćenih segmenata.',
+    memoryLimit: {
+      one: 'Prikazan je {count} najnoviji segment; pretražite da nađete starije.',
+      few: 'Prikazana su {count} najnovija segmenta; pretražite da nađete starije.',
+      other: 'Prikazano je {count} najnovijih segmenata; pretražite da nađete starije.',
+    },
+    termAdded: '"{term}" je dodan u pojmovnik {pair}',
+    termSaved: '"{term}" je sačuvan',
+    termRemoved: '"{term}" je uklonjen',
+    confirmRemoveTerm: 'Ukloniti "{term}" iz pojmovnika {pair}?',
+    segmentAdded: 'Segment je dodan u memoriju prevoda',
+    segmentRemoved: 'Segment je uklonjen',
+    confirmRemoveSegment: 'Ukloniti ovaj segment iz memorije prevoda? Ponovo će se prevoditi mašinski.',
+    loadFailed: 'Pojmovnik nije učitan',
+    searchFailed: 'Pretraga nije uspjela',
+    termAddFailed: 'Pojam nije dodan',
+    termSaveFailed: 'Pojam nije sačuvan',
+    termRemoveFailed: 'Pojam nije uklonjen',
+    segmentAddFailed: 'Segment nije dodan',
+    segmentRemoveFailed: 'Segment nije uklonjen',
+  },
+
+  revisionHistory: {
+    loading: 'Učitavanje istorije...',
+    loadFailed: 'Istorija izmjena nije učitana',
+    hint: 'Svaka sačuvana izmjena je jedna revizija. Izaberite dvije revizije da ih uporedite, ili uporedite reviziju s prethodnom.',
+    compareFrom: 'Uporedi od revizije {revision}',
+    compareTo: 'Uporedi do revizije {revision}',
+    compareSelected: 'Uporedi izabrane revizije',
+    revision: 'Revizija {revision}',
+    current: 'trenutna',
+    unknownEditor: 'nepoznat urednik',
+    size: { one: '{count} znak', few: '{count} znaka', other: '{count} znakova' },
+    restoredFrom: 'vraćena iz revizije {revision}',
+    view: 'Prikaži',
+    changes: 'Izmjene',
+    restore: 'Vrati',
+    confirmRestore: 'Vratiti reviziju {revision}? Njen sadržaj postaje nova revizija; trenutna ostaje u istoriji.',
+    restored: 'Revizija {revision} je vraćena.',
+    restoreFailed: 'Revizija nije vraćena',
+    revisionLoadFailed: 'Revizija nije učitana',
+    diffFailed: 'Revizije nisu upoređene',
+    diffTitle: 'Izmjene od revizije {from} do revizije {to}',
+    added: { one: 'dodata {count} riječ', few: 'dodate {count} riječi', other: 'dodato {count} riječi' },
+    removed: { one: 'uklonjena {count} riječ', few: 'uklonjene {count} riječi', other: 'uklonjeno {count} riječi' },
+    noChanges: 'Dvije revizije su iste.',
+    titleChange: 'Naslov',
+    olderNotKept: 'Ranije revizije su napisane prije nego što se istorija čuvala.',
+  },
+  articleFormat: {
+    label: 'Napisano u',
+    html: 'HTML',
+    wiki: 'Wiki oznake',
+    help: '## Naslov počinje odjeljak · **podebljano** · *kurziv* · [tekst](https://…) · - stavka liste · | tabela | red |\n[[Ime Člana]] ili [[member:42]] povezuje člana porodice · [[article:Naslov]] opšti članak · [[image:12]] prikazuje otpremljenu sliku · [[member:42|oznaka]] prikazuje vaš tekst\n{{member infobox}} prikazuje infokutiju člana, popunjenu iz porodičnog stabla · {{infobox | title = Ime | image = 12 | Born = 1901, Rožaje }} pravi vašu, jedno "| naziv = vrijednost" po redu',
+    convertFailed: 'Wiki oznake nije bilo moguće pretvoriti u HTML.',
+  },
+  wikiPreview: {
+    failed: 'Pregled nije bilo moguće prikazati.',
+    missingLinks: {
+      one: '{count} veza ne vodi nikuda:',
+      few: '{count} veze ne vode nikuda:',
+      other: '{count} veza ne vodi nikuda:',
+    },
+  },
+
+  mentionedIn: {
+    title: 'Pominje se u',
+    member_article: 'biografija',
+    general_article: 'članak',
+  },
+
+  brokenLinks: {
+    title: 'Neispravne veze ({count})',
+    hint: 'Veze u biografijama i člancima koje ne vode nikuda. Ispravite ih u članku; spisak se obnavlja kada se članak sačuva.',
+    refresh: 'Osvježi',
+    empty: 'Nema neispravnih veza',
+    loadFailed: 'Učitavanje neispravnih veza nije uspjelo',
+    targets: {
+      member: 'član porodice #{id}',
+      article: 'članak #{id}',
+    },
+    reasons: {
+      unresolved: 'Nije pronađeno',
+      missing: 'Ne postoji',
+    },
+  },
+}
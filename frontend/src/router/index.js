@@ -10,15 +10,22 @@
  * - / (Home): Landing page with featured family members and articles
  * - /login: User authentication form
  * - /member/:id: View family member profile (public profile)
+ * - /tree/:id: Interactive multi-generation family tree
  * - /search: Family member search interface
  * - /articles: List all general articles
  * - /articles/:id: View specific article
+ * - /sources, /sources/:id: Sources and what they are cited for
+ * - /places: Map of where family members were born, lived and died
  * 
  * Protected Routes (authentication required):
  * - /member/:id/edit: Edit family member profile (requiresEdit permission)
  * - /family: Family management dashboard (requiresEdit permission)
+ * - /family/import: GEDCOM import (requiresAdmin role)
+ * - /family/duplicates: Find and merge duplicate members (requiresEdit permission)
  * - /admin: Admin dashboard (requiresAdmin role)
  * - /admin/articles: Manage articles (requiresAdmin role)
+ * - /admin/member-articles: Edit member biographies and their translations (requiresAdmin role)
+ * - /admin/glossary: Translation glossary and translation memory (requiresAdmin role)
  * 
  * ACCESS CONTROL:
  * 
@@ -40,8 +47,8 @@
  * - Each route is a separate JavaScript chunk
  * 
  * Typical lazy-loaded component (10KB-30KB each):
- * HomePage, FamilyMemberPage, EditMemberPage, FamilyManagementPage,
- * AdminPage, SearchPage, ArticlesListPage, ArticlePage, AdminArticlePage
+ * HomePage, FamilyMemberPage, FamilyTreePage, EditMemberPage, FamilyManagementPage,
+ * AdminPage, SearchPage, ArticlesListPage, ArticlePage, AdminArticlePage, ArticleEditorPage
  * 
  * @module router
  */
@@ -133,6 +140,25 @@ const routes = [
     component: () => import('@/pages/FamilyMemberPage.vue'),
   },
 
+  /**
+   * Interactive Family Tree
+   * 
+   * Path: /tree/:id
+   * Example: /tree/42?mode=ancestors&depth=6
+   * 
+   * Displays:
+   * - Pannable, zoomable SVG descendant chart or ancestor pedigree
+   * - Collapsible branches and primary photo thumbnails
+   * - Click-through to member profiles
+   * 
+   * Access: Everyone
+   */
+  {
+    path: '/tree/:id',
+    name: 'FamilyTree',
+    component: () => import('@/pages/FamilyTreePage.vue'),
+  },
+
   /**
    * Edit Family Member Profile
    * 
@@ -183,6 +209,48 @@ const routes = [
     meta: { requiresAuth: true, requiresEdit: true },
   },
 
+  /**
+   * GEDCOM Import
+   * 
+   * Path: /family/import
+   * Features:
+   * - Upload a GEDCOM 5.5.1 file from other genealogy software
+   * - Dry-run preview of members, relationships and warnings
+   * - Confirmed import written in a single transaction
+   * 
+   * Access: Protected (Admin only)
+   * Requirements: requiresAuth + requiresAdmin
+   * 
+   * Unauthorized redirect: → /
+   */
+  {
+    path: '/family/import',
+    name: 'GedcomImport',
+    component: () => import('@/pages/GedcomImportPage.vue'),
+    meta: { requiresAuth: true, requiresAdmin: true },
+  },
+
+  /**
+   * Duplicate Members
+   * 
+   * Path: /family/duplicates
+   * Features:
+   * - Members that were probably entered twice, best match first
+   * - Side-by-side comparison choosing which values to keep
+   * - Merge preview, then a merge written in a single transaction
+   * 
+   * Access: Protected (Editor and Admin only)
+   * Requirements: requiresAuth + requiresEdit permissions
+   * 
+   * Unauthorized redirect: → /
+   */
+  {
+    path: '/family/duplicates',
+    name: 'Duplicates',
+    component: () => import('@/pages/DuplicatesPage.vue'),
+    meta: { requiresAuth: true, requiresEdit: true },
+  },
+
   /**
    * Search Interface
    * 
@@ -201,6 +269,57 @@ const routes = [
     component: () => import('@/pages/SearchPage.vue'),
   },
 
+  /**
+   * Sources List
+   * 
+   * Path: /sources
+   * Features:
+   * - Browse and search the sources the family history is based on
+   * - Filter by source type
+   * - Editors can record new sources
+   * 
+   * Access: Everyone (creating requires editor role)
+   */
+  {
+    path: '/sources',
+    name: 'Sources',
+    component: () => import('@/pages/SourcesPage.vue'),
+  },
+
+  /**
+   * Source Details
+   * 
+   * Path: /sources/:id
+   * Features:
+   * - Source details and scans
+   * - Everything the source is cited for
+   * - Editors can edit and delete the source, admins upload scans
+   * 
+   * Access: Everyone (changes require editor role)
+   */
+  {
+    path: '/sources/:id',
+    name: 'Source',
+    component: () => import('@/pages/SourcePage.vue'),
+  },
+
+  /**
+   * Places Map
+   * 
+   * Path: /places
+   * Features:
+   * - Map of where family members were born, lived and died
+   * - Filter by generation and period
+   * - Editors manage the places registry and link places entered as text
+   * 
+   * Access: Everyone (the registry requires editor role)
+   */
+  {
+    path: '/places',
+    name: 'Places',
+    component: () => import('@/pages/PlacesPage.vue'),
+  },
+
   /**
    * PROTECTED ROUTES - ADMIN ONLY
    * Require both authentication and admin role
@@ -297,6 +416,51 @@ const routes = [
     component: () => import('@/pages/AdminArticlePage.vue'),
     meta: { requiresAuth: true, requiresAdmin: true },
   },
+
+  /**
+   * Member Articles Editor (Admin Dashboard)
+   * 
+   * Path: /admin/member-articles
+   * Features:
+   * - Create, edit and delete family member biographies
+   * - Status of each language version (source, machine translated,
+   *   human reviewed, outdated)
+   * - Machine translate into missing or outdated languages
+   * - Correct a translation paragraph by paragraph, side by side with the source
+   * 
+   * Access: Protected (Admin only)
+   * Requirements: requiresAuth + requiresAdmin
+   * 
+   * Unauthorized redirect: → /
+   */
+  {
+    path: '/admin/member-articles',
+    name: 'MemberArticles',
+    component: () => import('@/pages/ArticleEditorPage.vue'),
+    meta: { requiresAuth: true, requiresAdmin: true },
+  },
+
+  /**
+   * Translation Glossary (Admin Dashboard)
+   * 
+   * Path: /admin/glossary
+   * Features:
+   * - Glossary per language pair: family-specific terms and how machine
+   *   translation renders them, or keeps them as they are
+   * - Translation memory: segments translated by people, used instead of
+   *   the machine translation
+   * 
+   * Access: Protected (Admin only)
+   * Requirements: requiresAuth + requiresAdmin
+   * 
+   * Unauthorized redirect: → /
+   */
+  {
+    path: '/admin/glossary',
+    name: 'TranslationGlossary',
+    component: () => import('@/pages/TranslationGlossaryPage.vue'),
+    meta: { requiresAuth: true, requiresAdmin: true },
+  },
 ]
 
 /**
@@ -349,13 +513,18 @@ const router = createRouter({
  * / (home)                 | ✓      | ✓             | ✓      | ✓
  * /login                   | ✓      | ✓             | ✓      | ✓
  * /member/:id              | ✓      | ✓             | ✓      | ✓
+ * /tree/:id                | ✓      | ✓             | ✓      | ✓
  * /member/:id/edit         | ✗      | ✗             | ✓      | ✓
  * /family                  | ✗      | ✗             | ✓      | ✓
+ * /family/import           | ✗      | ✗             | ✗      | ✓
+ * /family/duplicates       | ✗      | ✗             | ✓      | ✓
  * /search                  | ✓      | ✓             | ✓      | ✓
  * /articles                | ✓      | ✓             | ✓      | ✓
  * /articles/:id            | ✓      | ✓             | ✓      | ✓
  * /admin                   | ✗      | ✗             | ✗      | ✓
  * /admin/articles          | ✗      | ✗             | ✗      | ✓
+ * /admin/member-articles   | ✗      | ✗             | ✗      | ✓
+ * /admin/glossary          | ✗      | ✗             | ✗      | ✓
  * 
  * @param {RouteLocationNormalized} to - Destination route
  * @param {RouteLocationNormalized} from - Source route
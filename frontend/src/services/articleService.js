@@ -3,9 +3,11 @@
  * 
  * Handles family member biography articles:
  * - Retrieving articles in specific languages
+ *   (each member has one article, written in its source language;
+ *   the other languages are translations of it)
  * - Creating and updating articles
- * - Managing article translations
- * - Viewing article history and versions
+ * - Managing article translations (machine translation, human-corrected translations)
+ * - Revision history: comparing and restoring revisions
  * 
  * Note: This is for family member articles only
  * Use generalArticleService for standalone articles
@@ -14,19 +16,43 @@
 import api from './api'
 
 export const articleService = {
+  /**
+   * List all member articles with the status of their translations
+   * 
+   * Requires authentication with "admin" role
+   * 
+   * @async
+   * @returns {Promise<Object>} Object containing:
+   *   - articles: Array of articles with member_name, language (source language)
+   *     and translations ({ language, status })
+   *   - count: Number of articles
+   * 
+   * @example
+   * const { articles } = await articleService.getArticles()
+   */
+  async getArticles() {
+    const response = await api.get('/articles')
+    return response.data
+  },
+
   /**
    * Retrieve article for a family member in specified language
    * 
-   * Searches for article in requested language
-   * If not found in requested language, returns available article or null
+   * Returns the version in the requested language; without one, the
+   * article in its source language with is_fallback set
    * 
    * @async
    * @param {number} id - Family member ID
    * @param {string} [language='sr'] - Language code (sr, en, fr, de, sv, it, es, sq, tr)
-   * @returns {Promise<Object|null>} Article object containing:
+   * @returns {Promise<Object>} Article object containing:
    *   - id: Article ID
    *   - family_member_id: Associated family member ID
-   *   - language: Language code
+   *   - language: Language code of the content returned
+   *   - requested_language: Language code asked for
+   *   - source_language: Language code the article was written in
+   *   - is_fallback: true when shown in the source language instead
+   *   - status: 'source', 'auto' (machine translated), 'reviewed' or 'outdated'
+   *   - available_languages: Language codes the article can be read in
    *   - content: HTML formatted article content
    *   - created_at: Creation date
    *   - updated_at: Last update date
@@ -52,26 +78,27 @@ export const articleService = {
   },
 
   /**
-   * Get all past versions of an article (edit history)
+   * Get the revision history of an article
    * 
-   * Useful for tracking changes and reverting to previous versions
-   * Shows who edited the article and when
+   * Every change of content is a revision; a restored revision is a new one
    * 
    * @async
    * @param {number} id - Article ID
    * @returns {Promise<Object>} Object containing:
    *   - article_id: The article ID
-   *   - versions: Array of article versions with:
-   *     - id: Version ID
-   *     - content: Article content at that version
-   *     - created_at: When this version was created
-   *     - updated_at: When this version was updated
-   *     - created_by_name: Name of editor who created this version
+   *   - revision: Current revision number
+   *   - revisions: Revisions, newest first, each with:
+   *     - revision: Revision number
+   *     - language: Language of the content
+   *     - restored_from: Revision it restored, or null
+   *     - created_by_name: Name of editor who wrote it
+   *     - created_at: When it was written
+   *     - size: Length of the content in characters
    * 
    * @example
    * const history = await articleService.getArticleHistory(1)
-   * history.versions.forEach(v => {
-   *   console.log(`Edited at ${v.updated_at} by ${v.created_by_name}`)
+   * history.revisions.forEach(r => {
+   *   console.log(`Revision ${r.revision} by ${r.created_by_name}`)
    * })
    */
   async getArticleHistory(id) {
@@ -79,6 +106,55 @@ export const articleService = {
     return response.data
   },
 
+  /**
+   * Get one revision of an article, with its content
+   * 
+   * @async
+   * @param {number} id - Article ID
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object>} Revision with content
+   */
+  async getArticleRevision(id, revision) {
+    const response = await api.get(`/articles/${id}/revisions/${revision}`)
+    return response.data
+  },
+
+  /**
+   * Compare two revisions of an article word by word
+   * 
+   * @async
+   * @param {number} id - Article ID
+   * @param {number} [from] - Older revision (default: the one before to)
+   * @param {number} [to] - Newer revision (default: the current one)
+   * @returns {Promise<Object>} from, to (the revisions compared) and content:
+   *   { html, added, removed, changed }, html being the newer content with the
+   *   words taken out in <del> and the words put in in <ins>
+   * 
+   * @example
+   * const diff = await articleService.getArticleDiff(1, 3, 5)
+   * console.log(`+${diff.content.added} −${diff.content.removed}`)
+   */
+  async getArticleDiff(id, from, to) {
+    const response = await api.get(`/articles/${id}/diff`, { params: { from, to } })
+    return response.data
+  },
+
+  /**
+   * Restore an earlier revision of an article
+   * 
+   * Requires authentication with "admin" role
+   * Its content becomes a new revision; translations show as outdated
+   * 
+   * @async
+   * @param {number} id - Article ID
+   * @param {number} revision - Revision to restore
+   * @returns {Promise<Object>} Updated article
+   */
+  async restoreArticleRevision(id, revision) {
+    const response = await api.post(`/articles/${id}/revisions/${revision}/restore`)
+    return response.data
+  },
+
   /**
    * Create a new article for a family member
    * 
@@ -88,8 +164,10 @@ export const articleService = {
    * @param {number} familyMemberId - Family member ID
    * @param {Object} data - Article data
    * @param {string} [data.language='sr'] - Language of article (defaults to Serbian)
-   * @param {string} data.content - HTML formatted article content
-   * @returns {Promise<Object>} Created article object with ID
+   * @param {string} data.content - Article content, in HTML or wiki markup
+   * @param {string} [data.format='html'] - 'html' or 'wiki'
+   * @returns {Promise<Object>} Created article object with ID, and
+   *   missing_links (wikilinks that do not resolve)
    * 
    * @example
    * const article = await articleService.createArticle(1, {
@@ -114,8 +192,9 @@ export const articleService = {
    * @async
    * @param {number} id - Article ID to update
    * @param {Object} data - Updated content
-   * @param {string} data.content - New HTML formatted content
-   * @returns {Promise<Object>} Updated article object
+   * @param {string} data.content - New content, in HTML or wiki markup
+   * @param {string} [data.format] - 'html' or 'wiki' (defaults to the article's)
+   * @returns {Promise<Object>} Updated article object, with missing_links
    * 
    * @example
    * const updated = await articleService.updateArticle(1, {
@@ -128,21 +207,22 @@ export const articleService = {
   },
 
   /**
-   * Automatically translate article to target language using Google Translate
+   * Automatically translate article to target language with the configured provider
    * 
    * Requires authentication with "editor" or "admin" role
-   * Creates a new translated article in the target language
+   * Creates the article's translation in the target language, replacing an earlier one
    * Marked as "auto_translated" in the system
    * 
    * @async
    * @param {number} id - Article ID to translate
    * @param {string} targetLanguage - Target language code
-   * @returns {Promise<Object>} Created translation object with:
+   * @returns {Promise<Object>} Translation object with:
    *   - id: Translation ID
    *   - article_id: Source article ID
    *   - language: Target language code
    *   - content: Translated content
    *   - is_auto_translated: true (indicates automatic translation)
+   *   - status: 'auto'
    * 
    * @example
    * const translation = await articleService.translateArticle(1, 'fr')
@@ -156,6 +236,78 @@ export const articleService = {
     return response.data
   },
 
+  /**
+   * Save a translation written or corrected by a person
+   * 
+   * Requires authentication with "admin" role
+   * Marks the translation human-reviewed (is_auto_translated: false) and
+   * adds its paragraphs to the translation memory, so machine translation
+   * reuses them
+   * 
+   * @async
+   * @param {number} id - Article ID
+   * @param {string} language - Language code of the translation
+   * @param {string} content - Translated HTML
+   * @param {number} [sourceRevision] - Revision of the article it was translated from
+   *   (defaults to the current one; an earlier one leaves the translation outdated)
+   * @returns {Promise<Object>} Translation with status 'reviewed' (or 'outdated') and
+   *   remembered_segments, the number of segments added to the translation memory
+   * 
+   * @example
+   * await articleService.saveTranslation(1, 'en', '<p>Corrected text</p>', article.revision)
+   */
+  async saveTranslation(id, language, content, sourceRevision) {
+    const response = await api.put(`/articles/${id}/translations/${language}`, {
+      content,
+      ...(sourceRevision && { source_revision: sourceRevision }),
+    })
+    return response.data
+  },
+
+  /**
+   * Machine translate again the translations made from an earlier revision
+   * of their article
+   * 
+   * Requires authentication with "admin" role
+   * Results (including failures) are recorded in the audit log
+   * 
+   * @async
+   * @param {Object} [options] - Options
+   * @param {number} [options.article_id] - Only this article's translations (default: all articles)
+   * @param {boolean} [options.include_reviewed=false] - Also replace human-reviewed translations
+   * @param {boolean} [dryRun=false] - Only list the outdated translations
+   * @returns {Promise<Object>} { dry_run, outdated } for a dry run, else
+   *   { retranslated, failed } with { article_id, member_name, language, ... } entries
+   *   (failed entries carry an error message)
+   * 
+   * @example
+   * const { outdated } = await articleService.retranslateOutdated({}, true)
+   * const { retranslated, failed } = await articleService.retranslateOutdated()
+   */
+  async retranslateOutdated(options = {}, dryRun = false) {
+    const response = await api.post('/articles/retranslate-outdated', {
+      ...options,
+      dry_run: dryRun,
+    })
+    return response.data
+  },
+
+  /**
+   * Get the links in member and general articles that lead nowhere
+   * 
+   * Requires authentication with "admin" role
+   * 
+   * @async
+   * @returns {Promise<Object>} { links, count }, by article; each
+   *   { source_type, source_id, source_title, target_type, target_id,
+   *   target_title, link_text, reason: 'unresolved' (a wikilink whose target
+   *   was not found) or 'missing' (a member or article that does not exist) }
+   */
+  async getBrokenLinks() {
+    const response = await api.get('/articles/broken-links')
+    return response.data
+  },
+
   /**
    * Get list of supported languages
    * 
@@ -186,15 +338,38 @@ export const articleService = {
    *   - language: Language code
    *   - content: Translated content
    *   - is_auto_translated: Whether translation was automatic
+   *   - source_revision: Revision of the article the translation was made from
+   *   - status: 'auto', 'reviewed' or 'outdated' (made from an earlier revision)
    * 
    * @example
    * const translations = await articleService.getArticleTranslations(1)
    * translations.forEach(t => {
-   *   console.log(`${t.language}: ${t.is_auto_translated ? 'Auto' : 'Manual'}`)
+   *   console.log(`${t.language}: ${t.status}`)
    * })
    */
   async getArticleTranslations(id) {
     const response = await api.get(`/articles/${id}/translations`)
     return response.data
   },
+
+  /**
+   * Render content as it would be saved, for member and general articles
+   * 
+   * Requires authentication with "admin" role
+   * 
+   * @async
+   * @param {string} content - Content, in HTML or wiki markup
+   * @param {string} [format='wiki'] - 'html' or 'wiki'
+   * @returns {Promise<Object>} Object containing:
+   *   - format: Format of the content
+   *   - content: Sanitised HTML
+   *   - missing_links: Targets of the wikilinks that do not resolve
+   * 
+   * @example
+   * const { content, missing_links } = await articleService.previewContent('See [[member:42]]')
+   */
+  async previewContent(content, format = 'wiki') {
+    const response = await api.post('/articles/preview', { content, format })
+    return response.data
+  },
 }
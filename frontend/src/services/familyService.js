@@ -13,28 +13,55 @@
 
 import api from './api'
 
+/**
+ * Life event types, with the keys of their labels in the interface translations
+ */
+export const LIFE_EVENT_TYPES = [
+  { value: 'residence', labelKey: 'lifeEventTypes.residence' },
+  { value: 'emigration', labelKey: 'lifeEventTypes.emigration' },
+  { value: 'immigration', labelKey: 'lifeEventTypes.immigration' },
+  { value: 'education', labelKey: 'lifeEventTypes.education' },
+  { value: 'graduation', labelKey: 'lifeEventTypes.graduation' },
+  { value: 'military_service', labelKey: 'lifeEventTypes.military_service' },
+  { value: 'occupation', labelKey: 'lifeEventTypes.occupation' },
+  { value: 'religious', labelKey: 'lifeEventTypes.religious' },
+  { value: 'award', labelKey: 'lifeEventTypes.award' },
+  { value: 'other', labelKey: 'lifeEventTypes.other' },
+]
+
 export const familyService = {
   /**
    * Retrieve a single family member by ID
    * 
+   * With a language, short_bio, occupation and birth_place are given in
+   * that language where translated, and in the member's language otherwise
+   * 
    * @async
    * @param {number} id - Family member ID
+   * @param {string} [language] - Language code (default: the values as written)
    * @returns {Promise<Object>} Family member data including:
    *   - id: Unique identifier
    *   - name: Family member's full name
-   *   - birth_year: Year of birth
-   *   - death_year: Year of death (null if living)
-   *   - birth_place: Location of birth
+   *   - birth_date, death_date, burial_date: Partial dates, e.g. { qualifier: 'about', year: 1870 }
+   *   - birth_year, death_year: Years of those dates (for sorting and filtering)
+   *   - birth_place, death_place, burial_place: Locations of the events
    *   - occupation: Professional occupation
    *   - short_bio: Brief biography
+   *   - language: Language short_bio, occupation and birth_place are written in
+   *   - translated_fields, is_fallback: With a language, the fields given in it,
+   *     and whether some field is only available in the member's language
    *   - relationships: Array of family relationships
    * 
    * @example
    * const member = await familyService.getFamilyMember(1)
    * console.log(member.name) // "John Kurpejovic"
+   * 
+   * @example
+   * const member = await familyService.getFamilyMember(1, 'en')
+   * console.log(member.occupation) // "Farmer"
    */
-  async getFamilyMember(id) {
-    const response = await api.get(`/family-members/${id}`)
+  async getFamilyMember(id, language) {
+    const response = await api.get(`/family-members/${id}`, { params: language ? { lang: language } : {} })
     return response.data
   },
 
@@ -45,6 +72,7 @@ export const familyService = {
    * @param {Object} [filters={}] - Optional filtering parameters
    * @param {string} [filters.name] - Filter by family member name
    * @param {number} [filters.birth_year] - Filter by birth year
+   * @param {string} [filters.lang] - Language to give short_bio, occupation and birth_place in
    * @returns {Promise<Object>} Object containing:
    *   - members: Array of family member objects
    *   - total: Total count of members matching filters
@@ -88,17 +116,22 @@ export const familyService = {
    * @async
    * @param {Object} data - Family member data
    * @param {string} data.name - Family member's full name (required)
-   * @param {number} [data.birth_year] - Year of birth
-   * @param {number} [data.death_year] - Year of death (null for living members)
+   * @param {Object} [data.birth_date] - Partial date of birth: { qualifier?, year, month?, day?, to? }
+   *   qualifier is 'about', 'before', 'after' or 'between' (with `to` as the end of the range)
+   * @param {Object} [data.death_date] - Partial date of death (null for living members)
+   * @param {Object} [data.burial_date] - Partial date of burial
    * @param {string} [data.birth_place] - Location of birth
+   * @param {string} [data.death_place] - Location of death
+   * @param {string} [data.burial_place] - Place of burial
    * @param {string} [data.occupation] - Professional occupation
    * @param {string} [data.short_bio] - Brief biography (max 1000 chars)
+   * @param {string} [data.language='sr'] - Language short_bio, occupation and birth_place are written in
    * @returns {Promise<Object>} Created family member object with assigned ID
    * 
    * @example
    * const newMember = await familyService.createFamilyMember({
    *   name: "Jane Kurpejovic",
-   *   birth_year: 1985,
+   *   birth_date: { year: 1985, month: 6 },
    *   occupation: "Teacher",
    *   short_bio: "A dedicated educator..."
    * })
@@ -119,11 +152,15 @@ export const familyService = {
    * @param {number} id - Family member ID to update
    * @param {Object} data - Fields to update (any combination of)
    * @param {string} [data.name] - Updated name
-   * @param {number} [data.birth_year] - Updated birth year
-   * @param {number} [data.death_year] - Updated death year
+   * @param {Object} [data.birth_date] - Updated partial date of birth (birth_year follows it)
+   * @param {Object} [data.death_date] - Updated partial date of death (death_year follows it)
+   * @param {Object} [data.burial_date] - Updated partial date of burial
    * @param {string} [data.birth_place] - Updated birth place
+   * @param {string} [data.death_place] - Updated death place
+   * @param {string} [data.burial_place] - Updated burial place
    * @param {string} [data.occupation] - Updated occupation
    * @param {string} [data.short_bio] - Updated biography
+   * @param {string} [data.language] - Language short_bio, occupation and birth_place are written in
    * @returns {Promise<Object>} Updated family member object
    * 
    * @example
@@ -137,6 +174,73 @@ export const familyService = {
     return response.data
   },
 
+  /**
+   * Get the translations of a member's short_bio, occupation and birth_place
+   * 
+   * @async
+   * @param {number} id - Family member ID
+   * @returns {Promise<Object>} Object containing:
+   *   - source_language: Language the member's fields are written in
+   *   - translations: Array of { language, short_bio, occupation, birth_place,
+   *     status ('auto' or 'reviewed') }; an empty field is shown in the source language
+   */
+  async getMemberTranslations(id) {
+    const response = await api.get(`/family-members/${id}/translations`)
+    return response.data
+  },
+
+  /**
+   * Save a translation of a member's fields written or corrected by a person
+   * 
+   * Requires authentication with "editor" or "admin" role
+   * Fields left out keep their earlier translation; the values are added to
+   * the translation memory
+   * 
+   * @async
+   * @param {number} id - Family member ID
+   * @param {string} language - Language code of the translation
+   * @param {Object} values - short_bio, occupation, birth_place (empty: shown in the source language)
+   * @returns {Promise<Object>} Translation with status 'reviewed' and remembered_segments
+   * 
+   * @example
+   * await familyService.saveMemberTranslation(1, 'en', { occupation: 'Blacksmith' })
+   */
+  async saveMemberTranslation(id, language, values) {
+    const response = await api.put(`/family-members/${id}/translations/${language}`, values)
+    return response.data
+  },
+
+  /**
+   * Machine translate a member's fields from the member's language,
+   * replacing an earlier translation
+   * 
+   * Requires authentication with "editor" or "admin" role
+   * 
+   * @async
+   * @param {number} id - Family member ID
+   * @param {string} targetLanguage - Target language code
+   * @returns {Promise<Object>} Translation with status 'auto'
+   */
+  async translateMember(id, targetLanguage) {
+    const response = await api.post(`/family-members/${id}/translate`, { targetLanguage })
+    return response.data
+  },
+
+  /**
+   * Delete a translation of a member's fields
+   * 
+   * Requires authentication with "editor" or "admin" role
+   * 
+   * @async
+   * @param {number} id - Family member ID
+   * @param {string} language - Language code of the translation
+   * @returns {Promise<Object>} Success message
+   */
+  async deleteMemberTranslation(id, language) {
+    const response = await api.delete(`/family-members/${id}/translations/${language}`)
+    return response.data
+  },
+
   /**
    * Get family tree and relationships for a member
    * 
@@ -146,8 +250,11 @@ export const familyService = {
    * @async
    * @param {number} memberId - Family member ID
    * @returns {Promise<Object>} Object containing:
-   *   - relatives: Array of related family members
-   *   - relationships: Array of relationship details
+   *   - parents, spouses, children, siblings: Arrays of family members
+   *   - unions: [{ partner, union_type, marriage_date, marriage_place, end_date, end_reason, children }]
+   *     earliest marriage first, with the children of each union
+   *   - other_children: Children whose other parent is not a recorded spouse
+   *   - relatives: Array of otherwise related family members
    * 
    * @example
    * const tree = await familyService.getFamilyTree(1)
@@ -160,6 +267,87 @@ export const familyService = {
     return response.data
   },
 
+  /**
+   * Get ancestors of a member as a nested pedigree
+   * 
+   * @async
+   * @param {number} memberId - Family member ID
+   * @param {number} [depth=5] - Number of generations (1-25)
+   * @returns {Promise<Object>} Object containing:
+   *   - tree: Member with nested `parents`, each carrying a `generation` number
+   *   - count: Number of distinct ancestors found
+   *   - generations: Deepest generation reached
+   * 
+   * @example
+   * const { tree } = await familyService.getAncestors(42, 4)
+   * tree.parents.forEach(p => console.log(p.name, p.generation)) // generation 1
+   */
+  async getAncestors(memberId, depth = 5) {
+    const response = await api.get(`/family-members/${memberId}/ancestors`, { params: { depth } })
+    return response.data
+  },
+
+  /**
+   * Get descendants of a member as a nested tree
+   * 
+   * @async
+   * @param {number} memberId - Family member ID
+   * @param {number} [depth=5] - Number of generations (1-25)
+   * @returns {Promise<Object>} Object containing:
+   *   - tree: Member with nested `children`, each carrying a `generation` number
+   *   - count: Number of distinct descendants found
+   *   - generations: Deepest generation reached
+   * 
+   * @example
+   * const { tree } = await familyService.getDescendants(42)
+   */
+  async getDescendants(memberId, depth = 5) {
+    const response = await api.get(`/family-members/${memberId}/descendants`, { params: { depth } })
+    return response.data
+  },
+
+  /**
+   * Describe how another member is related to this one
+   *
+   * @async
+   * @param {number} memberId - Member the relationship is described from
+   * @param {number} otherId - Member whose relationship is being named
+   * @returns {Promise<Object>} Object containing:
+   *   - related: false when no path connects the two members
+   *   - kind: 'blood', 'spouse', 'spouse_relative', 'relative_spouse', 'distant' or 'self'
+   *   - labels: Relationship name per language code, e.g. { en: '2nd cousin once removed', ... }
+   *   - path: [{ id, name, step }] where step is how each person relates to the previous one
+   *
+   * @example
+   * const result = await familyService.getRelationshipTo(42, 57)
+   * console.log(`${result.other.name} is ${result.member.name}'s ${result.labels.en}`)
+   */
+  async getRelationshipTo(memberId, otherId) {
+    const response = await api.get(`/family-members/${memberId}/relationship-to/${otherId}`)
+    return response.data
+  },
+
+  /**
+   * Get the primary photo of a family member
+   * 
+   * @async
+   * @param {number} memberId - Family member ID
+   * @returns {Promise<Object|null>} Image object with `url`, or null when the member has no primary photo
+   * 
+   * @example
+   * const photo = await familyService.getPrimaryImage(42)
+   * if (photo) console.log(photo.url) // "/images/1700000000-123.jpg"
+   */
+  async getPrimaryImage(memberId) {
+    try {
+      const response = await api.get(`/images/member/${memberId}/primary`)
+      return response.data
+    } catch (error) {
+      if (error.response?.status === 404) return null
+      throw error
+    }
+  },
+
   /**
    * Delete a family member
    * 
@@ -183,25 +371,282 @@ export const familyService = {
    * Create a family relationship between two members
    * 
    * Requires authentication with "editor" or "admin" role
+   * The inverse row is created with it ("A parent of B" also stores "B child of A")
    * 
    * @async
    * @param {number} memberId - Primary family member ID
    * @param {number} relatedMemberId - Related family member ID
-   * @param {string} relationshipType - Type of relationship
-   *   Valid types: parent, child, spouse, sibling, grandparent, grandchild,
-   *               uncle, aunt, cousin, nephew, niece, brother_in_law, 
-   *               sister_in_law, father_in_law, mother_in_law
-   * @returns {Promise<Object>} Created relationship object
+   * @param {string} relationshipType - "member is <type> of related"
+   *   Valid types: parent, child, spouse, sibling
+   * @param {Object} [union={}] - Spouses only: union_type, marriage_date, marriage_place,
+   *   end_date, end_reason (dates as 'YYYY-MM-DD')
+   * @returns {Promise<Object>} { relationship, inverse } created rows
+   * @throws {Error} 400 for impossible relationships (own ancestor, parent younger than child,
+   *   union ending before it began), 409 if the two members are already related
    * 
    * @example
    * await familyService.createFamilyRelationship(1, 2, "parent")
-   * // Now member 2 is shown as parent of member 1
+   * // Now member 1 is shown as parent of member 2
+   * 
+   * @example
+   * await familyService.createFamilyRelationship(1, 3, "spouse", {
+   *   marriage_date: "1950-03-12",
+   *   end_reason: "divorce",
+   * })
    */
-  async createFamilyRelationship(memberId, relatedMemberId, relationshipType) {
+  async createFamilyRelationship(memberId, relatedMemberId, relationshipType, union = {}) {
     const response = await api.post(`/family-members/${memberId}/relationships`, {
       related_member_id: relatedMemberId,
       relationship_type: relationshipType,
+      ...union,
+    })
+    return response.data
+  },
+
+  /**
+   * Change the type or union details of an existing relationship
+   * 
+   * Requires authentication with "editor" or "admin" role
+   * Union fields that are left out keep their stored values
+   * 
+   * @async
+   * @param {number} memberId - Primary family member ID
+   * @param {number} relatedMemberId - Related family member ID
+   * @param {string} relationshipType - New type: parent, child, spouse or sibling
+   * @param {Object} [union={}] - Spouses only: union fields to change
+   * @returns {Promise<Object>} { relationship, inverse } updated rows
+   * 
+   * @example
+   * await familyService.updateFamilyRelationship(1, 2, "sibling")
+   * await familyService.updateFamilyRelationship(1, 3, "spouse", { end_date: "1962-05-03" })
+   */
+  async updateFamilyRelationship(memberId, relatedMemberId, relationshipType, union = {}) {
+    const response = await api.put(`/family-members/${memberId}/relationships/${relatedMemberId}`, {
+      relationship_type: relationshipType,
+      ...union,
+    })
+    return response.data
+  },
+
+  /**
+   * Add a child to a union; both partners become the child's parents
+   * 
+   * Requires authentication with "editor" or "admin" role
+   * Parent links that already exist are left as they are
+   * 
+   * @async
+   * @param {number} memberId - One partner
+   * @param {number} spouseId - The other partner
+   * @param {number} childId - Child of the union
+   * @returns {Promise<Object>} { created: [{ relationship, inverse }] } new parent links
+   * @throws {Error} 404 if the two are not spouses, 409 if the child is already related otherwise
+   */
+  async addUnionChild(memberId, spouseId, childId) {
+    const response = await api.post(`/family-members/${memberId}/unions/${spouseId}/children`, {
+      child_id: childId,
+    })
+    return response.data
+  },
+
+  /**
+   * Remove the relationship between two members (both directions)
+   * 
+   * Requires authentication with "editor" or "admin" role
+   * 
+   * @async
+   * @param {number} memberId - Family member ID
+   * @param {number} relatedMemberId - Related family member ID
+   * @returns {Promise<Object>} Success message
+   */
+  async deleteFamilyRelationship(memberId, relatedMemberId) {
+    const response = await api.delete(`/family-members/${memberId}/relationships/${relatedMemberId}`)
+    return response.data
+  },
+
+  /**
+   * Get the timeline of a family member
+   * 
+   * Public endpoint; the member's own birth, death, burial and life events
+   * merged with births, deaths and marriages of parents, spouses, children
+   * and siblings that fall within the member's lifetime
+   * 
+   * @async
+   * @param {number} memberId - Family member ID
+   * @returns {Promise<Object>} { member_id, member_name, timeline }
+   *   each item: { kind, date, place, member, relation, ... } where kind is
+   *   birth, death, burial, marriage, union_end or life_event, oldest first
+   */
+  async getTimeline(memberId) {
+    const response = await api.get(`/family-members/${memberId}/timeline`)
+    return response.data
+  },
+
+  /**
+   * Get the articles a family member is mentioned in ("What links here")
+   * 
+   * @async
+   * @param {number} memberId - Family member ID
+   * @param {string} [language] - Language to give general article titles in, where translated
+   * @returns {Promise<Object>} { backlinks, count }, by title; each
+   *   { source_type: 'member_article' or 'general_article', id, title, category, link_text }
+   */
+  async getBacklinks(memberId, language) {
+    const response = await api.get(`/family-members/${memberId}/backlinks`, { params: language ? { lang: language } : {} })
+    return response.data
+  },
+
+  /**
+   * Get the life events of a family member (emigration, education, ...)
+   * 
+   * @async
+   * @param {number} memberId - Family member ID
+   * @returns {Promise<Object>} { events, count }, oldest first
+   */
+  async getLifeEvents(memberId) {
+    const response = await api.get(`/family-members/${memberId}/events`)
+    return response.data
+  },
+
+  /**
+   * Add a life event to a family member
+   * 
+   * Requires authentication with "editor" or "admin" role
+   * 
+   * @async
+   * @param {number} memberId - Family member ID
+   * @param {Object} event - event_type, event_date (partial date), place, description, source
+   * @returns {Promise<Object>} Created life event
+   */
+  async createLifeEvent(memberId, event) {
+    const response = await api.post(`/family-members/${memberId}/events`, event)
+    return response.data
+  },
+
+  /**
+   * Update a life event of a family member
+   * 
+   * Requires authentication with "editor" or "admin" role
+   * 
+   * @async
+   * @param {number} memberId - Family member ID
+   * @param {number} eventId - Life event ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} Updated life event
+   */
+  async updateLifeEvent(memberId, eventId, updates) {
+    const response = await api.put(`/family-members/${memberId}/events/${eventId}`, updates)
+    return response.data
+  },
+
+  /**
+   * Delete a life event of a family member
+   * 
+   * Requires authentication with "editor" or "admin" role
+   * 
+   * @async
+   * @param {number} memberId - Family member ID
+   * @param {number} eventId - Life event ID
+   * @returns {Promise<Object>} Success message
+   */
+  async deleteLifeEvent(memberId, eventId) {
+    const response = await api.delete(`/family-members/${memberId}/events/${eventId}`)
+    return response.data
+  },
+
+  /**
+   * Import family members and relationships from a GEDCOM file
+   * 
+   * Requires authentication with "admin" role
+   * With dryRun nothing is written and the response is a preview
+   * 
+   * @async
+   * @param {string} gedcom - Raw GEDCOM file content
+   * @param {boolean} [dryRun=false] - Only preview what would be created
+   * @returns {Promise<Object>} Object containing:
+   *   - summary: Counts of members, relationships and warnings
+   *   - members: Parsed individuals (xref, name, birth_year, ...)
+   *   - relationships: Parsed relationships between individuals
+   *   - warnings: Lines or references that could not be imported
+   *   - created: Created member IDs (only when not a dry run)
+   * 
+   * @example
+   * const preview = await familyService.importGedcom(fileText, true)
+   * console.log(preview.summary.members) // 42
+   */
+  async importGedcom(gedcom, dryRun = false) {
+    const response = await api.post('/family-members/import/gedcom', {
+      gedcom,
+      dry_run: dryRun,
     })
     return response.data
   },
+
+  /**
+   * Find members that were probably entered twice
+   * 
+   * Requires authentication with "editor" or "admin" role
+   * 
+   * @async
+   * @param {Object} [filters={}] - min_score (0-100, defaults to 60 on the server), limit
+   * @returns {Promise<Object>} { pairs, count }; each pair has:
+   *   - score: 0-100, higher is more likely the same person
+   *   - reasons: [{ type: 'name', similarity }, { type: 'birth_year'|'death_year', difference },
+   *     { type: 'birth_place' }, { type: 'shared_relatives', count }]
+   *   - members: The two members
+   */
+  async findDuplicates(filters = {}) {
+    const response = await api.get('/family-members/duplicates', { params: filters })
+    return response.data
+  },
+
+  /**
+   * Merge a duplicate into a member; the duplicate is deleted
+   * 
+   * Requires authentication with "editor" or "admin" role
+   * Relationships, life events, images, citations, article and audit
+   * history move to the surviving member in one transaction.
+   * With dryRun nothing is written and the response is a preview
+   * 
+   * @async
+   * @param {number} survivorId - Member that is kept
+   * @param {number} duplicateId - Member merged into it
+   * @param {Object} [options={}] - take_fields (fields taken from the duplicate),
+   *   keep_article ('survivor' or 'duplicate', when both have one)
+   * @param {boolean} [dryRun=false] - Only preview the merge
+   * @returns {Promise<Object>} Object containing:
+   *   - updates: Fields written to the survivor
+   *   - relationships: { moved, shared, conflicts }
+   *   - records: Counts of life events, images, citations, articles and audit entries of both members
+   *   - keep_article: Article kept, or null when at most one member has an article
+   *   - member, moved: Merged member and moved row counts (only when not a dry run)
+   */
+  async mergeFamilyMembers(survivorId, duplicateId, options = {}, dryRun = false) {
+    const response = await api.post(`/family-members/${survivorId}/merge`, {
+      ...options,
+      duplicate_id: duplicateId,
+      dry_run: dryRun,
+    })
+    return response.data
+  },
+
+  /**
+   * Build the download URL of a GEDCOM export
+   * 
+   * Public endpoint, so a plain link can be used for the download
+   * Without a member ID the whole family tree is exported
+   * 
+   * @param {number} [memberId] - Family member to export from
+   * @param {string} [scope='descendants'] - 'descendants' or 'ancestors'
+   * @returns {string} Absolute URL of the .ged file
+   * 
+   * @example
+   * const url = familyService.getGedcomExportUrl(42, 'ancestors')
+   * // http://localhost:3000/api/family-members/42/export.ged?scope=ancestors
+   */
+  getGedcomExportUrl(memberId = null, scope = 'descendants') {
+    if (!memberId) {
+      return `${api.defaults.baseURL}/family-members/export.ged`
+    }
+    return `${api.defaults.baseURL}/family-members/${memberId}/export.ged?scope=${scope}`
+  },
 }
@@ -5,6 +5,9 @@
  * - Retrieving articles with filtering and search
  * - Creating, updating, and deleting articles
  * - Managing article categories
+ * - Translating articles into other languages
+ * - Revision history: comparing and restoring revisions
+ * - Backlinks: the articles linking to an article
  * 
  * Different from articleService which handles family member biographies
  */
@@ -54,14 +57,19 @@ export const getArticles = async (options = {}) => {
  * 
  * Retrieves full article with title, category, and content
  * Public endpoint - no authentication required
+ * With a language, title and content are given in that language where translated
  * 
  * @async
  * @param {number} id - Article ID
+ * @param {string} [language] - Language code (default: the article as written)
  * @returns {Promise<Object>} Article object containing:
  *   - id: Article ID
  *   - title: Article title
  *   - category: Article category
  *   - content: Article text content
+ *   - language: Language the article is written in
+ *   - translated_fields, is_fallback: With a language, the fields given in it,
+ *     and whether some field is only available in the article's language
  *   - created_at: Creation date
  *   - updated_at: Last update date
  *   - created_by: ID of user who created it
@@ -71,9 +79,9 @@ export const getArticles = async (options = {}) => {
  * console.log(article.title)
  * console.log(article.content)
  */
-export const getArticleById = async (id) => {
+export const getArticleById = async (id, language) => {
   try {
-    const response = await api.get(`/general-articles/${id}`)
+    const response = await api.get(`/general-articles/${id}`, { params: language ? { lang: language } : {} })
     return response.data
   } catch (error) {
     console.error('Failed to get article:', error)
@@ -91,6 +99,7 @@ export const getArticleById = async (id) => {
  * @param {string} articleData.title - Article title (required)
  * @param {string} [articleData.category] - Article category (optional)
  * @param {string} articleData.content - Article content/text (required)
+ * @param {string} [articleData.language='sr'] - Language the article is written in
  * @returns {Promise<Object>} Created article object with assigned ID
  * 
  * @example
@@ -123,6 +132,7 @@ export const createArticle = async (articleData) => {
  * @param {string} [articleData.title] - Updated title
  * @param {string} [articleData.category] - Updated category
  * @param {string} [articleData.content] - Updated content
+ * @param {string} [articleData.language] - Language the article is written in
  * @returns {Promise<Object>} Updated article object
  * 
  * @example
@@ -189,6 +199,195 @@ export const getCategories = async () => {
   }
 }
 
+/**
+ * Get the translations of an article
+ * 
+ * @async
+ * @param {number} id - Article ID
+ * @returns {Promise<Object>} Object containing:
+ *   - source_language: Language the article is written in
+ *   - translations: Array of { language, title, content, status ('auto' or 'reviewed') };
+ *     an empty field is shown in the source language
+ */
+export const getTranslations = async (id) => {
+  try {
+    const response = await api.get(`/general-articles/${id}/translations`)
+    return response.data
+  } catch (error) {
+    console.error('Failed to get article translations:', error)
+    throw error
+  }
+}
+
+/**
+ * Save a translation written or corrected by a person
+ * 
+ * Requires authentication with "admin" role
+ * Fields left out keep their earlier translation; the translated paragraphs
+ * are added to the translation memory
+ * 
+ * @async
+ * @param {number} id - Article ID
+ * @param {string} language - Language code of the translation
+ * @param {Object} values - title, content (empty: shown in the source language)
+ * @returns {Promise<Object>} Translation with status 'reviewed' and remembered_segments
+ * 
+ * @example
+ * await generalArticleService.saveTranslation(1, 'de', { title: 'Das Dorf' })
+ */
+export const saveTranslation = async (id, language, values) => {
+  try {
+    const response = await api.put(`/general-articles/${id}/translations/${language}`, values)
+    return response.data
+  } catch (error) {
+    console.error('Failed to save article translation:', error)
+    throw error
+  }
+}
+
+/**
+ * Machine translate an article from its language, replacing an earlier translation
+ * 
+ * Requires authentication with "admin" role
+ * 
+ * @async
+ * @param {number} id - Article ID
+ * @param {string} targetLanguage - Target language code
+ * @returns {Promise<Object>} Translation with status 'auto'
+ */
+export const translateArticle = async (id, targetLanguage) => {
+  try {
+    const response = await api.post(`/general-articles/${id}/translate`, { targetLanguage })
+    return response.data
+  } catch (error) {
+    console.error('Failed to translate article:', error)
+    throw error
+  }
+}
+
+/**
+ * Delete a translation of an article
+ * 
+ * Requires authentication with "admin" role
+ * 
+ * @async
+ * @param {number} id - Article ID
+ * @param {string} language - Language code of the translation
+ * @returns {Promise<Object>} Success message
+ */
+export const deleteTranslation = async (id, language) => {
+  try {
+    const response = await api.delete(`/general-articles/${id}/translations/${language}`)
+    return response.data
+  } catch (error) {
+    console.error('Failed to delete article translation:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the revision history of an article
+ * 
+ * @async
+ * @param {number} id - Article ID
+ * @returns {Promise<Object>} Object containing:
+ *   - article_id: The article ID
+ *   - revision: Current revision number
+ *   - revisions: Revisions, newest first, each with revision, title, category,
+ *     language, restored_from, created_by_name, created_at and size (characters)
+ */
+export const getHistory = async (id) => {
+  try {
+    const response = await api.get(`/general-articles/${id}/history`)
+    return response.data
+  } catch (error) {
+    console.error('Failed to get article history:', error)
+    throw error
+  }
+}
+
+/**
+ * Get one revision of an article, with its title, category and content
+ * 
+ * @async
+ * @param {number} id - Article ID
+ * @param {number} revision - Revision number
+ * @returns {Promise<Object>} Revision
+ */
+export const getRevision = async (id, revision) => {
+  try {
+    const response = await api.get(`/general-articles/${id}/revisions/${revision}`)
+    return response.data
+  } catch (error) {
+    console.error('Failed to get article revision:', error)
+    throw error
+  }
+}
+
+/**
+ * Compare the title and content of two revisions word by word
+ * 
+ * @async
+ * @param {number} id - Article ID
+ * @param {number} [from] - Older revision (default: the one before to)
+ * @param {number} [to] - Newer revision (default: the current one)
+ * @returns {Promise<Object>} from, to (the revisions compared), title and
+ *   content, each { html, added, removed, changed }; html has the words taken
+ *   out in <del> and the words put in in <ins>
+ * 
+ * @example
+ * const diff = await generalArticleService.getDiff(1, 2, 3)
+ * console.log(`+${diff.content.added} −${diff.content.removed}`)
+ */
+export const getDiff = async (id, from, to) => {
+  try {
+    const response = await api.get(`/general-articles/${id}/diff`, { params: { from, to } })
+    return response.data
+  } catch (error) {
+    console.error('Failed to compare article revisions:', error)
+    throw error
+  }
+}
+
+/**
+ * Restore an earlier revision; it becomes a new revision
+ * 
+ * Requires authentication with "admin" role
+ * 
+ * @async
+ * @param {number} id - Article ID
+ * @param {number} revision - Revision to restore
+ * @returns {Promise<Object>} Updated article
+ */
+export const restoreRevision = async (id, revision) => {
+  try {
+    const response = await api.post(`/general-articles/${id}/revisions/${revision}/restore`)
+    return response.data
+  } catch (error) {
+    console.error('Failed to restore article revision:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the member and general articles linking to an article ("What links here")
+ * 
+ * @async
+ * @param {number} id - Article ID
+ * @param {string} [language] - Language to give general article titles in, where translated
+ * @returns {Promise<Object>} { backlinks, count }, by title; each
+ *   { source_type: 'member_article' or 'general_article', id, title, category, link_text }
+ */
+export const getBacklinks = async (id, language) => {
+  try {
+    const response = await api.get(`/general-articles/${id}/backlinks`, { params: language ? { lang: language } : {} })
+    return response.data
+  } catch (error) {
+    console.error('Failed to get article backlinks:', error)
+    throw error
+  }
+}
+
 export default {
   getArticles,
   getArticleById,
@@ -196,4 +395,13 @@ export default {
   updateArticle,
   deleteArticle,
   getCategories,
+  getTranslations,
+  saveTranslation,
+  translateArticle,
+  deleteTranslation,
+  getHistory,
+  getRevision,
+  getDiff,
+  restoreRevision,
+  getBacklinks,
 }
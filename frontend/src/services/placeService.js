@@ -0,0 +1,143 @@
+/**
+ * Place Service
+ *
+ * Provides places registry API operations:
+ * - Searching places (autocomplete) and getting a place
+ * - Creating, updating and deleting places
+ * - Linking free-text places of members and events to a place
+ * - The map of where family members were born, lived and died
+ *
+ * All methods return promises that resolve with response data
+ */
+
+import api from './api'
+
+/**
+ * Place types, with the keys of their labels in the interface translations
+ */
+export const PLACE_TYPES = [
+  { value: 'country', labelKey: 'placeTypes.country' },
+  { value: 'region', labelKey: 'placeTypes.region' },
+  { value: 'municipality', labelKey: 'placeTypes.municipality' },
+  { value: 'settlement', labelKey: 'placeTypes.settlement' },
+  { value: 'parish', labelKey: 'placeTypes.parish' },
+  { value: 'cemetery', labelKey: 'placeTypes.cemetery' },
+  { value: 'other', labelKey: 'placeTypes.other' },
+]
+
+export const placeService = {
+  /**
+   * List places, or search them
+   *
+   * @async
+   * @param {Object} [filters={}] - q (matches names and alternate names, ignoring diacritics), country, limit
+   * @returns {Promise<Object>} { places, count }; each place has full_name and use_count
+   *
+   * @example
+   * const { places } = await placeService.getPlaces({ q: 'rozaje', limit: 8 })
+   * // [{ id: 2, name: 'Rožaje', full_name: 'Rožaje, Montenegro', ... }]
+   */
+  async getPlaces(filters = {}) {
+    const response = await api.get('/places', { params: filters })
+    return response.data
+  },
+
+  /**
+   * Get a place with the places inside it
+   *
+   * @async
+   * @param {number} id - Place ID
+   * @returns {Promise<Object>} Place with full_name and children
+   */
+  async getPlace(id) {
+    const response = await api.get(`/places/${id}`)
+    return response.data
+  },
+
+  /**
+   * Get where family members were born, lived and died
+   *
+   * @async
+   * @param {Object} [filters={}] - generation, from, to (years)
+   * @returns {Promise<Object>} { places, generations, unmapped }
+   *   - places: Places with coordinates, each with entries
+   *     ({ kind: 'birth'|'lived'|'death', event_type, member, generation, date })
+   *   - generations: Highest generation number (1 = earliest known ancestors)
+   *   - unmapped: Entries at places without coordinates
+   */
+  async getPlaceMap(filters = {}) {
+    const response = await api.get('/places/map', { params: filters })
+    return response.data
+  },
+
+  /**
+   * Get free-text places of members and events not linked to a place yet
+   *
+   * Requires authentication with "editor" or "admin" role
+   *
+   * @async
+   * @returns {Promise<Object>} { names: [{ name, count, suggestion }], count }
+   */
+  async getUnlinkedPlaceNames() {
+    const response = await api.get('/places/unlinked')
+    return response.data
+  },
+
+  /**
+   * Create a place
+   *
+   * Requires authentication with "editor" or "admin" role
+   *
+   * @async
+   * @param {Object} place - name, alternate_names, place_type, country, parent_id, latitude, longitude, notes
+   * @returns {Promise<Object>} Created place
+   */
+  async createPlace(place) {
+    const response = await api.post('/places', place)
+    return response.data
+  },
+
+  /**
+   * Update a place
+   *
+   * Requires authentication with "editor" or "admin" role
+   *
+   * @async
+   * @param {number} id - Place ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} Updated place
+   */
+  async updatePlace(id, updates) {
+    const response = await api.put(`/places/${id}`, updates)
+    return response.data
+  },
+
+  /**
+   * Delete a place; linked members and events keep its name as text
+   *
+   * Requires authentication with "editor" or "admin" role
+   *
+   * @async
+   * @param {number} id - Place ID
+   * @returns {Promise<Object>} Success message
+   */
+  async deletePlace(id) {
+    const response = await api.delete(`/places/${id}`)
+    return response.data
+  },
+
+  /**
+   * Link every member and event with this free-text place to a place
+   *
+   * Requires authentication with "editor" or "admin" role
+   *
+   * @async
+   * @param {number} id - Place ID
+   * @param {string} name - Free-text place as entered, e.g. "Rozaje"
+   * @returns {Promise<Object>} { place, name, linked }
+   */
+  async linkPlaceName(id, name) {
+    const response = await api.post(`/places/${id}/link`, { name })
+    return response.data
+  },
+}
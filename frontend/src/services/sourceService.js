@@ -0,0 +1,197 @@
+/**
+ * Source Service
+ *
+ * Provides source and citation API operations:
+ * - Listing, creating, updating and deleting sources
+ *   (parish registers, interviews, documents, ...)
+ * - Citing a source for a member field, life event or article paragraph
+ * - Getting the citations of a member or general article
+ *
+ * Scans of a source are uploaded with ImageUploader and its sourceId prop
+ *
+ * All methods return promises that resolve with response data
+ */
+
+import api from './api'
+
+/**
+ * Source types, with the keys of their labels in the interface translations
+ */
+export const SOURCE_TYPES = [
+  { value: 'parish_register', labelKey: 'sourceTypes.parish_register' },
+  { value: 'civil_register', labelKey: 'sourceTypes.civil_register' },
+  { value: 'census', labelKey: 'sourceTypes.census' },
+  { value: 'military_record', labelKey: 'sourceTypes.military_record' },
+  { value: 'interview', labelKey: 'sourceTypes.interview' },
+  { value: 'letter', labelKey: 'sourceTypes.letter' },
+  { value: 'document', labelKey: 'sourceTypes.document' },
+  { value: 'photograph', labelKey: 'sourceTypes.photograph' },
+  { value: 'book', labelKey: 'sourceTypes.book' },
+  { value: 'newspaper', labelKey: 'sourceTypes.newspaper' },
+  { value: 'website', labelKey: 'sourceTypes.website' },
+  { value: 'other', labelKey: 'sourceTypes.other' },
+]
+
+/**
+ * Member fields a citation can support, with the keys of their labels in the
+ * interface translations
+ */
+export const CITABLE_FIELDS = [
+  { value: 'name', labelKey: 'citableFields.name' },
+  { value: 'birth_date', labelKey: 'citableFields.birth_date' },
+  { value: 'birth_place', labelKey: 'citableFields.birth_place' },
+  { value: 'death_date', labelKey: 'citableFields.death_date' },
+  { value: 'death_place', labelKey: 'citableFields.death_place' },
+  { value: 'burial_date', labelKey: 'citableFields.burial_date' },
+  { value: 'burial_place', labelKey: 'citableFields.burial_place' },
+  { value: 'occupation', labelKey: 'citableFields.occupation' },
+  { value: 'short_bio', labelKey: 'citableFields.short_bio' },
+]
+
+export const sourceService = {
+  /**
+   * List sources
+   *
+   * @async
+   * @param {Object} [filters={}] - q (matches title, author, repository), source_type
+   * @returns {Promise<Object>} { sources, count }; each source has a citation_count
+   */
+  async getSources(filters = {}) {
+    const response = await api.get('/sources', { params: filters })
+    return response.data
+  },
+
+  /**
+   * Get a source with its scans and everything it is cited for
+   *
+   * @async
+   * @param {number} id - Source ID
+   * @returns {Promise<Object>} Source with:
+   *   - scans: Images of the source ({ url, caption, ... })
+   *   - citations: Citations with cited_member_id/name, event_type, general_article_title
+   */
+  async getSource(id) {
+    const response = await api.get(`/sources/${id}`)
+    return response.data
+  },
+
+  /**
+   * Create a source
+   *
+   * Requires authentication with "editor" or "admin" role
+   *
+   * @async
+   * @param {Object} source - title, source_type, author, repository, url, notes
+   * @returns {Promise<Object>} Created source
+   */
+  async createSource(source) {
+    const response = await api.post('/sources', source)
+    return response.data
+  },
+
+  /**
+   * Update a source
+   *
+   * Requires authentication with "editor" or "admin" role
+   *
+   * @async
+   * @param {number} id - Source ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} Updated source
+   */
+  async updateSource(id, updates) {
+    const response = await api.put(`/sources/${id}`, updates)
+    return response.data
+  },
+
+  /**
+   * Delete a source together with its citations and scans
+   *
+   * Requires authentication with "editor" or "admin" role
+   *
+   * @async
+   * @param {number} id - Source ID
+   * @returns {Promise<Object>} Success message
+   */
+  async deleteSource(id) {
+    const response = await api.delete(`/sources/${id}`)
+    return response.data
+  },
+
+  /**
+   * Cite a source
+   *
+   * Requires authentication with "editor" or "admin" role
+   *
+   * @async
+   * @param {number} sourceId - Cited source ID
+   * @param {Object} citation - Exactly one of:
+   *   - family_member_id, with an optional field (see CITABLE_FIELDS)
+   *   - life_event_id
+   *   - article_id or general_article_id, with an optional paragraph (1 = first)
+   *   plus page and note
+   * @returns {Promise<Object>} Created citation with its source summary
+   *
+   * @example
+   * await sourceService.createCitation(3, { family_member_id: 42, field: 'birth_date', page: 'p. 12' })
+   */
+  async createCitation(sourceId, citation) {
+    const response = await api.post(`/sources/${sourceId}/citations`, citation)
+    return response.data
+  },
+
+  /**
+   * Update a citation
+   *
+   * Requires authentication with "editor" or "admin" role
+   *
+   * @async
+   * @param {number} sourceId - Cited source ID
+   * @param {number} citationId - Citation ID
+   * @param {Object} updates - field, paragraph, page, note
+   * @returns {Promise<Object>} Updated citation
+   */
+  async updateCitation(sourceId, citationId, updates) {
+    const response = await api.put(`/sources/${sourceId}/citations/${citationId}`, updates)
+    return response.data
+  },
+
+  /**
+   * Delete a citation
+   *
+   * Requires authentication with "editor" or "admin" role
+   *
+   * @async
+   * @param {number} sourceId - Cited source ID
+   * @param {number} citationId - Citation ID
+   * @returns {Promise<Object>} Success message
+   */
+  async deleteCitation(sourceId, citationId) {
+    const response = await api.delete(`/sources/${sourceId}/citations/${citationId}`)
+    return response.data
+  },
+
+  /**
+   * Get the sources cited for a member's fields, life events and biography
+   *
+   * @async
+   * @param {number} memberId - Family member ID
+   * @returns {Promise<Object>} { citations, count }
+   */
+  async getMemberCitations(memberId) {
+    const response = await api.get(`/family-members/${memberId}/citations`)
+    return response.data
+  },
+
+  /**
+   * Get the citations (footnotes) of a general article
+   *
+   * @async
+   * @param {number} articleId - General article ID
+   * @returns {Promise<Object>} { citations, count }, in paragraph order
+   */
+  async getGeneralArticleCitations(articleId) {
+    const response = await api.get(`/general-articles/${articleId}/citations`)
+    return response.data
+  },
+}
@@ -0,0 +1,111 @@
+/**
+ * Translation Service
+ *
+ * Provides the admin API operations behind machine translation of articles:
+ * - The glossary: how family-specific terms (villages, clans, dialect
+ *   kinship terms) are translated from one language into another, or kept
+ * - The translation memory: segments translated by people, used instead of
+ *   the machine translation whenever the same segment is translated again
+ *
+ * Every method requires authentication with "admin" role
+ *
+ * All methods return promises that resolve with response data
+ */
+
+import api from './api'
+
+export const translationService = {
+  /**
+   * List glossary entries
+   *
+   * @async
+   * @param {Object} [filters={}] - source_language, target_language, q (matches term and translation)
+   * @returns {Promise<Object>} { entries, count }; an entry without translation keeps its term
+   */
+  async getGlossary(filters = {}) {
+    const response = await api.get('/translation/glossary', { params: filters })
+    return response.data
+  },
+
+  /**
+   * Add a term to the glossary of a language pair
+   *
+   * @async
+   * @param {Object} entry - source_language, target_language, term, translation (empty: keep the term), notes
+   * @returns {Promise<Object>} Created entry
+   * @throws {Error} 409 when the pair already has the term
+   *
+   * @example
+   * await translationService.createGlossaryEntry({
+   *   source_language: 'sr', target_language: 'en', term: 'amidža', translation: 'paternal uncle'
+   * })
+   */
+  async createGlossaryEntry(entry) {
+    const response = await api.post('/translation/glossary', entry)
+    return response.data
+  },
+
+  /**
+   * Update a glossary entry
+   *
+   * @async
+   * @param {number} id - Entry ID
+   * @param {Object} updates - term, translation, notes
+   * @returns {Promise<Object>} Updated entry
+   */
+  async updateGlossaryEntry(id, updates) {
+    const response = await api.put(`/translation/glossary/${id}`, updates)
+    return response.data
+  },
+
+  /**
+   * Delete a glossary entry
+   *
+   * @async
+   * @param {number} id - Entry ID
+   * @returns {Promise<Object>} Success message
+   */
+  async deleteGlossaryEntry(id) {
+    const response = await api.delete(`/translation/glossary/${id}`)
+    return response.data
+  },
+
+  /**
+   * List translation memory entries, most recently changed first
+   *
+   * @async
+   * @param {Object} [filters={}] - source_language, target_language, q (matches both texts), limit (default 200)
+   * @returns {Promise<Object>} { entries, count }
+   */
+  async getMemory(filters = {}) {
+    const response = await api.get('/translation/memory', { params: filters })
+    return response.data
+  },
+
+  /**
+   * Remember the translation of a segment, replacing an earlier one
+   *
+   * A segment is the text between two block tags (a paragraph, a table
+   * cell), with inline tags written as <b data-t="0">
+   *
+   * @async
+   * @param {Object} entry - source_language, target_language, source_text, target_text
+   * @returns {Promise<Object>} Saved entry
+   */
+  async createMemoryEntry(entry) {
+    const response = await api.post('/translation/memory', entry)
+    return response.data
+  },
+
+  /**
+   * Delete a translation memory entry
+   *
+   * @async
+   * @param {number} id - Entry ID
+   * @returns {Promise<Object>} Success message
+   */
+  async deleteMemoryEntry(id) {
+    const response = await api.delete(`/translation/memory/${id}`)
+    return response.data
+  },
+}
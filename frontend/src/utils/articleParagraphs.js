@@ -0,0 +1,85 @@
+/**
+ * Article Paragraphs Utility
+ *
+ * Splits article HTML into its paragraphs for the side-by-side translation
+ * editor. A paragraph is an innermost block element with text: a <p>, a
+ * heading, a list item, a table cell, an infobox title, a caption. Machine
+ * translation keeps the markup of the source article, so the paragraphs of
+ * an article and of its translation line up by position.
+ *
+ * Code and preformatted blocks are not paragraphs; they are kept as they are.
+ *
+ * Usage:
+ * const { paragraphs, join } = splitParagraphs(translation.content)
+ * // paragraphs: [{ tag: 'p', html: 'Text with <b>markup</b>' }, ...]
+ * const content = join(paragraphs.map(paragraph => paragraph.html))
+ *
+ * @module articleParagraphs
+ */
+
+const BLOCK_TAGS = [
+  'address', 'article', 'aside', 'blockquote', 'caption', 'dd', 'details', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'li', 'main',
+  'nav', 'ol', 'p', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul',
+]
+
+const BLOCK_SELECTOR = BLOCK_TAGS.join(',')
+
+/**
+ * Keys of the display names of paragraph tags in the interface translations
+ */
+export const PARAGRAPH_LABELS = {
+  p: 'paragraphTags.paragraph',
+  h1: 'paragraphTags.heading',
+  h2: 'paragraphTags.heading',
+  h3: 'paragraphTags.heading',
+  h4: 'paragraphTags.heading',
+  h5: 'paragraphTags.heading',
+  h6: 'paragraphTags.heading',
+  li: 'paragraphTags.listItem',
+  td: 'paragraphTags.tableCell',
+  th: 'paragraphTags.tableHeader',
+  caption: 'paragraphTags.caption',
+  figcaption: 'paragraphTags.caption',
+  blockquote: 'paragraphTags.quote',
+}
+
+/**
+ * Split article HTML into paragraphs
+ *
+ * @param {string} html - Article HTML
+ * @returns {Object} { paragraphs, join }: paragraphs are { tag, html } in document
+ *   order, join(htmls) gives the article with each paragraph's content replaced
+ *   (same order; undefined keeps a paragraph as it is)
+ */
+export function splitParagraphs(html) {
+  const doc = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html || ''}</body>`, 'text/html')
+  const elements = []
+
+  const visit = (parent) => {
+    for (const element of parent.children) {
+      const tag = element.tagName.toLowerCase()
+      if (!BLOCK_TAGS.includes(tag)) continue
+
+      if (element.querySelector(BLOCK_SELECTOR)) {
+        visit(element)
+      } else if (element.textContent.trim()) {
+        elements.push(element)
+      }
+    }
+  }
+  visit(doc.body)
+
+  return {
+    paragraphs: elements.map(element => ({
+      tag: element.tagName.toLowerCase(),
+      html: element.innerHTML.trim(),
+    })),
+    join(htmls) {
+      elements.forEach((element, index) => {
+        if (htmls[index] !== undefined) element.innerHTML = htmls[index]
+      })
+      return doc.body.innerHTML
+    },
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Footnotes Utility
+ *
+ * Article citations point at a paragraph by number (1 = first). This
+ * numbers the citations as footnotes and places a superscript marker
+ * ([1], [2], ...) at the end of each cited paragraph.
+ *
+ * Paragraphs are the <p> elements of HTML content, or blocks separated
+ * by blank lines in plain text. Citations without a paragraph, or with a
+ * paragraph the content no longer has, are still listed as footnotes.
+ *
+ * Usage:
+ * const { content, footnotes } = addFootnotes(article.content, citations)
+ * // render content with v-html and footnotes with CitationFootnotes
+ *
+ * @module footnotes
+ */
+
+/**
+ * Superscript marker linking to a footnote
+ *
+ * @param {number} number - Footnote number
+ * @returns {string} HTML
+ */
+function marker(number) {
+  return `<sup class="footnote-ref"><a href="#footnote-${number}">[${number}]</a></sup>`
+}
+
+/**
+ * Number citations and place their markers in the article content
+ *
+ * @param {string} content - Article content (HTML or plain text)
+ * @param {Array} citations - Citations with paragraph, in display order
+ * @returns {Object} { content: with markers, footnotes: citations with a number }
+ */
+export function addFootnotes(content, citations) {
+  const footnotes = citations.map((citation, index) => ({ ...citation, number: index + 1 }))
+
+  // Paragraph number -> markers to append to it
+  const markers = new Map()
+  footnotes
+    .filter(footnote => footnote.paragraph)
+    .forEach(footnote => {
+      markers.set(footnote.paragraph, (markers.get(footnote.paragraph) || '') + marker(footnote.number))
+    })
+
+  if (!content || !markers.size) return { content, footnotes }
+
+  let paragraph = 0
+  if (/<p[\s>]/i.test(content)) {
+    content = content.replace(/<\/p>/gi, (end) => (markers.get(++paragraph) || '') + end)
+  } else {
+    // Even parts are paragraphs, odd parts the blank lines between them
+    content = content
+      .split(/(\n\s*\n)/)
+      .map((part, index) => (index % 2 ? part : part.replace(/\s*$/, (space) => (markers.get(++paragraph) || '') + space)))
+      .join('')
+  }
+
+  return { content, footnotes }
+}
@@ -0,0 +1,99 @@
+/**
+ * Partial Date Utility
+ * 
+ * Life event dates (birth, death, burial) are often known only to the
+ * month or year, or only roughly. The API stores them as partial dates:
+ * 
+ * { qualifier?, year, month?, day?, to? }
+ * - year/month/day: as precise as the date is known
+ * - qualifier: 'about', 'before', 'after', or 'between' together with
+ *   `to` ({ year, month?, day? }), the end of the range
+ * 
+ * Members saved before structured dates existed may only have
+ * birth_year/death_year, so the life span falls back to those.
+ * 
+ * Qualifiers and month names are written in the given language
+ * (messages under dates in the interface translations).
+ * 
+ * Usage:
+ * formatPartialDate({ qualifier: 'about', year: 1870 }, 'en') // "c. 1870"
+ * formatLifeSpan(member, 'en') // "12 March 1870 – c. 1932"
+ * 
+ * @module partialDate
+ */
+
+import { translate, formatDate } from '@/i18n'
+
+/**
+ * Qualifier choices for date inputs ('' = the date is known as entered);
+ * labelKey is the key of the label in the interface translations
+ */
+export const DATE_QUALIFIERS = [
+  { value: '', labelKey: 'dates.qualifiers.on' },
+  { value: 'about', labelKey: 'dates.qualifiers.about' },
+  { value: 'before', labelKey: 'dates.qualifiers.before' },
+  { value: 'after', labelKey: 'dates.qualifiers.after' },
+  { value: 'between', labelKey: 'dates.qualifiers.between' },
+]
+
+/**
+ * Format one date point in the given language
+ * 
+ * @param {Object} point - { year, month?, day? }
+ * @param {string} locale - Language code, e.g. 'sr'
+ * @returns {string} "1870", "March 1870" or "12 March 1870"
+ */
+function formatPoint({ year, month, day }, locale) {
+  if (!month) return String(year)
+
+  // setUTCFullYear keeps years below 100 as given
+  const date = new Date(0)
+  date.setUTCFullYear(year, month - 1, day || 1)
+
+  return formatDate(locale, date, {
+    timeZone: 'UTC',
+    year: 'numeric',
+    month: 'long',
+    ...(day && { day: 'numeric' }),
+  })
+}
+
+/**
+ * Format a partial date for display
+ * 
+ * @param {Object|null} date - Partial date from the API
+ * @param {string} [locale='en'] - Language code for month names
+ * @returns {string} e.g. "c. 1870", "before March 1900", "between 1870 and 1875", or '' without a date
+ */
+export function formatPartialDate(date, locale = 'en') {
+  if (!date?.year) return ''
+
+  const text = formatPoint(date, locale)
+  switch (date.qualifier) {
+    case 'about':
+    case 'before':
+    case 'after':
+      return translate(locale, `dates.${date.qualifier}`, { date: text })
+    case 'between':
+      return translate(locale, 'dates.between', { from: text, to: formatPoint(date.to, locale) })
+    default:
+      return text
+  }
+}
+
+/**
+ * Format a member's life span from birth and death dates
+ * 
+ * @param {Object} member - Member with birth_date/death_date (or birth_year/death_year)
+ * @param {string} [locale='en'] - Language code for month names
+ * @returns {string} "1870 – 1932", "b. c. 1870", "d. 1932", or '' when neither is known
+ */
+export function formatLifeSpan(member, locale = 'en') {
+  const birth = formatPartialDate(member.birth_date, locale) || member.birth_year || ''
+  const death = formatPartialDate(member.death_date, locale) || member.death_year || ''
+
+  if (birth && death) return translate(locale, 'dates.lifeSpan', { birth, death })
+  if (birth) return translate(locale, 'dates.born', { date: birth })
+  if (death) return translate(locale, 'dates.died', { date: death })
+  return ''
+}
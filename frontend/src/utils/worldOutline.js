@@ -0,0 +1,191 @@
+/**
+ * World Outline
+ *
+ * Coarse coastlines for the places map, drawn without map tiles so the map
+ * works offline. Each outline is a list of [longitude, latitude] points.
+ * Detail is highest around the Balkans and the Mediterranean, where most of
+ * the family's places are; elsewhere only the shape of the continents is kept.
+ *
+ * Usage:
+ * import { LAND, SEAS, MAP_VIEWS } from '@/utils/worldOutline'
+ *
+ * @module worldOutline
+ */
+
+/**
+ * Land masses: continents and the larger islands
+ */
+export const LAND = [
+  // Eurasia, clockwise from Gibraltar along the Mediterranean
+  [
+    [-5.6, 36.0], [-4.4, 36.7], [-2.1, 36.7], [-0.5, 38.3], [0.2, 38.8], [-0.3, 39.5],
+    [0.9, 41.0], [3.2, 41.9], [3.1, 43.1], [4.8, 43.4], [6.2, 43.1], [7.5, 43.8],
+    [8.9, 44.4], [10.2, 43.9], [11.1, 42.4], [12.6, 41.4], [14.2, 40.8], [15.6, 40.0],
+    [15.7, 38.2], [16.1, 38.0], [16.6, 38.8], [17.1, 39.0], [16.5, 39.7], [17.2, 40.5],
+    [18.5, 40.1], [18.0, 40.7], [16.0, 41.4], [16.0, 41.9], [14.2, 42.5], [13.6, 43.6],
+    [12.3, 44.6], [12.4, 45.4], [13.7, 45.7], [13.6, 45.1], [13.9, 44.8], [14.3, 45.3],
+    [14.9, 44.7], [15.2, 44.3], [16.4, 43.5], [17.6, 43.0], [18.5, 42.4], [19.4, 41.8],
+    [19.5, 41.3], [19.3, 40.4], [20.0, 39.7], [20.7, 38.9], [21.1, 38.3], [21.6, 37.0],
+    [22.4, 36.4], [23.1, 36.5], [22.8, 37.6], [23.4, 37.9], [24.0, 37.7], [23.6, 38.5],
+    [22.6, 38.9], [23.1, 39.4], [22.6, 40.3], [22.9, 40.6], [23.9, 40.0], [24.4, 40.9],
+    [26.0, 40.8], [26.7, 40.4], [26.2, 39.5], [26.9, 38.4], [27.3, 37.0], [28.3, 36.8],
+    [30.6, 36.8], [32.8, 36.1], [36.2, 36.6], [35.9, 35.5], [35.1, 33.1], [34.2, 31.3],
+    [32.3, 31.2], [32.5, 30.0], [34.9, 29.5], [39.1, 21.5], [43.3, 12.7], [45.0, 12.8],
+    [52.0, 16.0], [57.8, 19.0], [59.8, 22.5], [56.3, 26.2], [51.5, 25.3], [48.0, 29.9],
+    [50.3, 30.0], [56.3, 27.1], [61.6, 25.2], [66.7, 25.4], [68.9, 22.9], [72.8, 19.0],
+    [74.8, 12.9], [77.5, 8.1], [80.3, 13.1], [82.3, 16.6], [86.9, 21.0], [88.6, 21.8],
+    [91.8, 22.4], [94.3, 18.8], [97.6, 16.5], [98.6, 9.0], [100.3, 6.5], [103.4, 1.3],
+    [104.0, 5.0], [100.9, 13.4], [102.9, 11.6], [105.0, 8.7], [109.2, 11.7], [108.3, 16.1],
+    [106.6, 20.2], [109.8, 21.4], [113.5, 22.2], [119.5, 25.3], [121.9, 30.9], [120.3, 34.3],
+    [119.2, 37.3], [117.7, 38.9], [121.6, 40.0], [124.3, 39.9], [126.6, 37.5], [126.4, 34.5],
+    [129.3, 35.2], [129.4, 37.0], [127.5, 39.8], [129.8, 41.0], [131.9, 43.1], [138.5, 47.0],
+    [140.5, 53.3], [135.2, 54.7], [143.2, 59.4], [155.0, 59.4], [156.7, 51.0], [162.0, 56.2],
+    [163.3, 59.9], [172.0, 61.0], [180.0, 64.5], [180.0, 69.5], [170.0, 70.0], [161.0, 69.6],
+    [150.0, 71.5], [140.0, 72.5], [130.0, 71.0], [113.0, 73.7], [104.0, 77.7], [97.0, 76.0],
+    [87.0, 74.0], [80.5, 73.5], [73.0, 68.0], [69.0, 73.0], [66.5, 69.0], [59.0, 68.6],
+    [53.0, 68.3], [44.0, 68.5], [41.0, 66.5], [33.0, 69.3], [25.8, 71.1], [17.0, 69.3],
+    [13.5, 68.0], [12.4, 65.9], [10.3, 64.0], [5.0, 62.0], [5.3, 59.3], [7.5, 58.0],
+    [10.4, 59.0], [11.2, 58.5], [11.8, 57.7], [12.9, 55.6], [14.4, 56.1], [16.5, 57.5],
+    [18.1, 59.3], [17.3, 60.7], [21.5, 63.9], [22.2, 65.6], [25.4, 65.0], [21.5, 61.5],
+    [21.4, 60.5], [25.0, 60.2], [30.0, 60.0], [28.0, 59.5], [23.5, 59.2], [24.1, 57.1],
+    [21.0, 56.5], [21.1, 55.3], [19.9, 54.4], [18.6, 54.4], [14.2, 53.9], [11.0, 54.0],
+    [10.0, 54.4], [9.8, 54.9], [10.5, 57.7], [8.1, 56.8], [8.6, 55.4], [8.8, 53.9],
+    [6.9, 53.4], [4.8, 52.9], [4.0, 51.9], [2.5, 51.1], [1.6, 50.1], [0.1, 49.5],
+    [-1.3, 49.6], [-1.9, 48.7], [-4.7, 48.4], [-2.5, 47.3], [-1.2, 46.2], [-1.5, 43.5],
+    [-3.8, 43.4], [-8.9, 43.3], [-8.8, 42.0], [-9.5, 38.8], [-8.9, 37.0], [-7.4, 37.2],
+    [-6.2, 36.5],
+  ],
+  // Africa
+  [
+    [-5.9, 35.8], [-1.0, 35.6], [3.0, 36.8], [10.2, 37.2], [11.0, 35.5], [10.2, 33.8],
+    [15.1, 32.3], [19.9, 30.5], [20.0, 32.0], [23.0, 32.6], [25.2, 31.6], [29.9, 31.2],
+    [32.3, 31.2], [32.5, 29.9], [33.6, 27.9], [35.5, 23.9], [37.2, 19.0], [39.7, 15.0],
+    [43.2, 11.6], [45.0, 10.4], [51.2, 11.8], [49.0, 6.0], [45.3, 2.0], [40.0, -3.0],
+    [39.3, -6.8], [40.5, -10.5], [40.6, -15.5], [35.5, -23.9], [32.9, -25.9], [31.0, -29.8],
+    [27.9, -33.0], [25.6, -34.0], [20.0, -34.8], [18.4, -34.2], [18.1, -32.9], [15.3, -27.0],
+    [14.5, -22.9], [11.8, -17.3], [13.2, -8.8], [12.2, -5.9], [9.4, -0.5], [9.5, 3.9],
+    [8.5, 4.5], [6.0, 4.3], [3.4, 6.4], [-2.0, 4.8], [-7.5, 4.4], [-10.8, 6.4],
+    [-13.2, 8.5], [-15.5, 11.5], [-17.4, 14.7], [-16.0, 19.0], [-17.0, 21.0], [-14.5, 26.1],
+    [-9.8, 29.4], [-9.5, 32.5], [-6.8, 34.0],
+  ],
+  // North America
+  [
+    [-168.0, 65.6], [-162.0, 70.2], [-156.8, 71.3], [-141.0, 69.6], [-128.0, 70.2], [-115.0, 68.6],
+    [-105.0, 68.3], [-96.0, 67.5], [-89.0, 68.8], [-82.0, 67.0], [-85.5, 63.5], [-90.5, 63.0],
+    [-94.0, 61.0], [-92.5, 57.0], [-85.0, 55.2], [-79.5, 51.5], [-78.5, 58.5], [-77.0, 62.0],
+    [-72.0, 62.3], [-64.5, 60.3], [-61.0, 56.0], [-56.0, 52.0], [-59.4, 47.6], [-64.0, 48.8],
+    [-66.0, 45.2], [-70.2, 43.7], [-70.0, 41.8], [-74.0, 40.5], [-75.5, 35.2], [-81.0, 31.8],
+    [-80.0, 26.8], [-81.1, 25.1], [-82.7, 28.0], [-84.0, 30.0], [-89.5, 30.2], [-94.0, 29.6],
+    [-97.4, 27.8], [-97.7, 21.6], [-95.0, 18.5], [-91.0, 19.0], [-90.4, 21.0], [-87.0, 21.5],
+    [-88.3, 15.8], [-83.4, 15.2], [-83.8, 11.0], [-79.5, 9.6], [-77.3, 8.7], [-80.0, 7.3],
+    [-85.7, 10.0], [-87.5, 13.2], [-91.5, 14.0], [-94.8, 16.2], [-99.9, 16.8], [-105.4, 20.5],
+    [-105.7, 22.8], [-110.5, 27.9], [-114.8, 31.7], [-112.2, 27.0], [-109.4, 23.2], [-112.1, 24.8],
+    [-114.6, 28.4], [-117.1, 32.5], [-120.6, 34.6], [-122.5, 37.8], [-124.4, 40.4], [-124.0, 46.3],
+    [-124.7, 48.4], [-123.0, 49.2], [-127.5, 50.8], [-130.4, 54.3], [-135.5, 58.5], [-140.0, 59.7],
+    [-146.0, 61.0], [-151.5, 59.1], [-154.0, 57.0], [-162.0, 55.0], [-157.5, 57.6], [-161.8, 58.7],
+    [-165.0, 60.5], [-164.5, 63.2], [-161.0, 64.5], [-166.0, 64.6],
+  ],
+  // South America
+  [
+    [-77.3, 8.7], [-75.5, 10.5], [-71.5, 12.4], [-68.0, 10.5], [-62.0, 10.7], [-60.0, 8.5],
+    [-52.5, 5.3], [-50.0, 1.7], [-48.5, -1.3], [-44.4, -2.5], [-38.5, -3.7], [-35.2, -5.8],
+    [-35.0, -9.0], [-38.5, -13.0], [-39.2, -17.7], [-41.0, -22.0], [-43.2, -22.9], [-48.5, -26.5],
+    [-48.6, -28.5], [-51.0, -31.0], [-53.4, -33.7], [-56.0, -34.9], [-58.4, -34.6], [-57.3, -36.3],
+    [-57.5, -38.1], [-62.2, -38.8], [-65.0, -41.0], [-63.7, -42.7], [-65.8, -45.0], [-67.6, -46.5],
+    [-69.3, -51.7], [-68.5, -52.5], [-67.0, -54.9], [-70.0, -55.2], [-74.5, -52.0], [-75.5, -46.8],
+    [-73.5, -42.0], [-73.6, -37.2], [-71.6, -33.0], [-71.4, -29.0], [-70.3, -18.5], [-75.1, -15.3],
+    [-79.0, -8.0], [-81.3, -4.6], [-80.0, -2.5], [-80.5, 0.5], [-79.0, 1.8], [-77.4, 4.0],
+    [-77.5, 7.0],
+  ],
+  // Australia
+  [
+    [113.5, -22.0], [114.0, -26.5], [115.1, -34.3], [118.0, -35.0], [124.0, -33.9], [129.0, -31.7],
+    [134.0, -32.8], [137.8, -35.6], [138.5, -34.9], [140.5, -38.0], [144.9, -37.9], [146.5, -39.0],
+    [150.0, -37.5], [151.2, -33.9], [153.6, -28.2], [153.0, -25.2], [149.0, -21.0], [146.0, -18.5],
+    [145.4, -14.9], [142.5, -10.7], [141.6, -12.6], [141.5, -17.0], [140.8, -17.5], [136.7, -15.9],
+    [136.8, -12.2], [132.6, -11.5], [130.8, -12.4], [129.6, -14.9], [125.5, -14.4], [122.2, -17.9],
+    [118.8, -20.3], [114.1, -21.8],
+  ],
+  // Greenland
+  [
+    [-73.0, 78.5], [-60.0, 82.0], [-30.0, 83.5], [-20.0, 81.5], [-18.5, 76.0], [-22.0, 70.5],
+    [-32.0, 68.0], [-40.0, 65.0], [-43.5, 60.0], [-48.0, 61.0], [-52.5, 65.0], [-54.0, 69.5],
+    [-58.0, 75.5], [-67.0, 76.5],
+  ],
+  // Baffin Island
+  [[-80.0, 73.7], [-70.0, 70.0], [-62.0, 66.8], [-65.5, 62.0], [-72.0, 63.5], [-78.0, 64.5], [-82.0, 68.5], [-90.0, 71.0]],
+  // Great Britain
+  [
+    [-5.7, 50.1], [-3.0, 50.6], [1.4, 51.2], [1.7, 52.7], [0.3, 53.4], [-1.6, 55.6],
+    [-2.0, 57.6], [-3.1, 58.6], [-5.0, 58.6], [-6.2, 56.7], [-5.0, 55.0], [-3.1, 54.9],
+    [-3.1, 53.3], [-4.6, 53.3], [-4.2, 52.3], [-5.3, 51.7], [-3.0, 51.4], [-4.5, 51.1],
+  ],
+  // Ireland
+  [[-6.0, 52.2], [-6.3, 54.1], [-6.2, 55.2], [-8.0, 55.2], [-10.1, 54.2], [-9.9, 53.4], [-10.4, 51.9], [-8.3, 51.7]],
+  // Iceland
+  [[-22.6, 63.8], [-24.0, 65.5], [-22.5, 66.4], [-16.0, 66.5], [-13.5, 65.2], [-18.7, 63.4]],
+  // Mediterranean islands: Sicily, Sardinia, Corsica, Crete, Cyprus
+  [[12.4, 37.8], [15.6, 38.3], [15.1, 36.7], [12.7, 37.6]],
+  [[8.2, 41.0], [9.8, 41.0], [9.6, 39.1], [8.4, 39.0]],
+  [[8.6, 41.4], [9.4, 41.4], [9.5, 43.0], [8.7, 42.6]],
+  [[23.5, 35.6], [26.3, 35.3], [26.1, 34.9], [23.6, 35.2]],
+  [[32.3, 35.0], [34.6, 35.7], [33.9, 34.9], [32.7, 34.6]],
+  // Japan: Honshu, Kyushu, Hokkaido
+  [
+    [130.9, 34.0], [132.5, 35.4], [135.9, 35.6], [138.7, 37.9], [140.0, 40.6], [141.5, 41.4],
+    [142.0, 39.6], [140.9, 36.9], [140.0, 35.1], [138.7, 34.6], [136.8, 34.3], [135.0, 33.5],
+    [132.0, 33.8],
+  ],
+  [[129.6, 33.3], [130.9, 34.0], [131.9, 33.0], [131.1, 31.4], [130.2, 31.3]],
+  [[140.0, 41.5], [139.9, 43.2], [141.7, 45.4], [145.5, 43.3], [143.3, 42.0]],
+  // Sakhalin, Taiwan, Sri Lanka
+  [[142.0, 46.0], [143.5, 49.5], [142.8, 54.3], [142.2, 51.5]],
+  [[120.1, 23.0], [121.0, 25.2], [121.9, 24.9], [120.7, 21.9]],
+  [[79.9, 6.9], [79.8, 8.0], [80.2, 9.8], [81.9, 7.4], [81.0, 6.1], [80.1, 6.1]],
+  // Sumatra, Java, Borneo, New Guinea
+  [[95.3, 5.6], [98.7, 3.8], [104.0, -1.0], [106.0, -5.9], [104.5, -5.9], [101.3, -2.9], [98.5, 0.5]],
+  [[105.2, -6.8], [106.9, -6.0], [112.6, -6.9], [114.6, -7.8], [110.5, -8.2], [106.4, -7.4]],
+  [
+    [109.0, 1.5], [110.3, -2.9], [114.5, -4.1], [116.5, -3.0], [117.6, 1.0], [119.0, 5.1],
+    [116.9, 7.0], [115.4, 4.9], [113.0, 3.1], [111.0, 1.6],
+  ],
+  [
+    [131.0, -1.3], [135.0, -3.4], [141.0, -2.6], [145.8, -5.3], [147.6, -6.3], [150.2, -10.5],
+    [146.2, -8.4], [143.4, -9.0], [141.0, -9.1], [138.0, -8.2], [134.3, -3.9], [132.5, -3.9],
+  ],
+  // Philippines: Luzon, Mindanao
+  [[119.9, 16.2], [120.6, 18.5], [122.3, 18.5], [122.0, 16.9], [124.0, 13.0], [120.6, 14.1]],
+  [[122.0, 7.0], [126.6, 7.2], [125.4, 5.6], [123.6, 7.8]],
+  // Madagascar, Tasmania, New Zealand
+  [[49.3, -12.0], [50.5, -15.5], [47.1, -24.9], [45.2, -25.5], [43.3, -22.0], [44.0, -17.0], [46.3, -15.7]],
+  [[145.0, -40.8], [148.3, -40.9], [147.8, -43.2], [146.0, -43.6], [144.6, -41.0]],
+  [[172.7, -34.4], [174.8, -36.9], [178.5, -37.7], [177.0, -39.6], [174.8, -41.3], [173.8, -39.3], [174.5, -37.0]],
+  [[172.7, -40.5], [174.3, -41.7], [173.0, -43.9], [171.2, -44.4], [169.0, -46.6], [166.5, -46.0], [168.3, -44.0], [170.8, -42.7]],
+]
+
+/**
+ * Inland seas drawn over the land: Black Sea, Sea of Azov, Caspian Sea
+ */
+export const SEAS = [
+  [
+    [28.0, 41.6], [29.1, 41.2], [31.4, 41.2], [33.3, 42.0], [34.9, 42.0], [37.7, 41.1],
+    [41.6, 41.5], [41.6, 42.6], [39.9, 43.4], [38.0, 44.4], [37.3, 45.2], [35.5, 45.1],
+    [33.5, 44.5], [32.5, 45.4], [33.7, 46.1], [31.1, 46.6], [30.7, 46.4], [29.6, 45.4],
+    [28.7, 44.3], [27.9, 42.7],
+  ],
+  [[35.5, 45.3], [36.6, 45.4], [38.3, 46.0], [39.3, 47.2], [37.5, 47.1], [35.2, 46.4]],
+  [
+    [47.0, 44.9], [49.0, 46.5], [53.0, 46.9], [53.2, 45.3], [51.3, 44.5], [52.6, 42.0],
+    [54.0, 41.0], [53.9, 37.4], [50.4, 37.0], [49.0, 38.5], [49.5, 40.5], [48.6, 41.8],
+    [47.5, 43.0],
+  ],
+]
+
+/**
+ * Preset views: bounds as [west, south, east, north]
+ */
+export const MAP_VIEWS = {
+  world: [-170, -57, 180, 80],
+  europe: [-12, 34, 45, 66],
+  balkans: [13, 38.5, 30, 47.5],
+}